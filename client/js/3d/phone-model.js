@@ -1,5 +1,5 @@
 import * as THREE from 'three';
-import { getQuaternion } from '../utils/math.js';
+import { getDeviceQuaternion } from '../utils/math.js';
 
 /**
  * Creates and manages the 3D phone model
@@ -133,7 +133,7 @@ export class PhoneModel {
 
   /**
    * Update phone orientation based on gyroscope data
-   * @param {Object} gyroData - Gyroscope data (alpha, beta, gamma)
+   * @param {Object} gyroData - Gyroscope data (alpha, beta, gamma and optional fused quaternion)
    */
   updateOrientation(gyroData) {
     if (!this.phone) return;
@@ -142,7 +142,7 @@ export class PhoneModel {
       // In calibration mode, show phone flat
       this.phone.quaternion.copy(this.offsetQuaternion);
     } else {
-      const [w, x, y, z] = getQuaternion(gyroData.alpha, gyroData.beta, gyroData.gamma);
+      const [w, x, y, z] = getDeviceQuaternion(gyroData);
       const deviceQuaternion = new THREE.Quaternion(x, y, z, w);
       
       // Apply offset first, then relative orientation
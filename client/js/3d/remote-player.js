@@ -78,6 +78,10 @@ export class RemotePlayer {
     
     // Add username label above the player
     this.createUsernameLabel(playerData.username);
+    
+    // Add health bar below the username label
+    this.createHealthBar();
+    this.updateHealthBar(playerData.health, playerData.maxHealth, playerData.isDead);
   }
   
   /**
@@ -113,6 +117,9 @@ export class RemotePlayer {
     model.add(bodyMesh);
     model.add(headMesh);
     
+    // Tag the model so spell raycasts can tell which player they hit
+    model.userData.playerId = this.playerId;
+    
     // Add to scene
     scene.add(model);
     
@@ -207,6 +214,71 @@ export class RemotePlayer {
     }
   }
   
+  /**
+   * Create a health bar sprite displayed above the player
+   */
+  createHealthBar() {
+    this.healthCanvas = document.createElement('canvas');
+    this.healthCanvas.width = 128;
+    this.healthCanvas.height = 16;
+    
+    const texture = new THREE.CanvasTexture(this.healthCanvas);
+    const material = new THREE.SpriteMaterial({
+      map: texture,
+      transparent: true
+    });
+    
+    this.healthSprite = new THREE.Sprite(material);
+    this.healthSprite.scale.set(1.2, 0.15, 1);
+    
+    // Sit just below the username label
+    const model = this.isMobilePlayer ? this.airplaneModel : this.personModel;
+    if (model) {
+      model.add(this.healthSprite);
+      this.healthSprite.position.y = (this.nameSprite ? this.nameSprite.position.y : 1.8) - 0.35;
+    }
+  }
+  
+  /**
+   * Redraw the health bar and show or hide the model for death state
+   * @param {number} health - Current health
+   * @param {number} maxHealth - Maximum health
+   * @param {boolean} isDead - Whether the player is dead
+   */
+  updateHealthBar(health, maxHealth, isDead) {
+    if (typeof health !== 'number' || !maxHealth) return;
+    
+    const model = this.isMobilePlayer ? this.airplaneModel : this.personModel;
+    if (model) {
+      model.visible = !isDead;
+    }
+    
+    // Only redraw the canvas when the value actually changed
+    if (!this.healthSprite || (health === this.lastHealth && maxHealth === this.lastMaxHealth)) return;
+    this.lastHealth = health;
+    this.lastMaxHealth = maxHealth;
+    
+    const context = this.healthCanvas.getContext('2d');
+    const width = this.healthCanvas.width;
+    const height = this.healthCanvas.height;
+    const percent = Math.max(0, Math.min(1, health / maxHealth));
+    
+    context.clearRect(0, 0, width, height);
+    context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    context.fillRect(0, 0, width, height);
+    
+    if (percent > 0.6) {
+      context.fillStyle = '#4CAF50';
+    } else if (percent > 0.3) {
+      context.fillStyle = '#ffc107';
+    } else {
+      context.fillStyle = '#dc3545';
+    }
+    context.fillRect(2, 2, (width - 4) * percent, height - 4);
+    
+    this.healthSprite.material.map.needsUpdate = true;
+  }
+  
   /**
    * Update player data from network
    * @param {Object} data - Player state data
@@ -214,6 +286,10 @@ export class RemotePlayer {
   updateFromData(data) {
     this.playerData = data;
     
+    if (this.healthSprite) {
+      this.updateHealthBar(data.health, data.maxHealth, data.isDead);
+    }
+    
     if (data.position) {
       this.targetPosition.set(
         data.position.x,
@@ -431,6 +507,9 @@ export class RemotePlayer {
         this.createGenericAirplaneModel(model);
     }
     
+    // Tag the model so spell raycasts can tell which player they hit
+    model.userData.playerId = this.playerId;
+    
     // Add to scene
     scene.add(model);
     
@@ -816,6 +895,30 @@ export class RemotePlayer {
     return this.forward ? this.forward.clone() : new THREE.Vector3(0, 0, -1);
   }
   
+  /**
+   * Tint the player's model with a status effect's color
+   * @param {number|null} color - Tint color, or null to remove it
+   */
+  setStatusTint(color) {
+    const model = this.isMobilePlayer ? this.airplaneModel : this.personModel;
+    if (!model) return;
+    
+    model.traverse((object) => {
+      if (!(object instanceof THREE.Mesh) || !object.material || !object.material.emissive) return;
+      
+      // Remember the material's own glow to restore it
+      if (object.userData.baseEmissive === undefined) {
+        object.userData.baseEmissive = object.material.emissive.getHex();
+      }
+      
+      if (color === null) {
+        object.material.emissive.setHex(object.userData.baseEmissive);
+      } else {
+        object.material.emissive.setHex(color).multiplyScalar(0.5);
+      }
+    });
+  }
+  
   /**
    * Destroy and clean up
    */
@@ -905,6 +1008,19 @@ export class RemotePlayer {
       }
     }
     
+    // Clean up health bar sprite
+    if (this.healthSprite) {
+      if (this.healthSprite.parent) {
+        this.healthSprite.parent.remove(this.healthSprite);
+      }
+      
+      if (this.healthSprite.material.map) {
+        this.healthSprite.material.map.dispose();
+      }
+      
+      this.healthSprite.material.dispose();
+    }
+    
     // Clear references to help garbage collection
     this.lastPosition = null;
     this.lastRotation = null;
@@ -917,5 +1033,7 @@ export class RemotePlayer {
     this.playerData = null;
     this.forward = null;
     this.nameSprite = null;
+    this.healthSprite = null;
+    this.healthCanvas = null;
   }
 }
\ No newline at end of file
@@ -2,12 +2,20 @@ import { EventBus } from './utils/event-bus.js';
 import { LoadingManager } from './utils/loading-manager.js';
 import { SocketManager } from './communication/socket-manager.js';
 import { WebRTCManager } from './communication/webrtc-manager.js';
+import { SensorJitterBuffer } from './communication/sensor-jitter-buffer.js';
+import { ControllerTelemetry } from './communication/controller-telemetry.js';
+import { HapticsRelay } from './communication/haptics-relay.js';
+import { SensorRecorder } from './communication/sensor-recorder.js';
+import { SensorReplay } from './communication/sensor-replay.js';
 import { QRCodeGenerator } from './ui/qrcode-generator.js';
 import { StatusDisplay } from './ui/status-display.js';
 import { VisualizationManager } from './visualization/visualization-manager.js';
 import { SceneManager } from './3d/scene-manager.js';
 import { FirstPersonController } from './game/first-person.js';
 import { WeaponView } from './game/weapon-view.js';
+import { RuneManager } from './game/rune-manager.js';
+import { MotionGestureManager } from './game/motion-gesture-manager.js';
+import { LoadoutManager } from './game/loadout-manager.js';
 import { CalibrationManager } from './game/calibration-manager.js';
 import { GameStateManager } from './game/game-state-manager.js';
 import { PlayerManager } from './game/player-manager.js';
@@ -18,6 +26,13 @@ import { LobbyManager } from './ui/lobby-manager.js';
 import { DEBUG_CONFIG } from './config.js';
 import { EnemyManager, HealthManager } from './game/enemy-system/index.js';
 import { PortalManager } from './game/portal-manager.js';
+import { PlayerHealthManager } from './game/player-health-manager.js';
+import { PlayerManaManager } from './game/player-mana-manager.js';
+import { StatusEffectManager } from './game/status-effect-manager.js';
+import { SpellComboManager } from './game/spell-combo-manager.js';
+import { PlayerHUD } from './ui/player-hud.js';
+import { PvPManager } from './game/pvp-manager.js';
+import { Scoreboard } from './ui/scoreboard.js';
 
 /**
  * Main application class
@@ -51,6 +66,11 @@ class App {
     // Initialize managers
     this.socketManager = new SocketManager(this.eventBus);
     this.webRTCManager = new WebRTCManager(this.eventBus, this.socketManager);
+    this.sensorJitterBuffer = new SensorJitterBuffer(this.eventBus);
+    this.controllerTelemetry = new ControllerTelemetry(this.eventBus);
+    this.hapticsRelay = new HapticsRelay(this.eventBus);
+    this.sensorRecorder = new SensorRecorder(this.eventBus);
+    this.sensorReplay = new SensorReplay(this.eventBus);
     this.statusDisplay = new StatusDisplay(this.eventBus, this.isPortalMode);
     this.qrCodeGenerator = new QRCodeGenerator(this.eventBus, this.socketManager, this.isPortalMode);
     this.visualizationManager = new VisualizationManager(this.eventBus);
@@ -61,9 +81,18 @@ class App {
     this.calibrationManager = new CalibrationManager(this.eventBus);
     this.firstPersonController = new FirstPersonController(this.eventBus, this.sceneManager);
     
+    // Saved spellbook loadouts, read by the spellbook when the weapon view creates it
+    this.loadoutManager = new LoadoutManager(this.eventBus);
+    
     // Create weapon view after scene manager (needs container reference)
     this.weaponView = new WeaponView(this.eventBus, this.sceneManager.getContainer());
     
+    // Recognize runes drawn on the phone's touch screen
+    this.runeManager = new RuneManager(this.eventBus);
+    
+    // Recognize flicks, swings, waves and shakes of the phone
+    this.motionGestureManager = new MotionGestureManager(this.eventBus);
+    
     // Initialize multiplayer components
     this.gameStateManager = new GameStateManager(this.eventBus, this.socketManager);
     this.playerManager = new PlayerManager(this.eventBus, this.sceneManager);
@@ -75,8 +104,21 @@ class App {
     this.healthManager = new HealthManager(this.eventBus);
     this.enemyManager = new EnemyManager(this.eventBus, this.sceneManager.getScene(), this.physicsManager.world);
     
+    // Initialize local player health, mana and status effects, and their HUD
+    this.playerHealthManager = new PlayerHealthManager(this.eventBus);
+    this.playerManaManager = new PlayerManaManager(this.eventBus);
+    this.statusEffectManager = new StatusEffectManager(this.eventBus);
+    this.playerHUD = new PlayerHUD(this.eventBus);
+    
+    // Initialize deathmatch hit detection and scoreboard
+    this.pvpManager = new PvPManager(this.eventBus, this.gameStateManager, this.physicsManager);
+    this.scoreboard = new Scoreboard(this.eventBus);
+    
+    // Initialize spell combo detection between spells and players
+    this.spellComboManager = new SpellComboManager(this.eventBus, this.sceneManager.getScene(), this.physicsManager);
+    
     // Initialize lobby manager for room management UI
-    this.lobbyManager = new LobbyManager(this.eventBus, this.gameStateManager);
+    this.lobbyManager = new LobbyManager(this.eventBus, this.gameStateManager, this.loadoutManager, this.motionGestureManager);
     
     // Initialize gravity gun controller
     this.gravityGunController = new GravityGunController(this.eventBus, this.sceneManager, this.weaponView);
@@ -287,8 +329,9 @@ class App {
         this.firstPersonController.toggleFirstPersonMode();
       }
       
-      // Spawn particle enemies when mobile connects
-      if (this.enemyManager) {
+      // Spawn particle enemies when mobile connects (only freeplay, or no room at all, has local enemies)
+      const gameMode = this.gameStateManager.getGameMode();
+      if (this.enemyManager && (!gameMode || gameMode === 'freeplay')) {
         // Clear any existing enemies first
         this.enemyManager.removeAllEnemies();
         
@@ -309,14 +352,14 @@ class App {
     
     // Auto-enable first-person mode in debug, portal mode, or mobile mode when joining a room
     if (DEBUG_CONFIG.ENABLE_MULTIPLAYER_DEBUG || this.isPortalMode || this.isMobileDevice) {
-      this.eventBus.on('multiplayer:room-joined', () => {
+      this.eventBus.on('multiplayer:room-joined', (data) => {
         // Enable first-person mode if not already enabled
         if (!this.firstPersonController.isEnabled()) {
           this.sceneManager.setFirstPersonMode(true);
           this.firstPersonController.toggleFirstPersonMode();
         }
-        // Spawn enemies when joining a room
-        if (this.enemyManager) {
+        // Spawn enemies when joining a freeplay room (survival waves come from the server)
+        if (this.enemyManager && data.room.gameMode === 'freeplay') {
           // Remove any existing enemies first
           this.enemyManager.removeAllEnemies();
           
@@ -328,15 +371,15 @@ class App {
         }
       });
       
-      this.eventBus.on('multiplayer:room-created', () => {
+      this.eventBus.on('multiplayer:room-created', (data) => {
         // Enable first-person mode if not already enabled
         if (!this.firstPersonController.isEnabled()) {
           this.sceneManager.setFirstPersonMode(true);
           this.firstPersonController.toggleFirstPersonMode();
         }
         
-        // Spawn enemies when creating a room
-        if (this.enemyManager) {
+        // Spawn enemies when creating a freeplay room (survival waves come from the server)
+        if (this.enemyManager && data.room.gameMode === 'freeplay') {
           // Remove any existing enemies first
           this.enemyManager.removeAllEnemies();
           
@@ -0,0 +1,219 @@
+import { CONTROLLER_TELEMETRY } from '../config.js';
+import { DataHistory } from '../visualization/data-history.js';
+
+/**
+ * Measures the phone -> desktop link of each paired controller: round-trip time
+ * from data channel probes, the phone's send rate, the desktop's receive rate,
+ * packet loss from gaps in the sequence numbers and interarrival jitter.
+ * Stats are published as `telemetry:controller-stats` every report interval.
+ */
+export class ControllerTelemetry {
+  /**
+   * @param {EventBus} eventBus - Application event bus
+   */
+  constructor(eventBus) {
+    this.eventBus = eventBus;
+    this.controllers = new Map(); // Mobile socket ID -> link stats
+    this.activeControllerId = null; // Controller whose sensor data is arriving
+    this.reportInterval = null;
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    this.eventBus.on('mobile:joined', (data) => {
+      this.startTracking(data.mobileSocketId);
+    });
+
+    this.eventBus.on('mobile:disconnected', () => {
+      this.stopTracking();
+    });
+
+    this.eventBus.on('sensor:data-received', this.recordPacket.bind(this));
+    this.eventBus.on('webrtc:rtt-measured', this.recordRoundTrip.bind(this));
+
+    // Probes only travel over the data channel
+    this.eventBus.on('webrtc:disconnected', () => {
+      const stats = this.getActiveStats();
+      if (stats) stats.rtt = null;
+    });
+  }
+
+  /**
+   * Begin tracking a newly paired controller
+   * @param {string} controllerId - Mobile socket ID
+   */
+  startTracking(controllerId) {
+    this.activeControllerId = controllerId || 'controller';
+    this.controllers.set(this.activeControllerId, this.createStats(this.activeControllerId));
+
+    clearInterval(this.reportInterval);
+    this.reportInterval = setInterval(() => this.report(), CONTROLLER_TELEMETRY.reportInterval);
+  }
+
+  /**
+   * Stop tracking the active controller
+   */
+  stopTracking() {
+    clearInterval(this.reportInterval);
+    this.reportInterval = null;
+
+    if (this.activeControllerId) {
+      this.controllers.delete(this.activeControllerId);
+      this.eventBus.emit('telemetry:controller-removed', { controllerId: this.activeControllerId });
+      this.activeControllerId = null;
+    }
+  }
+
+  /**
+   * Create empty stats for a controller
+   * @param {string} controllerId - Mobile socket ID
+   * @returns {Object} Link stats
+   */
+  createStats(controllerId) {
+    return {
+      controllerId,
+      windowStart: Date.now(),
+      windowReceived: 0,
+      baseSequence: null, // Newest sequence number at the end of the last window
+      highestSequence: null,
+      lastTransit: null,
+      jitter: 0,
+      rtt: null,
+      lastPacketsSent: null,
+      lastPacketsSentAt: 0,
+      sendRate: null,
+      receiveRate: 0,
+      loss: null,
+      history: new DataHistory({ link: { rtt: [], jitter: [], loss: [] } })
+    };
+  }
+
+  /**
+   * Get the stats of the controller currently sending data
+   * @returns {Object|null} Link stats
+   */
+  getActiveStats() {
+    return this.controllers.get(this.activeControllerId) || null;
+  }
+
+  /**
+   * Signed distance between two 16-bit sequence numbers, handling wrap-around
+   * @param {number} a - Sequence number
+   * @param {number} b - Sequence number
+   * @returns {number} Positive when a is newer than b
+   */
+  sequenceDiff(a, b) {
+    return ((a - b + 0x8000) & 0xFFFF) - 0x8000;
+  }
+
+  /**
+   * Account for an incoming sensor packet
+   * @param {Object} data - Decoded sensor data
+   */
+  recordPacket(data) {
+    const stats = this.getActiveStats();
+    if (!stats || !data) return;
+
+    const now = Date.now();
+    stats.windowReceived++;
+
+    if (Number.isInteger(data.sequence)) {
+      if (stats.highestSequence === null) {
+        stats.baseSequence = (data.sequence - 1) & 0xFFFF;
+        stats.highestSequence = data.sequence;
+      } else if (this.sequenceDiff(data.sequence, stats.highestSequence) > 0) {
+        stats.highestSequence = data.sequence;
+      }
+    }
+
+    // Interarrival jitter as in RFC 3550: the clock offset between the devices
+    // cancels out of the difference between consecutive transit times
+    if (Number.isFinite(data.timestamp)) {
+      const transit = now - data.timestamp;
+      if (stats.lastTransit !== null) {
+        stats.jitter += (Math.abs(transit - stats.lastTransit) - stats.jitter) / 16;
+      }
+      stats.lastTransit = transit;
+    }
+  }
+
+  /**
+   * Record an answered round-trip probe
+   * @param {Object} data - Probe result
+   * @param {number} data.rtt - Round-trip time in ms
+   * @param {number} data.packetsSent - Sensor packets the phone has sent so far
+   */
+  recordRoundTrip(data) {
+    const stats = this.getActiveStats();
+    if (!stats || !data) return;
+
+    stats.rtt = data.rtt;
+
+    if (!Number.isFinite(data.packetsSent)) return;
+
+    const now = Date.now();
+    if (stats.lastPacketsSent !== null && data.packetsSent >= stats.lastPacketsSent && now > stats.lastPacketsSentAt) {
+      stats.sendRate = (data.packetsSent - stats.lastPacketsSent) * 1000 / (now - stats.lastPacketsSentAt);
+    }
+    stats.lastPacketsSent = data.packetsSent;
+    stats.lastPacketsSentAt = now;
+  }
+
+  /**
+   * Close the current measurement window and publish the stats
+   */
+  report() {
+    const stats = this.getActiveStats();
+    if (!stats) return;
+
+    const now = Date.now();
+    const elapsed = Math.max(1, now - stats.windowStart);
+    stats.receiveRate = stats.windowReceived * 1000 / elapsed;
+
+    // Loss is only known when the phone numbers its packets
+    if (stats.highestSequence !== null) {
+      const expected = this.sequenceDiff(stats.highestSequence, stats.baseSequence);
+      if (expected > 0) {
+        stats.loss = Math.min(1, Math.max(0, 1 - stats.windowReceived / expected));
+      } else if (stats.windowReceived === 0) {
+        stats.loss = null; // Nothing sent, so nothing lost
+      }
+      stats.baseSequence = stats.highestSequence;
+    }
+
+    stats.windowStart = now;
+    stats.windowReceived = 0;
+
+    stats.history.addDataPoint('link', {
+      rtt: stats.rtt || 0,
+      jitter: stats.jitter,
+      loss: (stats.loss || 0) * 100
+    });
+
+    this.eventBus.emit('telemetry:controller-stats', this.getStats(stats.controllerId));
+  }
+
+  /**
+   * Get a snapshot of a controller's link stats
+   * @param {string} [controllerId] - Mobile socket ID, defaults to the active controller
+   * @returns {Object|null} Stats snapshot with history, or null if unknown
+   */
+  getStats(controllerId = this.activeControllerId) {
+    const stats = this.controllers.get(controllerId);
+    if (!stats) return null;
+
+    return {
+      controllerId: stats.controllerId,
+      rtt: stats.rtt,
+      sendRate: stats.sendRate,
+      receiveRate: stats.receiveRate,
+      loss: stats.loss,
+      jitter: stats.jitter,
+      history: stats.history.getHistory('link')
+    };
+  }
+}
@@ -0,0 +1,62 @@
+import { HAPTIC_FEEDBACK } from '../config.js';
+
+/**
+ * Turns game events into haptic cues for the phone held as the wand. Cues are
+ * published as `haptics:cue` with the cue's name, which the WebRTC manager sends
+ * to the phone over the control channel. The phone picks the vibration pattern
+ * for each cue, so patterns and muting are set there:
+ * - spell-cast: a local spell was cast
+ * - fully-charged: a charged or channelled spell reached full charge
+ * - enemy-hit: one of the local player's spells hit an enemy
+ * - player-damaged: the local player lost health
+ * - grab / release: the gravity gun picked up or dropped an object
+ * - page-flip: the spellbook turned a page
+ */
+export class HapticsRelay {
+  /**
+   * @param {EventBus} eventBus - Application event bus
+   */
+  constructor(eventBus) {
+    this.eventBus = eventBus;
+    this.lastCueTimes = new Map(); // Cue name -> time it was last sent
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    this.eventBus.on('spell:cast', () => this.cue('spell-cast'));
+    this.eventBus.on('spell:fully-charged', () => this.cue('fully-charged'));
+    this.eventBus.on('spell:hit', () => this.cue('enemy-hit'));
+
+    this.eventBus.on('player:health-changed', (data) => {
+      if (data.delta < 0) {
+        this.cue('player-damaged');
+      }
+    });
+
+    this.eventBus.on('physics:object-pickup', (data) => {
+      if (data.playerId === 'local') this.cue('grab');
+    });
+
+    this.eventBus.on('physics:object-drop', (data) => {
+      if (data.playerId === 'local') this.cue('release');
+    });
+
+    this.eventBus.on('weapon:page-flipped', () => this.cue('page-flip'));
+  }
+
+  /**
+   * Send a cue to the phone, dropping repeats that come too fast to feel apart
+   * @param {string} name - Cue name
+   */
+  cue(name) {
+    const now = performance.now();
+    if (now - (this.lastCueTimes.get(name) ?? -Infinity) < HAPTIC_FEEDBACK.minCueInterval) return;
+
+    this.lastCueTimes.set(name, now);
+    this.eventBus.emit('haptics:cue', { cue: name });
+  }
+}
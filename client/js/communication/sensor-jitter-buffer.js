@@ -0,0 +1,249 @@
+import * as THREE from 'three';
+import { SENSOR_BUFFER, SENSOR_FUSION } from '../config.js';
+import { getQuaternion } from '../utils/math.js';
+
+/**
+ * Smooths phone orientation samples before they reach the game.
+ * Samples are ordered by sequence number and played back a fixed delay behind
+ * the phone's clock, slerping between the two samples around the playback time
+ * and extrapolating briefly when packets go missing. The result is emitted as
+ * `sensor:gyro-updated` once per rendered frame.
+ */
+export class SensorJitterBuffer {
+  /**
+   * @param {EventBus} eventBus - Application event bus
+   */
+  constructor(eventBus) {
+    this.eventBus = eventBus;
+    this.samples = []; // Sorted oldest -> newest by sequence
+    this.orientationMode = SENSOR_FUSION.defaultMode;
+    this.clockOffset = null; // Local time minus phone time, smallest recently seen
+    this.localSequence = 0; // For samples sent without a sequence number
+    this.lastSampleTime = 0; // Local arrival time of the newest sample
+
+    this.tempQuaternion = new THREE.Quaternion();
+    this.tempAxis = new THREE.Vector3();
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    this.eventBus.on('sensor:data-received', this.addSample.bind(this));
+    this.eventBus.on('scene:update', this.update.bind(this));
+
+    this.eventBus.on('sensor:orientation-mode-changed', ({ mode }) => {
+      this.orientationMode = mode;
+    });
+
+    // Orientation jumps after calibration, so don't interpolate across it
+    this.eventBus.on('calibration:complete', () => this.reset());
+    this.eventBus.on('mobile:disconnected', () => this.reset());
+  }
+
+  /**
+   * Forget all buffered samples and clock estimates
+   */
+  reset() {
+    this.samples = [];
+    this.clockOffset = null;
+    this.lastSampleTime = 0;
+  }
+
+  /**
+   * Signed distance between two 16-bit sequence numbers, handling wrap-around
+   * @param {number} a - Sequence number
+   * @param {number} b - Sequence number
+   * @returns {number} Positive when a is newer than b
+   */
+  sequenceDiff(a, b) {
+    return ((a - b + 0x8000) & 0xFFFF) - 0x8000;
+  }
+
+  /**
+   * Add an incoming sensor sample to the buffer
+   * @param {Object} data - Decoded sensor data
+   */
+  addSample(data) {
+    if (!data || !data.gyro) return;
+
+    const now = Date.now();
+
+    // Older phones send neither, so fall back to arrival order and time
+    const sequence = Number.isInteger(data.sequence) ? data.sequence : (this.localSequence = (this.localSequence + 1) & 0xFFFF);
+    const timestamp = Number.isFinite(data.timestamp) ? data.timestamp : now;
+
+    // Track the smallest offset seen (the least-delayed packet), letting it relax
+    // slowly so clock drift between the devices doesn't accumulate
+    const sampleOffset = now - timestamp;
+    if (this.clockOffset === null || sampleOffset < this.clockOffset) {
+      this.clockOffset = sampleOffset;
+    } else {
+      this.clockOffset += (sampleOffset - this.clockOffset) * 0.01;
+    }
+
+    // Drop duplicates and samples older than anything still playable
+    if (this.samples.some(sample => sample.sequence === sequence)) return;
+    const playbackTime = this.getPlaybackTime(now);
+    if (this.samples.length > 1 && timestamp < playbackTime && timestamp < this.samples[0].timestamp) return;
+
+    const sample = {
+      sequence,
+      timestamp,
+      gyro: data.gyro,
+      rawQuaternion: this.eulerToQuaternion(data.gyro),
+      fusedQuaternion: this.isValidQuaternion(data.orientation) ?
+        new THREE.Quaternion(data.orientation.x, data.orientation.y, data.orientation.z, data.orientation.w) : null
+    };
+
+    // Insert in sequence order; late packets land before newer ones
+    let index = this.samples.length;
+    while (index > 0 && this.sequenceDiff(this.samples[index - 1].sequence, sequence) > 0) {
+      index--;
+    }
+    this.samples.splice(index, 0, sample);
+
+    this.lastSampleTime = now;
+
+    if (this.samples.length > SENSOR_BUFFER.maxSamples) {
+      this.samples.shift();
+    }
+
+    // Without buffering, pass each sample straight through
+    if (!SENSOR_BUFFER.enabled) {
+      this.emitOrientation(sample.gyro, this.getSampleQuaternion(sample));
+    }
+  }
+
+  /**
+   * Get the phone-clock time that should be displayed right now
+   * @param {number} now - Local time in ms
+   * @returns {number} Playback time in the phone's clock
+   */
+  getPlaybackTime(now) {
+    return now - (this.clockOffset || 0) - SENSOR_BUFFER.delay;
+  }
+
+  /**
+   * Emit the interpolated orientation for this frame
+   */
+  update() {
+    if (!SENSOR_BUFFER.enabled || this.samples.length === 0) return;
+
+    const now = Date.now();
+
+    // The phone stopped sending; keep the last orientation rather than spinning on
+    if (now - this.lastSampleTime > SENSOR_BUFFER.staleAfter) return;
+
+    const playbackTime = this.getPlaybackTime(now);
+
+    // Discard samples that are entirely behind the playback time
+    while (this.samples.length > 2 && this.samples[1].timestamp <= playbackTime) {
+      this.samples.shift();
+    }
+
+    const first = this.samples[0];
+    const last = this.samples[this.samples.length - 1];
+
+    if (this.samples.length === 1 || playbackTime <= first.timestamp) {
+      this.emitOrientation(first.gyro, this.getSampleQuaternion(first));
+      return;
+    }
+
+    const next = this.samples[1];
+    if (playbackTime <= next.timestamp) {
+      const t = (playbackTime - first.timestamp) / Math.max(1, next.timestamp - first.timestamp);
+      const quaternion = new THREE.Quaternion().slerpQuaternions(
+        this.getSampleQuaternion(first),
+        this.getSampleQuaternion(next),
+        t
+      );
+      this.emitOrientation(t < 0.5 ? first.gyro : next.gyro, quaternion);
+      return;
+    }
+
+    // Past the newest sample: packets are late or lost, so extrapolate for a short while
+    const previous = this.samples[this.samples.length - 2];
+    this.emitOrientation(last.gyro, this.extrapolate(previous, last, playbackTime));
+  }
+
+  /**
+   * Continue the rotation between two samples beyond the newer one
+   * @param {Object} previous - Older sample
+   * @param {Object} last - Newest sample
+   * @param {number} playbackTime - Phone-clock time to extrapolate to
+   * @returns {THREE.Quaternion} Extrapolated orientation
+   */
+  extrapolate(previous, last, playbackTime) {
+    const lastQuaternion = this.getSampleQuaternion(last);
+    const interval = last.timestamp - previous.timestamp;
+    const ahead = Math.min(playbackTime - last.timestamp, SENSOR_BUFFER.maxExtrapolation);
+
+    if (interval <= 0 || ahead <= 0) return lastQuaternion.clone();
+
+    // Rotation from the previous sample to the last, as an axis and angle
+    const delta = this.tempQuaternion
+      .copy(lastQuaternion)
+      .multiply(this.getSampleQuaternion(previous).clone().invert())
+      .normalize();
+    if (delta.w < 0) {
+      delta.set(-delta.x, -delta.y, -delta.z, -delta.w);
+    }
+
+    const angle = 2 * Math.acos(Math.min(1, delta.w));
+    const sinHalf = Math.sqrt(Math.max(0, 1 - delta.w * delta.w));
+    if (angle < 1e-6 || sinHalf < 1e-6) return lastQuaternion.clone();
+
+    this.tempAxis.set(delta.x / sinHalf, delta.y / sinHalf, delta.z / sinHalf);
+    const step = new THREE.Quaternion().setFromAxisAngle(this.tempAxis, angle * (ahead / interval));
+
+    return step.multiply(lastQuaternion);
+  }
+
+  /**
+   * Get the orientation of a sample for the current orientation mode
+   * @param {Object} sample - Buffered sample
+   * @returns {THREE.Quaternion} Orientation quaternion
+   */
+  getSampleQuaternion(sample) {
+    if (this.orientationMode === 'fused' && sample.fusedQuaternion) {
+      return sample.fusedQuaternion;
+    }
+    return sample.rawQuaternion;
+  }
+
+  /**
+   * Convert deviceorientation angles to a quaternion
+   * @param {Object} gyro - Gyro data (alpha, beta, gamma)
+   * @returns {THREE.Quaternion} Orientation quaternion
+   */
+  eulerToQuaternion(gyro) {
+    const [w, x, y, z] = getQuaternion(gyro.alpha, gyro.beta, gyro.gamma);
+    return new THREE.Quaternion(x, y, z, w);
+  }
+
+  /**
+   * Check that a value is a usable quaternion
+   * @param {Object} q - Quaternion-like object
+   * @returns {boolean} True if every component is a finite number
+   */
+  isValidQuaternion(q) {
+    return !!q && ['x', 'y', 'z', 'w'].every(key => Number.isFinite(q[key]));
+  }
+
+  /**
+   * Send an orientation to the `sensor:gyro-updated` listeners
+   * @param {Object} gyro - Euler angles of the closest sample
+   * @param {THREE.Quaternion} quaternion - Orientation to apply
+   */
+  emitOrientation(gyro, quaternion) {
+    this.eventBus.emit('sensor:gyro-updated', {
+      alpha: gyro.alpha,
+      beta: gyro.beta,
+      gamma: gyro.gamma,
+      quaternion: { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w }
+    });
+  }
+}
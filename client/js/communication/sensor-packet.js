@@ -0,0 +1,114 @@
+/**
+ * Binary sensor packet format for the phone -> desktop data channel.
+ * Shared by mobile.html (encode) and WebRTCManager (decode).
+ *
+ * Layout (little-endian, 72 bytes):
+ *   0  u8      version
+ *   1  u8      flags (bit 0: has fused orientation, bit 1: touch active)
+ *   2  u16     sequence number (wraps at 65536)
+ *   4  f64     timestamp (ms since epoch, phone clock)
+ *   12 f32 x4  fused orientation quaternion (x, y, z, w)
+ *   28 f32 x3  deviceorientation angles (alpha, beta, gamma)
+ *   40 f32 x3  accelerationIncludingGravity (x, y, z)
+ *   52 u8      touch type (see TOUCH_TYPES)
+ *   53 u8      reserved
+ *   54 i16     touch identifier
+ *   56 f32 x2  touch position (x, y), normalized 0-1
+ *   64 f64     touch timestamp (ms since epoch, phone clock)
+ */
+
+export const SENSOR_PACKET_VERSION = 1;
+export const SENSOR_PACKET_SIZE = 72;
+
+const FLAG_HAS_ORIENTATION = 1;
+const FLAG_TOUCH_ACTIVE = 2;
+
+// Index in this list is the wire code; 0 means no touch yet
+const TOUCH_TYPES = [null, 'start', 'move', 'end', 'cancel'];
+
+/**
+ * Encode sensor data into a binary packet
+ * @param {Object} data - Sensor data (gyro, accel, touch and optional orientation)
+ * @param {number} sequence - Packet sequence number
+ * @param {number} [timestamp=Date.now()] - Time the sample was taken
+ * @returns {ArrayBuffer} Encoded packet
+ */
+export function encodeSensorPacket(data, sequence, timestamp = Date.now()) {
+  const buffer = new ArrayBuffer(SENSOR_PACKET_SIZE);
+  const view = new DataView(buffer);
+  const orientation = data.orientation;
+  const touch = data.touch || {};
+
+  let flags = 0;
+  if (orientation) flags |= FLAG_HAS_ORIENTATION;
+  if (touch.active) flags |= FLAG_TOUCH_ACTIVE;
+
+  view.setUint8(0, SENSOR_PACKET_VERSION);
+  view.setUint8(1, flags);
+  view.setUint16(2, sequence & 0xFFFF, true);
+  view.setFloat64(4, timestamp, true);
+
+  view.setFloat32(12, orientation ? orientation.x : 0, true);
+  view.setFloat32(16, orientation ? orientation.y : 0, true);
+  view.setFloat32(20, orientation ? orientation.z : 0, true);
+  view.setFloat32(24, orientation ? orientation.w : 1, true);
+
+  view.setFloat32(28, data.gyro.alpha, true);
+  view.setFloat32(32, data.gyro.beta, true);
+  view.setFloat32(36, data.gyro.gamma, true);
+
+  view.setFloat32(40, data.accel.x, true);
+  view.setFloat32(44, data.accel.y, true);
+  view.setFloat32(48, data.accel.z, true);
+
+  view.setUint8(52, Math.max(0, TOUCH_TYPES.indexOf(touch.type || null)));
+  view.setInt16(54, touch.identifier ?? -1, true);
+  view.setFloat32(56, touch.x || 0, true);
+  view.setFloat32(60, touch.y || 0, true);
+  view.setFloat64(64, touch.timestamp || 0, true);
+
+  return buffer;
+}
+
+/**
+ * Decode a binary packet back into the sensor data shape used by the JSON format
+ * @param {ArrayBuffer} buffer - Encoded packet
+ * @returns {Object|null} Sensor data, or null if the packet is malformed or from another version
+ */
+export function decodeSensorPacket(buffer) {
+  if (!(buffer instanceof ArrayBuffer) || buffer.byteLength < SENSOR_PACKET_SIZE) return null;
+
+  const view = new DataView(buffer);
+  if (view.getUint8(0) !== SENSOR_PACKET_VERSION) return null;
+
+  const flags = view.getUint8(1);
+
+  return {
+    sequence: view.getUint16(2, true),
+    timestamp: view.getFloat64(4, true),
+    orientation: (flags & FLAG_HAS_ORIENTATION) ? {
+      x: view.getFloat32(12, true),
+      y: view.getFloat32(16, true),
+      z: view.getFloat32(20, true),
+      w: view.getFloat32(24, true)
+    } : null,
+    gyro: {
+      alpha: view.getFloat32(28, true),
+      beta: view.getFloat32(32, true),
+      gamma: view.getFloat32(36, true)
+    },
+    accel: {
+      x: view.getFloat32(40, true),
+      y: view.getFloat32(44, true),
+      z: view.getFloat32(48, true)
+    },
+    touch: {
+      active: (flags & FLAG_TOUCH_ACTIVE) !== 0,
+      type: TOUCH_TYPES[view.getUint8(52)] || null,
+      identifier: view.getInt16(54, true),
+      x: view.getFloat32(56, true),
+      y: view.getFloat32(60, true),
+      timestamp: view.getFloat64(64, true)
+    }
+  };
+}
@@ -0,0 +1,182 @@
+export const SENSOR_RECORDING_VERSION = 1;
+
+/**
+ * Records the sensor stream reaching the desktop (everything emitted as
+ * `sensor:data-received`) so a controller session can be saved and replayed
+ * with SensorReplay.
+ *
+ * A recording is { version, recordedAt, samples: [{ t, data }] } where t is
+ * milliseconds since recording started and data is the sensor sample as received.
+ * It is saved either as one JSON document or as NDJSON: a header line
+ * ({ type: 'header', version, recordedAt }) followed by one sample per line.
+ */
+export class SensorRecorder {
+  /**
+   * @param {EventBus} eventBus - Application event bus
+   */
+  constructor(eventBus) {
+    this.eventBus = eventBus;
+    this.isRecording = false;
+    this.startTime = 0;
+    this.recording = null; // Current or most recent recording
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    this.eventBus.on('sensor:data-received', this.recordSample.bind(this));
+
+    this.eventBus.on('recorder:start', () => this.start());
+    this.eventBus.on('recorder:stop', () => this.stop());
+    this.eventBus.on('recorder:download', (format) => this.download(format));
+
+    // Callback query for the latest recording
+    this.eventBus.on('recorder:get-recording', (callback) => {
+      if (typeof callback === 'function') {
+        callback(this.recording);
+      }
+    });
+  }
+
+  /**
+   * Start a new recording, discarding the previous one
+   */
+  start() {
+    this.recording = {
+      version: SENSOR_RECORDING_VERSION,
+      recordedAt: new Date().toISOString(),
+      samples: []
+    };
+    this.startTime = performance.now();
+    this.isRecording = true;
+
+    this.eventBus.emit('recorder:started');
+  }
+
+  /**
+   * Stop recording
+   * @returns {Object|null} The finished recording
+   */
+  stop() {
+    if (!this.isRecording) return this.recording;
+
+    this.isRecording = false;
+    this.eventBus.emit('recorder:stopped', {
+      sampleCount: this.recording.samples.length,
+      duration: this.getDuration(this.recording)
+    });
+
+    return this.recording;
+  }
+
+  /**
+   * Append a received sensor sample to the recording
+   * @param {Object} data - Sensor data
+   */
+  recordSample(data) {
+    // Skip samples SensorReplay is feeding back in, or replaying a live recording would record itself
+    if (!this.isRecording || !data || data.replayed) return;
+
+    this.recording.samples.push({
+      t: Math.round((performance.now() - this.startTime) * 10) / 10,
+      // Copy so later mutation by consumers doesn't leak into the recording
+      data: JSON.parse(JSON.stringify(data))
+    });
+  }
+
+  /**
+   * Get the length of a recording
+   * @param {Object} recording - Sensor recording
+   * @returns {number} Duration in ms
+   */
+  getDuration(recording) {
+    const samples = recording ? recording.samples : [];
+    return samples.length > 0 ? samples[samples.length - 1].t : 0;
+  }
+
+  /**
+   * Save the latest recording as a file
+   * @param {string} [format='ndjson'] - 'json' or 'ndjson'
+   * @returns {boolean} Whether there was anything to save
+   */
+  download(format = 'ndjson') {
+    if (!this.recording || this.recording.samples.length === 0) {
+      console.warn('No sensor recording to download');
+      return false;
+    }
+
+    const isJson = format === 'json';
+    const contents = isJson ? JSON.stringify(this.recording) : serializeRecordingNdjson(this.recording);
+    const blob = new Blob([contents], { type: isJson ? 'application/json' : 'application/x-ndjson' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `sensor-session-${this.recording.recordedAt.replace(/[:.]/g, '-')}.${isJson ? 'json' : 'ndjson'}`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+
+    return true;
+  }
+}
+
+/**
+ * Serialize a recording as NDJSON
+ * @param {Object} recording - Sensor recording
+ * @returns {string} Header line followed by one line per sample
+ */
+export function serializeRecordingNdjson(recording) {
+  const header = JSON.stringify({
+    type: 'header',
+    version: recording.version,
+    recordedAt: recording.recordedAt
+  });
+
+  return [header, ...recording.samples.map(sample => JSON.stringify(sample))].join('\n') + '\n';
+}
+
+/**
+ * Parse a recording saved as JSON or NDJSON
+ * @param {string} text - File contents
+ * @returns {Object} Sensor recording
+ * @throws {Error} If the contents are not a sensor recording
+ */
+export function parseSensorRecording(text) {
+  const trimmed = text.trim();
+  let recording;
+
+  try {
+    recording = JSON.parse(trimmed);
+    if (recording && recording.type === 'header') {
+      recording = { version: recording.version, recordedAt: recording.recordedAt, samples: [] };
+    }
+  } catch (e) {
+    // Not a single document, so try NDJSON
+    const lines = trimmed.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    const header = lines[0] && lines[0].type === 'header' ? lines.shift() : {};
+
+    recording = {
+      version: header.version,
+      recordedAt: header.recordedAt,
+      samples: lines
+    };
+  }
+
+  if (!recording || !Array.isArray(recording.samples)) {
+    throw new Error('Not a sensor recording');
+  }
+  if (recording.version !== undefined && recording.version > SENSOR_RECORDING_VERSION) {
+    throw new Error(`Unsupported recording version ${recording.version}`);
+  }
+
+  recording.samples = recording.samples
+    .filter(sample => sample && Number.isFinite(sample.t) && sample.data)
+    .sort((a, b) => a.t - b.t);
+
+  return recording;
+}
@@ -0,0 +1,191 @@
+import { SENSOR_RECORDING_VERSION } from './sensor-recorder.js';
+
+/**
+ * Feeds a sensor recording back into the event bus as `sensor:data-received`
+ * at its original timing, so the desktop can be driven without a phone.
+ * Phone timestamps and sequence numbers are shifted to look like a live
+ * stream, which keeps SensorJitterBuffer happy across loops.
+ */
+export class SensorReplay {
+  /**
+   * @param {EventBus} eventBus - Application event bus
+   */
+  constructor(eventBus) {
+    this.eventBus = eventBus;
+    this.recording = null;
+    this.isPlaying = false;
+    this.loop = false;
+    this.timer = null;
+    this.index = 0;
+    this.passStart = 0; // performance.now() when the current pass began
+    this.passCount = 0;
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    this.eventBus.on('replay:play', (data) => {
+      this.play(data.recording, { loop: data.loop, name: data.name });
+    });
+
+    this.eventBus.on('replay:stop', () => this.stop());
+
+    // A real phone takes over from any replay
+    this.eventBus.on('webrtc:connected', () => this.stop());
+  }
+
+  /**
+   * Start replaying a recording, replacing any replay in progress
+   * @param {Object} recording - Sensor recording ({ samples: [{ t, data }] })
+   * @param {Object} [options] - Replay options
+   * @param {boolean} [options.loop=false] - Start over when the recording ends
+   * @param {string} [options.name] - Label reported in replay events
+   * @returns {boolean} Whether playback started
+   */
+  play(recording, options = {}) {
+    this.stop();
+
+    if (!recording || !Array.isArray(recording.samples) || recording.samples.length === 0) {
+      console.warn('Cannot replay an empty sensor recording');
+      return false;
+    }
+
+    // Play a copy so a recording that is still growing can't keep the replay going
+    this.recording = { ...recording, samples: recording.samples.slice() };
+    this.loop = !!options.loop;
+    this.isPlaying = true;
+    this.passCount = 0;
+    this.startPass();
+
+    this.eventBus.emit('replay:started', {
+      name: options.name || recording.recordedAt || 'recording',
+      duration: recording.samples[recording.samples.length - 1].t,
+      sampleCount: recording.samples.length,
+      loop: this.loop
+    });
+
+    return true;
+  }
+
+  /**
+   * Stop the current replay
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (!this.isPlaying) return;
+
+    this.isPlaying = false;
+    this.eventBus.emit('replay:stopped');
+  }
+
+  /**
+   * Begin a pass through the recording
+   * @param {number} [passStart=performance.now()] - Time the pass's t=0 corresponds to
+   */
+  startPass(passStart = performance.now()) {
+    this.index = 0;
+    this.passStart = passStart;
+
+    // Rebase phone timestamps onto the current time and keep sequence numbers increasing between passes
+    const samples = this.recording.samples;
+    const first = samples[0].data;
+    const last = samples[samples.length - 1].data;
+    const firstEmitTime = Date.now() + (passStart + samples[0].t - performance.now());
+    this.timestampOffset = Number.isFinite(first.timestamp) ? firstEmitTime - first.timestamp : 0;
+    if (Number.isInteger(first.sequence) && Number.isInteger(last.sequence)) {
+      const span = ((last.sequence - first.sequence) & 0xFFFF) + 1;
+      this.sequenceOffset = (this.passCount * span) & 0xFFFF;
+    } else {
+      this.sequenceOffset = 0;
+    }
+
+    this.scheduleNext();
+  }
+
+  /**
+   * Emit every sample that is due and schedule the next one
+   */
+  scheduleNext() {
+    if (!this.isPlaying) return;
+
+    const samples = this.recording.samples;
+    const elapsed = performance.now() - this.passStart;
+
+    // Scheduling from the pass start keeps timer lateness from accumulating
+    while (this.index < samples.length && samples[this.index].t <= elapsed) {
+      this.emitSample(samples[this.index].data);
+      this.index++;
+    }
+
+    if (this.index >= samples.length) {
+      if (!this.loop) {
+        this.stop();
+        return;
+      }
+      // Leave one average sample interval between the end of a pass and the start of the next
+      const duration = samples[samples.length - 1].t;
+      const interval = samples.length > 1 ? (duration - samples[0].t) / (samples.length - 1) : 0;
+      this.passCount++;
+      this.startPass(this.passStart + duration + interval);
+      return;
+    }
+
+    this.timer = setTimeout(() => this.scheduleNext(), samples[this.index].t - elapsed);
+  }
+
+  /**
+   * Send one recorded sample to the rest of the app, marked as replayed
+   * @param {Object} data - Recorded sensor data
+   */
+  emitSample(data) {
+    const sample = { ...data, replayed: true };
+
+    if (Number.isFinite(data.timestamp)) {
+      sample.timestamp = data.timestamp + this.timestampOffset;
+    }
+    if (Number.isInteger(data.sequence)) {
+      sample.sequence = (data.sequence + this.sequenceOffset) & 0xFFFF;
+    }
+
+    this.eventBus.emit('sensor:data-received', sample);
+  }
+}
+
+/**
+ * Build a looping synthetic recording: the compass heading turns steadily
+ * while the phone tilts back and forth, as the old debug gyro simulation did
+ * @param {number} [duration=12000] - Length in ms (about two full heading turns)
+ * @param {number} [interval=33] - Time between samples in ms
+ * @returns {Object} Sensor recording
+ */
+export function createSimulatedRecording(duration = 12000, interval = 33) {
+  const samples = [];
+  const start = Date.now();
+
+  for (let t = 0, sequence = 0; t <= duration; t += interval, sequence++) {
+    samples.push({
+      t,
+      data: {
+        sequence,
+        timestamp: start + t,
+        gyro: {
+          alpha: (t / interval * 2) % 360, // Rotate around Z axis (compass)
+          beta: 45 * Math.sin(t / 2000), // Tilt forward/backward
+          gamma: 30 * Math.sin(t / 1500) // Tilt left/right
+        },
+        accel: { x: 0, y: 0, z: 9.81 }
+      }
+    });
+  }
+
+  return {
+    version: SENSOR_RECORDING_VERSION,
+    recordedAt: 'simulated',
+    samples
+  };
+}
@@ -1,5 +1,16 @@
+import { PAIRING } from '../config.js';
+
 /**
- * Manages Socket.IO connection and events
+ * Manages Socket.IO connection and events.
+ *
+ * Pairing survives reloads and drops: the server's session token is kept in
+ * sessionStorage and sent again on every (re)connect. A phone that comes back
+ * within the server's grace period is announced as `mobile:reconnected` rather
+ * than `mobile:joined`, and `mobile:disconnected` only fires once it's gone for good.
+ *
+ * When the phone's WebRTC link is down it sends its sensor data through the
+ * server instead; those packets are published as `sensor:data-received` like
+ * the data channel's, and `sensor:transport-changed` says which path is in use.
  */
 export class SocketManager {
   /**
@@ -9,7 +20,10 @@ export class SocketManager {
     this.eventBus = eventBus;
     this.socket = window.SocketIOLib();
     this.sessionId = null;
-    this.mobileSocketId = null;
+    this.mobileSocketId = null; // null while no phone is connected, including while one reconnects
+    this.mobilePaired = false; // A phone is paired, even if it's reconnecting
+    this.sensorTransport = null; // 'webrtc' or 'relay': how the phone's sensor data is arriving
+    this.pairingCode = null; // { code, expiresAt }: code a phone can type in instead of scanning the QR code
     this.eventHandlers = new Map();
     this.setupEventListeners();
   }
@@ -18,6 +32,10 @@ export class SocketManager {
    * Set up Socket.IO event listeners
    */
   setupEventListeners() {
+    this.eventBus.on('sensor:transport-changed', (data) => {
+      this.sensorTransport = data.transport;
+    });
+
     this.socket.on('connect', () => {
       console.log('Connected to signaling server with ID:', this.socket.id);
       
@@ -25,8 +43,8 @@ export class SocketManager {
       const isMobilePage = window.location.pathname.includes('/play');
       
       if (!isMobilePage) {
-        // Only desktop clients should register as desktop
-        this.socket.emit('register-desktop');
+        // Only desktop clients should register as desktop, resuming the saved session if any
+        this.socket.emit('register-desktop', this.loadPairing());
       }
       
       this.eventBus.emit('socket:connected', { socketId: this.socket.id });
@@ -40,19 +58,53 @@ export class SocketManager {
     // Session and mobile device pairing
     this.socket.on('session-created', (data) => {
       this.sessionId = data.sessionId;
-      console.log('Session created with ID:', this.sessionId);
-      this.eventBus.emit('session:created', { sessionId: this.sessionId });
+      this.savePairing(data.sessionId, data.token);
+      console.log(`Session ${data.resumed ? 'resumed' : 'created'} with ID:`, this.sessionId);
+      this.eventBus.emit('session:created', { sessionId: this.sessionId, resumed: !!data.resumed });
+      
+      if (data.pairingCode) {
+        this.setPairingCode(data.pairingCode);
+      }
+    });
+
+    // The server replaces the pairing code when it expires or a phone uses it
+    this.socket.on('pairing-code', (data) => {
+      this.setPairingCode(data);
     });
 
     this.socket.on('mobile-joined', (data) => {
       this.mobileSocketId = data.mobileSocketId;
-      console.log('Mobile device joined with socket ID:', this.mobileSocketId);
-      this.eventBus.emit('mobile:joined', { mobileSocketId: this.mobileSocketId });
+      
+      if (this.mobilePaired) {
+        console.log('Mobile device reconnected with socket ID:', this.mobileSocketId);
+        this.eventBus.emit('mobile:reconnected', { mobileSocketId: this.mobileSocketId });
+      } else {
+        this.mobilePaired = true;
+        console.log('Mobile device joined with socket ID:', this.mobileSocketId);
+        this.eventBus.emit('mobile:joined', { mobileSocketId: this.mobileSocketId });
+      }
+    });
+
+    this.socket.on('mobile-reconnecting', () => {
+      console.log('Mobile device dropped, waiting for it to reconnect');
+      this.mobileSocketId = null;
+      this.eventBus.emit('mobile:reconnecting');
     });
 
     this.socket.on('mobile-disconnected', () => {
       console.log('Mobile device disconnected');
+      this.mobileSocketId = null;
+      this.mobilePaired = false;
       this.eventBus.emit('mobile:disconnected');
+      this.eventBus.emit('sensor:transport-changed', { transport: null });
+    });
+
+    // Sensor data relayed by the server while WebRTC is down
+    this.socket.on('sensor-data', (data) => {
+      if (this.sensorTransport !== 'relay') {
+        this.eventBus.emit('sensor:transport-changed', { transport: 'relay' });
+      }
+      this.eventBus.emit('sensor:data-received', data);
     });
 
     // WebRTC signaling events
@@ -76,6 +128,10 @@ export class SocketManager {
     this.socket.on('calibration-failed', (data) => {
       this.eventBus.emit('calibration:failed', data);
     });
+
+    this.socket.on('calibration-progress', (data) => {
+      this.eventBus.emit('calibration:progress', data);
+    });
     
     // Multiplayer events
     const multiplayer = [
@@ -89,15 +145,32 @@ export class SocketManager {
       'player-left',
       'host-changed',
       'physics:state',
+      'physics:state-update',
       'physics:object-created',
+      'physics:object-removed',
       'physics:object-pickup',
       'physics:object-drop',
+      'physics:update-object',
       'physics:apply-force',
+      'physics:ownership-changed',
+      'physics:pickup-rejected',
       // New events for spell casting and enemy synchronization
       'remote-spell-cast',
       'enemy-spawn',
       'enemy-update',
-      'enemy-death'
+      'enemy-death',
+      'player-health-update',
+      'player-death',
+      'player-respawn',
+      'wave-intermission',
+      'wave-start',
+      'wave-progress',
+      'wave-complete',
+      'scoreboard-update',
+      'round-start',
+      'round-end',
+      'status-applied',
+      'combo-scored'
     ];
     
     // Set up handlers for all multiplayer events
@@ -151,6 +224,32 @@ export class SocketManager {
     return false;
   }
 
+  /**
+   * Read the saved pairing for this tab
+   * @returns {Object|null} { sessionId, token }, or null if there's none
+   */
+  loadPairing() {
+    try {
+      return JSON.parse(sessionStorage.getItem(PAIRING.storageKey));
+    } catch (error) {
+      console.warn('Could not read saved pairing:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Save the pairing so a reload resumes the same session
+   * @param {string} sessionId - Session ID
+   * @param {string} token - The server's token for resuming the session
+   */
+  savePairing(sessionId, token) {
+    try {
+      sessionStorage.setItem(PAIRING.storageKey, JSON.stringify({ sessionId, token }));
+    } catch (error) {
+      console.warn('Could not save pairing:', error);
+    }
+  }
+
   /**
    * Get the current session ID
    * @returns {string} Session ID
@@ -159,6 +258,15 @@ export class SocketManager {
     return this.sessionId;
   }
 
+  /**
+   * Store the session's pairing code and announce it
+   * @param {Object} data - { code, expiresIn } from the server, expiresIn in ms
+   */
+  setPairingCode(data) {
+    this.pairingCode = { code: data.code, expiresAt: Date.now() + data.expiresIn };
+    this.eventBus.emit('session:pairing-code', this.pairingCode);
+  }
+
   /**
    * Get the mobile socket ID
    * @returns {string} Mobile socket ID
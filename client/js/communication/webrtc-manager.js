@@ -1,4 +1,5 @@
-import { RTC_CONFIG } from '../config.js';
+import { RTC_CONFIG, CONTROLLER_TELEMETRY, PAIRING } from '../config.js';
+import { SENSOR_PACKET_VERSION, decodeSensorPacket } from './sensor-packet.js';
 
 /**
  * Manages WebRTC connection and data channels
@@ -14,6 +15,18 @@ export class WebRTCManager {
     this.peerConnection = null;
     this.dataChannel = null;
     this.connectedWithWebRTC = false;
+    this.sensorFormat = 'json'; // Packet format the phone agreed to send
+    this.probeInterval = null;
+    this.probeId = 0;
+    this.runeMode = false; // Mirrored to the phone so it only sends strokes when they're wanted
+    
+    // Reliable channel for the phone's spellbook mirror, whose flips and casts mustn't be lost
+    this.controlChannel = null;
+    this.spellbookState = null; // Latest 'spellbook:state-changed' data, sent when the channel opens
+    this.isCastHeld = false; // The phone's cast button is down
+    
+    this.renegotiateTimer = null; // Pending rebuild of a dropped link
+    this.sensorTransport = null; // 'webrtc' or 'relay': how the phone's sensor data is arriving
     
     this.setupEventListeners();
   }
@@ -22,9 +35,13 @@ export class WebRTCManager {
    * Set up event listeners
    */
   setupEventListeners() {
-    this.eventBus.on('mobile:joined', (data) => {
-      this.initWebRTC();
-      this.createOffer();
+    this.eventBus.on('mobile:joined', () => {
+      this.renegotiate();
+    });
+
+    // The phone (or this page's socket) came back; its old peer connection is gone
+    this.eventBus.on('mobile:reconnected', () => {
+      this.renegotiate();
     });
 
     this.eventBus.on('mobile:disconnected', () => {
@@ -47,7 +64,23 @@ export class WebRTCManager {
       this.requestCalibration();
     });
     
-    // No longer need to forward rune mode events to mobile
+    this.eventBus.on('rune:mode-changed', (data) => {
+      this.runeMode = data.enabled;
+      this.sendRuneMode();
+    });
+    
+    this.eventBus.on('spellbook:state-changed', (state) => {
+      this.spellbookState = state;
+      this.sendSpellbookState();
+    });
+    
+    this.eventBus.on('haptics:cue', (data) => {
+      this.sendControlMessage({ type: 'haptic', cue: data.cue });
+    });
+    
+    this.eventBus.on('sensor:transport-changed', (data) => {
+      this.sensorTransport = data.transport;
+    });
   }
 
   /**
@@ -66,25 +99,37 @@ export class WebRTCManager {
       }
     };
     
-    this.peerConnection.onconnectionstatechange = () => {
-      console.log('WebRTC connection state:', this.peerConnection.connectionState);
+    const peerConnection = this.peerConnection;
+    peerConnection.onconnectionstatechange = () => {
+      // Ignore a connection that has since been replaced
+      if (peerConnection !== this.peerConnection) return;
+      console.log('WebRTC connection state:', peerConnection.connectionState);
       
-      if (this.peerConnection.connectionState === 'connected') {
+      if (peerConnection.connectionState === 'connected') {
         this.connectedWithWebRTC = true;
+        this.cancelRenegotiation();
         this.eventBus.emit('webrtc:connected');
       } else if (
-        this.peerConnection.connectionState === 'disconnected' || 
-        this.peerConnection.connectionState === 'failed' ||
-        this.peerConnection.connectionState === 'closed'
+        peerConnection.connectionState === 'disconnected' || 
+        peerConnection.connectionState === 'failed' ||
+        peerConnection.connectionState === 'closed'
       ) {
         this.connectedWithWebRTC = false;
         this.eventBus.emit('webrtc:disconnected');
+        
+        if (peerConnection.connectionState !== 'closed') {
+          this.scheduleRenegotiation();
+        }
       }
     };
     
     this.peerConnection.ondatachannel = (event) => {
       console.log('Data channel received from peer');
-      this.setupDataChannel(event.channel);
+      if (event.channel.label === 'controls') {
+        this.setupControlChannel(event.channel);
+      } else {
+        this.setupDataChannel(event.channel);
+      }
     };
     
     console.log('WebRTC peer connection initialized');
@@ -96,6 +141,79 @@ export class WebRTCManager {
     });
     
     this.setupDataChannel(this.dataChannel);
+    
+    this.controlChannel = this.peerConnection.createDataChannel('controls');
+    this.setupControlChannel(this.controlChannel);
+  }
+
+  /**
+   * Set up the spellbook control channel's event handlers
+   * @param {RTCDataChannel} channel - The control channel
+   */
+  setupControlChannel(channel) {
+    channel.onopen = () => {
+      console.log('Control channel is open');
+      this.sendSpellbookState();
+    };
+    
+    channel.onclose = () => {
+      console.log('Control channel closed');
+      this.releaseCast();
+    };
+    
+    channel.onerror = (error) => {
+      console.error('Control channel error:', error);
+    };
+    
+    channel.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (error) {
+        console.warn('Error parsing control channel message:', error);
+        return;
+      }
+      
+      this.handleControlMessage(message);
+    };
+  }
+
+  /**
+   * Route a spellbook control from the phone
+   * @param {Object} message - Parsed message
+   */
+  handleControlMessage(message) {
+    switch (message.type) {
+      case 'spellbook-flip':
+        // Flipping left turns to the next page, like Q
+        if (message.direction === 'next') {
+          this.eventBus.emit('weapon:flip-left');
+        } else if (message.direction === 'previous') {
+          this.eventBus.emit('weapon:flip-right');
+        }
+        break;
+        
+      case 'spellbook-cast':
+        if (message.pressed && !this.isCastHeld) {
+          this.isCastHeld = true;
+          this.eventBus.emit('weapon:cast-down');
+        } else if (!message.pressed) {
+          this.releaseCast();
+        }
+        break;
+        
+      default:
+        console.warn('Unknown control message:', message.type);
+    }
+  }
+
+  /**
+   * Let go of a cast held from the phone, e.g. when the phone disconnects mid-channel
+   */
+  releaseCast() {
+    if (!this.isCastHeld) return;
+    this.isCastHeld = false;
+    this.eventBus.emit('weapon:cast-up');
   }
 
   /**
@@ -103,12 +221,25 @@ export class WebRTCManager {
    * @param {RTCDataChannel} channel - The data channel
    */
   setupDataChannel(channel) {
+    channel.binaryType = 'arraybuffer';
+    
     channel.onopen = () => {
       console.log('Data channel is open');
+      
+      // Offer the binary packet format; the phone keeps sending JSON unless it accepts
+      channel.send(JSON.stringify({
+        type: 'sensor-format-offer',
+        versions: [SENSOR_PACKET_VERSION]
+      }));
+      
+      this.startProbes(channel);
+      this.sendRuneMode();
     };
     
     channel.onclose = () => {
       console.log('Data channel closed');
+      this.sensorFormat = 'json';
+      this.stopProbes();
     };
     
     channel.onerror = (error) => {
@@ -116,36 +247,114 @@ export class WebRTCManager {
     };
     
     channel.onmessage = (event) => {
-      try {
-        // Check if the message is JSON
-        if (typeof event.data === 'string' && event.data.startsWith('{')) {
-          const jsonData = JSON.parse(event.data);
-          
-          // Handle different message types
-          if (jsonData.type === 'sensor-data') {
-            this.eventBus.emit('sensor:data-received', jsonData.data);
-          // We've removed rune-related message processing as it's now handled directly on the desktop
-          } else if (jsonData.gyro && jsonData.accel) {
-            // This is sensor data without a specific type field
-            // Convert back to JSON string since VisualizationManager expects a string
-            this.eventBus.emit('sensor:data-received', JSON.stringify(jsonData));
-          } else {
-            // Default handling for other unrecognized types
-            this.eventBus.emit('sensor:data-received', event.data);
-          }
+      // Binary sensor packets
+      if (event.data instanceof ArrayBuffer) {
+        const sensorData = decodeSensorPacket(event.data);
+        if (sensorData) {
+          this.emitSensorData(sensorData);
         } else {
-          // Legacy handling for non-JSON data
-          console.log('Non-JSON data received, using legacy handling');
-          this.eventBus.emit('sensor:data-received', event.data);
+          console.warn('Dropped malformed or unsupported binary sensor packet');
         }
+        return;
+      }
+      
+      let message;
+      try {
+        message = JSON.parse(event.data);
       } catch (error) {
-        // If parsing fails, treat as plain sensor data
         console.warn('Error parsing data channel message:', error);
-        this.eventBus.emit('sensor:data-received', event.data);
+        return;
       }
+      
+      this.handleJsonMessage(message);
     };
   }
 
+  /**
+   * Route a JSON message from the phone
+   * @param {Object} message - Parsed message
+   */
+  handleJsonMessage(message) {
+    switch (message.type) {
+      case 'sensor-format-accept':
+        this.sensorFormat = message.format === 'binary' ? 'binary' : 'json';
+        console.log(`Phone is sending ${this.sensorFormat} sensor packets`);
+        this.eventBus.emit('webrtc:sensor-format', { format: this.sensorFormat, version: message.version });
+        break;
+        
+      case 'sensor-data':
+        this.emitSensorData(message.data);
+        break;
+        
+      case 'rune-stroke':
+        this.eventBus.emit('rune:stroke-received', { points: message.points });
+        break;
+        
+      case 'rtt-reply':
+        this.eventBus.emit('webrtc:rtt-measured', {
+          rtt: performance.now() - message.sentAt,
+          packetsSent: message.packetsSent
+        });
+        break;
+        
+      case 'calibration-complete':
+        this.eventBus.emit('calibration:complete', message);
+        break;
+        
+      case 'calibration-failed':
+        this.eventBus.emit('calibration:failed', message);
+        break;
+        
+      case 'calibration-progress':
+        this.eventBus.emit('calibration:progress', message);
+        break;
+        
+      default:
+        // JSON sensor data has no type field
+        if (message.gyro && message.accel) {
+          this.emitSensorData(message);
+        }
+    }
+  }
+
+  /**
+   * Publish sensor data from the data channel, switching back from the
+   * server relay the first time WebRTC data arrives again
+   * @param {Object} sensorData - Decoded sensor data
+   */
+  emitSensorData(sensorData) {
+    if (this.sensorTransport !== 'webrtc') {
+      this.eventBus.emit('sensor:transport-changed', { transport: 'webrtc' });
+    }
+    this.eventBus.emit('sensor:data-received', sensorData);
+  }
+
+  /**
+   * Start sending round-trip probes, which the phone echoes straight back
+   * @param {RTCDataChannel} channel - The open data channel
+   */
+  startProbes(channel) {
+    this.stopProbes();
+    
+    this.probeInterval = setInterval(() => {
+      if (channel.readyState !== 'open') return;
+      
+      channel.send(JSON.stringify({
+        type: 'rtt-probe',
+        id: ++this.probeId,
+        sentAt: performance.now()
+      }));
+    }, CONTROLLER_TELEMETRY.probeInterval);
+  }
+
+  /**
+   * Stop sending round-trip probes
+   */
+  stopProbes() {
+    clearInterval(this.probeInterval);
+    this.probeInterval = null;
+  }
+
   /**
    * Create WebRTC offer
    */
@@ -166,6 +375,39 @@ export class WebRTCManager {
     }
   }
 
+  /**
+   * Replace the peer connection with a new one and offer it to the phone
+   */
+  renegotiate() {
+    this.closeConnection();
+    this.initWebRTC();
+    this.createOffer();
+  }
+
+  /**
+   * Rebuild a dropped link in the background if it doesn't recover by itself
+   */
+  scheduleRenegotiation() {
+    if (this.renegotiateTimer || !this.socketManager.getMobileSocketId()) return;
+    
+    this.renegotiateTimer = setTimeout(() => {
+      this.renegotiateTimer = null;
+      // A phone that's reconnecting is offered a new link when it's back
+      if (this.connectedWithWebRTC || !this.socketManager.getMobileSocketId()) return;
+      
+      console.log('WebRTC link lost, renegotiating');
+      this.renegotiate();
+    }, PAIRING.renegotiateDelay);
+  }
+
+  /**
+   * Drop a pending background renegotiation
+   */
+  cancelRenegotiation() {
+    clearTimeout(this.renegotiateTimer);
+    this.renegotiateTimer = null;
+  }
+
   /**
    * Handle received WebRTC offer
    * @param {Object} data - Offer data
@@ -241,10 +483,40 @@ export class WebRTCManager {
     }
   }
 
+  /**
+   * Tell the phone whether touch strokes should be captured as runes
+   */
+  sendRuneMode() {
+    if (this.dataChannel && this.dataChannel.readyState === 'open') {
+      this.dataChannel.send(JSON.stringify({ type: 'rune-mode', enabled: this.runeMode }));
+    }
+  }
+
+  /**
+   * Send the open spellbook page and its spell's state to the phone
+   */
+  sendSpellbookState() {
+    if (this.spellbookState) {
+      this.sendControlMessage({ type: 'spellbook-state', ...this.spellbookState });
+    }
+  }
+
+  /**
+   * Send a message over the control channel if it's open
+   * @param {Object} message - Message for the phone
+   */
+  sendControlMessage(message) {
+    if (this.controlChannel && this.controlChannel.readyState === 'open') {
+      this.controlChannel.send(JSON.stringify(message));
+    }
+  }
+
   /**
    * Close WebRTC connection
    */
   closeConnection() {
+    this.cancelRenegotiation();
+    this.stopProbes();
     if (this.peerConnection) {
       this.peerConnection.close();
       this.peerConnection = null;
@@ -253,11 +525,14 @@ export class WebRTCManager {
       this.dataChannel.close();
       this.dataChannel = null;
     }
+    if (this.controlChannel) {
+      this.controlChannel.close();
+      this.controlChannel = null;
+    }
+    this.releaseCast();
     this.connectedWithWebRTC = false;
   }
 
-  // sendRuneModeToggle method removed as we no longer need to communicate rune mode to the mobile device
-  
   /**
    * Check if WebRTC is connected
    * @returns {boolean} Connection status
@@ -8,6 +8,13 @@ export const RTC_CONFIG = {
   ]
 };
 
+// Phone pairing that survives reloads and drops (the server holds a dropped
+// side's place for PAIRING_GRACE_PERIOD in server/index.js)
+export const PAIRING = {
+  storageKey: 'gyro-vibe:pairing', // sessionStorage, so each tab keeps its own session
+  renegotiateDelay: 3000 // Wait before rebuilding a dropped WebRTC link, in case it recovers (ms)
+};
+
 // Data visualization settings
 export const MAX_DATA_POINTS = 50;
 
@@ -19,6 +26,256 @@ export const PLAYER_HEIGHT = 1.6; // Player height in units (average human heigh
 export const MOVE_SPEED = 0.25; // Movement speed
 export const LOOK_SPEED = 0.002; // Look sensitivity
 
+// Local player collision capsule (PLAYER_HEIGHT is the eye height above its feet)
+export const PLAYER_PHYSICS = {
+  radius: 0.35,
+  height: 1.8, // Feet to top of head
+  mass: 70,
+  stepHeight: 0.4, // Tallest ledge (stair, curb) walked up without jumping
+  maxWalkableSlope: 45, // Degrees; steeper surfaces are walls, not steps
+  groundProbe: 0.1 // How far below the feet still counts as standing on something
+};
+
+// Jumping, crouching, sprinting and falling (distances in units, times in seconds)
+export const PLAYER_MOVEMENT = {
+  gravity: 20, // Downward acceleration while walking, jumping and falling
+  flightGravity: 5.5, // Lighter, damped gravity after a flight spell until the player lands
+  flightDamping: 2.0, // Vertical velocity damping per second during flight
+  maxFallSpeed: 30,
+  jumpSpeed: 6.5, // Clears about a metre
+  coyoteTime: 0.15, // A jump still works this long after walking off a ledge
+  jumpBufferTime: 0.15, // A jump pressed this long before landing happens on landing
+  crouchHeight: 1.1, // Capsule height while crouched
+  crouchEyeHeight: 0.95,
+  crouchSpeedMultiplier: 0.5,
+  sprintSpeedMultiplier: 1.7,
+  maxStamina: 100,
+  sprintStaminaPerSecond: 25,
+  jumpStaminaCost: 10,
+  staminaRegenPerSecond: 20,
+  staminaRegenDelay: 1.0, // Pause after using stamina before it refills
+  minSprintStamina: 20, // After running dry, sprinting resumes once stamina is back to this
+  safeFallSpeed: 11, // Landing faster than this hurts (about a 3 unit drop)
+  fallDamagePerSpeed: 6, // Damage per unit of landing speed above the safe speed
+  hardLandingSpeed: 8 // Landings faster than this are reported as hard
+};
+
+// Player health settings (the server mirrors these for multiplayer rooms)
+export const PLAYER_HEALTH = {
+  maxHealth: 100,
+  respawnDelay: 3000, // Milliseconds spent dead before respawning
+  enemyAttackDamage: 10 // Damage dealt by a particle enemy's attack charge
+};
+
+// Mana spent by casting spells (times in seconds)
+export const PLAYER_MANA = {
+  maxMana: 100,
+  regenPerSecond: 12,
+  regenDelay: 1.0, // Pause after spending mana before it refills
+  minChannelTime: 0.25 // Channelled spells need mana for at least this long to start
+};
+
+// Status effects spells leave on enemies and players (times in seconds).
+// Listed in tint priority order: a target showing several takes the first one's color.
+// Stacking when reapplied: 'refresh' restarts the duration, 'extend' adds to it up to
+// maxDuration, 'intensify' also adds a stack (up to maxStacks) that multiplies tick
+// damage, and 'ignore' leaves a running effect alone.
+export const STATUS_EFFECTS = {
+  stunned: {
+    label: 'Stunned',
+    duration: 1.5,
+    stacking: 'ignore', // No stun-locking
+    speedMultiplier: 0,
+    tint: 0xffee55
+  },
+  frozen: {
+    label: 'Frozen',
+    duration: 3,
+    stacking: 'extend',
+    maxDuration: 6,
+    speedMultiplier: 0.4,
+    removes: ['burning'],
+    tint: 0x66ccff
+  },
+  burning: {
+    label: 'Burning',
+    duration: 4,
+    stacking: 'intensify',
+    maxStacks: 3,
+    tickInterval: 1,
+    tickDamage: 1, // Per stack, against enemies
+    playerTickDamage: 4, // Per stack, against players
+    removes: ['frozen'],
+    tint: 0xff5500
+  },
+  levitating: {
+    label: 'Levitating',
+    duration: 2.5,
+    stacking: 'refresh',
+    liftSpeed: 1.2, // Units per second; a player floats up about 3 units, a safe drop
+    tint: 0xcc88ff
+  },
+  marked: {
+    label: 'Marked',
+    duration: 8,
+    stacking: 'refresh',
+    damageMultiplier: 1.5, // Applied to spell hits on the target
+    tint: 0xff33aa
+  }
+};
+
+// Spell combos: two spells meeting for a new effect and bonus score (the server mirrors
+// the scores). `spells` are the spell IDs involved; `sameCaster` combos only count when
+// one player cast both, the others also work between players.
+export const SPELL_COMBOS = {
+  // Zoltraak fired through an active black hole splits into several beams
+  prismSingularity: {
+    label: 'Prism Singularity',
+    spells: ['blackHole', 'laserBeam'],
+    sameCaster: false,
+    score: 50,
+    hitRadius: 1.5, // How close to the core the beam has to pass
+    beamCount: 5,
+    spreadAngle: 25, // Degrees between each split beam and the original
+    beamRange: 40,
+    beamHitRadius: 0.6,
+    damageMultiplier: 0.6 // Fraction of the beam's damage each split beam deals
+  },
+  // Conjured objects caught in a black hole detonate when it collapses
+  gravityBomb: {
+    label: 'Gravity Bomb',
+    spells: ['blackHole', 'objectSpawner'],
+    sameCaster: false,
+    score: 30,
+    captureRadius: 3, // Distance from the core objects count as caught
+    explosionRadius: 4,
+    damage: 4, // Enemy damage at the center of each detonation
+    pvpDamage: 20
+  },
+  // Flying while holding an object with the gravity gun carries it along
+  airlift: {
+    label: 'Airlift',
+    spells: ['flight', 'gravityGun'],
+    sameCaster: true,
+    score: 20,
+    carryResponse: 10 // Per second; how quickly the carried object closes the gap to the hold point
+  }
+};
+
+// Player-vs-player damage in deathmatch rooms (the server caps each hit per source)
+export const PVP_DAMAGE = {
+  laserMultiplier: 5, // Zoltraak deals 5-50 damage depending on channel time
+  objectMinSpeed: 6, // Thrown objects slower than this don't hurt
+  objectDamagePerSpeed: 2, // Damage per unit of impact speed
+  objectHitRadius: 1.0, // Extra reach around the object's bounds
+  objectHitCooldown: 500, // Milliseconds before the same object can hit the same player again
+  blackHoleDamagePerSecond: 8,
+  blackHoleExplosionDamage: 20,
+  fireballMinDamage: 10, // Fireball explosions deal 10-30 damage depending on charge time
+  fireballMaxDamage: 30
+};
+
+// Shield spell: a bubble around the caster that blocks damage (times in seconds)
+export const SHIELD_SPELL = {
+  radius: 1.5,
+  maxChannelTime: 8, // Holding the spell keeps the shield up this long at most
+  lingerTime: 4, // How long the shield stays up after the spell is released
+  deflectSpeed: 3, // Bodies flying at the caster faster than this are bounced off
+  restitution: 0.8 // Fraction of an incoming body's speed kept when it bounces off
+};
+
+// Fireball spell: a charged physics projectile that explodes on impact (times in seconds)
+export const FIREBALL_SPELL = {
+  radius: 0.2,
+  mass: 0.5,
+  minSpeed: 15, // Launch speed when released immediately (e.g. cast from a rune)
+  maxSpeed: 30, // Launch speed at full charge
+  gravityScale: 0.1, // Fraction of world gravity, for a slight arc
+  maxChargeTime: 1.5,
+  maxLifetime: 4, // Fireballs that hit nothing explode after this long
+  spawnDistance: 1, // Distance in front of the caster the fireball appears
+  explosionRadius: 5,
+  explosionStrength: 40, // Passed to PhysicsManager.applyExplosionEffect, doubled at full charge
+  minEnemyDamage: 2, // Enemy damage at the center of the explosion, scaled up with charge
+  maxEnemyDamage: 5,
+  playerHitRadius: 0.3 // Extra reach around the fireball for exploding on remote players
+};
+
+// Data-driven spells added to the spellbook at startup (served from client/)
+export const SPELL_DEFINITIONS_URL = '/assets/spells/spells.json';
+
+// Spellbook loadouts: which spells are in the book and in what order. Saved loadouts
+// live in localStorage; the built-in default holds every spell in registration order.
+export const SPELLBOOK_LOADOUTS = {
+  storageKey: 'gyro-vibe:spellbook-loadouts',
+  defaultId: 'default',
+  defaultName: 'All Spells',
+  maxLoadouts: 10, // Saved loadouts, not counting the default
+  maxNameLength: 24
+};
+
+// Phone orientation source: 'fused' uses the quaternion from the phone's sensor-fusion
+// filter, 'raw' rebuilds it from the deviceorientation Euler angles
+export const SENSOR_FUSION = {
+  defaultMode: 'fused',
+  modes: ['raw', 'fused']
+};
+
+// Jitter buffer for incoming phone samples (times in ms)
+export const SENSOR_BUFFER = {
+  enabled: true,
+  delay: 50, // Playback lag behind the phone, enough to cover typical packet jitter
+  maxExtrapolation: 100, // How far past the newest sample to keep rotating when packets are lost
+  staleAfter: 500, // Stop updating when nothing has arrived for this long
+  maxSamples: 32
+};
+
+// Phone -> desktop link telemetry (times in ms)
+export const CONTROLLER_TELEMETRY = {
+  probeInterval: 1000, // Round-trip probe over the data channel
+  reportInterval: 1000, // How often stats are recomputed and published
+  graphMax: 100, // Top of the history graph (ms for RTT/jitter, % for loss)
+  warnRtt: 100, // Round-trip time above which the link is shown as degraded
+  warnLoss: 0.05 // Packet loss fraction above which the link is shown as degraded
+};
+
+// Haptic cues sent to the phone for game events (vibration patterns are set on the phone)
+export const HAPTIC_FEEDBACK = {
+  minCueInterval: 100 // Milliseconds; a cue repeated faster than this (e.g. a beam hitting every frame) is dropped
+};
+
+// Touch-screen rune drawing (stroke coordinates are normalized 0-1 phone screen units)
+export const RUNE_RECOGNITION = {
+  resamplePoints: 64, // Points each stroke is resampled to before matching
+  minPoints: 8, // Fewer touch samples than this is a tap, not a rune
+  minSize: 0.08, // Smallest stroke extent that counts as a rune
+  minConfidence: 0.75, // Matches below this are reported as unrecognized
+  channelTime: 1 // Seconds a rune channels before its spell releases, like a one second Space hold
+};
+
+// Motion gestures that cast the spell bound to them (see MotionGestureRecognizer).
+// Accelerations are in m/s² with the resting pull (gravity) taken out, angles in degrees
+// of phone orientation and times in ms. Each player scales a gesture's thresholds with a
+// sensitivity saved on their machine: at 2 a gesture needs half the movement.
+export const MOTION_GESTURES = {
+  storageKey: 'gyro-vibe:motion-gestures',
+  historySize: 120, // Samples kept, about 2 s of binary packets
+  cooldown: 800, // After a gesture, no other is recognized for this long
+  channelTime: 1, // Seconds a gesture's spell channels before it releases, as for runes
+  minSensitivity: 0.5,
+  maxSensitivity: 2,
+  gestures: {
+    // A sharp jab along the phone's length
+    'flick-forward': { label: 'Flick forward', window: 300, minAccel: 15, minDominance: 0.6 },
+    // The tip of the phone swung up
+    'swing-up': { label: 'Swing up', window: 500, minPitch: 45, minAccel: 8 },
+    // The phone's tip drawn round in a loop
+    'circle-wave': { label: 'Circular wave', window: 1500, minRadius: 12, minTurn: 300 },
+    // Quick back-and-forth
+    'shake': { label: 'Shake', window: 800, minAccel: 10, minReversals: 4 }
+  }
+};
+
 // Weapon view settings
 export const WEAPON_BOBBING = {
   intensity: 0.015,
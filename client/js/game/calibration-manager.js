@@ -1,5 +1,7 @@
 /**
- * Manages sensor calibration
+ * Manages sensor calibration. The phone runs a calibration wizard through several
+ * poses and reports each step as `calibration:progress`, which is shown here so
+ * the player can follow along on the big screen.
  */
 export class CalibrationManager {
   /**
@@ -17,10 +19,18 @@ export class CalibrationManager {
    * Set up event listeners
    */
   setupEventListeners() {
-    this.eventBus.on('calibration:request', () => {
+    this.eventBus.on('calibration:started', () => {
       this.startCalibration();
     });
     
+    this.eventBus.on('calibration:progress', (data) => {
+      // Calibration started from the phone doesn't go through the desktop's request
+      if (!this.calibrationInProgress) {
+        this.eventBus.emit('calibration:started');
+      }
+      this.showProgress(data);
+    });
+    
     this.eventBus.on('calibration:complete', () => {
       this.endCalibration();
     });
@@ -34,6 +44,7 @@ export class CalibrationManager {
    * Start calibration mode
    */
   startCalibration() {
+    if (this.calibrationInProgress) return;
     this.calibrationInProgress = true;
     
     // Add a visual instruction for calibration
@@ -48,28 +59,61 @@ export class CalibrationManager {
     this.calibrationInstruction.style.borderRadius = '4px';
     this.calibrationInstruction.style.zIndex = '1000';
     this.calibrationInstruction.style.boxShadow = '0 2px 8px rgba(0,0,0,0.2)';
-    this.calibrationInstruction.textContent = 'Place device flat on its back (screen facing up) for calibration';
+    this.calibrationInstruction.style.textAlign = 'center';
+    this.calibrationInstruction.textContent = 'Follow the calibration steps on your phone';
     this.calibrationInstruction.id = 'calibration-instruction';
     document.body.appendChild(this.calibrationInstruction);
   }
 
+  /**
+   * Show the step the phone's calibration wizard is on
+   * @param {Object} data - Progress from the phone: step, total, title, instruction, status
+   */
+  showProgress(data) {
+    if (!this.calibrationInstruction) return;
+
+    this.calibrationInstruction.innerHTML = '';
+
+    const title = document.createElement('div');
+    title.style.fontWeight = 'bold';
+    title.textContent = `Calibration step ${data.step} of ${data.total}: ${data.title}`;
+    this.calibrationInstruction.appendChild(title);
+
+    const instruction = document.createElement('div');
+    instruction.textContent = data.instruction;
+    this.calibrationInstruction.appendChild(instruction);
+
+    if (data.status) {
+      const status = document.createElement('div');
+      status.style.fontStyle = 'italic';
+      status.textContent = data.status;
+      this.calibrationInstruction.appendChild(status);
+    }
+  }
+
   /**
    * End calibration mode
    */
   endCalibration() {
     this.calibrationInProgress = false;
-    
-    // Remove calibration instruction
-    if (this.calibrationInstruction) {
-      this.calibrationInstruction.style.opacity = '0';
-      this.calibrationInstruction.style.transition = 'opacity 0.5s';
-      setTimeout(() => {
-        if (this.calibrationInstruction && this.calibrationInstruction.parentNode) {
-          this.calibrationInstruction.parentNode.removeChild(this.calibrationInstruction);
-        }
-        this.calibrationInstruction = null;
-      }, 500);
-    }
+    this.removeInstruction();
+  }
+
+  /**
+   * Fade out and remove the calibration instruction
+   */
+  removeInstruction() {
+    const instruction = this.calibrationInstruction;
+    if (!instruction) return;
+
+    this.calibrationInstruction = null;
+    instruction.style.opacity = '0';
+    instruction.style.transition = 'opacity 0.5s';
+    setTimeout(() => {
+      if (instruction.parentNode) {
+        instruction.parentNode.removeChild(instruction);
+      }
+    }, 500);
   }
 
   /**
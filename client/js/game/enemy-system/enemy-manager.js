@@ -70,10 +70,36 @@ export class EnemyManager {
     // Listen for spell damage events
     this.eventBus.on('spell:hit', this.handleSpellHit.bind(this));
     
+    // Area spells ask which enemies they reach
+    this.eventBus.on('enemies:get-in-radius', (position, radius, callback) => {
+      if (typeof callback === 'function') {
+        callback(this.getEnemiesInRadius(position, radius));
+      }
+    });
+    
     // Network synchronization events
     this.eventBus.on('enemy:spawn', this.handleEnemySpawn.bind(this));
     this.eventBus.on('enemy:update', this.handleEnemyUpdate.bind(this));
     this.eventBus.on('enemy:death', this.handleEnemyDeath.bind(this));
+    
+    // Survival mode: the server decides which enemies exist
+    this.eventBus.on('survival:wave-started', (data) => {
+      this.spawnNetworkedEnemies(data.enemies);
+    });
+    
+    // Only freeplay rooms keep locally spawned enemies
+    this.eventBus.on('multiplayer:room-created', (data) => {
+      if (data.room && data.room.gameMode !== 'freeplay') {
+        this.removeAllEnemies();
+      }
+    });
+    
+    this.eventBus.on('multiplayer:room-joined', (data) => {
+      if (data.room && data.room.gameMode !== 'freeplay') {
+        this.removeAllEnemies();
+        this.spawnNetworkedEnemies(data.enemies || []);
+      }
+    });
   }
   
   /**
@@ -118,11 +144,12 @@ export class EnemyManager {
   }
   
   /**
-   * Handle spell hit events and convert to damage
+   * Handle spell hit events and convert to damage and status effects
    * @param {Object} data - Spell hit data
+   * @param {Object} [data.status] - Status effect the spell leaves ({ type, duration })
    */
   handleSpellHit(data) {
-    const { targetId, spellId, power, instanceId } = data;
+    const { targetId, spellId, power, instanceId, status } = data;
     
     let finalTargetId = targetId;
     
@@ -137,8 +164,23 @@ export class EnemyManager {
     // Check if this is a regular enemy
     const isRegularEnemy = this.enemies.has(finalTargetId);
     
-    // Calculate damage based on spell power
-    const damage = power || 1;
+    // Calculate damage based on spell power, raised on marked targets
+    let damageMultiplier = 1;
+    this.eventBus.emit('status:get-damage-multiplier', finalTargetId, false, (multiplier) => {
+      damageMultiplier = multiplier;
+    });
+    const damage = (power || 1) * damageMultiplier;
+    
+    // Spells that leave a status effect apply it before the damage, so a killing
+    // blow's death clears it again
+    if (status) {
+      this.eventBus.emit('status:apply', {
+        targetId: finalTargetId,
+        type: status.type,
+        duration: status.duration,
+        sourceId: spellId
+      });
+    }
     
     // Apply damage to the entity - both regular and particle enemies
     // will be handled by the HealthManager through event system
@@ -196,9 +238,10 @@ export class EnemyManager {
    * Spawn a group of particle-based enemies
    * @param {number} count - Number of enemies to spawn
    * @param {Array<{x:number, y:number, z:number}>} [positions] - Optional array of positions, or will generate positions
+   * @param {Array<string>} [ids] - Optional predefined IDs (for networked enemies)
    * @return {number} Number of enemies actually spawned
    */
-  spawnParticleEnemies(count = 100, positions = null) {
+  spawnParticleEnemies(count = 100, positions = null, ids = null) {
     // Generate positions if not provided
     if (!positions) {
       positions = [];
@@ -222,12 +265,46 @@ export class EnemyManager {
     const spawnCount = Math.min(count, positions.length);
     
     // Spawn the enemies
-    this.particleEnemyGroup.spawn(spawnCount, positions);
+    this.particleEnemyGroup.spawn(spawnCount, positions, ids);
     
     console.log(`Spawned ${spawnCount} particle enemies`);
     return spawnCount;
   }
   
+  /**
+   * Spawn a batch of server-provided enemies, e.g. a survival wave
+   * @param {Array<Object>} enemies - Enemy data ({ id|enemyId, type, position, health })
+   */
+  spawnNetworkedEnemies(enemies) {
+    if (!Array.isArray(enemies)) return;
+    
+    const particlePositions = [];
+    const particleIds = [];
+    
+    enemies.forEach(enemy => {
+      const id = enemy.enemyId || enemy.id;
+      
+      // Particles are spawned together so the instanced mesh only updates once
+      if (enemy.type === 'particle') {
+        particlePositions.push(enemy.position);
+        particleIds.push(id);
+        return;
+      }
+      
+      this.handleEnemySpawn({
+        id,
+        type: enemy.type,
+        position: enemy.position,
+        health: enemy.health,
+        isNetworked: true
+      });
+    });
+    
+    if (particleIds.length > 0) {
+      this.spawnParticleEnemies(particleIds.length, particlePositions, particleIds);
+    }
+  }
+  
   /**
    * Remove all enemies
    */
@@ -264,6 +341,29 @@ export class EnemyManager {
     return Array.from(this.enemies.values());
   }
   
+  /**
+   * Find the living enemies, regular and particle, within a radius of a point
+   * @param {THREE.Vector3} position - Center of the area
+   * @param {number} radius - Radius of the area
+   * @return {Array<{id: string, distance: number}>} Enemies in range
+   */
+  getEnemiesInRadius(position, radius) {
+    const center = new THREE.Vector3(position.x, position.y, position.z);
+    const enemies = this.particleEnemyGroup.getEnemiesInRadius(center, radius);
+    
+    this.enemies.forEach((enemy, id) => {
+      if (enemy.isDead) return;
+      
+      const enemyPosition = enemy.model ? enemy.model.position : enemy.position;
+      const distance = center.distanceTo(enemyPosition);
+      if (distance <= radius) {
+        enemies.push({ id, distance });
+      }
+    });
+    
+    return enemies;
+  }
+  
   /**
    * Get enemy count
    * @return {number} Number of active enemies
@@ -320,6 +420,10 @@ export class EnemyManager {
           dummy.setHealth(health);
         }
       }
+    } else if (type === 'particle') {
+      if (!this.particleEnemyGroup.hasEnemy(id)) {
+        this.spawnParticleEnemies(1, [position], [id]);
+      }
     } else {
       console.warn(`Unknown enemy type: ${type} - cannot spawn`);
     }
@@ -335,6 +439,12 @@ export class EnemyManager {
     // Only process networked updates
     if (!isNetworked) return;
     
+    // Particle enemies live in the instanced group rather than the enemies map
+    if (this.particleEnemyGroup.hasEnemy(id)) {
+      this.particleEnemyGroup.setEnemyHealth(id, health);
+      return;
+    }
+    
     const enemy = this.enemies.get(id);
     if (!enemy) {
       console.warn(`Received update for non-existent enemy: ${id}`);
@@ -380,6 +490,12 @@ export class EnemyManager {
       return;
     }
     
+    // Local particle swarms aren't tracked by the server, so only act on real deaths
+    if (reason !== 'not_found' && this.particleEnemyGroup.hasEnemy(targetId)) {
+      this.particleEnemyGroup.killEnemy(targetId);
+      return;
+    }
+    
     const enemy = this.enemies.get(targetId);
     
     // Special case: server couldn't find this enemy, so we should clean it up locally
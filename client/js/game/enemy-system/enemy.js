@@ -1,6 +1,12 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
 
+// How strongly a status effect's color shows on the model
+const STATUS_TINT_STRENGTH = 0.5;
+
+// Speed a levitated enemy sinks back down once the effect ends
+const LEVITATION_FALL_SPEED = 3;
+
 /**
  * Base class for all enemies in the game
  */
@@ -41,6 +47,10 @@ export class Enemy {
     this.currentAnimation = null;
     this.deathAnimationStartTime = 0;
     
+    // Status effects (see StatusEffectManager)
+    this.statusModifiers = null;
+    this.levitationHeight = 0;
+    
     console.log(`Creating ${this.isNetworked ? 'networked' : 'local'} enemy ${this.id} of type ${this.type} at position`, 
       this.position.x.toFixed(2), this.position.y.toFixed(2), this.position.z.toFixed(2));
     
@@ -49,6 +59,10 @@ export class Enemy {
     
     // Listen for damage events targeted at this enemy
     this.eventBus.on('entity:damage', this.handleDamage.bind(this));
+    
+    // Listen for status effects on this enemy
+    this.handleStatusChanged = this.handleStatusChanged.bind(this);
+    this.eventBus.on('status:changed', this.handleStatusChanged);
   }
   
   /**
@@ -217,6 +231,9 @@ export class Enemy {
     // Check if this damage event is for this enemy
     if (data.id !== this.id) return;
     
+    // Our own forwarded copy of a hit we already applied
+    if (data.isLocalEvent) return;
+    
     // Skip if already dead
     if (this.isDead) return;
     
@@ -230,9 +247,8 @@ export class Enemy {
     // Flash red on hit
     this.flashOnHit();
     
-    // For local enemies (non-networked), we need to propagate damage to the server
-    // but only if this is the first time we're handling this damage event
-    if (!this.isNetworked && data.isNetworked !== true && !data.isLocalEvent) {
+    // Propagate locally caused damage to the server (it owns the health of networked enemies)
+    if (data.isNetworked !== true) {
       // Clone only the specific properties we need, avoiding circular references
       this.eventBus.emit('entity:damage', {
         id: this.id,
@@ -251,6 +267,40 @@ export class Enemy {
     }
   }
   
+  /**
+   * Handle changes to the status effects on this enemy
+   * @param {Object} data - Status change data from StatusEffectManager
+   */
+  handleStatusChanged(data) {
+    if (data.isPlayer || data.targetId !== this.id) return;
+    
+    this.statusModifiers = data.effects.length > 0 ? data.modifiers : null;
+    this.applyStatusTint(this.statusModifiers ? this.statusModifiers.tint : null);
+  }
+  
+  /**
+   * Tint the model with a status effect's color
+   * @param {number|null} color - Tint color, or null to remove it
+   */
+  applyStatusTint(color) {
+    if (!this.model) return;
+    
+    this.model.traverse((child) => {
+      if (!child.isMesh || !child.material || !child.material.emissive) return;
+      
+      // Remember the material's own glow to restore it
+      if (child.userData.baseEmissive === undefined) {
+        child.userData.baseEmissive = child.material.emissive.getHex();
+      }
+      
+      if (color === null) {
+        child.material.emissive.setHex(child.userData.baseEmissive);
+      } else {
+        child.material.emissive.setHex(color).multiplyScalar(STATUS_TINT_STRENGTH);
+      }
+    });
+  }
+  
   /**
    * Flash the model red when taking damage
    */
@@ -323,8 +373,14 @@ export class Enemy {
       return;
     }
     
-    // Regular update logic - override in subclasses
-    this.updateBehavior(delta);
+    // Regular update logic - override in subclasses. Slowed enemies act in
+    // slow motion and stunned ones not at all
+    const speedMultiplier = this.statusModifiers ? this.statusModifiers.speedMultiplier : 1;
+    if (speedMultiplier > 0) {
+      this.updateBehavior(delta * speedMultiplier);
+    }
+    
+    this.updateLevitation(delta);
     
     // Update model position to match physics body
     if (this.physicsBody && this.model) {
@@ -333,6 +389,25 @@ export class Enemy {
     }
   }
   
+  /**
+   * Float the enemy up while it is levitating and lower it back afterwards
+   * @param {number} delta - Time in seconds since last update
+   */
+  updateLevitation(delta) {
+    const liftSpeed = this.statusModifiers ? this.statusModifiers.liftSpeed : 0;
+    if (liftSpeed === 0 && this.levitationHeight === 0) return;
+    
+    if (liftSpeed > 0) {
+      this.levitationHeight += liftSpeed * delta;
+    } else {
+      this.levitationHeight = Math.max(0, this.levitationHeight - LEVITATION_FALL_SPEED * delta);
+    }
+    
+    if (this.physicsBody) {
+      this.physicsBody.position.y = this.position.y + this.levitationHeight;
+    }
+  }
+  
   /**
    * Override this in subclasses for specific behavior
    * @param {number} delta - Time in seconds since last update
@@ -441,8 +516,9 @@ export class Enemy {
     if (this.isRemoving) return; // Avoid duplicate removal
     this.isRemoving = true;
     
-    // Clean up event listener
+    // Clean up event listeners
     this.eventBus.off('entity:damage', this.handleDamage);
+    this.eventBus.off('status:changed', this.handleStatusChanged);
     
     // Remove physics body
     if (this.physicsBody) {
@@ -1,7 +1,8 @@
 import * as THREE from 'three';
 
 /**
- * FlockingMovement class that handles idle, orbiting and attack behaviors for particle enemies
+ * FlockingMovement class that handles idle, orbiting and attack behaviors for particle enemies.
+ * Enemies slowed by a status effect (enemy.statusModifiers) move and count down in slow motion.
  */
 export class FlockingMovement {
     /**
@@ -34,6 +35,8 @@ export class FlockingMovement {
         this.attackDuration = options.attackDuration || 0.8;         // Duration of attack phase in seconds
         this.minAttackTime = options.minAttackTime || 15.0;          // Min time between attacks (much longer)
         this.maxAttackTime = options.maxAttackTime || 30.0;          // Max time between attacks (much longer)
+        this.attackHitRadius = options.attackHitRadius || 1.0;       // Distance at which a charge connects with the player
+        this.onPlayerHit = options.onPlayerHit || null;              // Called with the enemy when its charge connects
     }
 
     /**
@@ -70,12 +73,20 @@ export class FlockingMovement {
             const pos = enemy.position;
             const vel = enemy.velocity;
             
+            // Stunned enemies hang in place, frozen ones move slowly
+            const speedMultiplier = enemy.statusModifiers ? enemy.statusModifiers.speedMultiplier : 1;
+            if (speedMultiplier === 0) {
+                vel.set(0, 0, 0);
+                continue;
+            }
+            const enemyDelta = delta * speedMultiplier;
+            
             // Calculate distance to player
             const toPlayer = new THREE.Vector3().subVectors(playerPos, pos);
             const distanceToPlayer = toPlayer.length();
             
             // Update phase timer
-            enemy.phaseTimer -= delta;
+            enemy.phaseTimer -= enemyDelta;
             
             // Check for phase transitions
             if (enemy.phase === 'idle') {
@@ -86,7 +97,7 @@ export class FlockingMovement {
                 }
                 
                 // Apply bobbing motion in idle state
-                this.applyIdleBehavior(enemy, delta);
+                this.applyIdleBehavior(enemy, enemyDelta);
                 
                 // For idle phase, we don't use velocity-based position updates
                 continue; // Skip the position update at the end
@@ -106,7 +117,7 @@ export class FlockingMovement {
                     
                     // Combine forces and apply to velocity
                     const totalForce = new THREE.Vector3().addVectors(flockingForce, orbitForce);
-                    vel.add(totalForce.multiplyScalar(delta));
+                    vel.add(totalForce.multiplyScalar(enemyDelta));
                     
                     // Limit to maximum speed
                     if (vel.length() > this.maxSpeed) {
@@ -119,6 +130,7 @@ export class FlockingMovement {
                         // Set direction toward player at start of attack
                         enemy.attackDirection.copy(new THREE.Vector3().subVectors(playerPos, pos).normalize());
                         enemy.phaseTimer = this.attackDuration;
+                        enemy.hasHitPlayer = false;
                     }
                 }
             } else if (enemy.phase === 'attack') {
@@ -126,6 +138,12 @@ export class FlockingMovement {
                 // Charge directly at high velocity in the stored attack direction
                 vel.copy(enemy.attackDirection).multiplyScalar(this.attackSpeed);
                 
+                // Each charge can only hit the player once
+                if (!enemy.hasHitPlayer && distanceToPlayer < this.attackHitRadius) {
+                    enemy.hasHitPlayer = true;
+                    if (this.onPlayerHit) this.onPlayerHit(enemy);
+                }
+                
                 // Check for transition back to orbit phase
                 if (enemy.phaseTimer <= 0) {
                     enemy.phase = 'orbit';
@@ -136,7 +154,7 @@ export class FlockingMovement {
             }
             
             // Update position based on velocity
-            pos.add(vel.clone().multiplyScalar(delta));
+            pos.add(vel.clone().multiplyScalar(enemyDelta));
         }
     }
     
@@ -49,6 +49,9 @@ export class HealthManager {
   applyDamage(data) {
     const { id, amount, damageType = 'generic', sourceId } = data;
     
+    // Skip the copy enemies forward for the server, the original hit was already applied
+    if (data.isLocalEvent) return;
+    
     // Verify entity exists
     if (!this.entities.has(id)) {
       console.warn(`Cannot damage entity ${id}: not registered with health system`);
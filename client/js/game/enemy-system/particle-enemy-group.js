@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import { FlockingMovement } from './flocking-movement.js';
+import { PLAYER_HEALTH } from '../../config.js';
 
 /**
  * Manages a group of particle-based enemies using instanced rendering
@@ -45,7 +46,15 @@ export class ParticleEnemyGroup {
       attackSpeed: 15.0,        // Extremely high speed during attack
       attackDuration: 0.8,      // Duration of attack
       minAttackTime: 40.0,      // Minimum time between attacks (extremely rare)
-      maxAttackTime: 60.0       // Maximum time between attacks (extremely rare)
+      maxAttackTime: 60.0,      // Maximum time between attacks (extremely rare)
+      attackHitRadius: 1.2,     // Distance at which a charge damages the player
+      onPlayerHit: (enemy) => {
+        this.eventBus.emit('player:damage', {
+          amount: PLAYER_HEALTH.enemyAttackDamage,
+          sourceType: 'enemy',
+          sourceId: enemy.id
+        });
+      }
     });
 
     // Initialize InstancedMesh
@@ -96,10 +105,12 @@ export class ParticleEnemyGroup {
       phaseTimer: Math.random() * 10 + 15, // Much longer time until attack (15-25 seconds initially)
       attackDirection: new THREE.Vector3(), // Direction to move during attack phase
       orbitDirection: Math.random() < 0.5 ? 1 : -1, // Random orbit direction (clockwise or counter-clockwise)
+      statusModifiers: null, // Combined status effects (see StatusEffectManager), null when unaffected
     }));
     
     // Matrix and Object3D for position updates
     this.dummy = new THREE.Object3D();
+    this.statusTint = new THREE.Color();
 
     // Setup event listeners
     this.setupEventListeners();
@@ -111,14 +122,16 @@ export class ParticleEnemyGroup {
   setupEventListeners() {
     this.eventBus.on('entity:damage', this.handleDamage.bind(this));
     this.eventBus.on('entity:death', this.handleDeath.bind(this));
+    this.eventBus.on('status:changed', this.handleStatusChanged.bind(this));
   }
 
   /**
    * Spawn particle enemies at specified positions
    * @param {number} count - Number of enemies to spawn
    * @param {Array<{x:number, y:number, z:number}>} positions - Array of spawn positions
+   * @param {Array<string>} [ids] - Optional predefined IDs (for networked enemies)
    */
-  spawn(count, positions) {
+  spawn(count, positions, ids = null) {
     const spawnCount = Math.min(count, this.maxEnemies - this.activeCount);
     
     for (let i = 0; i < spawnCount; i++) {
@@ -126,6 +139,7 @@ export class ParticleEnemyGroup {
       if (index === -1) break; // No more free slots
       
       const enemy = this.enemyData[index];
+      enemy.id = ids && ids[i] ? ids[i] : `particle_enemy_${index}_${Math.random().toString(36).substr(2, 9)}`;
       enemy.position.set(
         positions[i].x,
         positions[i].y,
@@ -148,6 +162,7 @@ export class ParticleEnemyGroup {
       enemy.phaseTimer = this.movement.minAttackTime + Math.random() * (this.movement.maxAttackTime - this.movement.minAttackTime);
       enemy.attackDirection.set(0, 0, 0);
       enemy.orbitDirection = Math.random() < 0.5 ? 1 : -1; // Random orbit direction
+      enemy.statusModifiers = null;
 
       // Register with HealthManager
       this.eventBus.emit('entity:register', {
@@ -198,13 +213,22 @@ export class ParticleEnemyGroup {
       const enemy = this.enemyData[i];
       
       if (enemy.state === 'alive') {
+        const modifiers = enemy.statusModifiers;
+        const speedMultiplier = modifiers ? modifiers.speedMultiplier : 1;
+        const enemyDelta = delta * speedMultiplier;
+        
         // Update position based on velocity (already modified by flocking)
-        enemy.position.x += enemy.velocity.x * delta;
-        enemy.position.y += enemy.velocity.y * delta; 
-        enemy.position.z += enemy.velocity.z * delta;
+        enemy.position.x += enemy.velocity.x * enemyDelta;
+        enemy.position.y += enemy.velocity.y * enemyDelta; 
+        enemy.position.z += enemy.velocity.z * enemyDelta;
         
         // Add a small oscillation effect
-        enemy.position.y += Math.sin(Date.now() * 0.001 + i) * 0.002;
+        enemy.position.y += Math.sin(Date.now() * 0.001 + i) * 0.002 * speedMultiplier;
+        
+        // Levitating enemies float upwards regardless of speed
+        if (modifiers && modifiers.liftSpeed > 0) {
+          enemy.position.y += modifiers.liftSpeed * delta;
+        }
         
         // Position the instance
         this.dummy.position.copy(enemy.position);
@@ -241,6 +265,11 @@ export class ParticleEnemyGroup {
           color = new THREE.Color(1, 0, 0);
         }
         
+        // Status effects tint the phase color
+        if (modifiers && modifiers.tint !== null) {
+          color.lerp(this.statusTint.setHex(modifiers.tint), 0.7);
+        }
+        
         this.instancedMesh.setColorAt(i, color);
         
         needsUpdate = true;
@@ -290,6 +319,9 @@ export class ParticleEnemyGroup {
    * @param {Object} data - Damage event data
    */
   handleDamage(data) {
+    // Our own forwarded copy of a hit we already applied
+    if (data.isLocalEvent) return;
+    
     // Find the enemy with this ID that isn't already dead
     const index = this.findEnemyIndexById(data.id);
     if (index === -1) return;
@@ -333,6 +365,78 @@ export class ParticleEnemyGroup {
     }
   }
 
+  /**
+   * Handle changes to the status effects on a particle enemy
+   * @param {Object} data - Status change data from StatusEffectManager
+   */
+  handleStatusChanged(data) {
+    if (data.isPlayer) return;
+    
+    const index = this.findEnemyIndexById(data.targetId);
+    if (index === -1) return;
+    
+    this.enemyData[index].statusModifiers = data.effects.length > 0 ? data.modifiers : null;
+  }
+
+  /**
+   * Check whether a particle enemy with this ID is still alive or dying
+   * @param {string} id - Enemy ID
+   * @return {boolean} True if the enemy exists
+   */
+  hasEnemy(id) {
+    return this.findEnemyIndexById(id) !== -1;
+  }
+
+  /**
+   * Set an enemy's health from a networked update, starting its death when it reaches zero
+   * @param {string} id - Enemy ID
+   * @param {number} health - New health value
+   */
+  setEnemyHealth(id, health) {
+    const index = this.findEnemyIndexById(id);
+    if (index === -1 || health === undefined) return;
+    
+    const enemy = this.enemyData[index];
+    enemy.health = Math.max(0, health);
+    
+    const healthPercent = enemy.health / enemy.maxHealth;
+    const color = new THREE.Color().setHSL(healthPercent * 0.3, 1, 0.5);
+    this.instancedMesh.setColorAt(index, color);
+    this.instancedMesh.instanceColor.needsUpdate = true;
+    
+    if (enemy.health <= 0) {
+      this.killEnemy(id);
+    }
+  }
+
+  /**
+   * Start the death animation of an enemy (for networked deaths)
+   * @param {string} id - Enemy ID
+   */
+  killEnemy(id) {
+    this.handleDeath({ id });
+  }
+
+  /**
+   * Find the living enemies within a radius of a point
+   * @param {THREE.Vector3} position - Center of the area
+   * @param {number} radius - Radius of the area
+   * @return {Array<{id: string, distance: number}>} Enemies in range
+   */
+  getEnemiesInRadius(position, radius) {
+    const enemies = [];
+    for (let i = 0; i < this.activeCount; i++) {
+      const enemy = this.enemyData[i];
+      if (enemy.state !== 'alive') continue;
+      
+      const distance = enemy.position.distanceTo(position);
+      if (distance <= radius) {
+        enemies.push({ id: enemy.id, distance });
+      }
+    }
+    return enemies;
+  }
+
   /**
    * Find enemy index by ID
    * @param {string} id - Enemy ID to find
@@ -1,5 +1,6 @@
 import * as THREE from 'three';
-import { PLAYER_HEIGHT, LOOK_SPEED, MOVE_SPEED } from '../config.js';
+import { PLAYER_HEIGHT, LOOK_SPEED, MOVE_SPEED, PLAYER_PHYSICS, PLAYER_MOVEMENT } from '../config.js';
+import { PlayerBody } from '../physics/player-body.js';
 
 /**
  * Manages first-person mode controls
@@ -25,12 +26,38 @@ export class FirstPersonController {
     this.velocity = new THREE.Vector3();
     this.direction = new THREE.Vector3();
     this.enabled = false;
+    this.isDead = false; // Movement is locked while dead
     this.preventGroundPenetration = true; // Always prevent falling through the ground
+    this.playerBody = null; // Collision capsule, created once the physics world exists
+
+    // Jumping, crouching, sprinting and landing (times are seconds of elapsed update time)
+    this.elapsed = 0;
+    this.grounded = false;
+    this.lastGroundedTime = -Infinity;
+    this.launchedAt = -Infinity; // When the player last jumped or was launched upwards
+    this.jumpRequestedAt = null;
+    this.crouchHeld = false;
+    this.crouching = false;
+    this.sprintHeld = false;
+    this.sprinting = false;
+    this.stamina = PLAYER_MOVEMENT.maxStamina;
+    this.staminaExhausted = false;
+    this.lastStaminaUseTime = -Infinity;
+    this.fallSpeed = 0; // Downward speed while airborne, used for the landing
+    this.fallStartY = 0; // Highest point of the current fall
+    this.isFlying = false; // Carried by a flight spell until landing
+    this.statusModifiers = null; // Status effects on the local player (see StatusEffectManager)
+    this.lastMovementState = null;
 
     // God Mode
     this.godMode = false;    // New - God Mode toggle
     this.godModeIndicator = null; // New - UI indicator for God Mode
 
+    // Rune Mode: phone touch strokes draw runes instead of looking around
+    this.runeMode = false;
+    this.runeModeIndicator = null;
+    this.runeDebugTimeout = null;
+
     // Touch control variables
     this.touchActive = false;
     this.lastTouchX = 0;
@@ -86,6 +113,7 @@ export class FirstPersonController {
 
     this.createUI();
     this.setupEventListeners();
+    this.setupPlayerBody();
 
     // Log successful initialization
     console.log('FirstPersonController initialized');
@@ -150,13 +178,17 @@ export class FirstPersonController {
         S/Arrow Down - Move Backward<br>
         A/Arrow Left - Move Left<br>
         D/Arrow Right - Move Right<br>
+        Left Shift - Sprint (hold)<br>
+        C - Crouch (hold)<br>
+        F - Jump<br>
         Space - Use Current Spell<br>
         Q - Flip Page Left<br>
         E - Flip Page Right<br>
         V - Toggle Debug Raycast<br>
+        X - Toggle Rune Mode<br>
         Mouse - Look Around<br>
         <strong>Mobile Controls:</strong><br>
-        Touch Drag - Look Around
+        Touch Drag - Look Around / Draw Runes (Rune Mode)
       `;
     }
 
@@ -164,6 +196,25 @@ export class FirstPersonController {
     this.container.appendChild(this.controlsGuide);
     console.log('Controls guide added to container');
 
+    // Create Rune Mode indicator
+    this.runeModeIndicator = document.createElement('div');
+    this.runeModeIndicator.style.position = 'fixed';
+    this.runeModeIndicator.style.top = '50px';
+    this.runeModeIndicator.style.left = '50%';
+    this.runeModeIndicator.style.transform = 'translateX(-50%)';
+    this.runeModeIndicator.style.padding = '8px 16px';
+    this.runeModeIndicator.style.backgroundColor = 'rgba(138, 43, 226, 0.8)';
+    this.runeModeIndicator.style.color = 'white';
+    this.runeModeIndicator.style.fontSize = '16px';
+    this.runeModeIndicator.style.fontWeight = 'bold';
+    this.runeModeIndicator.style.borderRadius = '6px';
+    this.runeModeIndicator.style.zIndex = '2000';
+    this.runeModeIndicator.style.display = 'none'; // Hidden by default
+    this.runeModeIndicator.style.pointerEvents = 'none';
+    this.runeModeIndicator.textContent = 'RUNE MODE - draw on your phone';
+    this.runeModeIndicator.id = 'rune-mode-indicator';
+    document.body.appendChild(this.runeModeIndicator);
+
     // Create God Mode indicator
     this.godModeIndicator = document.createElement('div');
     this.godModeIndicator.style.position = 'fixed';
@@ -320,6 +371,23 @@ export class FirstPersonController {
     });
 
 
+    // Rune Mode state and recognized stroke feedback
+    this.eventBus.on('rune:mode-changed', (data) => {
+      this.runeMode = data.enabled;
+      this.touchActive = false;
+      if (this.runeModeIndicator) {
+        this.runeModeIndicator.style.display = this.runeMode && this.enabled ? 'block' : 'none';
+      }
+    });
+
+    this.eventBus.on('rune:recognized', (data) => {
+      this.drawRuneStroke(data.points, `${data.shape} (${Math.round(data.confidence * 100)}%)`, '#b388ff');
+    });
+
+    this.eventBus.on('rune:unrecognized', (data) => {
+      this.drawRuneStroke(data.points, 'Not recognized', '#ff6b6b');
+    });
+
     // Listen for God Mode toggle events
     this.eventBus.on('debug:toggle-god-mode', (data) => {
       this.toggleGodMode(data.enabled);
@@ -342,6 +410,47 @@ export class FirstPersonController {
     
     // Listen for flight spell velocity application
     this.eventBus.on('firstperson:apply-velocity', this.applyVelocity.bind(this));
+
+    // Lock movement on death and respawn at a new spawn point
+    this.eventBus.on('player:died', this.handlePlayerDied.bind(this));
+    this.eventBus.on('player:respawned', this.handlePlayerRespawned.bind(this));
+
+    // Status effects slow, stun or lift the local player
+    this.eventBus.on('status:changed', (data) => {
+      if (!data.isPlayer || data.targetId !== null) return;
+      this.statusModifiers = data.effects.length > 0 ? data.modifiers : null;
+    });
+  }
+
+  /**
+   * Create the player's collision capsule in the physics world, now or when
+   * the physics manager becomes available
+   */
+  setupPlayerBody() {
+    const createBody = (physicsManager) => {
+      if (this.playerBody || !physicsManager || !physicsManager.world) return;
+
+      this.playerBody = new PlayerBody(physicsManager.world);
+      this.updatePlayerBodyState();
+    };
+
+    this.eventBus.emit('physics:request-manager', createBody);
+    this.eventBus.on('physics:manager-ready', createBody);
+  }
+
+  /**
+   * Only collide while walking around in first-person mode; God Mode and the
+   * orbit view leave the capsule out of the world. Whenever the capsule is
+   * switched on it starts from wherever the camera is.
+   */
+  updatePlayerBodyState() {
+    if (!this.playerBody) return;
+
+    const shouldCollide = this.enabled && !this.godMode;
+    if (shouldCollide && !this.playerBody.enabled) {
+      this.playerBody.teleportToEye(this.camera.position);
+    }
+    this.playerBody.setEnabled(shouldCollide);
   }
 
   /**
@@ -661,6 +770,8 @@ export class FirstPersonController {
       this.godModeIndicator.style.display = this.godMode ? 'block' : 'none';
     }
 
+    this.updatePlayerBodyState();
+
     // Check if we're on a mobile device
     const isMobileDevice = this.checkIsMobileDevice();
 
@@ -714,11 +825,15 @@ export class FirstPersonController {
             S/Arrow Down - Move Backward<br>
             A/Arrow Left - Move Left<br>
             D/Arrow Right - Move Right<br>
+            Left Shift - Sprint (hold)<br>
+            C - Crouch (hold)<br>
+            F - Jump<br>
             Space - Gravity Gun (pickup/drop objects)<br>
             Q - Flip Page Left<br>
             E - Flip Page Right<br>
             T - Spawn Random Object<br>
             V - Toggle Debug Raycast<br>
+            X - Toggle Rune Mode<br>
             Mouse - Look Around<br>
             <strong>Mobile Controls:</strong><br>
             Touch Drag - Look Around / Draw Runes
@@ -746,27 +861,8 @@ export class FirstPersonController {
       // Initialize velocity vector to prevent undefined values
       this.velocity = new THREE.Vector3(0, 0, 0);
 
-      // Try to get a spawn point from the environment
-      if (this.sceneManager.environment &&
-        typeof this.sceneManager.environment.getRandomSpawnPoint === 'function') {
-        const spawnPoint = this.sceneManager.environment.getRandomSpawnPoint();
-
-        // Set position from spawn point
-        this.camera.position.set(
-          spawnPoint.x,
-          PLAYER_HEIGHT + 0.5, // Add a small buffer to prevent falling through ground
-          spawnPoint.z
-        );
-
-        // If spawn point includes rotation, apply it
-        if (spawnPoint.rotation !== undefined) {
-          const euler = new THREE.Euler(0, spawnPoint.rotation, 0, 'YXZ');
-          this.camera.quaternion.setFromEuler(euler);
-        }
-      } else {
-        // Default position if no spawn points available
-        this.camera.position.y = PLAYER_HEIGHT + 0.5; // Add a small buffer
-      }
+      this.updatePlayerBodyState();
+      this.moveToSpawnPoint();
 
       // Always show controls guide when first-person mode is enabled
       this.controlsGuide.style.display = 'block';
@@ -824,6 +920,7 @@ export class FirstPersonController {
     } else {
       // Disable first-person mode
       this.sceneManager.setFirstPersonMode(false);
+      this.updatePlayerBodyState();
       this.controlsGuide.style.display = 'none';
 
       // Only need to exit pointer lock on desktop
@@ -835,38 +932,106 @@ export class FirstPersonController {
     }
   }
 
+  /**
+   * Place the camera at a random spawn point from the environment
+   */
+  moveToSpawnPoint() {
+    // Try to get a spawn point from the environment
+    if (this.sceneManager.environment &&
+      typeof this.sceneManager.environment.getRandomSpawnPoint === 'function') {
+      const spawnPoint = this.sceneManager.environment.getRandomSpawnPoint();
+
+      // Set position from spawn point
+      this.camera.position.set(
+        spawnPoint.x,
+        PLAYER_HEIGHT + 0.5, // Add a small buffer to prevent falling through ground
+        spawnPoint.z
+      );
+
+      // If spawn point includes rotation, apply it
+      if (spawnPoint.rotation !== undefined) {
+        const euler = new THREE.Euler(0, spawnPoint.rotation, 0, 'YXZ');
+        this.camera.quaternion.setFromEuler(euler);
+      }
+    } else {
+      // Default position if no spawn points available
+      this.camera.position.y = PLAYER_HEIGHT + 0.5; // Add a small buffer
+    }
+
+    if (this.playerBody) {
+      this.playerBody.teleportToEye(this.camera.position);
+    }
+  }
+
+  /**
+   * Stop all movement while the player is dead
+   */
+  handlePlayerDied() {
+    this.isDead = true;
+    this.moveForward = false;
+    this.moveBackward = false;
+    this.moveLeft = false;
+    this.moveRight = false;
+    this.moveUp = false;
+    this.moveDown = false;
+    this.sprintHeld = false;
+    this.crouchHeld = false;
+    this.jumpRequestedAt = null;
+    this.velocity.set(0, 0, 0);
+
+    if (this.playerBody) {
+      this.playerBody.setVelocity(0, 0, 0);
+    }
+  }
+
+  /**
+   * Return control to the player at a fresh spawn point
+   */
+  handlePlayerRespawned() {
+    if (!this.isDead) return;
+
+    this.isDead = false;
+    this.velocity.set(0, 0, 0);
+    this.isFlying = false;
+    this.gravityDelayUntil = null;
+    this.setStamina(PLAYER_MOVEMENT.maxStamina);
+
+    if (this.enabled) {
+      this.moveToSpawnPoint();
+    }
+  }
+
   /**
    * Update first-person controls
    * @param {number} delta - Time delta in seconds
    */
   update(delta) {
-    if (!this.enabled) return;
+    if (!this.enabled || this.isDead) return;
+
+    this.elapsed += delta;
+
+    // Landing, ceilings and walls from the last physics step stop vertical motion
+    const hasBody = this.playerBody && this.playerBody.enabled;
+    if (hasBody) {
+      this.velocity.y = this.playerBody.getVerticalVelocity();
+    }
+
+    if (!this.godMode) {
+      this.updateGrounded(hasBody);
+      this.updateCrouch(hasBody);
+      this.updateSprint(delta);
+      this.tryJump();
+    }
 
     // Apply damping to slow down movement
     this.velocity.x -= this.velocity.x * 10.0 * delta;
     this.velocity.z -= this.velocity.z * 10.0 * delta;
 
-    // Add vertical velocity component for God Mode or flight spell
-    if (this.godMode || this.velocity.y !== undefined) {
-      // Ensure velocity.y exists
-      if (this.velocity.y === undefined) this.velocity.y = 0;
-      
-      // Apply reduced gravity unless in God Mode or during gravity delay
-      if (!this.godMode) {
-        // Check if we're in a gravity delay period
-        const now = Date.now();
-        if (!this.gravityDelayUntil || now > this.gravityDelayUntil) {
-          // No active delay, apply gravity normally
-          this.velocity.y -= 5.5 * delta; // Apply reduced gravity for better flight experience
-        } else {
-          // During delay period, no gravity is applied
-          // Optionally add a slight upward force for better feel
-          this.velocity.y += 0.1 * delta;
-        }
-      }
-      
-      // Apply damping
+    if (this.godMode) {
+      // No gravity in God Mode, just damping
       this.velocity.y -= this.velocity.y * 2.0 * delta;
+    } else {
+      this.applyGravity(delta);
     }
 
     // Set movement direction based on key states
@@ -883,7 +1048,7 @@ export class FirstPersonController {
     this.direction.normalize(); // Normalize for consistent movement speed
 
     // Move in the direction the camera is facing
-    const movementSpeed = this.godMode ? MOVE_SPEED * 1.5 : MOVE_SPEED; // Faster in God Mode
+    const movementSpeed = MOVE_SPEED * this.getSpeedMultiplier();
 
     if (this.moveForward || this.moveBackward)
       this.velocity.z -= this.direction.z * movementSpeed * delta * 100;
@@ -908,6 +1073,14 @@ export class FirstPersonController {
       this.camera.position.add(up.multiplyScalar(this.velocity.y * delta));
 
       // No height constraint in God Mode
+    } else if (hasBody) {
+      // Normal mode: the capsule carries out the movement so buildings and props block it
+      const forward = new THREE.Vector3(cameraDirection.x, 0, cameraDirection.z).normalize();
+      const right = new THREE.Vector3(forward.z, 0, -forward.x);
+      const horizontal = forward.multiplyScalar(-this.velocity.z).add(right.multiplyScalar(-this.velocity.x));
+
+      this.playerBody.setVelocity(horizontal.x, this.velocity.y, horizontal.z);
+      this.playerBody.getEyePosition(this.camera.position);
     } else {
       // Normal mode: Project movement onto the XZ plane (horizontal movement only)
       const forward = new THREE.Vector3(cameraDirection.x, 0, cameraDirection.z).normalize();
@@ -916,22 +1089,256 @@ export class FirstPersonController {
       // Apply movement
       this.camera.position.add(forward.multiplyScalar(-this.velocity.z * delta));
       this.camera.position.add(right.multiplyScalar(-this.velocity.x * delta));
-      
-      // Apply vertical movement if we have vertical velocity (from flight spell)
-      if (this.velocity.y !== undefined) {
-        this.camera.position.y += this.velocity.y * delta;
-      }
-      
+      this.camera.position.y += this.velocity.y * delta;
+
       // Always prevent falling below ground level
-      if (this.camera.position.y < PLAYER_HEIGHT) {
-        this.camera.position.y = PLAYER_HEIGHT;
+      const eyeHeight = this.getEyeHeight();
+      if (this.camera.position.y < eyeHeight) {
+        this.camera.position.y = eyeHeight;
         this.velocity.y = 0; // Stop vertical movement when hitting ground
       }
     }
 
-    // Determine if player is moving for weapon bob effect
-    const isMoving = this.moveForward || this.moveBackward || this.moveLeft || this.moveRight ||
-      (this.godMode && (this.moveUp || this.moveDown));
+    if (!this.godMode && !this.grounded) {
+      // Remember how fast and from how high we're falling for the landing
+      this.fallSpeed = Math.max(0, -this.velocity.y);
+      this.fallStartY = Math.max(this.fallStartY, this.getFeetY());
+    }
+  }
+
+  /**
+   * Work out whether the player is standing on something and report landings
+   * @param {boolean} hasBody - Whether the physics capsule is active
+   */
+  updateGrounded(hasBody) {
+    const touchingGround = hasBody
+      ? this.playerBody.updateGrounded()
+      : this.camera.position.y <= this.getEyeHeight() + 0.01;
+    // Right after a jump or launch the ground is still close but we're leaving it
+    const launching = this.velocity.y > 0 && this.elapsed - this.launchedAt < 0.2;
+    const grounded = touchingGround && !launching;
+
+    // Standing still vertically: landing absorbs the fall and contacts pushing
+    // the capsule out of the ground aren't a bounce
+    if (grounded) {
+      this.velocity.y = 0;
+    }
+
+    if (grounded) {
+      this.lastGroundedTime = this.elapsed;
+
+      // Back on the ground once a flight spell's lift has run out ends the flight
+      if (this.isFlying && (!this.gravityDelayUntil || Date.now() > this.gravityDelayUntil)) {
+        this.isFlying = false;
+        this.eventBus.emit('player:flight-ended');
+      }
+    }
+
+    if (grounded && !this.grounded) {
+      this.handleLanding();
+    } else if (!grounded && this.grounded) {
+      this.fallSpeed = 0;
+      this.fallStartY = this.getFeetY();
+    }
+
+    this.grounded = grounded;
+    this.emitMovementState();
+  }
+
+  /**
+   * Report a landing and apply fall damage
+   */
+  handleLanding() {
+    const impactSpeed = this.fallSpeed;
+    const fallDistance = Math.max(0, this.fallStartY - this.getFeetY());
+    this.fallSpeed = 0;
+
+    const hard = impactSpeed > PLAYER_MOVEMENT.hardLandingSpeed;
+    this.eventBus.emit('player:landed', { impactSpeed, fallDistance, hard });
+    this.eventBus.emit('audio:play', {
+      sound: hard ? 'landHard' : 'land',
+      volume: Math.min(1, 0.3 + impactSpeed / 20)
+    });
+
+    if (impactSpeed > PLAYER_MOVEMENT.safeFallSpeed) {
+      const amount = Math.round((impactSpeed - PLAYER_MOVEMENT.safeFallSpeed) * PLAYER_MOVEMENT.fallDamagePerSpeed);
+      if (amount > 0) {
+        this.eventBus.emit('player:damage', { amount, sourceType: 'fall' });
+      }
+    }
+  }
+
+  /**
+   * Crouch while the crouch key is held, standing back up once there is room
+   * @param {boolean} hasBody - Whether the physics capsule is active
+   */
+  updateCrouch(hasBody) {
+    if (this.crouchHeld === this.crouching) return;
+
+    if (hasBody) {
+      const stood = this.crouchHeld
+        ? this.playerBody.setHeight(PLAYER_MOVEMENT.crouchHeight, PLAYER_MOVEMENT.crouchEyeHeight)
+        : this.playerBody.setHeight(PLAYER_PHYSICS.height, PLAYER_HEIGHT);
+      // Something overhead keeps us crouched
+      if (!stood) return;
+    } else {
+      // Keep the feet where they are when the eye height changes
+      this.camera.position.y += this.crouchHeld
+        ? PLAYER_MOVEMENT.crouchEyeHeight - PLAYER_HEIGHT
+        : PLAYER_HEIGHT - PLAYER_MOVEMENT.crouchEyeHeight;
+    }
+
+    this.crouching = this.crouchHeld;
+    this.emitMovementState();
+  }
+
+  /**
+   * Sprint while the sprint key is held and there is stamina, and refill it otherwise
+   * @param {number} delta - Time delta in seconds
+   */
+  updateSprint(delta) {
+    const wantsSprint = this.sprintHeld && this.moveForward && !this.crouching;
+    this.sprinting = wantsSprint && !this.staminaExhausted && this.stamina > 0;
+
+    if (this.sprinting) {
+      this.setStamina(this.stamina - PLAYER_MOVEMENT.sprintStaminaPerSecond * delta);
+      this.lastStaminaUseTime = this.elapsed;
+    } else if (this.elapsed - this.lastStaminaUseTime >= PLAYER_MOVEMENT.staminaRegenDelay) {
+      this.setStamina(this.stamina + PLAYER_MOVEMENT.staminaRegenPerSecond * delta);
+    }
+
+    this.emitMovementState();
+  }
+
+  /**
+   * Jump if a jump was pressed recently and the player is (or just was) on the ground
+   */
+  tryJump() {
+    if (this.jumpRequestedAt === null) return;
+
+    if (this.elapsed - this.jumpRequestedAt > PLAYER_MOVEMENT.jumpBufferTime) {
+      this.jumpRequestedAt = null;
+      return;
+    }
+
+    // Coyote time: a jump just after walking off a ledge still counts
+    if (this.elapsed - this.lastGroundedTime > PLAYER_MOVEMENT.coyoteTime) return;
+
+    // Stunned players can't jump either
+    if (this.statusModifiers && this.statusModifiers.speedMultiplier === 0) return;
+
+    this.jumpRequestedAt = null;
+    this.grounded = false;
+    this.lastGroundedTime = -Infinity;
+    this.launchedAt = this.elapsed;
+    this.velocity.y = PLAYER_MOVEMENT.jumpSpeed;
+    this.fallSpeed = 0;
+    this.fallStartY = this.getFeetY();
+
+    this.setStamina(this.stamina - PLAYER_MOVEMENT.jumpStaminaCost);
+    this.lastStaminaUseTime = this.elapsed;
+
+    this.eventBus.emit('player:jumped', { position: this.camera.position.clone() });
+    this.eventBus.emit('audio:play', { sound: 'jump', volume: 0.5 });
+    this.emitMovementState();
+  }
+
+  /**
+   * Apply gravity: normal gravity on foot, or the lighter, damped flight
+   * gravity (none at all during a flight spell's gravity delay). Levitating
+   * players float upwards instead.
+   * @param {number} delta - Time delta in seconds
+   */
+  applyGravity(delta) {
+    if (this.statusModifiers && this.statusModifiers.liftSpeed > 0) {
+      this.velocity.y = this.statusModifiers.liftSpeed;
+      // Keep leaving the ground rather than landing on it
+      this.launchedAt = this.elapsed;
+    } else if (this.isFlying) {
+      if (!this.gravityDelayUntil || Date.now() > this.gravityDelayUntil) {
+        this.velocity.y -= PLAYER_MOVEMENT.flightGravity * delta;
+      } else {
+        // During delay period, no gravity is applied
+        // Optionally add a slight upward force for better feel
+        this.velocity.y += 0.1 * delta;
+      }
+      this.velocity.y -= this.velocity.y * PLAYER_MOVEMENT.flightDamping * delta;
+    } else {
+      this.velocity.y = Math.max(this.velocity.y - PLAYER_MOVEMENT.gravity * delta, -PLAYER_MOVEMENT.maxFallSpeed);
+    }
+  }
+
+  /**
+   * Get the current movement speed relative to walking
+   * @returns {number} Speed multiplier
+   */
+  getSpeedMultiplier() {
+    if (this.godMode) return 1.5; // Faster in God Mode
+
+    // Frozen players are slowed and stunned ones can't move
+    const statusMultiplier = this.statusModifiers ? this.statusModifiers.speedMultiplier : 1;
+    if (this.sprinting) return PLAYER_MOVEMENT.sprintSpeedMultiplier * statusMultiplier;
+    if (this.crouching) return PLAYER_MOVEMENT.crouchSpeedMultiplier * statusMultiplier;
+    return statusMultiplier;
+  }
+
+  /**
+   * Get the camera height above the player's feet
+   * @returns {number} Eye height
+   */
+  getEyeHeight() {
+    return this.crouching ? PLAYER_MOVEMENT.crouchEyeHeight : PLAYER_HEIGHT;
+  }
+
+  /**
+   * Get the height of the player's feet
+   * @returns {number} World y of the feet
+   */
+  getFeetY() {
+    if (this.playerBody && this.playerBody.enabled) {
+      return this.playerBody.getFeetY();
+    }
+    return this.camera.position.y - this.getEyeHeight();
+  }
+
+  /**
+   * Set the stamina pool, tracking exhaustion and notifying listeners of changes
+   * @param {number} value - New stamina
+   */
+  setStamina(value) {
+    const previous = this.stamina;
+    const wasExhausted = this.staminaExhausted;
+    this.stamina = Math.max(0, Math.min(PLAYER_MOVEMENT.maxStamina, value));
+
+    // Running dry locks sprinting until stamina has partly recovered
+    if (this.stamina === 0) {
+      this.staminaExhausted = true;
+    } else if (this.stamina >= PLAYER_MOVEMENT.minSprintStamina) {
+      this.staminaExhausted = false;
+    }
+
+    if (Math.round(previous) !== Math.round(this.stamina) || wasExhausted !== this.staminaExhausted) {
+      this.eventBus.emit('player:stamina-changed', {
+        stamina: this.stamina,
+        maxStamina: PLAYER_MOVEMENT.maxStamina,
+        exhausted: this.staminaExhausted
+      });
+    }
+  }
+
+  /**
+   * Emit `player:movement-state-changed` when grounded, crouching or sprinting changes
+   */
+  emitMovementState() {
+    const state = { grounded: this.grounded, crouching: this.crouching, sprinting: this.sprinting };
+    const last = this.lastMovementState;
+    if (last && last.grounded === state.grounded && last.crouching === state.crouching &&
+      last.sprinting === state.sprinting) {
+      return;
+    }
+
+    this.lastMovementState = state;
+    this.eventBus.emit('player:movement-state-changed', state);
   }
 
 
@@ -940,7 +1347,7 @@ export class FirstPersonController {
    * @param {KeyboardEvent} event - Keyboard event
    */
   onKeyDown(event) {
-    if (!this.enabled) return;
+    if (!this.enabled || this.isDead) return;
 
     switch (event.code) {
       case 'ArrowUp':
@@ -975,7 +1382,21 @@ export class FirstPersonController {
           this.eventBus.emit('weapon:flip-right');
         }
         break;
-        // ShiftLeft case removed - Rune Mode no longer supported
+      case 'ShiftLeft':
+        this.sprintHeld = true;
+        break;
+      case 'KeyC':
+        this.crouchHeld = true;
+        break;
+      case 'KeyF':
+        if (!event.repeat) {
+          this.jumpRequestedAt = this.elapsed;
+        }
+        break;
+      case 'KeyX':
+        if (!event.repeat) {
+          this.eventBus.emit('rune:toggle-mode');
+        }
         break;
     }
   }
@@ -1014,6 +1435,12 @@ export class FirstPersonController {
           this.moveDown = false;
         }
         break;
+      case 'ShiftLeft':
+        this.sprintHeld = false;
+        break;
+      case 'KeyC':
+        this.crouchHeld = false;
+        break;
     }
   }
 
@@ -1057,7 +1484,8 @@ export class FirstPersonController {
   }
 
   /**
-   * Apply velocity to the player (used by flight spell)
+   * Apply velocity to the player (used by flight spell). It is carried by the
+   * player's physics capsule, so flying into a wall or roof stops the player.
    * @param {Object} data - Velocity data with x, y, z components in world space
    */
   applyVelocity(data) {
@@ -1092,6 +1520,12 @@ export class FirstPersonController {
     if (this.velocity.y === undefined) this.velocity.y = 0;
     this.velocity.y += worldVelocity.y;
     
+    // Use the lighter flight gravity until the player lands again
+    this.isFlying = true;
+    if (worldVelocity.y > 0) {
+      this.launchedAt = this.elapsed;
+    }
+
     // Set gravity delay timer if requested
     if (data.gravityDelay) {
       this.gravityDelayUntil = Date.now() + (data.gravityDelay * 1000);
@@ -1120,6 +1554,48 @@ export class FirstPersonController {
   }
 
 
+  /**
+   * Show a drawn rune stroke in the touch path debug canvas for a moment
+   * @param {Array<{x: number, y: number}>} points - Stroke in normalized phone coordinates
+   * @param {string} label - Recognition result to show under the stroke
+   * @param {string} color - Stroke color
+   */
+  drawRuneStroke(points, label, color) {
+    if (!this.debugContext || !points || points.length < 2) return;
+
+    const ctx = this.debugContext;
+    const size = this.debugCanvas.width;
+    ctx.clearRect(0, 0, size, size);
+
+    ctx.beginPath();
+    ctx.moveTo(points[0].x * size, points[0].y * size);
+    for (let i = 1; i < points.length; i++) {
+      ctx.lineTo(points[i].x * size, points[i].y * size);
+    }
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 4;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.stroke();
+
+    // Mark where the stroke started
+    ctx.beginPath();
+    ctx.arc(points[0].x * size, points[0].y * size, 6, 0, Math.PI * 2);
+    ctx.fillStyle = 'white';
+    ctx.fill();
+
+    ctx.font = 'bold 16px Arial';
+    ctx.fillStyle = 'white';
+    ctx.textAlign = 'center';
+    ctx.fillText(label, size / 2, size - 12);
+
+    this.debugCanvas.style.display = 'block';
+    clearTimeout(this.runeDebugTimeout);
+    this.runeDebugTimeout = setTimeout(() => {
+      this.debugCanvas.style.display = 'none';
+    }, 2000);
+  }
+
   /**
    * Handle touch updates from the mobile device
    * @param {Object} touchData - Touch data from mobile device
@@ -1127,6 +1603,12 @@ export class FirstPersonController {
   onTouchUpdate(touchData) {
     if (!this.enabled) return;
 
+    // In Rune Mode the phone's touch screen is a drawing surface
+    if (this.runeMode) {
+      this.touchActive = false;
+      return;
+    }
+
     // Only process touch events when active
     if (touchData.active) {
       // If this is the first touch event, store the initial position
@@ -32,10 +32,27 @@ export class GameStateManager {
     this.socketManager.on('enemy-spawn', this.handleEnemySpawn.bind(this));
     this.socketManager.on('enemy-update', this.handleEnemyUpdate.bind(this));
     this.socketManager.on('enemy-death', this.handleEnemyDeath.bind(this));
+    this.socketManager.on('player-health-update', this.handlePlayerHealthUpdate.bind(this));
+    this.socketManager.on('player-death', this.handlePlayerDeath.bind(this));
+    this.socketManager.on('player-respawn', this.handlePlayerRespawn.bind(this));
+    this.socketManager.on('wave-intermission', this.handleWaveIntermission.bind(this));
+    this.socketManager.on('wave-start', this.handleWaveStart.bind(this));
+    this.socketManager.on('wave-progress', this.handleWaveProgress.bind(this));
+    this.socketManager.on('wave-complete', this.handleWaveComplete.bind(this));
+    this.socketManager.on('scoreboard-update', this.handleScoreboardUpdate.bind(this));
+    this.socketManager.on('round-start', this.handleRoundStart.bind(this));
+    this.socketManager.on('round-end', this.handleRoundEnd.bind(this));
+    this.socketManager.on('status-applied', this.handleStatusApplied.bind(this));
+    this.socketManager.on('combo-scored', this.handleComboScored.bind(this));
     
     this.eventBus.on('player:local-moved', this.handleLocalPlayerMoved.bind(this));
     this.eventBus.on('spell:cast', this.handleLocalSpellCast.bind(this));
     this.eventBus.on('entity:damage', this.handleLocalEnemyDamage.bind(this));
+    this.eventBus.on('player:damage', this.handleLocalPlayerDamage.bind(this));
+    this.eventBus.on('player:hit', this.handleLocalPlayerHit.bind(this));
+    this.eventBus.on('status:applied', this.handleLocalStatusApplied.bind(this));
+    this.eventBus.on('combo:triggered', this.handleLocalComboTriggered.bind(this));
+    this.eventBus.on('loadout:changed', this.handleLoadoutChanged.bind(this));
     this.eventBus.on('multiplayer:get-player', (playerId, callback) => {
       if (typeof callback === 'function') {
         callback(this.getPlayer(playerId));
@@ -126,6 +143,8 @@ export class GameStateManager {
     this.eventBus.emit('multiplayer:room-joined', {
       room: data.room,
       players: data.players,
+      gameObjects: data.gameObjects || [],
+      enemies: data.enemies || [],
       playerId: data.playerId
     });
   }
@@ -239,6 +258,123 @@ export class GameStateManager {
     });
   }
   
+  handlePlayerHealthUpdate(data) {
+    const { playerId, health, maxHealth, sourceType, attackerId } = data;
+    
+    this.eventBus.emit('multiplayer:player-health-update', {
+      playerId,
+      health,
+      maxHealth,
+      sourceType,
+      attackerId,
+      isLocal: playerId === this.localPlayerId
+    });
+  }
+  
+  handlePlayerDeath(data) {
+    const { playerId, killerId, sourceType } = data;
+    
+    this.eventBus.emit('multiplayer:player-death', {
+      playerId,
+      killerId,
+      sourceType,
+      isLocal: playerId === this.localPlayerId,
+      isLocalKiller: !!killerId && killerId === this.localPlayerId
+    });
+  }
+  
+  handlePlayerRespawn(data) {
+    const { playerId, health, maxHealth } = data;
+    
+    this.eventBus.emit('multiplayer:player-respawn', {
+      playerId,
+      health,
+      maxHealth,
+      isLocal: playerId === this.localPlayerId
+    });
+  }
+  
+  handleWaveIntermission(data) {
+    const { nextWave, duration } = data;
+    
+    this.eventBus.emit('survival:intermission', { nextWave, duration });
+  }
+  
+  handleWaveStart(data) {
+    const { wave, enemies, enemiesRemaining } = data;
+    
+    this.eventBus.emit('survival:wave-started', {
+      wave,
+      enemies: enemies || [],
+      enemiesRemaining
+    });
+  }
+  
+  handleWaveProgress(data) {
+    const { wave, enemiesRemaining } = data;
+    
+    this.eventBus.emit('survival:wave-progress', { wave, enemiesRemaining });
+  }
+  
+  handleWaveComplete(data) {
+    this.eventBus.emit('survival:wave-completed', { wave: data.wave });
+  }
+  
+  handleScoreboardUpdate(data) {
+    this.eventBus.emit('deathmatch:scoreboard-updated', {
+      scores: data.scores || [],
+      localPlayerId: this.localPlayerId
+    });
+  }
+  
+  handleRoundStart(data) {
+    const { fragLimit, duration, scores } = data;
+    
+    this.eventBus.emit('deathmatch:round-started', {
+      fragLimit,
+      duration,
+      scores: scores || [],
+      localPlayerId: this.localPlayerId
+    });
+  }
+  
+  handleRoundEnd(data) {
+    const { reason, winnerId, scores, restartDelay } = data;
+    
+    this.eventBus.emit('deathmatch:round-ended', {
+      reason,
+      winnerId,
+      scores: scores || [],
+      restartDelay,
+      localPlayerId: this.localPlayerId
+    });
+  }
+  
+  handleStatusApplied(data) {
+    const { targetId, isPlayer, type, duration, sourceId } = data;
+    
+    this.eventBus.emit('status:apply', {
+      // Effects on the local player are stored without an ID
+      targetId: isPlayer && targetId === this.localPlayerId ? null : targetId,
+      isPlayer: !!isPlayer,
+      type,
+      duration,
+      sourceId,
+      isNetworked: true
+    });
+  }
+  
+  handleComboScored(data) {
+    const { comboId, playerIds, points } = data;
+    
+    this.eventBus.emit('combo:scored', {
+      comboId,
+      playerIds: playerIds || [],
+      points,
+      localPlayerId: this.localPlayerId
+    });
+  }
+  
   handleLocalSpellCast(data) {
     if (this.localPlayerId && this.currentRoom) {
       const { spellId, targetPosition, targetId, cameraPosition, targetDirection, spellData } = data;
@@ -272,6 +408,80 @@ export class GameStateManager {
     }
   }
   
+  handleLocalPlayerDamage(data) {
+    if (this.localPlayerId && this.currentRoom) {
+      const { amount, sourceType, sourceId } = data;
+      
+      // Damage the local player's shield absorbs never reaches the server
+      let blocked = false;
+      this.eventBus.emit('player:is-damage-blocked', sourceType, (result) => {
+        blocked = result;
+      });
+      if (blocked) return;
+      
+      this.socketManager.emit('player-damage', {
+        damage: typeof amount === 'number' ? amount : parseFloat(amount),
+        sourceType: typeof sourceType === 'string' ? sourceType : 'generic',
+        sourceId: typeof sourceId === 'string' ? sourceId : null
+      });
+    }
+  }
+  
+  handleLocalPlayerHit(data) {
+    // Only deathmatch rooms accept damage between players
+    if (this.localPlayerId && this.getGameMode() === 'deathmatch') {
+      const { targetId, damage, sourceType, status } = data;
+      
+      // Marked players take extra damage
+      let damageMultiplier = 1;
+      this.eventBus.emit('status:get-damage-multiplier', targetId, true, (multiplier) => {
+        damageMultiplier = multiplier;
+      });
+      
+      // The server applies the hit's status effect along with the damage
+      this.socketManager.emit('player-hit', {
+        targetId,
+        damage: (typeof damage === 'number' ? damage : parseFloat(damage)) * damageMultiplier,
+        sourceType,
+        status: status ? { type: status.type, duration: status.duration } : null
+      });
+    }
+  }
+  
+  handleLocalStatusApplied(data) {
+    // Player effects travel with the hit that caused them (see handleLocalPlayerHit)
+    if (this.localPlayerId && this.currentRoom && !data.isPlayer) {
+      const { targetId, type, duration } = data;
+      
+      this.socketManager.emit('status-apply', { targetId, type, duration });
+    }
+  }
+  
+  handleLocalComboTriggered(data) {
+    // Each combo is reported once, by the client that pulled it off
+    if (this.localPlayerId && this.currentRoom && data.isLocal) {
+      this.socketManager.emit('combo-performed', {
+        comboId: data.comboId,
+        partnerId: data.partnerId || null
+      });
+    }
+  }
+  
+  handleLoadoutChanged() {
+    // The server only relays casts of spells in the active loadout
+    if (this.localPlayerId && this.currentRoom) {
+      this.socketManager.emit('loadout-update', { loadout: this.getActiveLoadout() });
+    }
+  }
+  
+  getActiveLoadout() {
+    let loadout = null;
+    this.eventBus.emit('loadout:get-active', (active) => {
+      loadout = active;
+    });
+    return loadout ? { name: loadout.name, spells: loadout.spells } : null;
+  }
+  
   handleLocalPlayerMoved(data) {
     if (this.localPlayerId && this.currentRoom) {
       const updateData = {
@@ -291,15 +501,18 @@ export class GameStateManager {
     this.socketManager.emit('list-rooms');
   }
   
-  createRoom(username, roomName = null) {
+  createRoom(username, roomName = null, gameMode = 'freeplay', spellRules = null) {
     this.socketManager.emit('create-room', { 
       username, 
-      roomName
+      roomName,
+      gameMode,
+      spellRules,
+      loadout: this.getActiveLoadout()
     });
   }
   
   joinRoom(roomCode, username) {
-    this.socketManager.emit('join-room', { roomCode, username });
+    this.socketManager.emit('join-room', { roomCode, username, loadout: this.getActiveLoadout() });
   }
   
   leaveRoom() {
@@ -316,6 +529,10 @@ export class GameStateManager {
     return this.currentRoom;
   }
   
+  getGameMode() {
+    return this.currentRoom ? this.currentRoom.gameMode : null;
+  }
+  
   getPlayers() {
     return this.players;
   }
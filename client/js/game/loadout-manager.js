@@ -0,0 +1,215 @@
+import { SPELLBOOK_LOADOUTS } from '../config.js';
+
+/**
+ * Keeps the player's spellbook loadouts: named lists of spell IDs that say
+ * which spells are in the book and on which pages, in order. Saved loadouts
+ * are stored in localStorage. The built-in default ({ spells: null }) holds
+ * every registered spell in registration order and can't be changed.
+ *
+ * The spellbook and the server follow the active loadout through
+ * 'loadout:get-active' and 'loadout:changed'.
+ */
+export class LoadoutManager {
+  /**
+   * @param {EventBus} eventBus - Application event bus
+   */
+  constructor(eventBus) {
+    this.eventBus = eventBus;
+    this.loadouts = []; // Saved loadouts, each { id, name, spells }
+    this.activeId = SPELLBOOK_LOADOUTS.defaultId;
+
+    this.load();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    this.eventBus.on('loadout:get-active', (callback) => {
+      if (typeof callback === 'function') {
+        callback(this.getActiveLoadout());
+      }
+    });
+  }
+
+  /**
+   * Get the built-in loadout with every spell
+   * @returns {Object} The default loadout
+   */
+  getDefaultLoadout() {
+    return {
+      id: SPELLBOOK_LOADOUTS.defaultId,
+      name: SPELLBOOK_LOADOUTS.defaultName,
+      spells: null
+    };
+  }
+
+  /**
+   * Get every loadout, the default first
+   * @returns {Array<Object>} Loadouts, each { id, name, spells }
+   */
+  getLoadouts() {
+    return [
+      this.getDefaultLoadout(),
+      ...this.loadouts.map(loadout => ({ ...loadout, spells: [...loadout.spells] }))
+    ];
+  }
+
+  /**
+   * Get a loadout by ID
+   * @param {string} id - Loadout ID
+   * @returns {Object|null} The loadout or null if not found
+   */
+  getLoadout(id) {
+    return this.getLoadouts().find(loadout => loadout.id === id) || null;
+  }
+
+  /**
+   * Get the loadout the spellbook uses
+   * @returns {Object} The active loadout
+   */
+  getActiveLoadout() {
+    return this.getLoadout(this.activeId) || this.getDefaultLoadout();
+  }
+
+  /**
+   * Switch the spellbook to a loadout
+   * @param {string} id - Loadout ID
+   * @returns {boolean} Whether the loadout exists
+   */
+  select(id) {
+    if (!this.getLoadout(id)) return false;
+
+    this.activeId = id;
+    this.persist();
+    this.emitChanged();
+    return true;
+  }
+
+  /**
+   * Save a new loadout, or change a saved one, and switch to it
+   * @param {Object} options - Loadout to save
+   * @param {string} [options.id] - ID of the saved loadout to change; a new one is added without it
+   * @param {string} options.name - Shown in the lobby
+   * @param {Array<string>} options.spells - Spell IDs in page order
+   * @returns {Object} The saved loadout
+   * @throws {Error} If the loadout can't be saved
+   */
+  save({ id, name, spells }) {
+    const trimmedName = typeof name === 'string' ? name.trim().slice(0, SPELLBOOK_LOADOUTS.maxNameLength) : '';
+    if (!trimmedName) {
+      throw new Error('Give the loadout a name');
+    }
+
+    const spellIds = Array.isArray(spells)
+      ? [...new Set(spells.filter(spellId => typeof spellId === 'string'))]
+      : [];
+    if (spellIds.length === 0) {
+      throw new Error('Put at least one spell in the loadout');
+    }
+
+    if (id === SPELLBOOK_LOADOUTS.defaultId) {
+      throw new Error(`${SPELLBOOK_LOADOUTS.defaultName} can't be changed`);
+    }
+
+    let loadout = this.loadouts.find(saved => saved.id === id);
+    if (loadout) {
+      loadout.name = trimmedName;
+      loadout.spells = spellIds;
+    } else {
+      if (this.loadouts.length >= SPELLBOOK_LOADOUTS.maxLoadouts) {
+        throw new Error(`Only ${SPELLBOOK_LOADOUTS.maxLoadouts} loadouts can be saved`);
+      }
+
+      loadout = {
+        id: `loadout-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+        name: trimmedName,
+        spells: spellIds
+      };
+      this.loadouts.push(loadout);
+    }
+
+    this.activeId = loadout.id;
+    this.persist();
+    this.emitChanged();
+    return this.getLoadout(loadout.id);
+  }
+
+  /**
+   * Delete a saved loadout. Deleting the active one switches back to the default.
+   * @param {string} id - Loadout ID
+   * @returns {boolean} Whether a loadout was deleted
+   */
+  delete(id) {
+    const index = this.loadouts.findIndex(loadout => loadout.id === id);
+    if (index === -1) return false;
+
+    this.loadouts.splice(index, 1);
+    if (this.activeId === id) {
+      this.activeId = SPELLBOOK_LOADOUTS.defaultId;
+    }
+
+    this.persist();
+    this.emitChanged();
+    return true;
+  }
+
+  /**
+   * Tell the spellbook, the server and the lobby about a change
+   */
+  emitChanged() {
+    this.eventBus.emit('loadout:changed', {
+      loadout: this.getActiveLoadout(),
+      loadouts: this.getLoadouts()
+    });
+  }
+
+  /**
+   * Read saved loadouts from localStorage, skipping any that don't make sense
+   */
+  load() {
+    let saved = null;
+    try {
+      saved = JSON.parse(localStorage.getItem(SPELLBOOK_LOADOUTS.storageKey));
+    } catch (error) {
+      console.warn('Could not read saved spellbook loadouts:', error);
+      return;
+    }
+
+    if (!saved || !Array.isArray(saved.loadouts)) return;
+
+    this.loadouts = saved.loadouts
+      .filter(loadout =>
+        loadout &&
+        typeof loadout.id === 'string' &&
+        loadout.id !== SPELLBOOK_LOADOUTS.defaultId &&
+        typeof loadout.name === 'string' &&
+        Array.isArray(loadout.spells)
+      )
+      .slice(0, SPELLBOOK_LOADOUTS.maxLoadouts)
+      .map(loadout => ({
+        id: loadout.id,
+        name: loadout.name.slice(0, SPELLBOOK_LOADOUTS.maxNameLength),
+        spells: loadout.spells.filter(spellId => typeof spellId === 'string')
+      }));
+
+    if (this.getLoadout(saved.activeId)) {
+      this.activeId = saved.activeId;
+    }
+  }
+
+  /**
+   * Write the loadouts to localStorage
+   */
+  persist() {
+    try {
+      localStorage.setItem(SPELLBOOK_LOADOUTS.storageKey, JSON.stringify({
+        activeId: this.activeId,
+        loadouts: this.loadouts
+      }));
+    } catch (error) {
+      console.warn('Could not save spellbook loadouts:', error);
+    }
+  }
+}
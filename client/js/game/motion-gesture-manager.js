@@ -0,0 +1,135 @@
+import { MOTION_GESTURES } from '../config.js';
+import { DataHistory } from '../visualization/data-history.js';
+import { MotionGestureRecognizer } from './motion-gesture-recognizer.js';
+
+/**
+ * Keep a sensitivity within the allowed range
+ * @param {number} sensitivity - Requested sensitivity
+ * @returns {number} Sensitivity from MOTION_GESTURES.minSensitivity to maxSensitivity
+ */
+function clampSensitivity(sensitivity) {
+  return Math.min(MOTION_GESTURES.maxSensitivity, Math.max(MOTION_GESTURES.minSensitivity, sensitivity));
+}
+
+/**
+ * Watches the phone's motion for gestures (see MOTION_GESTURES) and announces
+ * them as `gesture:recognized`, which WeaponView turns into a cast of the spell
+ * bound to the gesture. The player's settings (gestures on or off, and a
+ * sensitivity per gesture) are stored in localStorage.
+ */
+export class MotionGestureManager {
+  /**
+   * @param {EventBus} eventBus - Application event bus
+   */
+  constructor(eventBus) {
+    this.eventBus = eventBus;
+    this.recognizer = new MotionGestureRecognizer();
+    this.history = new DataHistory({
+      time: { t: [] },
+      accel: { x: [], y: [], z: [] },
+      gyro: { alpha: [], beta: [], gamma: [] }
+    }, MOTION_GESTURES.historySize);
+    this.cooldownUntil = 0; // Sample time before which no gesture is recognized
+
+    this.enabled = true;
+    this.sensitivity = {}; // Gesture name -> sensitivity
+    Object.keys(MOTION_GESTURES.gestures).forEach(gesture => {
+      this.sensitivity[gesture] = 1;
+    });
+
+    this.load();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    this.eventBus.on('sensor:data-received', this.handleSensorData.bind(this));
+
+    // Motion from before a recalibration or another phone isn't part of a gesture
+    this.eventBus.on('calibration:complete', () => this.history.clearHistory());
+    this.eventBus.on('mobile:disconnected', () => this.history.clearHistory());
+  }
+
+  /**
+   * Add a phone sample and check whether it finished a gesture
+   * @param {Object} data - Sensor data, already decoded by WebRTCManager
+   */
+  handleSensorData(data) {
+    if (!this.enabled || !data || !data.accel || !data.gyro) return;
+
+    const t = Number.isFinite(data.timestamp) ? data.timestamp : Date.now();
+    this.history.addDataPoint('time', { t });
+    this.history.addDataPoint('accel', data.accel);
+    this.history.addDataPoint('gyro', data.gyro);
+
+    if (t < this.cooldownUntil) return;
+
+    const gesture = this.recognizer.recognize(this.history.getAllHistory(), this.sensitivity);
+    if (!gesture) return;
+
+    // Start the next gesture from a clean slate
+    this.history.clearHistory();
+    this.cooldownUntil = t + MOTION_GESTURES.cooldown;
+    this.eventBus.emit('gesture:recognized', { gesture });
+  }
+
+  /**
+   * Turn gesture casting on or off
+   * @param {boolean} enabled - Whether gestures cast spells
+   */
+  setEnabled(enabled) {
+    this.enabled = !!enabled;
+    this.history.clearHistory();
+    this.persist();
+  }
+
+  /**
+   * Set how little movement a gesture needs
+   * @param {string} gesture - Gesture name
+   * @param {number} sensitivity - From MOTION_GESTURES.minSensitivity to maxSensitivity
+   */
+  setSensitivity(gesture, sensitivity) {
+    if (!(gesture in this.sensitivity) || !Number.isFinite(sensitivity)) return;
+
+    this.sensitivity[gesture] = clampSensitivity(sensitivity);
+    this.persist();
+  }
+
+  /**
+   * Read the player's settings from localStorage
+   */
+  load() {
+    let saved = null;
+    try {
+      saved = JSON.parse(localStorage.getItem(MOTION_GESTURES.storageKey));
+    } catch (error) {
+      console.warn('Could not read motion gesture settings:', error);
+      return;
+    }
+
+    if (!saved) return;
+
+    this.enabled = saved.enabled !== false;
+    Object.entries(saved.sensitivity || {}).forEach(([gesture, sensitivity]) => {
+      if (gesture in this.sensitivity && Number.isFinite(sensitivity)) {
+        this.sensitivity[gesture] = clampSensitivity(sensitivity);
+      }
+    });
+  }
+
+  /**
+   * Write the player's settings to localStorage
+   */
+  persist() {
+    try {
+      localStorage.setItem(MOTION_GESTURES.storageKey, JSON.stringify({
+        enabled: this.enabled,
+        sensitivity: this.sensitivity
+      }));
+    } catch (error) {
+      console.warn('Could not save motion gesture settings:', error);
+    }
+  }
+}
@@ -0,0 +1,227 @@
+import { MOTION_GESTURES } from '../config.js';
+
+// Gestures are checked in this order, so a shake isn't also taken for a flick
+const GESTURE_ORDER = ['shake', 'circle-wave', 'swing-up', 'flick-forward'];
+
+// Fewer samples than this in a gesture's window is too little to tell
+const MIN_SAMPLES = 5;
+
+// Thresholds that sensitivity scales; the others describe the gesture's shape
+const SCALED_THRESHOLDS = ['minAccel', 'minPitch', 'minRadius'];
+
+/**
+ * Recognizes motion gestures (see MOTION_GESTURES) from recent phone samples:
+ * - flick-forward: a sharp acceleration peak along the phone's length
+ * - swing-up: the phone's pitch rising quickly while it accelerates
+ * - circle-wave: the direction the phone points looping round a centre
+ * - shake: the acceleration flipping back and forth several times
+ *
+ * Accelerations are taken relative to their average over the whole history,
+ * which removes gravity and calibration offsets whichever way the phone is held.
+ */
+export class MotionGestureRecognizer {
+  /**
+   * Recognize a gesture that ended with the newest sample
+   * @param {Object} history - Samples as DataHistory series:
+   *   { time: { t }, accel: { x, y, z }, gyro: { alpha, beta, gamma } }
+   * @param {Object} [sensitivity={}] - Gesture name -> sensitivity (1 when missing)
+   * @returns {string|null} Gesture name, or null if the phone moved like none of them
+   */
+  recognize(history, sensitivity = {}) {
+    const samples = this.getSamples(history);
+    if (samples.length < MIN_SAMPLES) return null;
+
+    const newest = samples[samples.length - 1].t;
+    for (const gesture of GESTURE_ORDER) {
+      const settings = this.getSettings(gesture, sensitivity[gesture]);
+      const recent = samples.filter(sample => newest - sample.t <= settings.window);
+      if (recent.length < MIN_SAMPLES) continue;
+
+      if (this.matches(gesture, recent, settings)) {
+        return gesture;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get a gesture's thresholds at a sensitivity
+   * @param {string} gesture - Gesture name
+   * @param {number} [sensitivity=1] - Higher needs less movement
+   * @returns {Object} The gesture's settings with scaled thresholds
+   */
+  getSettings(gesture, sensitivity = 1) {
+    const scale = Math.min(MOTION_GESTURES.maxSensitivity, Math.max(MOTION_GESTURES.minSensitivity,
+      Number.isFinite(sensitivity) ? sensitivity : 1));
+
+    const settings = { ...MOTION_GESTURES.gestures[gesture] };
+    SCALED_THRESHOLDS.forEach(key => {
+      if (key in settings) settings[key] /= scale;
+    });
+    return settings;
+  }
+
+  /**
+   * Check the samples against one gesture
+   * @param {string} gesture - Gesture name
+   * @param {Array<Object>} samples - Samples in the gesture's window
+   * @param {Object} settings - The gesture's thresholds
+   * @returns {boolean} Whether the phone moved like the gesture
+   */
+  matches(gesture, samples, settings) {
+    switch (gesture) {
+      case 'flick-forward': return this.isFlickForward(samples, settings);
+      case 'swing-up': return this.isSwingUp(samples, settings);
+      case 'circle-wave': return this.isCircleWave(samples, settings);
+      case 'shake': return this.isShake(samples, settings);
+      default: return false;
+    }
+  }
+
+  /**
+   * Turn the history's series into samples, with gravity taken out of the
+   * acceleration and the orientation angles unwrapped so they don't jump at ±180°
+   * @param {Object} history - DataHistory series
+   * @returns {Array<{t: number, accel: Object, magnitude: number, yaw: number, pitch: number}>} Samples, oldest first
+   */
+  getSamples(history) {
+    const { time, accel, gyro } = history;
+    const count = Math.min(time.t.length, accel.x.length, gyro.alpha.length);
+    if (count === 0) return [];
+
+    const offset = { x: 0, y: 0, z: 0 };
+    for (let i = 0; i < count; i++) {
+      offset.x += accel.x[i] / count;
+      offset.y += accel.y[i] / count;
+      offset.z += accel.z[i] / count;
+    }
+
+    const yaw = this.unwrap(gyro.alpha.slice(0, count));
+    const pitch = this.unwrap(gyro.beta.slice(0, count));
+
+    return Array.from({ length: count }, (_, i) => {
+      const dynamic = {
+        x: accel.x[i] - offset.x,
+        y: accel.y[i] - offset.y,
+        z: accel.z[i] - offset.z
+      };
+      return {
+        t: time.t[i],
+        accel: dynamic,
+        magnitude: Math.hypot(dynamic.x, dynamic.y, dynamic.z),
+        yaw: yaw[i],
+        pitch: pitch[i]
+      };
+    });
+  }
+
+  /**
+   * Remove the jumps of an angle wrapping round
+   * @param {Array<number>} angles - Angles in degrees
+   * @returns {Array<number>} Continuous angles
+   */
+  unwrap(angles) {
+    const unwrapped = [];
+    angles.forEach((angle, i) => {
+      if (i === 0) {
+        unwrapped.push(angle);
+        return;
+      }
+      let delta = (angle - angles[i - 1]) % 360;
+      if (delta > 180) delta -= 360;
+      if (delta < -180) delta += 360;
+      unwrapped.push(unwrapped[i - 1] + delta);
+    });
+    return unwrapped;
+  }
+
+  /**
+   * A sharp acceleration peak, mostly along the phone's length (its y axis)
+   * @param {Array<Object>} samples - Samples in the gesture's window
+   * @param {Object} settings - The gesture's thresholds
+   * @returns {boolean} Whether the phone moved like the gesture
+   */
+  isFlickForward(samples, settings) {
+    const peak = samples.reduce((best, sample) => sample.magnitude > best.magnitude ? sample : best);
+    return peak.magnitude >= settings.minAccel &&
+      Math.abs(peak.accel.y) / peak.magnitude >= settings.minDominance;
+  }
+
+  /**
+   * Pitch rising by enough, with the phone accelerating as it swings
+   * @param {Array<Object>} samples - Samples in the gesture's window
+   * @param {Object} settings - The gesture's thresholds
+   * @returns {boolean} Whether the phone moved like the gesture
+   */
+  isSwingUp(samples, settings) {
+    let lowest = Infinity;
+    let rise = 0;
+    samples.forEach(sample => {
+      lowest = Math.min(lowest, sample.pitch);
+      rise = Math.max(rise, sample.pitch - lowest);
+    });
+
+    const peakAccel = Math.max(...samples.map(sample => sample.magnitude));
+    return rise >= settings.minPitch && peakAccel >= settings.minAccel;
+  }
+
+  /**
+   * The pointing direction (yaw, pitch) turning most of a full loop around its
+   * centre, far enough out to be a wave rather than a tremble
+   * @param {Array<Object>} samples - Samples in the gesture's window
+   * @param {Object} settings - The gesture's thresholds
+   * @returns {boolean} Whether the phone moved like the gesture
+   */
+  isCircleWave(samples, settings) {
+    const centre = {
+      yaw: samples.reduce((sum, sample) => sum + sample.yaw, 0) / samples.length,
+      pitch: samples.reduce((sum, sample) => sum + sample.pitch, 0) / samples.length
+    };
+
+    const points = samples
+      .map(sample => ({ x: sample.yaw - centre.yaw, y: sample.pitch - centre.pitch }))
+      .filter(point => Math.hypot(point.x, point.y) >= settings.minRadius / 2);
+    if (points.length < MIN_SAMPLES) return false;
+
+    const meanRadius = points.reduce((sum, point) => sum + Math.hypot(point.x, point.y), 0) / points.length;
+    if (meanRadius < settings.minRadius) return false;
+
+    let turn = 0;
+    for (let i = 1; i < points.length; i++) {
+      let delta = Math.atan2(points[i].y, points[i].x) - Math.atan2(points[i - 1].y, points[i - 1].x);
+      if (delta > Math.PI) delta -= Math.PI * 2;
+      if (delta < -Math.PI) delta += Math.PI * 2;
+      turn += delta;
+    }
+
+    return Math.abs(turn) * 180 / Math.PI >= settings.minTurn;
+  }
+
+  /**
+   * Strong acceleration along one axis that keeps changing direction
+   * @param {Array<Object>} samples - Samples in the gesture's window
+   * @param {Object} settings - The gesture's thresholds
+   * @returns {boolean} Whether the phone moved like the gesture
+   */
+  isShake(samples, settings) {
+    // The axis the phone moves along most
+    const axis = ['x', 'y', 'z'].reduce((best, key) =>
+      samples.reduce((sum, sample) => sum + sample.accel[key] ** 2, 0) >
+      samples.reduce((sum, sample) => sum + sample.accel[best] ** 2, 0) ? key : best
+    );
+
+    let reversals = 0;
+    let lastSign = 0;
+    samples.forEach(sample => {
+      const value = sample.accel[axis];
+      if (Math.abs(value) < settings.minAccel) return;
+
+      const sign = Math.sign(value);
+      if (lastSign !== 0 && sign !== lastSign) reversals++;
+      lastSign = sign;
+    });
+
+    return reversals >= settings.minReversals;
+  }
+}
@@ -0,0 +1,192 @@
+import { PLAYER_HEALTH } from '../config.js';
+
+/**
+ * Tracks the local player's health, death and respawn.
+ * In a multiplayer room the server owns the health pool and this class only mirrors it;
+ * outside a room damage is applied locally.
+ */
+export class PlayerHealthManager {
+  /**
+   * @param {EventBus} eventBus - Application event bus
+   */
+  constructor(eventBus) {
+    this.eventBus = eventBus;
+    this.health = PLAYER_HEALTH.maxHealth;
+    this.maxHealth = PLAYER_HEALTH.maxHealth;
+    this.isDead = false;
+    this.isShielded = false;
+    this.inRoom = false;
+    this.localPlayerId = null;
+    this.respawnTimer = null;
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    this.eventBus.on('player:damage', this.handleDamage.bind(this));
+
+    // A Shield spell around the local player blocks incoming damage
+    this.eventBus.on('player:shield-changed', (data) => {
+      if (data.playerId) return;
+      this.isShielded = data.active;
+    });
+
+    this.eventBus.on('player:is-damage-blocked', (sourceType, callback) => {
+      if (typeof callback === 'function') {
+        callback(this.isDamageBlocked(sourceType));
+      }
+    });
+
+    this.eventBus.on('multiplayer:room-created', (data) => this.enterRoom(data.playerId));
+    this.eventBus.on('multiplayer:room-joined', (data) => this.enterRoom(data.playerId));
+    this.eventBus.on('multiplayer:room-left', () => {
+      this.inRoom = false;
+      this.localPlayerId = null;
+      this.reset();
+    });
+
+    // Server-authoritative updates for the local player
+    this.eventBus.on('multiplayer:player-health-update', (data) => {
+      if (data.playerId !== this.localPlayerId) return;
+      this.setHealth(data.health, data.maxHealth, data.sourceType);
+    });
+
+    this.eventBus.on('multiplayer:player-death', (data) => {
+      if (data.playerId !== this.localPlayerId) return;
+      this.die(data.sourceType, data.killerId);
+    });
+
+    this.eventBus.on('multiplayer:player-respawn', (data) => {
+      if (data.playerId !== this.localPlayerId) return;
+      this.respawn(data.health, data.maxHealth);
+    });
+
+    // Deathmatch rounds start everyone at full health
+    this.eventBus.on('deathmatch:round-started', () => {
+      if (this.inRoom) this.reset();
+    });
+
+    this.eventBus.on('player:get-health', (callback) => {
+      if (typeof callback === 'function') {
+        callback({ health: this.health, maxHealth: this.maxHealth, isDead: this.isDead });
+      }
+    });
+  }
+
+  /**
+   * Start mirroring the server's health pool for a room
+   * @param {string} playerId - Local player's socket ID
+   */
+  enterRoom(playerId) {
+    this.inRoom = true;
+    this.localPlayerId = playerId;
+    this.reset();
+  }
+
+  /**
+   * Check whether damage from a source is currently blocked
+   * @param {string} sourceType - What would cause the damage
+   * @returns {boolean} True if the local player's shield absorbs it
+   */
+  isDamageBlocked(sourceType) {
+    // A shield doesn't soften the ground
+    return this.isShielded && sourceType !== 'fall';
+  }
+
+  /**
+   * Handle damage taken by the local player
+   * @param {Object} data - Damage data
+   * @param {number} data.amount - Damage amount
+   * @param {string} [data.sourceType='generic'] - What caused the damage
+   */
+  handleDamage(data) {
+    if (this.isDead || !data || !(data.amount > 0)) return;
+
+    if (this.isDamageBlocked(data.sourceType)) {
+      this.eventBus.emit('player:damage-blocked', { amount: data.amount, sourceType: data.sourceType });
+      return;
+    }
+
+    // In a room the server validates the hit; GameStateManager forwards it
+    if (this.inRoom) return;
+
+    this.setHealth(this.health - data.amount, this.maxHealth, data.sourceType);
+
+    if (this.health <= 0) {
+      this.die(data.sourceType, null);
+      this.respawnTimer = setTimeout(() => {
+        this.respawn(this.maxHealth, this.maxHealth);
+      }, PLAYER_HEALTH.respawnDelay);
+    }
+  }
+
+  /**
+   * Update the health value and notify listeners
+   * @param {number} health - New health value
+   * @param {number} maxHealth - Maximum health
+   * @param {string} sourceType - What caused the change
+   */
+  setHealth(health, maxHealth, sourceType) {
+    const previousHealth = this.health;
+    this.maxHealth = maxHealth || this.maxHealth;
+    this.health = Math.max(0, Math.min(health, this.maxHealth));
+
+    this.eventBus.emit('player:health-changed', {
+      health: this.health,
+      maxHealth: this.maxHealth,
+      delta: this.health - previousHealth,
+      sourceType
+    });
+  }
+
+  /**
+   * Mark the local player as dead
+   * @param {string} sourceType - What killed the player
+   * @param {string|null} killerId - ID of the killing player, if any
+   */
+  die(sourceType, killerId) {
+    if (this.isDead) return;
+
+    this.isDead = true;
+    this.health = 0;
+
+    this.eventBus.emit('player:died', {
+      sourceType,
+      killerId,
+      respawnDelay: PLAYER_HEALTH.respawnDelay
+    });
+  }
+
+  /**
+   * Bring the local player back to life
+   * @param {number} health - Health after respawning
+   * @param {number} maxHealth - Maximum health
+   */
+  respawn(health, maxHealth) {
+    this.respawnTimer = null;
+    this.isDead = false;
+    this.setHealth(health, maxHealth, 'respawn');
+    this.eventBus.emit('player:respawned', { health: this.health, maxHealth: this.maxHealth });
+  }
+
+  /**
+   * Restore full health, cancelling any pending local respawn
+   */
+  reset() {
+    if (this.respawnTimer) {
+      clearTimeout(this.respawnTimer);
+      this.respawnTimer = null;
+    }
+
+    const wasDead = this.isDead;
+    this.isDead = false;
+    this.setHealth(PLAYER_HEALTH.maxHealth, PLAYER_HEALTH.maxHealth, 'reset');
+
+    if (wasDead) {
+      this.eventBus.emit('player:respawned', { health: this.health, maxHealth: this.maxHealth });
+    }
+  }
+}
@@ -0,0 +1,128 @@
+import { PLAYER_MANA } from '../config.js';
+
+/**
+ * Tracks the local player's mana. Spells spend a flat cost when cast
+ * (see Spell.castDown) and channelled spells drain mana every second they are
+ * held; a channel that runs dry is released. Mana refills after a short pause
+ * once nothing is spending it.
+ */
+export class PlayerManaManager {
+  /**
+   * @param {EventBus} eventBus - Application event bus
+   */
+  constructor(eventBus) {
+    this.eventBus = eventBus;
+    this.mana = PLAYER_MANA.maxMana;
+    this.maxMana = PLAYER_MANA.maxMana;
+    this.lastSpendTime = 0;
+
+    // Channelled spells draining mana, by spell ID
+    this.channels = new Map();
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    this.eventBus.on('scene:update', ({ delta }) => this.update(delta));
+
+    this.eventBus.on('mana:try-spend', (request, callback) => {
+      const spent = this.trySpend(request.amount, request.required);
+      if (typeof callback === 'function') {
+        callback(spent);
+      }
+    });
+
+    this.eventBus.on('mana:channel-start', (channel) => {
+      this.channels.set(channel.spellId, channel);
+    });
+
+    this.eventBus.on('mana:get', (callback) => {
+      if (typeof callback === 'function') {
+        callback({ mana: this.mana, maxMana: this.maxMana });
+      }
+    });
+
+    this.eventBus.on('player:died', () => {
+      this.channels.clear();
+    });
+
+    this.eventBus.on('player:respawned', () => this.reset());
+    this.eventBus.on('deathmatch:round-started', () => this.reset());
+  }
+
+  /**
+   * Spend mana if there is enough
+   * @param {number} amount - Mana to spend
+   * @param {number} [required=amount] - Mana needed to allow the spend, if more than the amount
+   * @returns {boolean} Whether the mana was spent
+   */
+  trySpend(amount, required = amount) {
+    if (this.mana < Math.max(amount, required)) return false;
+
+    if (amount > 0) {
+      this.setMana(this.mana - amount);
+      this.lastSpendTime = Date.now();
+    }
+    return true;
+  }
+
+  /**
+   * Drain active channels, or refill mana when nothing is using it
+   * @param {number} delta - Seconds since the last frame
+   */
+  update(delta) {
+    if (!(delta > 0)) return;
+
+    this.channels.forEach((channel, spellId) => {
+      if (!channel.isActive()) {
+        this.channels.delete(spellId);
+        return;
+      }
+
+      const cost = channel.perSecond * delta;
+      if (this.mana < cost) {
+        // Out of mana: cast with whatever was channelled so far
+        this.channels.delete(spellId);
+        this.setMana(0);
+        this.eventBus.emit('mana:depleted', { spellId });
+        channel.release();
+        return;
+      }
+
+      this.setMana(this.mana - cost);
+      this.lastSpendTime = Date.now();
+    });
+
+    if (this.channels.size === 0 && Date.now() - this.lastSpendTime >= PLAYER_MANA.regenDelay * 1000) {
+      this.setMana(this.mana + PLAYER_MANA.regenPerSecond * delta);
+    }
+  }
+
+  /**
+   * Update the mana pool and notify listeners of visible changes
+   * @param {number} value - New mana
+   */
+  setMana(value) {
+    const previous = this.mana;
+    this.mana = Math.max(0, Math.min(this.maxMana, value));
+
+    if (Math.round(previous * 2) !== Math.round(this.mana * 2)) {
+      this.eventBus.emit('player:mana-changed', {
+        mana: this.mana,
+        maxMana: this.maxMana
+      });
+    }
+  }
+
+  /**
+   * Refill mana and forget any channels
+   */
+  reset() {
+    this.channels.clear();
+    this.lastSpendTime = 0;
+    this.setMana(this.maxMana);
+  }
+}
@@ -31,6 +31,12 @@ export class PlayerManager {
     this.eventBus.on('multiplayer:room-left', this.handleRoomLeft.bind(this));
     this.eventBus.on('multiplayer:room-created', this.handleRoomCreated.bind(this));
     
+    // Show status effects on remote players
+    this.eventBus.on('status:changed', (data) => {
+      if (!data.isPlayer || !this.players.has(data.targetId)) return;
+      this.players.get(data.targetId).setStatusTint(data.effects.length > 0 ? data.modifiers.tint : null);
+    });
+    
     // Animation update
     this.eventBus.on('scene:update', this.update.bind(this));
   }
@@ -0,0 +1,211 @@
+import * as THREE from 'three';
+import { PVP_DAMAGE } from '../config.js';
+
+// Remote players are tracked by their camera position; their capsule body
+// reaches roughly one unit above and below it
+const PLAYER_BODY_RADIUS = 0.5;
+const PLAYER_BODY_HALF_HEIGHT = 1.0;
+
+/**
+ * Detects damage the local player deals to remote players in deathmatch rooms.
+ * Hits are only reported as `player:hit` events; the server confirms them and
+ * owns every player's health.
+ */
+export class PvPManager {
+  /**
+   * @param {EventBus} eventBus - Application event bus
+   * @param {GameStateManager} gameStateManager - Source of room and remote player state
+   * @param {PhysicsManager} physicsManager - Source of thrown physics objects
+   */
+  constructor(eventBus, gameStateManager, physicsManager) {
+    this.eventBus = eventBus;
+    this.gameStateManager = gameStateManager;
+    this.physicsManager = physicsManager;
+    this.isLocalPlayerDead = false;
+
+    // "objectId:playerId" -> time of the last reported object hit
+    this.objectHitTimes = new Map();
+
+    // Remote players behind a Shield spell can't be hurt
+    this.shieldedPlayerIds = new Set();
+
+    this.tempObjectPosition = new THREE.Vector3();
+    this.tempPlayerPosition = new THREE.Vector3();
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    this.eventBus.on('scene:update', this.checkThrownObjectHits.bind(this));
+    this.eventBus.on('pvp:area-damage', this.handleAreaDamage.bind(this));
+
+    // Projectiles ask whether they have reached a remote player
+    this.eventBus.on('pvp:get-players-in-radius', (position, radius, callback) => {
+      if (typeof callback === 'function') {
+        callback(this.getPlayersInRadius(position, radius));
+      }
+    });
+
+    this.eventBus.on('player:shield-changed', (data) => {
+      if (!data.playerId) return; // The local player's shield is handled by PlayerHealthManager
+      if (data.active) {
+        this.shieldedPlayerIds.add(data.playerId);
+      } else {
+        this.shieldedPlayerIds.delete(data.playerId);
+      }
+    });
+
+    this.eventBus.on('player:died', () => {
+      this.isLocalPlayerDead = true;
+    });
+
+    this.eventBus.on('player:respawned', () => {
+      this.isLocalPlayerDead = false;
+    });
+
+    this.eventBus.on('multiplayer:room-left', () => {
+      this.objectHitTimes.clear();
+      this.shieldedPlayerIds.clear();
+    });
+  }
+
+  /**
+   * Check whether damage between players is currently possible
+   * @returns {boolean} True in a deathmatch room while the local player is alive
+   */
+  isActive() {
+    return this.gameStateManager.getGameMode() === 'deathmatch' && !this.isLocalPlayerDead;
+  }
+
+  /**
+   * Get the living, unshielded remote players with a known position
+   * @returns {Array<{id: string, position: THREE.Vector3}>} Remote players
+   */
+  getTargets() {
+    const targets = [];
+
+    this.gameStateManager.getPlayers().forEach((player, playerId) => {
+      const state = player.lastState;
+      if (!state || !state.position || state.isDead) return;
+      if (this.shieldedPlayerIds.has(playerId)) return;
+
+      targets.push({
+        id: playerId,
+        position: new THREE.Vector3(state.position.x, state.position.y, state.position.z)
+      });
+    });
+
+    return targets;
+  }
+
+  /**
+   * Get the distance from a point to a remote player's body
+   * @param {THREE.Vector3} point - World-space point
+   * @param {THREE.Vector3} playerPosition - Remote player's camera position
+   * @returns {number} Distance to the body surface (negative when inside)
+   */
+  distanceToPlayer(point, playerPosition) {
+    // Closest point on the vertical segment through the player's body
+    this.tempPlayerPosition.copy(playerPosition);
+    this.tempPlayerPosition.y = THREE.MathUtils.clamp(
+      point.y,
+      playerPosition.y - PLAYER_BODY_HALF_HEIGHT,
+      playerPosition.y + PLAYER_BODY_HALF_HEIGHT
+    );
+
+    return point.distanceTo(this.tempPlayerPosition) - PLAYER_BODY_RADIUS;
+  }
+
+  /**
+   * Find the remote players that can be hurt within a radius of a point
+   * @param {{x: number, y: number, z: number}} position - Center of the area
+   * @param {number} radius - Radius of the area
+   * @returns {Array<string>} IDs of the players in range
+   */
+  getPlayersInRadius(position, radius) {
+    if (!this.isActive() || !position) return [];
+
+    const center = this.tempObjectPosition.set(position.x, position.y, position.z);
+    return this.getTargets()
+      .filter(target => this.distanceToPlayer(center, target.position) <= radius)
+      .map(target => target.id);
+  }
+
+  /**
+   * Resolve area damage (e.g. a black hole) against remote players
+   * @param {Object} data - Area damage data
+   * @param {THREE.Vector3} data.position - Center of the area
+   * @param {number} data.radius - Radius of the area
+   * @param {number} data.damage - Damage to each player in range
+   * @param {string} data.sourceType - PvP damage source reported to the server
+   * @param {Object} [data.status] - Status effect left on each player hit ({ type, duration })
+   */
+  handleAreaDamage(data) {
+    if (!data) return;
+
+    this.getPlayersInRadius(data.position, data.radius).forEach(targetId => {
+      this.eventBus.emit('player:hit', {
+        targetId,
+        damage: data.damage,
+        sourceType: data.sourceType,
+        status: data.status
+      });
+    });
+  }
+
+  /**
+   * Check fast-moving objects thrown by the local player against remote players
+   */
+  checkThrownObjectHits() {
+    if (!this.isActive()) return;
+
+    const targets = this.getTargets();
+    if (targets.length === 0) return;
+
+    const now = Date.now();
+
+    this.physicsManager.physicsBodies.forEach((physicsObj, objectId) => {
+      const { body, mesh } = physicsObj;
+
+      // Held objects are carried, not thrown; remote-owned objects are checked by their owner
+      if (!body || !mesh || body === this.physicsManager.heldBody) return;
+      if (!this.physicsManager.isLocallyOwned(physicsObj)) return;
+
+      const speed = body.velocity.length();
+      if (speed < PVP_DAMAGE.objectMinSpeed) return;
+
+      if (!mesh.geometry.boundingSphere) {
+        mesh.geometry.computeBoundingSphere();
+      }
+      const objectRadius = mesh.geometry.boundingSphere.radius;
+      this.tempObjectPosition.set(body.position.x, body.position.y, body.position.z);
+
+      targets.forEach(target => {
+        const distance = this.distanceToPlayer(this.tempObjectPosition, target.position);
+        if (distance > objectRadius + PVP_DAMAGE.objectHitRadius) return;
+
+        const hitKey = `${objectId}:${target.id}`;
+        if (now - (this.objectHitTimes.get(hitKey) || 0) < PVP_DAMAGE.objectHitCooldown) return;
+        this.objectHitTimes.set(hitKey, now);
+
+        this.eventBus.emit('player:hit', {
+          targetId: target.id,
+          damage: speed * PVP_DAMAGE.objectDamagePerSpeed,
+          sourceType: 'object'
+        });
+      });
+    });
+
+    // Forget cooldowns that have expired
+    if (this.objectHitTimes.size > 100) {
+      this.objectHitTimes.forEach((time, key) => {
+        if (now - time >= PVP_DAMAGE.objectHitCooldown) {
+          this.objectHitTimes.delete(key);
+        }
+      });
+    }
+  }
+}
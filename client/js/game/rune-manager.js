@@ -0,0 +1,67 @@
+import { RuneRecognizer } from './rune-recognizer.js';
+
+/**
+ * Owns rune drawing mode. While it is on, strokes drawn on the phone's touch
+ * screen are recognized and announced as `rune:recognized` (which WeaponView
+ * turns into a spell cast) or `rune:unrecognized`.
+ */
+export class RuneManager {
+  /**
+   * @param {EventBus} eventBus - Application event bus
+   */
+  constructor(eventBus) {
+    this.eventBus = eventBus;
+    this.recognizer = new RuneRecognizer();
+    this.enabled = false;
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    this.eventBus.on('rune:toggle-mode', () => {
+      this.setEnabled(!this.enabled);
+    });
+
+    this.eventBus.on('rune:stroke-received', this.handleStroke.bind(this));
+
+    this.eventBus.on('mobile:disconnected', () => {
+      this.setEnabled(false);
+    });
+
+    this.eventBus.on('player:died', () => {
+      this.setEnabled(false);
+    });
+  }
+
+  /**
+   * Turn rune drawing mode on or off
+   * @param {boolean} enabled - Whether touch strokes draw runes
+   */
+  setEnabled(enabled) {
+    if (this.enabled === enabled) return;
+
+    this.enabled = enabled;
+    this.eventBus.emit('rune:mode-changed', { enabled });
+  }
+
+  /**
+   * Recognize a completed stroke from the phone
+   * @param {Object} data - Stroke data
+   * @param {Array<{x: number, y: number, t: number}>} data.points - Normalized touch points
+   */
+  handleStroke(data) {
+    if (!this.enabled || !data || !Array.isArray(data.points)) return;
+
+    const points = data.points.filter(point => Number.isFinite(point.x) && Number.isFinite(point.y));
+    const { shape, confidence } = this.recognizer.recognize(points);
+
+    if (shape) {
+      this.eventBus.emit('rune:recognized', { shape, confidence, points });
+    } else {
+      this.eventBus.emit('rune:unrecognized', { confidence, points });
+    }
+  }
+}
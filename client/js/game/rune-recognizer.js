@@ -0,0 +1,345 @@
+import { RUNE_RECOGNITION } from '../config.js';
+
+// Strokes are normalized into a square of this size before comparison
+const SQUARE_SIZE = 250;
+const HALF_DIAGONAL = 0.5 * Math.sqrt(2 * SQUARE_SIZE * SQUARE_SIZE);
+
+// Rotation search range and precision for matching (radians)
+const ANGLE_RANGE = Math.PI / 4;
+const ANGLE_PRECISION = Math.PI / 90;
+const PHI = 0.5 * (-1 + Math.sqrt(5));
+
+// A stroke that never strays further than this from the line between its ends
+// (relative to that line's length) is a straight swipe, not a rune
+const STRAIGHT_LINE_DEVIATION = 0.1;
+
+/**
+ * Template-based recognizer for single-stroke runes (the "$1 unistroke" method).
+ * Strokes and templates are resampled to the same number of points, rotated so
+ * the first point sits at a fixed angle around the centroid, scaled to a square
+ * and compared point by point. Templates are stored in both drawing directions,
+ * so a circle drawn clockwise matches as well as one drawn anticlockwise.
+ */
+export class RuneRecognizer {
+  constructor() {
+    this.templates = [];
+    this.addDefaultTemplates();
+  }
+
+  /**
+   * Add a template for a shape
+   * @param {string} shape - Shape name the template recognizes
+   * @param {Array<{x: number, y: number}>} points - Template stroke
+   * @param {boolean} [bothDirections=true] - Also add the template drawn in reverse
+   */
+  addTemplate(shape, points, bothDirections = true) {
+    this.templates.push({ shape, points: this.normalize(points) });
+
+    if (bothDirections) {
+      this.templates.push({ shape, points: this.normalize(points.slice().reverse()) });
+    }
+  }
+
+  /**
+   * Get the names of all recognizable shapes
+   * @returns {Array<string>} Shape names
+   */
+  getShapes() {
+    return [...new Set(this.templates.map(template => template.shape))];
+  }
+
+  /**
+   * Recognize a stroke
+   * @param {Array<{x: number, y: number}>} points - Stroke in screen coordinates (y down)
+   * @returns {{shape: string|null, confidence: number}} Best matching shape, or null
+   *   when the stroke is too short or no template is close enough
+   */
+  recognize(points) {
+    if (!points || points.length < RUNE_RECOGNITION.minPoints) {
+      return { shape: null, confidence: 0 };
+    }
+
+    // Taps and tiny scribbles are not runes
+    const box = this.boundingBox(points);
+    if (Math.max(box.width, box.height) < RUNE_RECOGNITION.minSize) {
+      return { shape: null, confidence: 0 };
+    }
+
+    if (this.isStraightLine(points)) {
+      return { shape: null, confidence: 0 };
+    }
+
+    const candidate = this.normalize(points);
+
+    let bestDistance = Infinity;
+    let bestShape = null;
+    for (const template of this.templates) {
+      const distance = this.distanceAtBestAngle(candidate, template.points);
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        bestShape = template.shape;
+      }
+    }
+
+    const confidence = Math.max(0, 1 - bestDistance / HALF_DIAGONAL);
+    if (confidence < RUNE_RECOGNITION.minConfidence) {
+      return { shape: null, confidence };
+    }
+
+    return { shape: bestShape, confidence };
+  }
+
+  /**
+   * Check whether a stroke is a straight swipe
+   * @param {Array<{x: number, y: number}>} points - Stroke
+   * @returns {boolean} True if every point lies close to the line between the ends
+   */
+  isStraightLine(points) {
+    const start = points[0];
+    const end = points[points.length - 1];
+    const length = Math.hypot(end.x - start.x, end.y - start.y);
+
+    // Closed shapes end where they started
+    if (length < RUNE_RECOGNITION.minSize) return false;
+
+    const maxDeviation = Math.max(...points.map(point =>
+      Math.abs((end.x - start.x) * (start.y - point.y) - (start.x - point.x) * (end.y - start.y)) / length
+    ));
+
+    return maxDeviation / length < STRAIGHT_LINE_DEVIATION;
+  }
+
+  /**
+   * Resample, rotate, scale and center a stroke
+   * @param {Array<{x: number, y: number}>} points - Raw stroke
+   * @returns {Array<{x: number, y: number}>} Normalized stroke
+   */
+  normalize(points) {
+    let normalized = this.resample(points, RUNE_RECOGNITION.resamplePoints);
+    normalized = this.rotateBy(normalized, -this.indicativeAngle(normalized));
+    normalized = this.scaleToSquare(normalized);
+    return this.translateToOrigin(normalized);
+  }
+
+  /**
+   * Resample a stroke into evenly spaced points
+   * @param {Array<{x: number, y: number}>} points - Stroke
+   * @param {number} count - Number of points to produce
+   * @returns {Array<{x: number, y: number}>} Resampled stroke
+   */
+  resample(points, count) {
+    const interval = this.pathLength(points) / (count - 1);
+    const source = points.map(point => ({ x: point.x, y: point.y }));
+    const resampled = [{ ...source[0] }];
+    let accumulated = 0;
+
+    for (let i = 1; i < source.length; i++) {
+      const previous = source[i - 1];
+      const current = source[i];
+      const segment = Math.hypot(current.x - previous.x, current.y - previous.y);
+
+      if (interval > 0 && accumulated + segment >= interval) {
+        const t = (interval - accumulated) / segment;
+        const point = {
+          x: previous.x + t * (current.x - previous.x),
+          y: previous.y + t * (current.y - previous.y)
+        };
+        resampled.push(point);
+        // The new point starts the next segment
+        source.splice(i, 0, point);
+        accumulated = 0;
+      } else {
+        accumulated += segment;
+      }
+    }
+
+    // Rounding can leave the last point out
+    while (resampled.length < count) {
+      resampled.push({ ...source[source.length - 1] });
+    }
+
+    return resampled.slice(0, count);
+  }
+
+  /**
+   * Angle from the centroid to the first point
+   * @param {Array<{x: number, y: number}>} points - Stroke
+   * @returns {number} Angle in radians
+   */
+  indicativeAngle(points) {
+    const centroid = this.centroid(points);
+    return Math.atan2(centroid.y - points[0].y, centroid.x - points[0].x);
+  }
+
+  /**
+   * Rotate a stroke around its centroid
+   * @param {Array<{x: number, y: number}>} points - Stroke
+   * @param {number} angle - Rotation in radians
+   * @returns {Array<{x: number, y: number}>} Rotated stroke
+   */
+  rotateBy(points, angle) {
+    const centroid = this.centroid(points);
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+
+    return points.map(point => ({
+      x: (point.x - centroid.x) * cos - (point.y - centroid.y) * sin + centroid.x,
+      y: (point.x - centroid.x) * sin + (point.y - centroid.y) * cos + centroid.y
+    }));
+  }
+
+  /**
+   * Scale a stroke to fill the reference square
+   * @param {Array<{x: number, y: number}>} points - Stroke
+   * @returns {Array<{x: number, y: number}>} Scaled stroke
+   */
+  scaleToSquare(points) {
+    const box = this.boundingBox(points);
+    // Guard against perfectly straight strokes, which have no extent along one axis
+    const width = Math.max(box.width, 1e-6);
+    const height = Math.max(box.height, 1e-6);
+
+    return points.map(point => ({
+      x: point.x * (SQUARE_SIZE / width),
+      y: point.y * (SQUARE_SIZE / height)
+    }));
+  }
+
+  /**
+   * Move a stroke so its centroid is at the origin
+   * @param {Array<{x: number, y: number}>} points - Stroke
+   * @returns {Array<{x: number, y: number}>} Centered stroke
+   */
+  translateToOrigin(points) {
+    const centroid = this.centroid(points);
+    return points.map(point => ({ x: point.x - centroid.x, y: point.y - centroid.y }));
+  }
+
+  /**
+   * Find the smallest distance between a stroke and a template over a range of rotations
+   * @param {Array<{x: number, y: number}>} points - Normalized stroke
+   * @param {Array<{x: number, y: number}>} template - Normalized template
+   * @returns {number} Average point distance at the best rotation
+   */
+  distanceAtBestAngle(points, template) {
+    // Golden section search over the rotation
+    let a = -ANGLE_RANGE;
+    let b = ANGLE_RANGE;
+    let x1 = PHI * a + (1 - PHI) * b;
+    let f1 = this.distanceAtAngle(points, template, x1);
+    let x2 = (1 - PHI) * a + PHI * b;
+    let f2 = this.distanceAtAngle(points, template, x2);
+
+    while (Math.abs(b - a) > ANGLE_PRECISION) {
+      if (f1 < f2) {
+        b = x2;
+        x2 = x1;
+        f2 = f1;
+        x1 = PHI * a + (1 - PHI) * b;
+        f1 = this.distanceAtAngle(points, template, x1);
+      } else {
+        a = x1;
+        x1 = x2;
+        f1 = f2;
+        x2 = (1 - PHI) * a + PHI * b;
+        f2 = this.distanceAtAngle(points, template, x2);
+      }
+    }
+
+    return Math.min(f1, f2);
+  }
+
+  /**
+   * Distance between a rotated stroke and a template
+   * @param {Array<{x: number, y: number}>} points - Normalized stroke
+   * @param {Array<{x: number, y: number}>} template - Normalized template
+   * @param {number} angle - Rotation to apply to the stroke
+   * @returns {number} Average point distance
+   */
+  distanceAtAngle(points, template, angle) {
+    const rotated = this.rotateBy(points, angle);
+    let total = 0;
+    for (let i = 0; i < rotated.length; i++) {
+      total += Math.hypot(rotated[i].x - template[i].x, rotated[i].y - template[i].y);
+    }
+    return total / rotated.length;
+  }
+
+  /**
+   * Total length of a stroke
+   * @param {Array<{x: number, y: number}>} points - Stroke
+   * @returns {number} Path length
+   */
+  pathLength(points) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+      length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+    }
+    return length;
+  }
+
+  /**
+   * Average position of a stroke's points
+   * @param {Array<{x: number, y: number}>} points - Stroke
+   * @returns {{x: number, y: number}} Centroid
+   */
+  centroid(points) {
+    const sum = points.reduce((acc, point) => ({ x: acc.x + point.x, y: acc.y + point.y }), { x: 0, y: 0 });
+    return { x: sum.x / points.length, y: sum.y / points.length };
+  }
+
+  /**
+   * Axis-aligned bounds of a stroke
+   * @param {Array<{x: number, y: number}>} points - Stroke
+   * @returns {{minX: number, minY: number, width: number, height: number}} Bounding box
+   */
+  boundingBox(points) {
+    const xs = points.map(point => point.x);
+    const ys = points.map(point => point.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    return { minX, minY, width: Math.max(...xs) - minX, height: Math.max(...ys) - minY };
+  }
+
+  /**
+   * Register the built-in rune shapes
+   */
+  addDefaultTemplates() {
+    // Circle, starting at the top
+    const circle = [];
+    for (let i = 0; i <= 32; i++) {
+      const angle = -Math.PI / 2 + (i / 32) * Math.PI * 2;
+      circle.push({ x: Math.cos(angle), y: Math.sin(angle) });
+    }
+    this.addTemplate('circle', circle);
+
+    // Triangle, starting at the top corner
+    this.addTemplate('triangle', [
+      { x: 0, y: -1 }, { x: 0.87, y: 0.5 }, { x: -0.87, y: 0.5 }, { x: 0, y: -1 }
+    ]);
+
+    // Square, starting at the top-left corner
+    this.addTemplate('square', [
+      { x: -1, y: -1 }, { x: 1, y: -1 }, { x: 1, y: 1 }, { x: -1, y: 1 }, { x: -1, y: -1 }
+    ]);
+
+    // Zigzag with two or three peaks, drawn left to right
+    this.addTemplate('zigzag', [
+      { x: 0, y: 1 }, { x: 1, y: 0 }, { x: 2, y: 1 }, { x: 3, y: 0 }, { x: 4, y: 1 }
+    ]);
+    this.addTemplate('zigzag', [
+      { x: 0, y: 1 }, { x: 1, y: 0 }, { x: 2, y: 1 }, { x: 3, y: 0 }, { x: 4, y: 1 }, { x: 5, y: 0 }, { x: 6, y: 1 }
+    ]);
+
+    // Spiral: two and a half turns outward from the center
+    const spiral = [];
+    for (let i = 0; i <= 60; i++) {
+      const t = i / 60;
+      const angle = t * Math.PI * 5;
+      spiral.push({ x: t * Math.cos(angle), y: t * Math.sin(angle) });
+    }
+    this.addTemplate('spiral', spiral);
+    // Mirror image, for spirals wound the other way
+    this.addTemplate('spiral', spiral.map(point => ({ x: -point.x, y: point.y })));
+  }
+}
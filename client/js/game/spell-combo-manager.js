@@ -0,0 +1,358 @@
+import * as THREE from 'three';
+import { SPELL_COMBOS, PVP_DAMAGE } from '../config.js';
+import { SpellEffects } from './spells/spell-effects.js';
+
+// Physics objects made by the object conjuring spell
+const CONJURED_OBJECT_PREFIXES = ['spawned_', 'channeled_'];
+
+/**
+ * Detects spell combos (see SPELL_COMBOS) from the spell events on the event
+ * bus and plays their effects:
+ * - Prism Singularity: Zoltraak fired through an active black hole splits
+ *   into several beams fanning out from the core
+ * - Gravity Bomb: conjured objects caught in a black hole detonate when it
+ *   collapses
+ * - Airlift: flying while holding an object with the gravity gun carries it
+ *
+ * Casts from other players count too, so two players can combo together.
+ * Every client plays the effects it sees, but only one deals the damage and
+ * reports the combo for bonus score: the laser's caster, the detonating
+ * object's owner and the flying player respectively. Players are identified
+ * by their socket ID, with null for the local player.
+ */
+export class SpellComboManager {
+  /**
+   * @param {EventBus} eventBus - Application event bus
+   * @param {THREE.Scene} scene - Scene the combo effects are added to
+   * @param {PhysicsManager} physicsManager - Source of conjured objects
+   */
+  constructor(eventBus, scene, physicsManager) {
+    this.eventBus = eventBus;
+    this.scene = scene;
+    this.physicsManager = physicsManager;
+    this.localPlayerId = null;
+
+    // Active black holes by ID, each with { id, casterId, position }
+    this.blackHoles = new Map();
+
+    // Airlift: the local player's flight and held object
+    this.isFlying = false;
+    this.heldObjectId = null;
+    this.isCarrying = false;
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    this.eventBus.on('spell:cast', (data) => this.handleCast(data, null));
+    this.eventBus.on('spell:remote-cast', (data) => this.handleCast(data, data.playerId));
+
+    this.eventBus.on('spell:black-hole-created', (data) => {
+      this.blackHoles.set(data.id, {
+        id: data.id,
+        casterId: data.casterId ?? null,
+        position: new THREE.Vector3().copy(data.position)
+      });
+    });
+
+    this.eventBus.on('spell:black-hole-collapsed', (data) => {
+      this.blackHoles.delete(data.id);
+      this.detonateConjuredObjects(data);
+    });
+
+    this.eventBus.on('spell:black-hole-removed', (data) => {
+      this.blackHoles.delete(data.id);
+    });
+
+    this.eventBus.on('physics:object-pickup', (data) => {
+      if (data.playerId !== 'local') return;
+      this.heldObjectId = data.id;
+      this.updateAirlift();
+    });
+
+    this.eventBus.on('physics:object-drop', (data) => {
+      if (data.playerId !== 'local') return;
+      this.heldObjectId = null;
+      this.updateAirlift();
+    });
+
+    this.eventBus.on('player:flight-ended', () => {
+      this.isFlying = false;
+      this.updateAirlift();
+    });
+
+    this.eventBus.on('player:died', () => {
+      this.isFlying = false;
+      this.updateAirlift();
+    });
+
+    // Partners are credited by the server when another player reports the combo
+    this.eventBus.on('combo:scored', (data) => {
+      const [reporterId, ...partnerIds] = data.playerIds || [];
+      if (reporterId === this.localPlayerId || !partnerIds.includes(this.localPlayerId)) return;
+      this.showNotification(data.comboId, data.points);
+    });
+
+    this.eventBus.on('multiplayer:room-created', (data) => {
+      this.localPlayerId = data.playerId || null;
+    });
+
+    this.eventBus.on('multiplayer:room-joined', (data) => {
+      this.localPlayerId = data.playerId || null;
+    });
+
+    this.eventBus.on('multiplayer:room-left', () => {
+      this.localPlayerId = null;
+    });
+  }
+
+  /**
+   * Check a local or remote cast for combos
+   * @param {Object} data - Cast data (see Spell.castDown)
+   * @param {string|null} casterId - Player who cast it (null for the local player)
+   */
+  handleCast(data, casterId) {
+    if (!data || !data.spellData || !data.spellData.isKeyUp) return;
+
+    if (data.spellId === 'laserBeam') {
+      this.checkPrismSingularity(data, casterId);
+    } else if (data.spellId === 'flight' && casterId === null) {
+      this.isFlying = true;
+      this.updateAirlift();
+    }
+  }
+
+  /**
+   * Split a Zoltraak beam that passed through an active black hole
+   * @param {Object} data - The laser's cast data
+   * @param {string|null} casterId - Player who fired it
+   */
+  checkPrismSingularity(data, casterId) {
+    const combo = SPELL_COMBOS.prismSingularity;
+    if (!data.targetPosition || !data.targetDirection) return;
+
+    const ray = new THREE.Ray(
+      new THREE.Vector3().copy(data.targetPosition),
+      new THREE.Vector3().copy(data.targetDirection).normalize()
+    );
+
+    // The first black hole in front of the caster that the beam passes through
+    const toHole = new THREE.Vector3();
+    const blackHole = [...this.blackHoles.values()].find(hole =>
+      toHole.subVectors(hole.position, ray.origin).dot(ray.direction) > 0 &&
+      ray.distanceSqToPoint(hole.position) <= combo.hitRadius * combo.hitRadius &&
+      (!combo.sameCaster || hole.casterId === casterId)
+    );
+    if (!blackHole) return;
+
+    const damage = (data.spellData.damage || 0) * combo.damageMultiplier;
+    this.getSplitDirections(ray.direction, combo).forEach(direction => {
+      const end = blackHole.position.clone().addScaledVector(direction, combo.beamRange);
+
+      SpellEffects.createBeam({ scene: this.scene }, {
+        start: blackHole.position,
+        end,
+        width: Math.max(0.1, (data.spellData.beamWidth || 0.1) * 0.7),
+        duration: 0.6,
+        color: 0xAA44FF
+      });
+
+      // Only the laser's caster deals damage, so each split beam is counted once
+      if (casterId === null) {
+        this.damageLine(blackHole.position, end, combo.beamHitRadius, damage);
+      }
+    });
+
+    this.eventBus.emit('audio:play', { sound: 'objectRelease', volume: 0.8, pitch: 0.7 });
+    this.trigger('prismSingularity', blackHole.position, casterId, blackHole.casterId);
+  }
+
+  /**
+   * Get the directions of a split beam, evenly spread on a cone around the original
+   * @param {THREE.Vector3} direction - Normalized direction of the original beam
+   * @param {Object} combo - The combo's SPELL_COMBOS entry
+   * @returns {Array<THREE.Vector3>} Normalized directions
+   */
+  getSplitDirections(direction, combo) {
+    // Any vector perpendicular to the beam, the same on every client
+    const reference = Math.abs(direction.y) < 0.9 ? new THREE.Vector3(0, 1, 0) : new THREE.Vector3(1, 0, 0);
+    const perpendicular = new THREE.Vector3().crossVectors(direction, reference).normalize();
+    const spread = THREE.MathUtils.degToRad(combo.spreadAngle);
+
+    return Array.from({ length: combo.beamCount }, (_, i) => {
+      const offset = perpendicular.clone().applyAxisAngle(direction, (i / combo.beamCount) * Math.PI * 2);
+      return direction.clone().multiplyScalar(Math.cos(spread))
+        .addScaledVector(offset, Math.sin(spread))
+        .normalize();
+    });
+  }
+
+  /**
+   * Damage every enemy and player along a line
+   * @param {THREE.Vector3} start - Start of the line
+   * @param {THREE.Vector3} end - End of the line
+   * @param {number} hitRadius - Distance from the line that still hits
+   * @param {number} damage - Enemy damage; players take Zoltraak's PvP multiple of it
+   */
+  damageLine(start, end, hitRadius, damage) {
+    if (!(damage > 0)) return;
+
+    const enemyIds = new Set();
+    const playerIds = new Set();
+
+    // Sweep overlapping spheres along the line
+    const steps = Math.max(1, Math.ceil(start.distanceTo(end) / hitRadius));
+    const point = new THREE.Vector3();
+    for (let i = 0; i <= steps; i++) {
+      point.lerpVectors(start, end, i / steps);
+
+      this.eventBus.emit('enemies:get-in-radius', point, hitRadius, (enemies) => {
+        enemies.forEach(({ id }) => enemyIds.add(id));
+      });
+      this.eventBus.emit('pvp:get-players-in-radius', point, hitRadius, (ids) => {
+        ids.forEach(id => playerIds.add(id));
+      });
+    }
+
+    enemyIds.forEach(targetId => {
+      this.eventBus.emit('spell:hit', {
+        targetId,
+        spellId: 'laserBeam',
+        power: damage
+      });
+    });
+
+    playerIds.forEach(targetId => {
+      this.eventBus.emit('player:hit', {
+        targetId,
+        damage: damage * PVP_DAMAGE.laserMultiplier,
+        sourceType: 'laser'
+      });
+    });
+  }
+
+  /**
+   * Detonate the conjured objects a collapsing black hole had caught
+   * @param {Object} data - Collapse data
+   * @param {string} data.id - Black hole ID
+   * @param {{x: number, y: number, z: number}} data.position - Center of the black hole
+   * @param {string|null} [data.casterId] - Player who cast it
+   */
+  detonateConjuredObjects(data) {
+    const combo = SPELL_COMBOS.gravityBomb;
+    const center = new THREE.Vector3().copy(data.position);
+    const casterId = data.casterId ?? null;
+    let detonatedLocally = false;
+
+    this.physicsManager.physicsBodies.forEach((physicsObj, objectId) => {
+      if (!CONJURED_OBJECT_PREFIXES.some(prefix => objectId.startsWith(prefix))) return;
+
+      const position = new THREE.Vector3().copy(physicsObj.body.position);
+      if (position.distanceTo(center) > combo.captureRadius) return;
+
+      SpellEffects.createFireballExplosion({ scene: this.scene }, {
+        position,
+        radius: combo.explosionRadius,
+        color: 0x9900FF,
+        coreColor: 0xFFAAFF
+      });
+
+      // The object's owner deals the damage and removes it for everyone
+      if (!this.physicsManager.isLocallyOwned(physicsObj)) return;
+      detonatedLocally = true;
+
+      this.eventBus.emit('enemies:get-in-radius', position, combo.explosionRadius, (enemies) => {
+        enemies.forEach(({ id, distance }) => {
+          this.eventBus.emit('spell:hit', {
+            targetId: id,
+            spellId: 'objectSpawner',
+            // Full damage at the center, half at the edge
+            power: combo.damage * (1 - 0.5 * distance / combo.explosionRadius),
+            hitPoint: position
+          });
+        });
+      });
+
+      this.eventBus.emit('pvp:area-damage', {
+        position,
+        radius: combo.explosionRadius,
+        damage: combo.pvpDamage,
+        sourceType: 'object'
+      });
+
+      this.eventBus.emit('physics:remove-object', { id: objectId });
+    });
+
+    if (detonatedLocally) {
+      this.eventBus.emit('audio:play', { sound: 'blackHole', volume: 0.9, pitch: 1.4 });
+      this.trigger('gravityBomb', center, null, casterId);
+    }
+  }
+
+  /**
+   * Start or stop carrying the held object as the local player's flight and grip change
+   */
+  updateAirlift() {
+    const carrying = this.isFlying && this.heldObjectId !== null;
+    if (carrying === this.isCarrying) return;
+
+    this.isCarrying = carrying;
+    this.eventBus.emit('physics:set-carry', {
+      active: carrying,
+      response: SPELL_COMBOS.airlift.carryResponse
+    });
+
+    if (carrying) {
+      let position = null;
+      this.eventBus.emit('camera:get-position', (cameraPosition) => {
+        position = cameraPosition;
+      });
+      this.trigger('airlift', position, null, null);
+    }
+  }
+
+  /**
+   * Announce a combo. The local player's combos are reported for bonus score.
+   * @param {string} comboId - Key of SPELL_COMBOS
+   * @param {THREE.Vector3|null} position - Where it happened
+   * @param {string|null} casterId - Player whose spell completed the combo
+   * @param {string|null} partnerId - Player whose spell it completed
+   */
+  trigger(comboId, position, casterId, partnerId) {
+    const combo = SPELL_COMBOS[comboId];
+    const isLocal = casterId === null;
+
+    this.eventBus.emit('combo:triggered', {
+      comboId,
+      label: combo.label,
+      score: combo.score,
+      position: position ? position.clone() : null,
+      casterId,
+      partnerId,
+      isLocal
+    });
+
+    if (isLocal) {
+      this.showNotification(comboId, combo.score);
+    }
+  }
+
+  /**
+   * Tell the local player they scored a combo
+   * @param {string} comboId - Key of SPELL_COMBOS
+   * @param {number} points - Bonus score awarded
+   */
+  showNotification(comboId, points) {
+    const combo = SPELL_COMBOS[comboId];
+    if (!combo) return;
+
+    this.eventBus.emit('notification:show', {
+      message: `Combo: ${combo.label}! +${points}`,
+      duration: 2500,
+      type: 'spell'
+    });
+  }
+}
@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 import { Spell } from './spell.js';
 import { SpellEffects } from './spell-effects.js';
+import { PVP_DAMAGE } from '../../config.js';
 
 /**
  * BlackHoleSpell - Creates a singularity that attracts and then explodes physics objects
@@ -11,6 +12,7 @@ export class BlackHoleSpell extends Spell {
    * @param {EventBus} options.eventBus - Event bus for communication
    * @param {number} options.page - Page number in the spellbook
    * @param {number} [options.cooldown=8] - Cooldown time in seconds
+   * @param {number} [options.manaCost=0] - Mana spent per cast
    * @param {number} [options.duration=3] - Duration of black hole effect in seconds
    * @param {number} [options.strength=10] - Gravitational pull strength
    */
@@ -18,10 +20,12 @@ export class BlackHoleSpell extends Spell {
     super({
       id: 'blackHole',
       name: 'Singularity',
-      shape: 'space', // Changed to use spacebar like object spawner
-      description: 'Creates a localized gravitational singularity that attracts nearby objects before violently exploding.',
+      shape: 'spiral',
+      allowSpaceCast: true,
+      description: 'Draw a spiral or press SPACE to create a localized gravitational singularity that attracts nearby objects before violently exploding.',
       page: options.page,
       cooldown: options.cooldown || 8, // Longer cooldown due to power
+      manaCost: options.manaCost,
       visualOptions: {
         strokeColor: '#6600CC',
         lineWidth: 3
@@ -41,6 +45,7 @@ export class BlackHoleSpell extends Spell {
   /**
    * Cast black hole spell
    * @param {Object} context - Casting context with camera, scene, etc.
+   * @returns {Object|null} Cast data for other players, with the black hole's position
    */
   castBlackHole(context) {
     console.log('Casting black hole spell');
@@ -91,6 +96,8 @@ export class BlackHoleSpell extends Spell {
       radius: 0.5, // Visual size of black hole
       effectRadius: this.effectRadius, // Range of gravitational effect
       damagePerSecond: 2, // Damage enemies at a rate of 2 HP per second if caught in the effect
+      pvpDamagePerSecond: PVP_DAMAGE.blackHoleDamagePerSecond, // Damage to other players in deathmatch rooms
+      pvpExplosionDamage: PVP_DAMAGE.blackHoleExplosionDamage,
       isRemote: isRemote // Pass along remote flag
     });
     
@@ -129,6 +136,22 @@ export class BlackHoleSpell extends Spell {
         volume: 0.8
       });
     }
+    
+    if (isRemote || !blackHoleEffect) {
+      return null;
+    }
+    
+    // Other players create theirs at the same spot, so combos line up for everyone
+    const { x, y, z } = blackHoleEffect.element.position;
+    return {
+      spellId: this.id,
+      targetPosition: { x, y, z },
+      targetId: null,
+      spellData: {
+        isKeyDown: true,
+        isKeyUp: false
+      }
+    };
   }
   
   /**
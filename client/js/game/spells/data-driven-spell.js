@@ -0,0 +1,589 @@
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { Spell } from './spell.js';
+import { SpellArchetypes } from './spell-archetypes.js';
+import { evaluateCurve } from './spell-definitions.js';
+import { STATUS_EFFECTS } from '../../config.js';
+import { PLAYER_COLLISION_GROUP } from '../../physics/player-body.js';
+
+/**
+ * DataDrivenSpell - A spell described by a JSON definition (see
+ * spell-definitions.js) and brought to life by one of the SpellArchetypes.
+ *
+ * Instant spells (channelTime 0) cast on key down. Channelled spells charge
+ * while Space is held and cast on release, or by themselves at full charge;
+ * drawing their rune holds them for RUNE_RECOGNITION.channelTime. Values given
+ * as curves in the definition are read at the channel progress of the cast.
+ */
+export class DataDrivenSpell extends Spell {
+  /**
+   * @param {Object} options - Spell configuration options
+   * @param {EventBus} options.eventBus - Event bus for communication
+   * @param {Object} options.definition - Definition returned by parseSpellDefinition
+   * @param {number} options.page - Page number in the spellbook
+   */
+  constructor(options) {
+    const { definition } = options;
+
+    super({
+      id: definition.id,
+      name: definition.name,
+      shape: definition.shape,
+      description: definition.description,
+      page: options.page,
+      cooldown: definition.cooldown,
+      manaCost: definition.manaCost,
+      manaPerSecond: definition.manaPerSecond,
+      allowSpaceCast: definition.allowSpaceCast,
+      gesture: definition.gesture,
+      visualOptions: {
+        strokeColor: definition.colors.primary,
+        lineWidth: 4
+      },
+      effectKeyDown: (context) => this.handleKeyDown(context),
+      effectKeyUp: (context) => this.handleKeyUp(context)
+    });
+
+    this.eventBus = options.eventBus;
+    this.definition = definition;
+    this.archetype = SpellArchetypes[definition.archetype];
+
+    this.isChanneling = false;
+    this.channelStartTime = 0;
+    this.channelContext = null;
+    this.channelGlow = null;
+
+    // Effects that outlive their cast (projectiles in flight, lingering zones)
+    this.activeEffects = [];
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    this.eventBus.on('scene:update', this.update.bind(this));
+
+    this.eventBus.on('player:died', () => {
+      if (this.isChanneling) {
+        this.isChanneling = false;
+        clearTimeout(this.channelTimeout);
+        this.removeChannelGlow();
+      }
+    });
+  }
+
+  /**
+   * Cast an instant spell, or start channelling
+   * @param {Object} context - Casting context
+   * @returns {Object|null} Cast data for other players
+   */
+  handleKeyDown(context) {
+    if (context?.isRemote) return this.castRemote(context);
+    if (this.definition.channelTime <= 0) return this.cast(context, 1);
+    if (this.isChanneling) return null;
+
+    this.isChanneling = true;
+    this.channelStartTime = Date.now();
+    this.channelContext = context;
+    this.createChannelGlow(context);
+    this.playSound('charge', 0.5);
+
+    // Cast automatically at full charge. The key is still held, so the cast
+    // has to be sent to other players here rather than by castUp
+    this.channelTimeout = setTimeout(() => {
+      this.eventBus.emit('spell:fully-charged', { spellId: this.id });
+      const castData = this.releaseChannel(this.channelContext);
+      if (castData) {
+        this.eventBus.emit('spell:cast', castData);
+      }
+    }, this.definition.channelTime * 1000);
+
+    return null;
+  }
+
+  /**
+   * Release a channelled spell
+   * @param {Object} context - Casting context
+   * @returns {Object|null} Cast data for other players
+   */
+  handleKeyUp(context) {
+    if (context?.isRemote) return this.castRemote(context);
+    return this.releaseChannel(context);
+  }
+
+  /**
+   * Stop channelling and cast at the charge reached
+   * @param {Object} context - Casting context
+   * @returns {Object|null} Cast data for other players
+   */
+  releaseChannel(context) {
+    if (!this.isChanneling) return null;
+
+    this.isChanneling = false;
+    clearTimeout(this.channelTimeout);
+    this.removeChannelGlow();
+
+    return this.cast(context, this.getChannelProgress());
+  }
+
+  /**
+   * How far the current channel has charged
+   * @returns {number} Progress from 0 to 1
+   */
+  getChannelProgress() {
+    if (!this.isChanneling) return 0;
+    const elapsed = (Date.now() - this.channelStartTime) / 1000;
+    return Math.min(1, elapsed / this.definition.channelTime);
+  }
+
+  /**
+   * Cast the spell from the local player's camera
+   * @param {Object} context - Casting context
+   * @param {number} progress - Channel progress from 0 to 1
+   * @returns {Object|null} Cast data for other players
+   */
+  cast(context, progress) {
+    let origin = null;
+    let direction = null;
+    this.eventBus.emit('camera:get-position', (position) => {
+      origin = position;
+    });
+    this.eventBus.emit('camera:get-direction', (cameraDirection) => {
+      direction = cameraDirection;
+    });
+
+    if (!origin || !direction) {
+      console.error(`Missing camera for ${this.name} spell`);
+      return null;
+    }
+    direction.normalize();
+
+    const effect = this.startEffect({
+      origin,
+      direction,
+      targetPosition: null,
+      progress,
+      isRemote: false,
+      scene: context?.scene || this.getMainScene()
+    });
+
+    this.playSound('cast', 0.6 + progress * 0.4);
+
+    const targetPosition = effect?.targetPosition || origin;
+    return {
+      spellId: this.id,
+      targetPosition: { x: targetPosition.x, y: targetPosition.y, z: targetPosition.z },
+      targetId: null,
+      cameraPosition: { x: origin.x, y: origin.y, z: origin.z },
+      targetDirection: { x: direction.x, y: direction.y, z: direction.z },
+      spellData: {
+        progress,
+        isKeyDown: this.definition.channelTime <= 0,
+        isKeyUp: this.definition.channelTime > 0
+      }
+    };
+  }
+
+  /**
+   * Replay another player's cast
+   * @param {Object} context - Remote casting context
+   * @returns {null} Remote casts are never sent on
+   */
+  castRemote(context) {
+    const { cameraPosition, targetDirection, targetPosition } = context;
+    if (!cameraPosition || !targetDirection) return null;
+
+    this.startEffect({
+      origin: new THREE.Vector3(cameraPosition.x, cameraPosition.y, cameraPosition.z),
+      direction: new THREE.Vector3(targetDirection.x, targetDirection.y, targetDirection.z).normalize(),
+      // Zones land where the caster saw them land
+      targetPosition: targetPosition && this.definition.archetype === 'area'
+        ? new THREE.Vector3(targetPosition.x, targetPosition.y, targetPosition.z)
+        : null,
+      progress: context.spellData?.progress || 0,
+      isRemote: true,
+      scene: context.scene || this.getMainScene()
+    });
+
+    return null;
+  }
+
+  /**
+   * Hand a cast to the archetype and keep its effect updating
+   * @param {Object} cast - Cast passed to the archetype
+   * @returns {Object|null} Lasting effect, if any
+   */
+  startEffect(cast) {
+    const effect = this.archetype.cast(this, cast);
+    if (effect) {
+      this.activeEffects.push(effect);
+    }
+    return effect;
+  }
+
+  /**
+   * Update lasting effects
+   */
+  update() {
+    if (this.activeEffects.length === 0) return;
+    this.activeEffects = this.activeEffects.filter(effect => effect.update());
+  }
+
+  /**
+   * Read a definition value at a channel progress
+   * @param {number|Array<Array<number>>} curve - Constant or keyframes
+   * @param {number} progress - Channel progress from 0 to 1
+   * @returns {number} Value
+   */
+  value(curve, progress) {
+    return evaluateCurve(curve, progress);
+  }
+
+  /**
+   * Format a curve's range for the spellbook page
+   * @param {number|Array<Array<number>>} curve - Constant or keyframes
+   * @returns {string} e.g. "4" or "2-5"
+   */
+  formatCurve(curve) {
+    const round = (value) => Math.round(value * 10) / 10;
+    const low = round(evaluateCurve(curve, 0));
+    const high = round(evaluateCurve(curve, 1));
+    return low === high ? `${low}` : `${low}-${high}`;
+  }
+
+  /**
+   * Damage enemies and players within a radius, more at the center
+   * @param {THREE.Vector3} position - Center of the area
+   * @param {number} radius - Radius of the area
+   * @param {number} progress - Channel progress of the cast
+   */
+  damageArea(position, radius, progress) {
+    const damage = this.value(this.definition.damage, progress);
+    if (damage > 0) {
+      this.eventBus.emit('enemies:get-in-radius', position, radius, (enemies) => {
+        enemies.forEach(({ id, distance }) => {
+          this.eventBus.emit('spell:hit', {
+            targetId: id,
+            spellId: this.id,
+            // Full damage at the center, half at the edge
+            power: damage * (1 - 0.5 * distance / radius),
+            hitPoint: position,
+            status: this.definition.status
+          });
+        });
+      });
+    }
+
+    const pvpDamage = this.value(this.definition.pvpDamage, progress);
+    if (pvpDamage > 0) {
+      this.eventBus.emit('pvp:area-damage', {
+        position,
+        radius,
+        damage: pvpDamage,
+        sourceType: 'spell',
+        status: this.definition.status
+      });
+    }
+  }
+
+  /**
+   * Damage every enemy and player along a line
+   * @param {THREE.Vector3} start - Start of the line
+   * @param {THREE.Vector3} end - End of the line
+   * @param {number} hitRadius - Distance from the line that still hits
+   * @param {number} progress - Channel progress of the cast
+   */
+  damageLine(start, end, hitRadius, progress) {
+    const damage = this.value(this.definition.damage, progress);
+    const pvpDamage = this.value(this.definition.pvpDamage, progress);
+    const enemyIds = new Set();
+    const playerIds = new Set();
+
+    // Sweep overlapping spheres along the line
+    const length = start.distanceTo(end);
+    const steps = Math.max(1, Math.ceil(length / hitRadius));
+    const point = new THREE.Vector3();
+    for (let i = 0; i <= steps; i++) {
+      point.lerpVectors(start, end, i / steps);
+
+      if (damage > 0) {
+        this.eventBus.emit('enemies:get-in-radius', point, hitRadius, (enemies) => {
+          enemies.forEach(({ id }) => enemyIds.add(id));
+        });
+      }
+      if (pvpDamage > 0) {
+        this.getPlayersInRadius(point, hitRadius).forEach(id => playerIds.add(id));
+      }
+    }
+
+    enemyIds.forEach(targetId => {
+      this.eventBus.emit('spell:hit', {
+        targetId,
+        spellId: this.id,
+        power: damage,
+        status: this.definition.status
+      });
+    });
+
+    playerIds.forEach(targetId => {
+      this.eventBus.emit('player:hit', {
+        targetId,
+        damage: pvpDamage,
+        sourceType: 'spell',
+        status: this.definition.status
+      });
+    });
+  }
+
+  /**
+   * Get remote players near a point
+   * @param {{x: number, y: number, z: number}} position - Point to search around
+   * @param {number} radius - Search radius
+   * @returns {Array<string>} IDs of the players in range
+   */
+  getPlayersInRadius(position, radius) {
+    let players = [];
+    this.eventBus.emit('pvp:get-players-in-radius', position, radius, (playerIds) => {
+      players = playerIds;
+    });
+    return players;
+  }
+
+  /**
+   * Find where the caster's line of sight first meets the world
+   * @param {THREE.Vector3} origin - Caster's camera position
+   * @param {THREE.Vector3} direction - Normalized look direction
+   * @param {number} range - Furthest distance to look
+   * @returns {THREE.Vector3} Hit point, or the point at full range
+   */
+  findTargetPoint(origin, direction, range) {
+    const end = origin.clone().addScaledVector(direction, range);
+    const physicsManager = this.getPhysicsManager();
+    if (!physicsManager) return end;
+
+    const result = new CANNON.RaycastResult();
+    physicsManager.world.raycastClosest(
+      new CANNON.Vec3(origin.x, origin.y, origin.z),
+      new CANNON.Vec3(end.x, end.y, end.z),
+      { collisionFilterMask: ~PLAYER_COLLISION_GROUP, skipBackfaces: true },
+      result
+    );
+
+    if (!result.hasHit) return end;
+    const { x, y, z } = result.hitPointWorld;
+    return new THREE.Vector3(x, y, z);
+  }
+
+  /**
+   * Play one of the definition's sounds
+   * @param {string} key - 'charge', 'cast' or 'impact'
+   * @param {number} volume - Volume from 0 to 1
+   */
+  playSound(key, volume) {
+    const sound = this.definition.sounds[key];
+    if (!sound) return;
+
+    this.eventBus.emit('audio:play', { sound, volume });
+  }
+
+  /**
+   * Get the physics manager
+   * @returns {PhysicsManager|null} The physics manager or null if not available
+   */
+  getPhysicsManager() {
+    let physicsManager = null;
+    this.eventBus.emit('physics:request-manager', (manager) => {
+      physicsManager = manager;
+    });
+
+    if (!physicsManager) {
+      console.error(`${this.name} needs the physics manager`);
+    }
+    return physicsManager;
+  }
+
+  /**
+   * Get the main scene for visual effects
+   * @returns {THREE.Scene|null} The main scene or null if not available
+   */
+  getMainScene() {
+    let scene = null;
+    this.eventBus.emit('scene:get-scene', (sceneObj) => {
+      scene = sceneObj;
+    });
+    return scene;
+  }
+
+  /**
+   * Show a glow above the spellbook that grows while channelling
+   * @param {Object} context - Casting context
+   */
+  createChannelGlow(context) {
+    if (!context || !context.spellbook) return;
+
+    const color = new THREE.Color(this.definition.colors.primary);
+    const fullColor = new THREE.Color(this.definition.colors.secondary);
+    const geometry = new THREE.SphereGeometry(0.03, 16, 16);
+    const material = new THREE.MeshBasicMaterial({
+      color,
+      transparent: true,
+      opacity: 0.9,
+      blending: THREE.AdditiveBlending
+    });
+
+    this.channelGlow = new THREE.Mesh(geometry, material);
+    this.channelGlow.position.set(0, 0.3, 0.05);
+    this.channelGlow.userData.isChannelingEffect = true;
+    context.spellbook.add(this.channelGlow);
+
+    const animate = () => {
+      if (!this.channelGlow) return;
+
+      const progress = this.getChannelProgress();
+      const pulse = 1 + Math.sin(Date.now() / 50) * 0.1;
+      this.channelGlow.scale.setScalar((1 + progress * 2) * pulse);
+      material.color.copy(color).lerp(fullColor, progress * 0.6);
+
+      this.channelGlowFrame = requestAnimationFrame(animate);
+    };
+    animate();
+  }
+
+  /**
+   * Remove the channelling glow
+   */
+  removeChannelGlow() {
+    if (!this.channelGlow) return;
+
+    cancelAnimationFrame(this.channelGlowFrame);
+    if (this.channelGlow.parent) {
+      this.channelGlow.parent.remove(this.channelGlow);
+    }
+    this.channelGlow.geometry.dispose();
+    this.channelGlow.material.dispose();
+    this.channelGlow = null;
+  }
+
+  /**
+   * Clean up channelling visuals and lasting effects
+   */
+  dispose() {
+    clearTimeout(this.channelTimeout);
+    this.removeChannelGlow();
+    this.activeEffects.forEach(effect => effect.dispose());
+    this.activeEffects = [];
+  }
+
+  /**
+   * Draw the rune with a hint on how to cast it
+   * @param {CanvasRenderingContext2D} context - Canvas context
+   */
+  drawShape(context) {
+    super.drawShape(context);
+
+    const width = context.canvas.width;
+    const height = context.canvas.height;
+    const radius = Math.min(width, height) * 0.3;
+
+    let hint = `Draw a ${this.shape}`;
+    if (this.shape === 'space') {
+      hint = this.definition.channelTime > 0 ? 'Hold SPACE' : 'Press SPACE';
+    } else if (this.allowSpaceCast) {
+      hint += ', or hold SPACE';
+    }
+
+    context.font = 'italic 20px serif';
+    context.textAlign = 'center';
+    context.textBaseline = 'bottom';
+    context.fillStyle = this.definition.colors.primary;
+    context.fillText(hint, width / 2, height / 2 - radius - 20);
+  }
+
+  /**
+   * Generate the description page from the definition
+   * @param {CanvasRenderingContext2D} context - Canvas context
+   */
+  drawDescription(context) {
+    const width = context.canvas.width;
+    const height = context.canvas.height;
+    const margin = 30;
+    const textWidth = width - (margin * 2);
+    const { colors, channelTime, damage, pvpDamage } = this.definition;
+
+    // Clear canvas
+    context.fillStyle = '#f5f5dc'; // Beige parchment color
+    context.fillRect(0, 0, width, height);
+
+    // Draw spell name
+    context.font = 'bold 32px serif';
+    context.textAlign = 'center';
+    context.textBaseline = 'top';
+    context.fillStyle = colors.primary;
+    context.fillText(this.name, width / 2, margin);
+
+    // Draw horizontal divider
+    context.strokeStyle = colors.primary;
+    context.lineWidth = 2;
+    context.beginPath();
+    context.moveTo(margin, margin + 50);
+    context.lineTo(width - margin, margin + 50);
+    context.stroke();
+
+    // Draw description - with word wrapping
+    context.font = '24px serif';
+    context.textAlign = 'left';
+    context.textBaseline = 'top';
+    context.fillStyle = '#000000';
+
+    let y = this.wrapText(context, this.description, margin, margin + 70, textWidth, 32);
+    y = this.wrapText(context, this.archetype.describe(this), margin, y + 16, textWidth, 32);
+
+    // Stats generated from the definition
+    const stats = [
+      `${this.archetype.label} spell`,
+      channelTime > 0 ? `Charges for up to ${channelTime} s` : 'Instant cast',
+      `Damage: ${this.formatCurve(damage)}`
+    ];
+    if (this.formatCurve(pvpDamage) !== '0') {
+      stats.push(`Against wizards: ${this.formatCurve(pvpDamage)}`);
+    }
+    if (this.manaCost > 0 || this.manaPerSecond > 0) {
+      stats.push(this.manaPerSecond > 0
+        ? `Mana: ${this.manaCost} + ${this.manaPerSecond} per second`
+        : `Mana: ${this.manaCost}`);
+    }
+    if (this.definition.status) {
+      const { type, duration } = this.definition.status;
+      stats.push(`Leaves targets ${STATUS_EFFECTS[type].label.toLowerCase()} for ${duration ?? STATUS_EFFECTS[type].duration} s`);
+    }
+    stats.push(this.cooldown > 0 ? `Cooldown: ${this.cooldown} s` : 'No cooldown');
+
+    context.font = '22px serif';
+    context.fillStyle = '#4A2A0A';
+    y += 16;
+    stats.forEach(line => {
+      context.fillText(`- ${line}`, margin, y);
+      y += 30;
+    });
+
+    // Draw key binding at the bottom
+    let binding = this.shape === 'space' ? 'Cast with SPACE' : `Cast with ${this.shape} shape`;
+    if (this.shape !== 'space' && this.allowSpaceCast) {
+      binding += ' or SPACE';
+    }
+    context.font = 'italic 24px serif';
+    context.fillStyle = colors.primary;
+    context.textAlign = 'center';
+    context.textBaseline = 'bottom';
+    context.fillText(binding, width / 2, height - margin);
+
+    // Draw page number
+    context.font = 'bold 20px serif';
+    context.textAlign = 'right';
+    context.textBaseline = 'bottom';
+    context.fillStyle = '#8B4513';
+    context.fillText(`Page ${this.page}`, width - 20, height - 20);
+  }
+}
@@ -0,0 +1,506 @@
+import * as THREE from 'three';
+import { Spell } from './spell.js';
+import { SpellEffects } from './spell-effects.js';
+import { FIREBALL_SPELL, PVP_DAMAGE } from '../../config.js';
+
+// Everything caught in the blast is set alight
+const FIREBALL_STATUS = { type: 'burning' };
+
+/**
+ * FireballSpell - Hurls a ball of fire that flies as a physics projectile and
+ * explodes when it hits something, throwing objects around and burning enemies
+ * caught in the blast. Holding the spell charges a faster, stronger fireball.
+ */
+export class FireballSpell extends Spell {
+  /**
+   * @param {Object} options - Spell configuration options
+   * @param {EventBus} options.eventBus - Event bus for communication
+   * @param {number} options.page - Page number in the spellbook
+   * @param {number} [options.cooldown=1.5] - Cooldown time in seconds
+   * @param {number} [options.manaCost=0] - Mana spent per cast
+   */
+  constructor(options) {
+    super({
+      id: 'fireball',
+      name: 'Ignis',
+      shape: 'triangle',
+      description: 'Hurls a blazing fireball that explodes on impact, setting enemies alight and scattering everything nearby.',
+      page: options.page,
+      cooldown: options.cooldown || 1.5,
+      manaCost: options.manaCost,
+      allowSpaceCast: true,
+      visualOptions: {
+        strokeColor: '#FF5500',
+        lineWidth: 4
+      },
+      effectKeyDown: (context) => this.startCharging(context),
+      effectKeyUp: (context) => this.launchFireball(context)
+    });
+
+    this.eventBus = options.eventBus;
+
+    this.isCharging = false;
+    this.chargeStartTime = 0;
+    this.chargeContext = null;
+    this.chargeGlow = null;
+
+    // Fireballs in flight: { body, effect, launchTime, chargeProgress, isRemote, hasHit }
+    this.fireballs = [];
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    this.eventBus.on('scene:update', this.update.bind(this));
+
+    this.eventBus.on('player:died', () => {
+      if (this.isCharging) {
+        this.isCharging = false;
+        clearTimeout(this.chargeTimeout);
+        this.removeChargeGlow();
+      }
+    });
+  }
+
+  /**
+   * Start charging a fireball
+   * @param {Object} context - Casting context
+   * @returns {null} Nothing is sent to other players until the fireball is launched
+   */
+  startCharging(context) {
+    // Remote fireballs arrive fully formed on release
+    if (context?.isRemote || this.isCharging) return null;
+
+    this.isCharging = true;
+    this.chargeStartTime = Date.now();
+    this.chargeContext = context;
+
+    this.createChargeGlow(context);
+
+    this.eventBus.emit('audio:play', {
+      sound: 'spawnObject',
+      volume: 0.5
+    });
+
+    // Launch automatically at full charge. The key is still held, so the cast
+    // has to be sent to other players here rather than by castUp
+    this.chargeTimeout = setTimeout(() => {
+      if (this.isCharging) {
+        this.eventBus.emit('spell:fully-charged', { spellId: this.id });
+        const castData = this.launchFireball(this.chargeContext);
+        if (castData) {
+          this.eventBus.emit('spell:cast', castData);
+        }
+      }
+    }, FIREBALL_SPELL.maxChargeTime * 1000);
+
+    return null;
+  }
+
+  /**
+   * Launch the charged fireball, or a remote player's fireball
+   * @param {Object} context - Casting context
+   * @returns {Object|null} Cast data for other players
+   */
+  launchFireball(context) {
+    if (context?.isRemote) {
+      if (!context.cameraPosition || !context.targetDirection) return null;
+
+      this.spawnFireball({
+        origin: new THREE.Vector3(context.cameraPosition.x, context.cameraPosition.y, context.cameraPosition.z),
+        direction: new THREE.Vector3(context.targetDirection.x, context.targetDirection.y, context.targetDirection.z).normalize(),
+        chargeProgress: context.spellData?.chargeProgress || 0,
+        isRemote: true,
+        scene: context.scene
+      });
+      return null;
+    }
+
+    if (!this.isCharging) return null;
+
+    this.isCharging = false;
+    clearTimeout(this.chargeTimeout);
+    this.removeChargeGlow();
+
+    const elapsed = (Date.now() - this.chargeStartTime) / 1000;
+    const chargeProgress = Math.min(1, elapsed / FIREBALL_SPELL.maxChargeTime);
+
+    let origin = null;
+    let direction = null;
+    this.eventBus.emit('camera:get-position', (position) => {
+      origin = position;
+    });
+    this.eventBus.emit('camera:get-direction', (cameraDirection) => {
+      direction = cameraDirection;
+    });
+
+    if (!origin || !direction) {
+      console.error('Missing camera for fireball spell');
+      return null;
+    }
+
+    this.spawnFireball({
+      origin,
+      direction: direction.normalize(),
+      chargeProgress,
+      isRemote: false,
+      scene: context?.scene
+    });
+
+    this.eventBus.emit('audio:play', {
+      sound: 'fireball',
+      volume: 0.7 + chargeProgress * 0.3
+    });
+
+    return {
+      spellId: this.id,
+      targetPosition: { x: origin.x, y: origin.y, z: origin.z },
+      targetId: null,
+      cameraPosition: { x: origin.x, y: origin.y, z: origin.z },
+      targetDirection: { x: direction.x, y: direction.y, z: direction.z },
+      spellData: {
+        chargeProgress,
+        isKeyDown: false,
+        isKeyUp: true
+      }
+    };
+  }
+
+  /**
+   * Create the fireball's projectile body and visual
+   * @param {Object} options - Fireball options
+   * @param {THREE.Vector3} options.origin - Caster's camera position
+   * @param {THREE.Vector3} options.direction - Normalized launch direction
+   * @param {number} options.chargeProgress - Charge from 0 to 1
+   * @param {boolean} options.isRemote - Whether another player cast it
+   * @param {THREE.Scene} [options.scene] - Scene for the visual
+   */
+  spawnFireball({ origin, direction, chargeProgress, isRemote, scene }) {
+    let physicsManager = null;
+    this.eventBus.emit('physics:request-manager', (manager) => {
+      physicsManager = manager;
+    });
+
+    if (!physicsManager) {
+      console.error('Fireball needs the physics manager');
+      return;
+    }
+
+    const speed = THREE.MathUtils.lerp(FIREBALL_SPELL.minSpeed, FIREBALL_SPELL.maxSpeed, chargeProgress);
+    const position = origin.clone().addScaledVector(direction, FIREBALL_SPELL.spawnDistance);
+    const velocity = direction.clone().multiplyScalar(speed);
+
+    const fireball = {
+      launchTime: Date.now(),
+      chargeProgress,
+      isRemote,
+      hasHit: false,
+      physicsManager
+    };
+
+    fireball.body = physicsManager.createProjectile({
+      position,
+      velocity,
+      radius: FIREBALL_SPELL.radius,
+      mass: FIREBALL_SPELL.mass,
+      gravityScale: FIREBALL_SPELL.gravityScale,
+      // Explode after the physics step, not in the middle of it
+      onCollide: () => {
+        fireball.hasHit = true;
+      }
+    });
+
+    fireball.effect = SpellEffects.createFireball({ scene: scene || this.getMainScene() }, {
+      body: fireball.body
+    });
+
+    this.fireballs.push(fireball);
+  }
+
+  /**
+   * Explode fireballs that hit something, reached a player or burned out
+   */
+  update() {
+    if (this.fireballs.length === 0) return;
+
+    const now = Date.now();
+
+    this.fireballs = this.fireballs.filter(fireball => {
+      const expired = (now - fireball.launchTime) / 1000 >= FIREBALL_SPELL.maxLifetime;
+
+      if (fireball.hasHit || expired || this.isNearRemotePlayer(fireball)) {
+        this.explode(fireball);
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Check whether the local player's fireball reached another player, who has no
+   * physics body on this client to collide with
+   * @param {Object} fireball - Fireball in flight
+   * @returns {boolean} True if a remote player is within reach
+   */
+  isNearRemotePlayer(fireball) {
+    if (fireball.isRemote) return false;
+
+    let players = [];
+    this.eventBus.emit('pvp:get-players-in-radius',
+      fireball.body.position,
+      FIREBALL_SPELL.radius + FIREBALL_SPELL.playerHitRadius,
+      (playerIds) => {
+        players = playerIds;
+      }
+    );
+
+    return players.length > 0;
+  }
+
+  /**
+   * Blow up a fireball
+   * @param {Object} fireball - Fireball in flight
+   */
+  explode(fireball) {
+    const { body, effect, physicsManager, chargeProgress } = fireball;
+    const position = new THREE.Vector3(body.position.x, body.position.y, body.position.z);
+    const radius = FIREBALL_SPELL.explosionRadius;
+
+    physicsManager.removeProjectile(body);
+    effect.cleanup();
+
+    SpellEffects.createFireballExplosion({ scene: this.getMainScene() }, {
+      position,
+      radius: radius * 0.6
+    });
+
+    physicsManager.applyExplosionEffect({
+      position,
+      strength: FIREBALL_SPELL.explosionStrength * (1 + chargeProgress),
+      radius
+    });
+
+    // Only the caster deals damage, so each fireball is counted once
+    if (fireball.isRemote) return;
+
+    const maxDamage = THREE.MathUtils.lerp(FIREBALL_SPELL.minEnemyDamage, FIREBALL_SPELL.maxEnemyDamage, chargeProgress);
+    this.eventBus.emit('enemies:get-in-radius', position, radius, (enemies) => {
+      enemies.forEach(({ id, distance }) => {
+        this.eventBus.emit('spell:hit', {
+          targetId: id,
+          spellId: this.id,
+          // Full damage at the center, half at the edge
+          power: maxDamage * (1 - 0.5 * distance / radius),
+          hitPoint: position,
+          status: FIREBALL_STATUS
+        });
+      });
+    });
+
+    this.eventBus.emit('pvp:area-damage', {
+      position,
+      radius,
+      damage: THREE.MathUtils.lerp(PVP_DAMAGE.fireballMinDamage, PVP_DAMAGE.fireballMaxDamage, chargeProgress),
+      sourceType: 'fireball',
+      status: FIREBALL_STATUS
+    });
+
+    this.eventBus.emit('audio:play', {
+      sound: 'explosion',
+      volume: 0.8
+    });
+  }
+
+  /**
+   * Show a growing ember above the spellbook while charging
+   * @param {Object} context - Casting context
+   */
+  createChargeGlow(context) {
+    if (!context || !context.spellbook) return;
+
+    const geometry = new THREE.SphereGeometry(0.03, 16, 16);
+    const material = new THREE.MeshBasicMaterial({
+      color: 0xFF5500,
+      transparent: true,
+      opacity: 0.9,
+      blending: THREE.AdditiveBlending
+    });
+
+    this.chargeGlow = new THREE.Mesh(geometry, material);
+    this.chargeGlow.position.set(0, 0.3, 0.05);
+    this.chargeGlow.userData.isChannelingEffect = true;
+    context.spellbook.add(this.chargeGlow);
+
+    const animate = () => {
+      if (!this.chargeGlow) return;
+
+      const elapsed = (Date.now() - this.chargeStartTime) / 1000;
+      const chargeProgress = Math.min(1, elapsed / FIREBALL_SPELL.maxChargeTime);
+      const flicker = 1 + Math.sin(elapsed * 20) * 0.1;
+      this.chargeGlow.scale.setScalar((1 + chargeProgress * 2) * flicker);
+      this.chargeGlow.material.color.setRGB(1, 0.33 + chargeProgress * 0.5, chargeProgress * 0.3);
+
+      this.chargeGlowFrame = requestAnimationFrame(animate);
+    };
+    animate();
+  }
+
+  /**
+   * Remove the charging ember
+   */
+  removeChargeGlow() {
+    if (!this.chargeGlow) return;
+
+    cancelAnimationFrame(this.chargeGlowFrame);
+    if (this.chargeGlow.parent) {
+      this.chargeGlow.parent.remove(this.chargeGlow);
+    }
+    this.chargeGlow.geometry.dispose();
+    this.chargeGlow.material.dispose();
+    this.chargeGlow = null;
+  }
+
+  /**
+   * Get the main scene for visual effects
+   * @returns {THREE.Scene|null} The main scene or null if not available
+   */
+  getMainScene() {
+    let scene = null;
+    this.eventBus.emit('scene:get-scene', (sceneObj) => {
+      scene = sceneObj;
+    });
+    return scene;
+  }
+
+  /**
+   * Clean up charging visuals and fireballs in flight
+   */
+  dispose() {
+    clearTimeout(this.chargeTimeout);
+    this.removeChargeGlow();
+    this.fireballs.forEach(({ body, effect, physicsManager }) => {
+      physicsManager.removeProjectile(body);
+      effect.cleanup();
+    });
+    this.fireballs = [];
+  }
+
+  /**
+   * Override draw shape to show the triangle rune wreathed in flame
+   * @param {CanvasRenderingContext2D} context - Canvas context
+   */
+  drawShape(context) {
+    const width = context.canvas.width;
+    const height = context.canvas.height;
+    const centerX = width / 2;
+    const centerY = height / 2;
+    const radius = Math.min(width, height) * 0.3;
+    const triangleHeight = radius * Math.sqrt(3);
+
+    // Clear canvas
+    context.fillStyle = '#f5f5dc'; // Beige parchment color
+    context.fillRect(0, 0, width, height);
+
+    // Fiery glow behind the rune
+    const gradient = context.createRadialGradient(centerX, centerY, radius * 0.2, centerX, centerY, radius * 1.2);
+    gradient.addColorStop(0, 'rgba(255, 200, 0, 0.5)');
+    gradient.addColorStop(0.6, 'rgba(255, 85, 0, 0.25)');
+    gradient.addColorStop(1, 'rgba(255, 85, 0, 0)');
+    context.fillStyle = gradient;
+    context.beginPath();
+    context.arc(centerX, centerY, radius * 1.2, 0, Math.PI * 2);
+    context.fill();
+
+    // The rune itself
+    context.strokeStyle = this.visualOptions.strokeColor;
+    context.lineWidth = this.visualOptions.lineWidth;
+    context.beginPath();
+    context.moveTo(centerX, centerY - radius);
+    context.lineTo(centerX + radius, centerY + triangleHeight / 2);
+    context.lineTo(centerX - radius, centerY + triangleHeight / 2);
+    context.closePath();
+    context.stroke();
+
+    // Dot marking where to start drawing
+    context.fillStyle = this.visualOptions.strokeColor;
+    context.beginPath();
+    context.arc(centerX, centerY - radius, 8, 0, Math.PI * 2);
+    context.fill();
+
+    context.font = 'italic 20px serif';
+    context.textAlign = 'center';
+    context.textBaseline = 'bottom';
+    context.fillText('Draw a triangle, or hold SPACE', centerX, centerY - radius - 20);
+
+    // Draw page number
+    context.font = 'bold 20px serif';
+    context.textAlign = 'left';
+    context.textBaseline = 'bottom';
+    context.fillStyle = '#8B4513';
+    context.fillText(`Page ${this.page}`, 20, height - 20);
+  }
+
+  /**
+   * Override the description page
+   * @param {CanvasRenderingContext2D} context - Canvas context
+   */
+  drawDescription(context) {
+    const width = context.canvas.width;
+    const height = context.canvas.height;
+    const margin = 30;
+
+    // Clear canvas
+    context.fillStyle = '#f5f5dc'; // Beige parchment color
+    context.fillRect(0, 0, width, height);
+
+    // Draw spell name
+    context.font = 'bold 32px serif';
+    context.textAlign = 'center';
+    context.textBaseline = 'top';
+    context.fillStyle = '#CC4400';
+    context.fillText(this.name, width / 2, margin);
+
+    // Draw horizontal divider
+    context.strokeStyle = '#CC4400';
+    context.lineWidth = 2;
+    context.beginPath();
+    context.moveTo(margin, margin + 50);
+    context.lineTo(width - margin, margin + 50);
+    context.stroke();
+
+    // Draw description - with word wrapping
+    context.font = '24px serif';
+    context.textAlign = 'left';
+    context.textBaseline = 'top';
+    context.fillStyle = '#000000';
+
+    this.wrapText(context, this.description, margin, margin + 70, width - (margin * 2), 32);
+
+    this.wrapText(
+      context,
+      'Hold SPACE to charge a faster, hotter fireball; it launches by itself at full charge. ' +
+      'A triangle rune throws it at once.',
+      margin,
+      margin + 200,
+      width - (margin * 2),
+      32
+    );
+
+    // Draw key binding at the bottom
+    context.font = 'italic 24px serif';
+    context.fillStyle = '#CC4400';
+    context.textAlign = 'center';
+    context.textBaseline = 'bottom';
+    context.fillText('Cast with triangle shape or SPACE', width / 2, height - margin);
+
+    // Draw page number
+    context.font = 'bold 20px serif';
+    context.textAlign = 'right';
+    context.textBaseline = 'bottom';
+    context.fillStyle = '#8B4513';
+    context.fillText(`Page ${this.page}`, width - 20, height - 20);
+  }
+}
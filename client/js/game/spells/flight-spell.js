@@ -10,6 +10,9 @@ export class FlightSpell extends Spell {
       description: 'Channel magical energy to propel yourself through the air. Hold longer to build up more momentum.',
       page: options.page,
       cooldown: options.cooldown || 1,
+      manaCost: options.manaCost,
+      manaPerSecond: options.manaPerSecond,
+      gesture: options.gesture,
       visualOptions: {
         strokeColor: '#00AAFF',
         lineWidth: 3
@@ -9,6 +9,7 @@ export class GravityGunSpell extends Spell {
    * @param {EventBus} options.eventBus - Event bus for communication
    * @param {number} options.page - Page number in the spellbook
    * @param {number} [options.cooldown=0.5] - Cooldown time in seconds
+   * @param {number} [options.manaCost=0] - Mana spent per cast
    */
   constructor(options) {
     super({
@@ -18,6 +19,7 @@ export class GravityGunSpell extends Spell {
       description: 'Control physical objects with your mind. Press SPACE to pick up or drop objects.',
       page: options.page,
       cooldown: options.cooldown || 0.5,
+      manaCost: options.manaCost,
       visualOptions: {
         strokeColor: '#8B4513',
         lineWidth: 3
@@ -9,6 +9,10 @@ import { GravityGunSpell } from './gravity-gun-spell.js';
 import { BlackHoleSpell } from './black-hole-spell.js';
 import { LaserBeamSpell } from './laser-beam-spell.js';
 import { FlightSpell } from './flight-spell.js';
+import { ShieldSpell } from './shield-spell.js';
+import { FireballSpell } from './fireball-spell.js';
+import { DataDrivenSpell } from './data-driven-spell.js';
+import { SpellArchetypes } from './spell-archetypes.js';
 import { SpellAudioManager } from './audio-manager.js';
 
 // Export main spell classes
@@ -21,5 +25,9 @@ export {
   BlackHoleSpell,
   LaserBeamSpell,
   FlightSpell,
+  ShieldSpell,
+  FireballSpell,
+  DataDrivenSpell,
+  SpellArchetypes,
   SpellAudioManager
 };
\ No newline at end of file
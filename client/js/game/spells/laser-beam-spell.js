@@ -1,15 +1,23 @@
 import * as THREE from 'three';
 import { Spell } from './spell.js';
+import { PVP_DAMAGE } from '../../config.js';
+
+// Everything the beam strikes is marked, taking extra spell damage for a while
+const LASER_STATUS = { type: 'marked' };
 
 export class LaserBeamSpell extends Spell {
   constructor(options) {
     super({
       id: 'laserBeam',
       name: 'Zoltraak',
-      shape: 'space',
-      description: 'Channel a powerful energy beam that damages all enemies in its path. Hold longer to increase the beam\'s thickness and damage.',
+      shape: 'zigzag',
+      allowSpaceCast: true,
+      description: 'Draw a zigzag or hold SPACE to channel a powerful energy beam that damages all enemies in its path. Hold longer to increase the beam\'s thickness and damage. Targets it strikes are marked and take extra damage from spells.',
       page: options.page,
       cooldown: options.cooldown || 0,
+      manaCost: options.manaCost,
+      manaPerSecond: options.manaPerSecond,
+      gesture: options.gesture,
       visualOptions: {
         strokeColor: '#FFFFFF',
         lineWidth: 3
@@ -87,6 +95,9 @@ export class LaserBeamSpell extends Spell {
     
     this.channelTimeout = setTimeout(() => {
       if (this.isChanneling) {
+        if (!isRemote) {
+          this.eventBus.emit('spell:fully-charged', { spellId: this.id });
+        }
         this.fireLaser();
       }
     }, this.channelMaxDuration * 1000);
@@ -502,6 +513,16 @@ export class LaserBeamSpell extends Spell {
     // Check for hits and apply damage to all enemies in the path
     this.damageEnemiesInLaserPath(raycaster, this.channelContext.scene, damage);
     
+    // Report other players caught in the beam (only deathmatch rooms act on this)
+    this.checkPlayerHits(
+      raycaster,
+      this.channelContext.scene,
+      this.eventBus,
+      damage * PVP_DAMAGE.laserMultiplier,
+      'laser',
+      LASER_STATUS
+    );
+    
     // Create laser beam visual effect
     this.createLaserVisual(laserOptions);
     
@@ -674,7 +695,8 @@ export class LaserBeamSpell extends Spell {
           targetId: enemyId,
           spellId: this.id,
           power: damage,
-          hitPoint: intersect.point
+          hitPoint: intersect.point,
+          status: LASER_STATUS
         });
         
         // Create hit effect at the impact point
@@ -729,7 +751,8 @@ export class LaserBeamSpell extends Spell {
                 spellId: this.id,
                 power: damage,
                 instanceId: intersect.instanceId,
-                hitPoint: intersect.point
+                hitPoint: intersect.point,
+                status: LASER_STATUS
               });
               
               // Create hit effect at the impact point
@@ -776,7 +799,8 @@ export class LaserBeamSpell extends Spell {
                   spellId: this.id,
                   power: damage,
                   instanceId: i,
-                  hitPoint: closestPoint
+                  hitPoint: closestPoint,
+                  status: LASER_STATUS
                 });
                 
                 // Create hit effect at the impact point
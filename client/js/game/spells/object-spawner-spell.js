@@ -11,15 +11,21 @@ export class ObjectSpawnerSpell extends Spell {
    * @param {EventBus} options.eventBus - Event bus for communication
    * @param {number} options.page - Page number in the spellbook
    * @param {number} [options.cooldown=3] - Cooldown time in seconds
+   * @param {number} [options.manaCost=0] - Mana spent per cast
+   * @param {number} [options.manaPerSecond=0] - Mana drained per second while channelling
    */
   constructor(options) {
     super({
       id: 'objectSpawner',
       name: 'Object Conjuring',
-      shape: 'space', // This is a special shape triggered by space bar
-      description: 'Conjure a random physical object in front of you. Hold SPACE to increase the size and mass of the object.',
+      shape: 'square',
+      allowSpaceCast: true,
+      description: 'Draw a square or hold SPACE to conjure a random physical object in front of you. Hold SPACE longer to increase the size and mass of the object.',
       page: options.page,
       cooldown: options.cooldown || 3,
+      manaCost: options.manaCost,
+      manaPerSecond: options.manaPerSecond,
+      gesture: options.gesture,
       visualOptions: {
         strokeColor: '#8B4513',
         lineWidth: 3
@@ -57,6 +63,10 @@ export class ObjectSpawnerSpell extends Spell {
    * @param {Object} context - Casting context with camera, scene, etc.
    */
   startChanneling(context) {
+    // Objects conjured by other players arrive through the server's physics relay
+    // (physics:object-created), so remote casts don't channel a local replica
+    if (context?.isRemote) return;
+    
     if (this.isChanneling) {
       return; // Already channeling
     }
@@ -65,104 +75,55 @@ export class ObjectSpawnerSpell extends Spell {
     this.channelStartTime = Date.now();
     this.channelContext = context;
     
-    // Check if this is a remote cast with channel data
-    const isRemote = context?.isRemote;
+    // Immediately emit a starting event with accurate position data
+    let cameraPosition = null;
+    let cameraDirection = null;
     
-    if (isRemote && context.channelProgressData) {
-      // For remote casts, directly use the channeled progress data
-      const { channelProgress, velocity } = context.channelProgressData;
-      
-      // Spawn object at the final size
-      this.spawnChanneledObject(channelProgress, true, context);
-      
-      // Short delay to let physics engine initialize the object
-      setTimeout(() => {
-        if (this.channelObjectId && velocity) {
-          // Apply the final velocity from remote cast
-          this.eventBus.emit('physics:update-object', {
-            id: this.channelObjectId,
-            velocity: velocity,
-            visualEffect: {
-              type: 'release',
-              intensity: channelProgress
-            }
-          });
-          
-          // Play release sound for remote casts too
-          this.eventBus.emit('audio:play', { 
-            sound: 'objectRelease', 
-            volume: 0.6 + (channelProgress * 0.4),
-            pitch: 1.0 - (channelProgress * 0.3)
-          });
-          
-          // Finish channeling almost immediately for remote casts
-          this.isChanneling = false;
-          this.channelObjectId = null;
-        }
-      }, 50);
-      
-      return; // We don't need to continue normal channeling for remote casts with data
-    }
+    this.eventBus.emit('camera:get-position', (position) => {
+      if (position) {
+        cameraPosition = {
+          x: position.x,
+          y: position.y,
+          z: position.z
+        };
+      }
+    });
     
-    // For normal local casts or remote casts without channel data,
-    // proceed with regular channeling
+    this.eventBus.emit('camera:get-direction', (direction) => {
+      if (direction) {
+        cameraDirection = {
+          x: direction.x,
+          y: direction.y,
+          z: direction.z
+        };
+      }
+    });
     
-    // For LOCAL casts, immediately emit a starting event with accurate position data
-    if (!isRemote) {
-      // Get accurate camera position and direction
-      let cameraPosition = null;
-      let cameraDirection = null;
-      
-      this.eventBus.emit('camera:get-position', (position) => {
-        if (position) {
-          cameraPosition = {
-            x: position.x,
-            y: position.y,
-            z: position.z
-          };
-        }
-      });
-      
-      this.eventBus.emit('camera:get-direction', (direction) => {
-        if (direction) {
-          cameraDirection = {
-            x: direction.x,
-            y: direction.y,
-            z: direction.z
-          };
-        }
-      });
-      
-      // Emit the starting cast event with accurate position
-      console.log("Sending initial object spawner spell cast with position data:", 
-        cameraPosition ? `Camera: (${cameraPosition.x.toFixed(2)}, ${cameraPosition.y.toFixed(2)}, ${cameraPosition.z.toFixed(2)})` : "No camera position",
-        cameraDirection ? `Direction: (${cameraDirection.x.toFixed(2)}, ${cameraDirection.y.toFixed(2)}, ${cameraDirection.z.toFixed(2)})` : "No direction"
-      );
-      
-      this.eventBus.emit('spell:cast', {
-        spellId: this.id,
-        targetPosition: context.targetPosition || null,
-        targetId: context.targetId || null,
-        cameraPosition,
-        targetDirection: cameraDirection
-      });
-    }
+    // Emit the starting cast event with accurate position
+    console.log("Sending initial object spawner spell cast with position data:", 
+      cameraPosition ? `Camera: (${cameraPosition.x.toFixed(2)}, ${cameraPosition.y.toFixed(2)}, ${cameraPosition.z.toFixed(2)})` : "No camera position",
+      cameraDirection ? `Direction: (${cameraDirection.x.toFixed(2)}, ${cameraDirection.y.toFixed(2)}, ${cameraDirection.z.toFixed(2)})` : "No direction"
+    );
+    
+    this.eventBus.emit('spell:cast', {
+      spellId: this.id,
+      targetPosition: context.targetPosition || null,
+      targetId: context.targetId || null,
+      cameraPosition,
+      targetDirection: cameraDirection
+    });
     
     // Spawn the initial small object
-    this.spawnChanneledObject(0, isRemote, context); // 0 = starting size
+    this.spawnChanneledObject(0); // 0 = starting size
     
-    // Play start channeling sound (only for local casts)
-    if (!isRemote) {
-      this.eventBus.emit('audio:play', { 
-        sound: 'spawnObject', 
-        volume: 0.5
-      });
-    }
+    // Play start channeling sound
+    this.eventBus.emit('audio:play', { 
+      sound: 'spawnObject', 
+      volume: 0.5
+    });
     
-    // Create visual feedback on spellbook (only for local casts)
-    if (!isRemote) {
-      this.createChannelingVisual(context);
-    }
+    // Create visual feedback on spellbook
+    this.createChannelingVisual(context);
     
     // Set timeout to auto-finish channeling after max duration
     this.channelTimeout = setTimeout(() => {
@@ -347,11 +308,8 @@ export class ObjectSpawnerSpell extends Spell {
    * Finish channeling the spell and finalize the object
    */
   finishChanneling(context) {
-
-    if (context) {
-      // TODO
-      console.log("This is where remote object spawning would go")
-    }
+    // Remote casts never started a channel (see startChanneling)
+    if (context?.isRemote) return;
 
     if (!this.isChanneling) return;
     
@@ -368,30 +326,11 @@ export class ObjectSpawnerSpell extends Spell {
         x: 0, y: 0, z: 0
       };
       
-      // Check if this is a remote cast
-      const isRemote = this.channelContext?.isRemote;
+      // Launch along the local camera direction
       let launchDirection;
-      
-      if (isRemote && this.channelContext?.targetPosition) {
-        // For remote casts, use a direction based on the remote target position
-        // This is an approximation since we don't have the exact remote direction
-        if (this.channelContext.targetDirection) {
-          // If direction was provided in remote cast data
-          launchDirection = new THREE.Vector3(
-            this.channelContext.targetDirection.x,
-            this.channelContext.targetDirection.y,
-            this.channelContext.targetDirection.z
-          ).normalize();
-        } else {
-          // Fallback - use forward direction relative to target position
-          launchDirection = new THREE.Vector3(0, 0, -1);
-        }
-      } else {
-        // For local casts, use the local camera direction
-        this.eventBus.emit('camera:get-direction', (direction) => {
-          launchDirection = direction;
-        });
-      }
+      this.eventBus.emit('camera:get-direction', (direction) => {
+        launchDirection = direction;
+      });
       
       if (launchDirection) {
         // Launch power based on channel time
@@ -413,76 +352,68 @@ export class ObjectSpawnerSpell extends Spell {
         }
       });
       
-      // Play release sound, louder for bigger objects (only for local casts)
-      if (!isRemote) {
-        this.eventBus.emit('audio:play', { 
-          sound: 'objectRelease', 
-          volume: 0.6 + (finalProgress * 0.4),
-          pitch: 1.0 - (finalProgress * 0.3) // Lower pitch for bigger objects
-        });
+      // Play release sound, louder for bigger objects
+      this.eventBus.emit('audio:play', { 
+        sound: 'objectRelease', 
+        volume: 0.6 + (finalProgress * 0.4),
+        pitch: 1.0 - (finalProgress * 0.3) // Lower pitch for bigger objects
+      });
+      
+      // Emit event for multiplayer synchronization with channel progress
+      if (this.channelContext.eventBus) {
+        // Get camera position (for spawn point)
+        let cameraPosition = null;
+        if (this.channelContext.camera) {
+          cameraPosition = {
+            x: this.channelContext.camera.position.x,
+            y: this.channelContext.camera.position.y,
+            z: this.channelContext.camera.position.z
+          };
+        }
         
-        // Emit event for multiplayer synchronization with channel progress
-        if (this.channelContext.eventBus) {
-          // Get camera position (for spawn point)
-          let cameraPosition = null;
-          if (this.channelContext.camera) {
-            cameraPosition = {
-              x: this.channelContext.camera.position.x,
-              y: this.channelContext.camera.position.y,
-              z: this.channelContext.camera.position.z
-            };
-          }
-          
-          // Get camera direction (for object trajectory)
-          let cameraDirection = null;
-          if (this.channelContext.camera && this.channelContext.camera.getWorldDirection) {
-            const dir = new THREE.Vector3();
-            this.channelContext.camera.getWorldDirection(dir);
-            cameraDirection = {
-              x: dir.x,
-              y: dir.y,
-              z: dir.z
-            };
-          }
-          
-          // Include channeling progress data for object spawner
-          this.channelContext.eventBus.emit('spell:cast', {
-            spellId: this.id,
-            targetPosition: this.channelContext.targetPosition || null,
-            targetId: this.channelContext.targetId || null,
-            cameraPosition,
-            targetDirection: cameraDirection
-          });
+        // Get camera direction (for object trajectory)
+        let cameraDirection = null;
+        if (this.channelContext.camera && this.channelContext.camera.getWorldDirection) {
+          const dir = new THREE.Vector3();
+          this.channelContext.camera.getWorldDirection(dir);
+          cameraDirection = {
+            x: dir.x,
+            y: dir.y,
+            z: dir.z
+          };
         }
+        
+        // Include channeling progress data for object spawner
+        this.channelContext.eventBus.emit('spell:cast', {
+          spellId: this.id,
+          targetPosition: this.channelContext.targetPosition || null,
+          targetId: this.channelContext.targetId || null,
+          cameraPosition,
+          targetDirection: cameraDirection
+        });
       }
       
-      // Check if the released object hits any enemies (only for local casts)
-      // We'll let the physics system handle remote cast collisions instead
-      if (!isRemote) {
-        // Larger objects do more damage
-        const damage = Math.floor(2 + finalProgress * 3); // 2-5 damage based on object size
+      // Check if the released object hits any enemies; larger objects do more damage
+      const damage = Math.floor(2 + finalProgress * 3); // 2-5 damage based on object size
+      
+      // Use a raycaster in the direction of launch to check for enemy hits
+      const camera = this.channelContext?.camera;
+      if (camera && this.channelContext?.scene) {
+        const raycaster = new THREE.Raycaster();
+        raycaster.set(camera.position, launchDirection);
+        raycaster.camera = camera; // Set camera for proper sprite raycasting
         
-        // Use a raycaster in the direction of launch to check for enemy hits
-        const camera = this.channelContext?.camera;
-        if (camera && this.channelContext?.scene) {
-          const raycaster = new THREE.Raycaster();
-          raycaster.set(camera.position, launchDirection);
-          raycaster.camera = camera; // Set camera for proper sprite raycasting
-          
-          // Check for enemy hit - add a timeout to give object time to travel
-          setTimeout(() => {
-            if (this.channelContext && this.channelContext.scene) {
-              this.checkEnemyHit(raycaster, this.channelContext.scene, this.eventBus, damage);
-            }
-          }, 100);
-        }
+        // Check for enemy hit - add a timeout to give object time to travel
+        setTimeout(() => {
+          if (this.channelContext && this.channelContext.scene) {
+            this.checkEnemyHit(raycaster, this.channelContext.scene, this.eventBus, damage);
+          }
+        }, 100);
       }
     }
     
-    // Remove visual effects from spellbook (only for local casts)
-    if (!this.channelContext?.isRemote) {
-      this.removeChannelingVisuals();
-    }
+    // Remove visual effects from spellbook
+    this.removeChannelingVisuals();
     
     // Clear references
     this.channelObjectId = null;
@@ -552,100 +483,32 @@ export class ObjectSpawnerSpell extends Spell {
   /**
    * Spawn a channeled object at the given scale
    * @param {number} channelProgress - Progress of channeling (0-1)
-   * @param {boolean} isRemote - Whether this is a remote cast
-   * @param {Object} context - Casting context with remote data if applicable
    */
-  spawnChanneledObject(channelProgress, isRemote = false, context = null) {
-    let spawnPosition;
+  spawnChanneledObject(channelProgress) {
+    let cameraPosition, cameraDirection;
     
-    if (isRemote && context) {
-      // For remote casts, prioritize different position data sources
-      
-      // First try to use the explicitly provided camera position from the network event
-      if (context.cameraPosition) {
-        spawnPosition = new THREE.Vector3(
-          context.cameraPosition.x,
-          context.cameraPosition.y,
-          context.cameraPosition.z
-        );
-        console.log('Using network-provided camera position for object spawning:', spawnPosition);
-        
-        // If we have a target direction, offset in that direction
-        if (context.targetDirection) {
-          const dirOffset = new THREE.Vector3(
-            context.targetDirection.x,
-            context.targetDirection.y,
-            context.targetDirection.z
-          ).normalize().multiplyScalar(1.2);
-          
-          spawnPosition.add(dirOffset);
-        }
-      }
-      // Then try to use the target position as fallback
-      else if (context.targetPosition) {
-        spawnPosition = new THREE.Vector3(
-          context.targetPosition.x,
-          context.targetPosition.y,
-          context.targetPosition.z
-        );
-        console.log('Using remote target position for object spawning:', spawnPosition);
-      }
-      // Then try to get position from GameStateManager
-      else if (context.remotePlayerId && this.eventBus) {
-        const remotePlayerId = context.remotePlayerId;
-        
-        // Get position from GameStateManager
-        this.eventBus.emit('multiplayer:get-player-position', remotePlayerId, (position) => {
-          if (position) {
-            spawnPosition = position.clone();
-            console.log(`Got position from GameStateManager for player ${remotePlayerId}:`, spawnPosition);
-            
-            // Try to get direction from GameStateManager to offset properly
-            this.eventBus.emit('multiplayer:get-player-direction', remotePlayerId, (direction) => {
-              if (direction) {
-                // Offset in the direction the player is facing
-                const offset = direction.clone().multiplyScalar(1.2 + (channelProgress * 0.3));
-                spawnPosition.add(offset);
-                console.log(`Using direction from GameStateManager for offset:`, direction);
-              }
-            });
-          }
-        });
-      }
-    }
+    this.eventBus.emit('camera:get-position', (position) => {
+      cameraPosition = position;
+    });
     
-    // If we still don't have a position (either local cast or failed to get remote position)
-    if (!spawnPosition) {
-      // For local casts, use local camera position and direction
-      let cameraPosition, cameraDirection;
-      
-      this.eventBus.emit('camera:get-position', (position) => {
-        cameraPosition = position;
-      });
-      
-      this.eventBus.emit('camera:get-direction', (direction) => {
-        cameraDirection = direction;
-      });
-      
-      if (!cameraPosition || !cameraDirection) {
-        console.error('Failed to get camera position/direction for object spawning');
-        return;
-      }
-      
-      // Spawn position closer to player during channeling
-      const distance = 1.2 + (channelProgress * 0.3);
-      spawnPosition = cameraPosition.clone().add(
-        cameraDirection.clone().multiplyScalar(distance)
-      );
-      
-      // Positioned lower for better interaction with physics
-      spawnPosition.y -= 0.3;
-      
-      if (isRemote && context) {
-        console.warn('Falling back to local camera for remote cast due to missing position data');
-      }
+    this.eventBus.emit('camera:get-direction', (direction) => {
+      cameraDirection = direction;
+    });
+    
+    if (!cameraPosition || !cameraDirection) {
+      console.error('Failed to get camera position/direction for object spawning');
+      return;
     }
     
+    // Spawn position closer to player during channeling
+    const distance = 1.2 + (channelProgress * 0.3);
+    const spawnPosition = cameraPosition.clone().add(
+      cameraDirection.clone().multiplyScalar(distance)
+    );
+    
+    // Positioned lower for better interaction with physics
+    spawnPosition.y -= 0.3;
+    
     // Less random offset during channeling to make it feel more controlled
     spawnPosition.x += (Math.random() - 0.5) * 0.1;
     spawnPosition.y += (Math.random() - 0.5) * 0.1;
@@ -665,11 +528,10 @@ export class ObjectSpawnerSpell extends Spell {
     objectProps.mass = mass;
     
     // Add unique ID to track this object
-    const objectId = 'channeled_' + Date.now() + (isRemote ? '_remote' : '_local');
+    const objectId = 'channeled_' + Date.now() + '_local';
     
-    // Generate a random seed for consistent properties between clients
-    const seed = isRemote && context ? context.playerId : Date.now();
-    objectProps.seed = seed;
+    // Seed for the object's random properties
+    objectProps.seed = Date.now();
     
     // Command physics system to create the object with minimal initial velocity
     this.eventBus.emit('physics:spawn-object', {
@@ -690,8 +552,7 @@ export class ObjectSpawnerSpell extends Spell {
       visualEffect: {
         type: 'channeling',
         intensity: 0.2
-      },
-      isRemote: isRemote // Flag to indicate this is a remote object
+      }
     });
     
     // Store reference to this object
@@ -703,112 +564,34 @@ export class ObjectSpawnerSpell extends Spell {
    * @param {Object} context - Casting context with camera, scene, etc.
    */
   spawnObject(context) {
-    // Check if this is a remote cast
-    const isRemote = context?.isRemote;
-    let spawnPosition, direction;
+    // Remote objects are created by the physics relay instead (see startChanneling)
+    if (context?.isRemote) return;
     
-    if (isRemote) {
-      // For remote casts, prioritize different position data sources
-      
-      // First try to use the explicitly provided camera position from the network event
-      if (context.cameraPosition) {
-        spawnPosition = new THREE.Vector3(
-          context.cameraPosition.x,
-          context.cameraPosition.y,
-          context.cameraPosition.z
-        );
-        console.log('Using network-provided camera position for non-channeled object spawning:', spawnPosition);
-        
-        // Direction is provided in the remote data or we'll try to find it later
-        if (context.targetDirection) {
-          direction = new THREE.Vector3(
-            context.targetDirection.x,
-            context.targetDirection.y,
-            context.targetDirection.z
-          ).normalize();
-        }
-      }
-      // Then try to use the target position as fallback
-      else if (context.targetPosition) {
-        spawnPosition = new THREE.Vector3(
-          context.targetPosition.x,
-          context.targetPosition.y,
-          context.targetPosition.z
-        );
-        console.log('Using remote target position for non-channeled object spawning:', spawnPosition);
-        
-        // Direction is provided in the remote data or we use a default
-        if (context.targetDirection) {
-          direction = new THREE.Vector3(
-            context.targetDirection.x,
-            context.targetDirection.y,
-            context.targetDirection.z
-          ).normalize();
-        } else {
-          // Default direction if not provided
-          direction = new THREE.Vector3(0, 0, -1);
-        }
-      }
-      // Then try to get position from GameStateManager
-      else if (context.remotePlayerId && this.eventBus) {
-        const remotePlayerId = context.remotePlayerId;
-        
-        // Get position from GameStateManager
-        this.eventBus.emit('multiplayer:get-player-position', remotePlayerId, (position) => {
-          if (position) {
-            spawnPosition = position.clone();
-            console.log(`Got position from GameStateManager for player ${remotePlayerId}:`, spawnPosition);
-            
-            // If we don't have a direction yet, try to get it from GameStateManager
-            if (!direction) {
-              this.eventBus.emit('multiplayer:get-player-direction', remotePlayerId, (playerDirection) => {
-                if (playerDirection) {
-                  direction = playerDirection.clone();
-                  console.log(`Using direction from GameStateManager:`, direction);
-                } else {
-                  // Default direction if not found
-                  direction = new THREE.Vector3(0, 0, -1);
-                }
-              });
-            }
-          }
-        });
-      }
-    }
+    let cameraPosition, cameraDirection;
     
-    // If we still don't have a position or direction (either local cast or failed to get remote data)
-    if (!spawnPosition || !direction) {
-      // For local casts, use the local camera position and direction
-      let cameraPosition, cameraDirection;
-      
-      this.eventBus.emit('camera:get-position', (position) => {
-        cameraPosition = position;
-      });
-      
-      this.eventBus.emit('camera:get-direction', (direction) => {
-        cameraDirection = direction;
-      });
-      
-      if (!cameraPosition || !cameraDirection) {
-        console.error('Failed to get camera position/direction for object spawning');
-        return;
-      }
-      
-      // Adjust spawn position to be high above player for better black hole interaction
-      // Spawn position 1.5-2.5 meters in front of the camera, but much higher
-      const distance = 1.5 + Math.random();
-      spawnPosition = cameraPosition.clone().add(
-        cameraDirection.clone().multiplyScalar(distance)
-      );
-      
-      // Store direction for velocity
-      direction = cameraDirection;
-      
-      if (isRemote) {
-        console.warn('Falling back to local camera for remote non-channeled cast due to missing position/direction data');
-      }
+    this.eventBus.emit('camera:get-position', (position) => {
+      cameraPosition = position;
+    });
+    
+    this.eventBus.emit('camera:get-direction', (direction) => {
+      cameraDirection = direction;
+    });
+    
+    if (!cameraPosition || !cameraDirection) {
+      console.error('Failed to get camera position/direction for object spawning');
+      return;
     }
     
+    // Adjust spawn position to be high above player for better black hole interaction
+    // Spawn position 1.5-2.5 meters in front of the camera, but much higher
+    const distance = 1.5 + Math.random();
+    const spawnPosition = cameraPosition.clone().add(
+      cameraDirection.clone().multiplyScalar(distance)
+    );
+    
+    // Direction for velocity
+    const direction = cameraDirection;
+    
     // Positioned lower to better interact with black hole
     spawnPosition.y -= 0.3;
     
@@ -820,12 +603,11 @@ export class ObjectSpawnerSpell extends Spell {
     // Generate random properties for the object
     const randomObject = this.generateRandomObjectProps();
     
-    // Generate a consistent seed for properties between clients
-    const seed = isRemote && context ? context.playerId : Date.now();
-    randomObject.seed = seed;
+    // Seed for the object's random properties
+    randomObject.seed = Date.now();
     
     // Create a unique ID for the spawned object
-    const objectId = 'spawned_' + Date.now() + (isRemote ? '_remote' : '_local');
+    const objectId = 'spawned_' + Date.now() + '_local';
     
     // Command physics system to create the object
     this.eventBus.emit('physics:spawn-object', {
@@ -841,17 +623,13 @@ export class ObjectSpawnerSpell extends Spell {
         x: direction.x * 2,
         y: direction.y * 2 + 1, // Add slight upward motion
         z: direction.z * 2
-      },
-      isRemote: isRemote // Flag to indicate this is a remote object
+      }
     });
     
-    // Play sound effect (only for local casts)
-    if (!isRemote) {
-      this.eventBus.emit('audio:play', { 
-        sound: 'spawnObject', 
-        volume: 0.7
-      });
-    }
+    this.eventBus.emit('audio:play', { 
+      sound: 'spawnObject', 
+      volume: 0.7
+    });
   }
   
   /**
@@ -0,0 +1,360 @@
+import { Spell } from './spell.js';
+import { SpellEffects } from './spell-effects.js';
+import { SHIELD_SPELL } from '../../config.js';
+
+/**
+ * ShieldSpell - Raises a bubble around the caster that blocks damage and
+ * bounces incoming physics objects. Holding the spell keeps the shield up;
+ * after release (or a drawn circle rune) it lingers for a few seconds.
+ */
+export class ShieldSpell extends Spell {
+  /**
+   * @param {Object} options - Spell configuration options
+   * @param {EventBus} options.eventBus - Event bus for communication
+   * @param {number} options.page - Page number in the spellbook
+   * @param {number} [options.cooldown=8] - Cooldown time in seconds
+   * @param {number} [options.manaCost=0] - Mana spent per cast
+   */
+  constructor(options) {
+    super({
+      id: 'shield',
+      name: 'Aegis',
+      shape: 'circle',
+      description: 'Surrounds you with a shimmering barrier that absorbs all damage and deflects anything thrown at you.',
+      page: options.page,
+      cooldown: options.cooldown || 8,
+      manaCost: options.manaCost,
+      allowSpaceCast: true,
+      visualOptions: {
+        strokeColor: '#00AAFF',
+        lineWidth: 4
+      },
+      effectKeyDown: (context) => this.raiseShield(context),
+      effectKeyUp: (context) => this.releaseShield(context)
+    });
+
+    this.eventBus = options.eventBus;
+
+    // Active shields by caster; the local player's shield is stored under null
+    this.shields = new Map();
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    this.eventBus.on('scene:update', this.update.bind(this));
+
+    this.eventBus.on('player:died', () => {
+      this.dropShield(null);
+    });
+
+    this.eventBus.on('multiplayer:room-left', () => {
+      [...this.shields.keys()].forEach(playerId => {
+        if (playerId) this.dropShield(playerId);
+      });
+    });
+  }
+
+  /**
+   * Raise (or renew) the caster's shield and keep it up while the spell is held
+   * @param {Object} context - Casting context
+   * @returns {Object|null} Cast data for other players
+   */
+  raiseShield(context) {
+    const isRemote = context?.isRemote;
+    const playerId = isRemote ? context.remotePlayerId : null;
+    if (isRemote && !playerId) return null;
+
+    const holdTime = SHIELD_SPELL.maxChannelTime + SHIELD_SPELL.lingerTime;
+    let shield = this.shields.get(playerId);
+
+    if (shield) {
+      shield.effect.setRemainingTime(holdTime);
+    } else {
+      const getPosition = () => this.getCasterPosition(playerId);
+      const effect = SpellEffects.createShield({ ...context, scene: context.scene || this.getMainScene() }, {
+        duration: holdTime,
+        radius: SHIELD_SPELL.radius,
+        getPosition
+      });
+
+      shield = { effect, getPosition };
+      this.shields.set(playerId, shield);
+      this.eventBus.emit('player:shield-changed', { playerId, active: true });
+    }
+
+    shield.expiresAt = Date.now() + holdTime * 1000;
+    shield.channeling = true;
+
+    // Release automatically after the longest channel
+    clearTimeout(shield.channelTimeout);
+    shield.channelTimeout = setTimeout(() => {
+      this.releaseShield(context);
+    }, SHIELD_SPELL.maxChannelTime * 1000);
+
+    if (isRemote) return null;
+
+    this.eventBus.emit('audio:play', {
+      sound: 'shield',
+      volume: 0.7
+    });
+
+    return {
+      spellId: this.id,
+      targetPosition: this.toPlainVector(shield.getPosition()),
+      targetId: null,
+      cameraPosition: this.toPlainVector(shield.getPosition()),
+      targetDirection: null,
+      spellData: {
+        isKeyDown: true,
+        isKeyUp: false
+      }
+    };
+  }
+
+  /**
+   * Stop channeling; the shield lingers for a few seconds before it drops
+   * @param {Object} context - Casting context
+   * @returns {Object|null} Cast data for other players
+   */
+  releaseShield(context) {
+    const isRemote = context?.isRemote;
+    const playerId = isRemote ? context.remotePlayerId : null;
+    const shield = this.shields.get(playerId);
+    if (!shield || !shield.channeling) return null;
+
+    shield.channeling = false;
+    clearTimeout(shield.channelTimeout);
+    shield.expiresAt = Date.now() + SHIELD_SPELL.lingerTime * 1000;
+    shield.effect.setRemainingTime(SHIELD_SPELL.lingerTime);
+
+    if (isRemote) return null;
+
+    return {
+      spellId: this.id,
+      targetPosition: this.toPlainVector(shield.getPosition()),
+      targetId: null,
+      cameraPosition: this.toPlainVector(shield.getPosition()),
+      targetDirection: null,
+      spellData: {
+        isKeyDown: false,
+        isKeyUp: true
+      }
+    };
+  }
+
+  /**
+   * Remove a caster's shield
+   * @param {string|null} playerId - Remote caster, or null for the local player
+   */
+  dropShield(playerId) {
+    const shield = this.shields.get(playerId);
+    if (!shield) return;
+
+    clearTimeout(shield.channelTimeout);
+    shield.effect.cleanup();
+    this.shields.delete(playerId);
+    this.eventBus.emit('player:shield-changed', { playerId, active: false });
+  }
+
+  /**
+   * Expire old shields and deflect objects flying at the active ones
+   */
+  update() {
+    const now = Date.now();
+
+    this.shields.forEach((shield, playerId) => {
+      if (now >= shield.expiresAt) {
+        this.dropShield(playerId);
+        return;
+      }
+
+      const position = shield.getPosition();
+      if (!position) return;
+
+      this.eventBus.emit('physics:apply-shield', {
+        position: this.toPlainVector(position),
+        radius: SHIELD_SPELL.radius,
+        deflectSpeed: SHIELD_SPELL.deflectSpeed,
+        restitution: SHIELD_SPELL.restitution
+      });
+    });
+  }
+
+  /**
+   * Get where a caster's shield is centered
+   * @param {string|null} playerId - Remote caster, or null for the local player
+   * @returns {THREE.Vector3|null} Caster's camera position
+   */
+  getCasterPosition(playerId) {
+    let position = null;
+
+    if (playerId) {
+      this.eventBus.emit('multiplayer:get-player-position', playerId, (playerPosition) => {
+        position = playerPosition;
+      });
+    } else {
+      this.eventBus.emit('camera:get-position', (cameraPosition) => {
+        position = cameraPosition;
+      });
+    }
+
+    return position;
+  }
+
+  /**
+   * Get the main scene for visual effects
+   * @returns {THREE.Scene|null} The main scene or null if not available
+   */
+  getMainScene() {
+    let scene = null;
+    this.eventBus.emit('scene:get-scene', (sceneObj) => {
+      scene = sceneObj;
+    });
+    return scene;
+  }
+
+  /**
+   * Copy a vector into a plain object for the network
+   * @param {THREE.Vector3|null} vector - Vector to copy
+   * @returns {{x: number, y: number, z: number}|null} Plain copy
+   */
+  toPlainVector(vector) {
+    return vector ? { x: vector.x, y: vector.y, z: vector.z } : null;
+  }
+
+  /**
+   * Clean up any active shields
+   */
+  dispose() {
+    [...this.shields.keys()].forEach(playerId => this.dropShield(playerId));
+  }
+
+  /**
+   * Override draw shape to show the circle rune inside a shield bubble
+   * @param {CanvasRenderingContext2D} context - Canvas context
+   */
+  drawShape(context) {
+    const width = context.canvas.width;
+    const height = context.canvas.height;
+    const centerX = width / 2;
+    const centerY = height / 2;
+    const radius = Math.min(width, height) * 0.3;
+
+    // Clear canvas
+    context.fillStyle = '#f5f5dc'; // Beige parchment color
+    context.fillRect(0, 0, width, height);
+
+    // Soft blue bubble behind the rune
+    const gradient = context.createRadialGradient(centerX, centerY, radius * 0.6, centerX, centerY, radius * 1.3);
+    gradient.addColorStop(0, 'rgba(0, 170, 255, 0)');
+    gradient.addColorStop(0.7, 'rgba(0, 170, 255, 0.25)');
+    gradient.addColorStop(1, 'rgba(0, 170, 255, 0)');
+    context.fillStyle = gradient;
+    context.beginPath();
+    context.arc(centerX, centerY, radius * 1.3, 0, Math.PI * 2);
+    context.fill();
+
+    // The rune itself
+    context.strokeStyle = this.visualOptions.strokeColor;
+    context.lineWidth = this.visualOptions.lineWidth;
+    context.beginPath();
+    context.arc(centerX, centerY, radius, 0, Math.PI * 2);
+    context.stroke();
+
+    // Arrow showing where to start drawing
+    context.fillStyle = this.visualOptions.strokeColor;
+    context.beginPath();
+    context.moveTo(centerX, centerY - radius - 12);
+    context.lineTo(centerX + 18, centerY - radius);
+    context.lineTo(centerX, centerY - radius + 12);
+    context.fill();
+
+    // Objects bouncing off the shield
+    context.lineWidth = 2;
+    [-0.8, 0.2, 1.2].forEach(angle => {
+      const x = centerX + Math.cos(angle) * radius * 1.15;
+      const y = centerY + Math.sin(angle) * radius * 1.15;
+      context.beginPath();
+      context.moveTo(x, y);
+      context.lineTo(x + Math.cos(angle) * 30, y + Math.sin(angle) * 30);
+      context.stroke();
+    });
+
+    context.font = 'italic 20px serif';
+    context.textAlign = 'center';
+    context.textBaseline = 'bottom';
+    context.fillText('Draw a circle, or hold SPACE', centerX, centerY - radius * 1.4);
+
+    // Draw page number
+    context.font = 'bold 20px serif';
+    context.textAlign = 'left';
+    context.textBaseline = 'bottom';
+    context.fillStyle = '#8B4513';
+    context.fillText(`Page ${this.page}`, 20, height - 20);
+  }
+
+  /**
+   * Override the description page
+   * @param {CanvasRenderingContext2D} context - Canvas context
+   */
+  drawDescription(context) {
+    const width = context.canvas.width;
+    const height = context.canvas.height;
+    const margin = 30;
+
+    // Clear canvas
+    context.fillStyle = '#f5f5dc'; // Beige parchment color
+    context.fillRect(0, 0, width, height);
+
+    // Draw spell name
+    context.font = 'bold 32px serif';
+    context.textAlign = 'center';
+    context.textBaseline = 'top';
+    context.fillStyle = '#0077CC';
+    context.fillText(this.name, width / 2, margin);
+
+    // Draw horizontal divider
+    context.strokeStyle = '#0077CC';
+    context.lineWidth = 2;
+    context.beginPath();
+    context.moveTo(margin, margin + 50);
+    context.lineTo(width - margin, margin + 50);
+    context.stroke();
+
+    // Draw description - with word wrapping
+    context.font = '24px serif';
+    context.textAlign = 'left';
+    context.textBaseline = 'top';
+    context.fillStyle = '#000000';
+
+    this.wrapText(context, this.description, margin, margin + 70, width - (margin * 2), 32);
+
+    this.wrapText(
+      context,
+      `Hold SPACE to keep the barrier up for up to ${SHIELD_SPELL.maxChannelTime} seconds. ` +
+      `Once released, or when cast from a circle rune, it fades after ${SHIELD_SPELL.lingerTime} seconds.`,
+      margin,
+      margin + 200,
+      width - (margin * 2),
+      32
+    );
+
+    // Draw key binding at the bottom
+    context.font = 'italic 24px serif';
+    context.fillStyle = '#0077CC';
+    context.textAlign = 'center';
+    context.textBaseline = 'bottom';
+    context.fillText('Cast with circle shape or SPACE', width / 2, height - margin);
+
+    // Draw page number
+    context.font = 'bold 20px serif';
+    context.textAlign = 'right';
+    context.textBaseline = 'bottom';
+    context.fillStyle = '#8B4513';
+    context.fillText(`Page ${this.page}`, width - 20, height - 20);
+  }
+}
@@ -0,0 +1,234 @@
+import * as THREE from 'three';
+import { SpellEffects } from './spell-effects.js';
+
+/**
+ * Reusable spell behaviours for data-driven spells (see DataDrivenSpell).
+ *
+ * Each archetype has:
+ * - label: Shown on the spellbook page
+ * - defaults: Settings a definition can override under the archetype's name;
+ *   any of them can be a curve over channel progress
+ * - describe(spell): One line summarising the settings for the spellbook page
+ * - cast(spell, cast): Start the effect. `cast` holds origin, direction and
+ *   targetPosition (THREE.Vector3), progress (0-1), isRemote and scene.
+ *   Effects that outlive the cast return { update(), dispose() }; update is
+ *   called every frame until it returns false.
+ *
+ * Only the caster's client deals damage, so each hit is counted once.
+ */
+export const SpellArchetypes = {
+  /**
+   * A physics projectile that explodes when it hits something
+   */
+  projectile: {
+    label: 'Projectile',
+    defaults: {
+      speed: 20,
+      radius: 0.2,
+      mass: 0.5,
+      gravityScale: 0.1, // Fraction of world gravity, for a slight arc
+      lifetime: 4, // Seconds before a projectile that hit nothing explodes
+      spawnDistance: 1, // Distance in front of the caster it appears
+      explosionRadius: 4,
+      explosionStrength: 30, // Push on physics objects, see PhysicsManager.applyExplosionEffect
+      playerHitRadius: 0.3 // Extra reach for exploding on remote players
+    },
+
+    describe(spell) {
+      const { settings } = spell.definition;
+      return `Explodes on impact, hitting everything within ${spell.formatCurve(settings.explosionRadius)} units.`;
+    },
+
+    cast(spell, { origin, direction, progress, isRemote, scene }) {
+      const physicsManager = spell.getPhysicsManager();
+      if (!physicsManager) return null;
+
+      const { settings, colors } = spell.definition;
+      const value = (curve) => spell.value(curve, progress);
+      const radius = value(settings.radius);
+      const launchTime = Date.now();
+      let hasHit = false;
+
+      const body = physicsManager.createProjectile({
+        position: origin.clone().addScaledVector(direction, value(settings.spawnDistance)),
+        velocity: direction.clone().multiplyScalar(value(settings.speed)),
+        radius,
+        mass: value(settings.mass),
+        gravityScale: value(settings.gravityScale),
+        // Explode after the physics step, not in the middle of it
+        onCollide: () => {
+          hasHit = true;
+        }
+      });
+
+      const effect = SpellEffects.createFireball({ scene }, {
+        body,
+        radius,
+        color: colors.primary,
+        particleColor: colors.secondary
+      });
+
+      const dispose = () => {
+        physicsManager.removeProjectile(body);
+        effect.cleanup();
+      };
+
+      const explode = () => {
+        const position = new THREE.Vector3(body.position.x, body.position.y, body.position.z);
+        const explosionRadius = value(settings.explosionRadius);
+        dispose();
+
+        SpellEffects.createFireballExplosion({ scene }, {
+          position,
+          radius: explosionRadius * 0.6,
+          color: colors.primary,
+          coreColor: colors.secondary
+        });
+
+        physicsManager.applyExplosionEffect({
+          position,
+          strength: value(settings.explosionStrength),
+          radius: explosionRadius
+        });
+
+        if (!isRemote) {
+          spell.damageArea(position, explosionRadius, progress);
+        }
+        spell.playSound('impact', 0.8);
+      };
+
+      return {
+        update() {
+          const expired = (Date.now() - launchTime) / 1000 >= value(settings.lifetime);
+          // Remote players have no physics body on this client to collide with
+          const reachedPlayer = !isRemote &&
+            spell.getPlayersInRadius(body.position, radius + value(settings.playerHitRadius)).length > 0;
+
+          if (hasHit || expired || reachedPlayer) {
+            explode();
+            return false;
+          }
+          return true;
+        },
+        dispose
+      };
+    }
+  },
+
+  /**
+   * An instant beam that hits everything along its length
+   */
+  beam: {
+    label: 'Beam',
+    defaults: {
+      range: 40,
+      width: 0.1,
+      hitRadius: 0.6, // How far from the beam's center targets are still hit
+      duration: 0.4 // Seconds the beam stays visible
+    },
+
+    describe(spell) {
+      const { settings } = spell.definition;
+      return `Pierces everything in a line ${spell.formatCurve(settings.range)} units long.`;
+    },
+
+    cast(spell, { origin, direction, progress, isRemote, scene }) {
+      const { settings, colors } = spell.definition;
+      const range = spell.value(settings.range, progress);
+      // Start a little ahead of the caster, where the spellbook is
+      const start = origin.clone().addScaledVector(direction, 0.5);
+      const end = origin.clone().addScaledVector(direction, range);
+
+      SpellEffects.createBeam({ scene }, {
+        start,
+        end,
+        width: spell.value(settings.width, progress),
+        duration: spell.value(settings.duration, progress),
+        color: colors.primary,
+        coreColor: colors.secondary
+      });
+
+      if (!isRemote) {
+        spell.damageLine(start, end, spell.value(settings.hitRadius, progress), progress);
+      }
+      spell.playSound('impact', 0.6);
+
+      return null;
+    }
+  },
+
+  /**
+   * A zone placed where the caster is looking that hurts everything inside it
+   * at a steady rate, optionally pushing or pulling physics objects
+   */
+  area: {
+    label: 'Area',
+    defaults: {
+      radius: 5,
+      range: 15, // Furthest the zone can be placed from the caster
+      duration: 3, // Seconds the zone lasts
+      tickInterval: 0.5, // Seconds between damage ticks; damage is dealt per tick
+      force: 0 // Push on physics objects each frame; negative pulls them in
+    },
+
+    describe(spell) {
+      const { settings } = spell.definition;
+      return `Engulfs a ${spell.formatCurve(settings.radius)} unit radius for ` +
+        `${spell.formatCurve(settings.duration)} seconds, striking every ${spell.formatCurve(settings.tickInterval)} seconds.`;
+    },
+
+    cast(spell, { origin, direction, targetPosition, progress, isRemote, scene }) {
+      const { settings, colors } = spell.definition;
+      const value = (curve) => spell.value(curve, progress);
+      const radius = value(settings.radius);
+      const duration = value(settings.duration);
+      const tickInterval = Math.max(0.1, value(settings.tickInterval));
+      const force = value(settings.force);
+      const position = targetPosition || spell.findTargetPoint(origin, direction, value(settings.range));
+      const physicsManager = force !== 0 ? spell.getPhysicsManager() : null;
+      const zoneId = `${spell.id}_${Date.now()}`;
+
+      const effect = SpellEffects.createAreaZone({ scene }, {
+        position,
+        radius,
+        duration,
+        color: colors.primary,
+        ringColor: colors.secondary
+      });
+
+      const startTime = Date.now();
+      let ticks = 0;
+
+      return {
+        update() {
+          const elapsed = (Date.now() - startTime) / 1000;
+          if (elapsed >= duration) {
+            effect.cleanup();
+            return false;
+          }
+
+          if (physicsManager) {
+            if (force > 0) {
+              physicsManager.applyExplosionEffect({ position, strength: force, radius });
+            } else {
+              physicsManager.applyBlackHoleEffect({ id: zoneId, position, strength: -force, radius });
+            }
+          }
+
+          // The first tick lands as soon as the zone appears
+          if (elapsed >= ticks * tickInterval) {
+            ticks++;
+            if (!isRemote) {
+              spell.damageArea(position, radius, progress);
+            }
+          }
+          return true;
+        },
+        dispose() {
+          effect.cleanup();
+        },
+        targetPosition: position
+      };
+    }
+  }
+};
@@ -0,0 +1,177 @@
+import { STATUS_EFFECTS, MOTION_GESTURES } from '../../config.js';
+
+/**
+ * Spell definition format for data-driven spells (see assets/spells/spells.json).
+ *
+ * A definition describes a spell without code:
+ * {
+ *   "id": "frostBolt",              // Unique spell ID, also sent over the network
+ *   "name": "Glacies",              // Shown on the spellbook page and page indicator
+ *   "shape": "square",              // Rune that casts it ('space' = Space bar only)
+ *   "gesture": "circle-wave",       // Motion gesture that also casts it (optional, see MOTION_GESTURES)
+ *   "page": 8,                      // Optional; the next free page when omitted
+ *   "description": "...",
+ *   "archetype": "projectile",      // 'projectile', 'beam' or 'area'
+ *   "cooldown": 2,                  // Seconds
+ *   "channelTime": 1.2,             // Seconds to full power while holding Space (0 = instant)
+ *   "manaCost": 10,                 // Mana spent per cast
+ *   "manaPerSecond": 0,             // Mana drained per second while channelling
+ *   "damage": [[0, 2], [1, 5]],     // Enemy damage over channel progress
+ *   "pvpDamage": [[0, 8], [1, 20]], // Player damage in deathmatch rooms (optional)
+ *   "status": { "type": "frozen", "duration": 3 }, // Status effect left on targets hit (optional)
+ *   "colors": { "primary": "#66CCFF", "secondary": "#FFFFFF" },
+ *   "sounds": { "charge": "...", "cast": "...", "impact": "..." },
+ *   "projectile": { ... }           // Settings for the archetype, see SpellArchetypes
+ * }
+ *
+ * Numbers that grow with channel time (damage, speed, radius...) can be given as
+ * a curve: a list of [progress, value] keyframes, linearly interpolated.
+ */
+
+// Spell IDs are sent to other players and used as map keys, so keep them simple
+const ID_PATTERN = /^[A-Za-z][A-Za-z0-9_-]*$/;
+
+const COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/;
+
+/**
+ * Check whether a value is a number or a list of [progress, value] keyframes
+ * @param {*} curve - Value to check
+ * @returns {boolean} True if evaluateCurve can read it
+ */
+export function isCurve(curve) {
+  if (typeof curve === 'number') return Number.isFinite(curve);
+  if (!Array.isArray(curve) || curve.length === 0) return false;
+
+  return curve.every(keyframe =>
+    Array.isArray(keyframe) &&
+    keyframe.length === 2 &&
+    keyframe.every(value => typeof value === 'number' && Number.isFinite(value))
+  );
+}
+
+/**
+ * Read a curve at a point of the channel
+ * @param {number|Array<Array<number>>} curve - Constant or [progress, value] keyframes
+ * @param {number} progress - Channel progress from 0 to 1
+ * @returns {number} Interpolated value
+ */
+export function evaluateCurve(curve, progress) {
+  if (typeof curve === 'number') return curve;
+
+  const keyframes = [...curve].sort((a, b) => a[0] - b[0]);
+  if (progress <= keyframes[0][0]) return keyframes[0][1];
+
+  for (let i = 1; i < keyframes.length; i++) {
+    const [endProgress, endValue] = keyframes[i];
+    if (progress <= endProgress) {
+      const [startProgress, startValue] = keyframes[i - 1];
+      const span = endProgress - startProgress;
+      const t = span > 0 ? (progress - startProgress) / span : 1;
+      return startValue + (endValue - startValue) * t;
+    }
+  }
+
+  return keyframes[keyframes.length - 1][1];
+}
+
+/**
+ * Validate a spell definition and fill in defaults
+ * @param {Object} definition - Definition as read from JSON
+ * @param {Object} archetypes - Known archetypes by name, each with its default settings
+ * @returns {Object} Normalized definition
+ * @throws {Error} If the definition can't be used
+ */
+export function parseSpellDefinition(definition, archetypes) {
+  if (!definition || typeof definition !== 'object') {
+    throw new Error('Spell definition must be an object');
+  }
+
+  const { id, name, shape, archetype } = definition;
+  if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+    throw new Error(`Invalid spell id: ${JSON.stringify(id)}`);
+  }
+
+  const fail = (message) => {
+    throw new Error(`Spell ${id}: ${message}`);
+  };
+
+  if (typeof name !== 'string' || name.length === 0) fail('name is required');
+  if (typeof shape !== 'string' || shape.length === 0) fail('shape is required');
+  if (!archetypes[archetype]) {
+    fail(`unknown archetype ${JSON.stringify(archetype)} (expected ${Object.keys(archetypes).join(', ')})`);
+  }
+
+  const gesture = definition.gesture ?? null;
+  if (gesture !== null && !Object.keys(MOTION_GESTURES.gestures).includes(gesture)) {
+    fail(`gesture must be one of ${Object.keys(MOTION_GESTURES.gestures).join(', ')}`);
+  }
+
+  const page = definition.page;
+  if (page !== undefined && (!Number.isInteger(page) || page < 1)) fail('page must be a whole number from 1');
+
+  const cooldown = definition.cooldown ?? 1;
+  const channelTime = definition.channelTime ?? 0;
+  if (typeof cooldown !== 'number' || cooldown < 0) fail('cooldown must be a number of seconds');
+  if (typeof channelTime !== 'number' || channelTime < 0) fail('channelTime must be a number of seconds');
+
+  const manaCost = definition.manaCost ?? 0;
+  const manaPerSecond = definition.manaPerSecond ?? 0;
+  if (typeof manaCost !== 'number' || manaCost < 0) fail('manaCost must be a number, 0 or more');
+  if (typeof manaPerSecond !== 'number' || manaPerSecond < 0) fail('manaPerSecond must be a number, 0 or more');
+
+  const damage = definition.damage ?? 0;
+  const pvpDamage = definition.pvpDamage ?? 0;
+  if (!isCurve(damage)) fail('damage must be a number or a list of [progress, value] keyframes');
+  if (!isCurve(pvpDamage)) fail('pvpDamage must be a number or a list of [progress, value] keyframes');
+
+  // Duration defaults to the effect's own (see STATUS_EFFECTS)
+  let status = null;
+  if (definition.status !== undefined) {
+    const { type, duration } = definition.status || {};
+    if (!Object.keys(STATUS_EFFECTS).includes(type)) {
+      fail(`status.type must be one of ${Object.keys(STATUS_EFFECTS).join(', ')}`);
+    }
+    if (duration !== undefined && (typeof duration !== 'number' || duration <= 0)) {
+      fail('status.duration must be a number of seconds');
+    }
+    status = { type, duration };
+  }
+
+  const colors = { primary: '#8B4513', secondary: '#FFFFFF', ...definition.colors };
+  Object.entries(colors).forEach(([key, color]) => {
+    if (!COLOR_PATTERN.test(color)) fail(`colors.${key} must look like #RRGGBB`);
+  });
+
+  const sounds = { ...definition.sounds };
+  Object.entries(sounds).forEach(([key, sound]) => {
+    if (typeof sound !== 'string') fail(`sounds.${key} must be a sound name`);
+  });
+
+  // Archetype settings live under the archetype's name
+  const settings = { ...archetypes[archetype].defaults, ...definition[archetype] };
+  Object.entries(settings).forEach(([key, value]) => {
+    if (!isCurve(value)) fail(`${archetype}.${key} must be a number or a list of [progress, value] keyframes`);
+  });
+
+  return {
+    id,
+    name,
+    shape: shape.toLowerCase(),
+    page,
+    description: typeof definition.description === 'string' ? definition.description : '',
+    archetype,
+    cooldown,
+    channelTime,
+    manaCost,
+    manaPerSecond,
+    // Channelled spells are held with Space on their page; 'space' spells have no rune
+    allowSpaceCast: definition.allowSpaceCast ?? channelTime > 0,
+    gesture,
+    damage,
+    pvpDamage,
+    status,
+    colors,
+    sounds,
+    settings
+  };
+}
@@ -12,11 +12,13 @@ export const SpellEffects = {
    */
   createShield(context, options = {}) {
     const { spellbook, scene } = context;
-    const duration = options.duration || 8;
+    let duration = options.duration || 8;
     const shieldColor = options.color || 0x00AAFF;
+    // Where the shield is centered each frame; defaults to following the camera
+    const getPosition = options.getPosition || (() => context.camera ? context.camera.position : null);
     
     // Create shield mesh
-    const radius = 1.5;
+    const radius = options.radius || 1.5;
     const geometry = new THREE.SphereGeometry(radius, 32, 32);
     const material = new THREE.MeshBasicMaterial({
       color: shieldColor,
@@ -46,8 +48,9 @@ export const SpellEffects = {
     shieldContainer.add(innerShield);
     
     // Position shield around player
-    if (context.camera) {
-      shieldContainer.position.copy(context.camera.position);
+    const initialPosition = getPosition();
+    if (initialPosition) {
+      shieldContainer.position.copy(initialPosition);
     } else {
       // Fallback position if camera not available
       shieldContainer.position.set(0, 0, 0);
@@ -73,9 +76,10 @@ export const SpellEffects = {
         return;
       }
       
-      // Update shield position to follow camera
-      if (context.camera) {
-        shieldContainer.position.copy(context.camera.position);
+      // Update shield position to follow its owner
+      const position = getPosition();
+      if (position) {
+        shieldContainer.position.copy(position);
       }
       
       // Pulse effect
@@ -87,11 +91,9 @@ export const SpellEffects = {
       innerShield.rotation.x += 0.005;
       
       // Fade out towards the end
-      if (elapsedTime > duration - 2) {
-        const fadeOutFactor = (duration - elapsedTime) / 2;
-        material.opacity = 0.3 * fadeOutFactor;
-        innerMaterial.opacity = 0.1 * fadeOutFactor;
-      }
+      const fadeOutFactor = Math.min(1, (duration - elapsedTime) / 2);
+      material.opacity = 0.3 * fadeOutFactor;
+      innerMaterial.opacity = 0.1 * fadeOutFactor;
       
       animationFrameId = requestAnimationFrame(animate);
     };
@@ -114,9 +116,18 @@ export const SpellEffects = {
       innerMaterial.dispose();
     };
     
+    /**
+     * Shorten or extend the shield so it ends a number of seconds from now
+     * @param {number} seconds - Remaining lifetime
+     */
+    const setRemainingTime = (seconds) => {
+      duration = (Date.now() - startTime) / 1000 + seconds;
+    };
+    
     return {
       element: shieldContainer,
-      cleanup
+      cleanup,
+      setRemainingTime
     };
   },
   
@@ -124,17 +135,26 @@ export const SpellEffects = {
    * Creates a fireball effect
    * @param {Object} context - Casting context
    * @param {Object} options - Effect options
+   * @param {CANNON.Body} [options.body] - Physics body to follow
+   * @param {number} [options.radius=0.2] - Radius of the ball
+   * @param {number|string} [options.color=0xFF5500] - Color of the ball
+   * @param {number|string} [options.particleColor] - Tint for the flames around it (orange by default)
    * @returns {Object} Effect instance and cleanup function
    */
   createFireball(context, options = {}) {
     const { spellbook, scene, camera } = context;
     const power = options.power || 5;
     const speed = options.speed || 10;
+    // A physics body to follow; without one the fireball flies straight ahead on its own
+    const body = options.body || null;
+    const color = new THREE.Color(options.color !== undefined ? options.color : 0xFF5500);
+    // Tint for the particles; fire flickers between orange and yellow
+    const particleColor = options.particleColor !== undefined ? new THREE.Color(options.particleColor) : null;
     
     // Create fireball mesh
-    const geometry = new THREE.SphereGeometry(0.2, 16, 16);
+    const geometry = new THREE.SphereGeometry(options.radius || 0.2, 16, 16);
     const material = new THREE.MeshBasicMaterial({
-      color: 0xFF5500,
+      color,
       transparent: true,
       opacity: 0.8,
       blending: THREE.AdditiveBlending
@@ -149,11 +169,13 @@ export const SpellEffects = {
     for (let i = 0; i < particleCount; i++) {
       const particleGeometry = new THREE.SphereGeometry(0.05 + Math.random() * 0.05, 8, 8);
       const particleMaterial = new THREE.MeshBasicMaterial({
-        color: new THREE.Color(
-          1.0,                       // Red
-          0.3 + Math.random() * 0.4, // Green (30-70%)
-          0.1                        // Blue
-        ),
+        color: particleColor
+          ? particleColor.clone().lerp(color, Math.random() * 0.5)
+          : new THREE.Color(
+            1.0,                       // Red
+            0.3 + Math.random() * 0.4, // Green (30-70%)
+            0.1                        // Blue
+          ),
         transparent: true,
         opacity: 0.6,
         blending: THREE.AdditiveBlending
@@ -187,7 +209,9 @@ export const SpellEffects = {
     fireballContainer.add(fireball);
     
     // Position fireball in front of player
-    if (camera) {
+    if (body) {
+      fireballContainer.position.copy(body.position);
+    } else if (camera) {
       const direction = new THREE.Vector3(0, 0, -1);
       direction.applyQuaternion(camera.quaternion);
       
@@ -224,20 +248,25 @@ export const SpellEffects = {
     const animate = () => {
       const elapsedTime = (Date.now() - startTime) / 1000;
       
-      // Move fireball
-      fireballContainer.position.add(
-        fireballContainer.userData.direction.clone().multiplyScalar(speed * 0.1)
-      );
-      
-      // Check distance
-      const distance = fireballContainer.position.distanceTo(
-        fireballContainer.userData.startPosition
-      );
-      
-      if (distance > fireballContainer.userData.maxDistance) {
-        // Reached maximum distance
-        cleanup();
-        return;
+      if (body) {
+        // The body's owner decides when the fireball ends
+        fireballContainer.position.copy(body.position);
+      } else {
+        // Move fireball
+        fireballContainer.position.add(
+          fireballContainer.userData.direction.clone().multiplyScalar(speed * 0.1)
+        );
+        
+        // Check distance
+        const distance = fireballContainer.position.distanceTo(
+          fireballContainer.userData.startPosition
+        );
+        
+        if (distance > fireballContainer.userData.maxDistance) {
+          // Reached maximum distance
+          cleanup();
+          return;
+        }
       }
       
       // Animate particles
@@ -299,6 +328,301 @@ export const SpellEffects = {
     };
   },
   
+  /**
+   * Creates a fireball explosion: a flash of fire that expands and fades
+   * @param {Object} context - Casting context
+   * @param {Object} options - Effect options
+   * @param {THREE.Vector3} options.position - Center of the explosion
+   * @param {number} [options.radius=5] - Radius the fire expands to
+   * @param {number} [options.duration=0.6] - Seconds until the fire has faded
+   * @param {number|string} [options.color=0xFF5500] - Color of the outer blast
+   * @param {number|string} [options.coreColor=0xFFDD66] - Color of the bright core
+   * @returns {Object} Effect instance and cleanup function
+   */
+  createFireballExplosion(context, options = {}) {
+    const { scene } = context;
+    const radius = options.radius || 5;
+    const duration = options.duration || 0.6;
+    const color = options.color !== undefined ? options.color : 0xFF5500;
+    
+    const geometry = new THREE.SphereGeometry(1, 24, 24);
+    const material = new THREE.MeshBasicMaterial({
+      color,
+      transparent: true,
+      opacity: 0.8,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false
+    });
+    const coreMaterial = new THREE.MeshBasicMaterial({
+      color: options.coreColor !== undefined ? options.coreColor : 0xFFDD66,
+      transparent: true,
+      opacity: 1,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false
+    });
+    
+    const fire = new THREE.Mesh(geometry, material);
+    const core = new THREE.Mesh(geometry, coreMaterial);
+    
+    const explosionContainer = new THREE.Group();
+    explosionContainer.add(fire);
+    explosionContainer.add(core);
+    if (options.position) {
+      explosionContainer.position.copy(options.position);
+    }
+    
+    // Light the surroundings briefly
+    const light = new THREE.PointLight(options.color !== undefined ? color : 0xFF6600, 4, radius * 3);
+    explosionContainer.add(light);
+    
+    if (scene) {
+      scene.add(explosionContainer);
+    } else {
+      console.warn('No scene available in context');
+    }
+    
+    const startTime = Date.now();
+    let animationFrameId = null;
+    
+    const animate = () => {
+      const progress = (Date.now() - startTime) / 1000 / duration;
+      
+      if (progress >= 1) {
+        cleanup();
+        return;
+      }
+      
+      // Expand quickly at first, then slow down
+      const expansion = 1 - Math.pow(1 - progress, 3);
+      fire.scale.setScalar(Math.max(0.01, radius * expansion));
+      core.scale.setScalar(Math.max(0.01, radius * 0.5 * expansion));
+      
+      material.opacity = 0.8 * (1 - progress);
+      coreMaterial.opacity = 1 - Math.min(1, progress * 2);
+      light.intensity = 4 * (1 - progress);
+      
+      animationFrameId = requestAnimationFrame(animate);
+    };
+    
+    animate();
+    
+    const cleanup = () => {
+      if (animationFrameId) {
+        cancelAnimationFrame(animationFrameId);
+      }
+      
+      if (scene) {
+        scene.remove(explosionContainer);
+      }
+      geometry.dispose();
+      material.dispose();
+      coreMaterial.dispose();
+    };
+    
+    return {
+      element: explosionContainer,
+      cleanup
+    };
+  },
+  
+  /**
+   * Creates a short-lived beam between two points that fades out
+   * @param {Object} context - Casting context
+   * @param {Object} options - Effect options
+   * @param {THREE.Vector3} options.start - Where the beam starts
+   * @param {THREE.Vector3} options.end - Where the beam ends
+   * @param {number} [options.width=0.1] - Beam radius
+   * @param {number} [options.duration=0.4] - Seconds until the beam has faded
+   * @param {number|string} [options.color=0x00AAFF] - Color of the beam's glow
+   * @param {number|string} [options.coreColor=0xFFFFFF] - Color of the beam's core
+   * @returns {Object} Effect instance and cleanup function
+   */
+  createBeam(context, options = {}) {
+    const { scene } = context;
+    const width = options.width || 0.1;
+    const duration = options.duration || 0.4;
+    const start = options.start;
+    const end = options.end;
+    const length = Math.max(0.01, start.distanceTo(end));
+    
+    // Cylinders are built along Y, centered on the origin
+    const geometry = new THREE.CylinderGeometry(1, 1, length, 12, 1, true);
+    const glowMaterial = new THREE.MeshBasicMaterial({
+      color: options.color !== undefined ? options.color : 0x00AAFF,
+      transparent: true,
+      opacity: 0.5,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false,
+      side: THREE.DoubleSide
+    });
+    const coreMaterial = new THREE.MeshBasicMaterial({
+      color: options.coreColor !== undefined ? options.coreColor : 0xFFFFFF,
+      transparent: true,
+      opacity: 0.9,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false
+    });
+    
+    const glow = new THREE.Mesh(geometry, glowMaterial);
+    glow.scale.set(width, 1, width);
+    const core = new THREE.Mesh(geometry, coreMaterial);
+    core.scale.set(width * 0.35, 1, width * 0.35);
+    
+    const beamContainer = new THREE.Group();
+    beamContainer.add(glow);
+    beamContainer.add(core);
+    beamContainer.position.copy(start).lerp(end, 0.5);
+    beamContainer.quaternion.setFromUnitVectors(
+      new THREE.Vector3(0, 1, 0),
+      end.clone().sub(start).normalize()
+    );
+    
+    if (scene) {
+      scene.add(beamContainer);
+    } else {
+      console.warn('No scene available in context');
+    }
+    
+    const startTime = Date.now();
+    let animationFrameId = null;
+    
+    const animate = () => {
+      const progress = (Date.now() - startTime) / 1000 / duration;
+      
+      if (progress >= 1) {
+        cleanup();
+        return;
+      }
+      
+      // Thin out as it fades
+      const fade = 1 - progress;
+      glow.scale.set(width * fade, 1, width * fade);
+      glowMaterial.opacity = 0.5 * fade;
+      coreMaterial.opacity = 0.9 * fade;
+      
+      animationFrameId = requestAnimationFrame(animate);
+    };
+    
+    animate();
+    
+    const cleanup = () => {
+      if (animationFrameId) {
+        cancelAnimationFrame(animationFrameId);
+      }
+      
+      if (scene) {
+        scene.remove(beamContainer);
+      }
+      geometry.dispose();
+      glowMaterial.dispose();
+      coreMaterial.dispose();
+    };
+    
+    return {
+      element: beamContainer,
+      cleanup
+    };
+  },
+  
+  /**
+   * Creates a glowing zone on the ground: a ring and a translucent dome that
+   * swirl for the zone's lifetime and fade out at the end
+   * @param {Object} context - Casting context
+   * @param {Object} options - Effect options
+   * @param {THREE.Vector3} options.position - Center of the zone
+   * @param {number} [options.radius=5] - Radius of the zone
+   * @param {number} [options.duration=3] - Seconds the zone lasts
+   * @param {number|string} [options.color=0x8844FF] - Color of the dome
+   * @param {number|string} [options.ringColor=0xFFFFFF] - Color of the ring
+   * @returns {Object} Effect instance and cleanup function
+   */
+  createAreaZone(context, options = {}) {
+    const { scene } = context;
+    const radius = options.radius || 5;
+    const duration = options.duration || 3;
+    
+    const domeGeometry = new THREE.SphereGeometry(1, 32, 16, 0, Math.PI * 2, 0, Math.PI / 2);
+    const domeMaterial = new THREE.MeshBasicMaterial({
+      color: options.color !== undefined ? options.color : 0x8844FF,
+      transparent: true,
+      opacity: 0.25,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false,
+      side: THREE.DoubleSide
+    });
+    const ringGeometry = new THREE.RingGeometry(0.92, 1, 48);
+    const ringMaterial = new THREE.MeshBasicMaterial({
+      color: options.ringColor !== undefined ? options.ringColor : 0xFFFFFF,
+      transparent: true,
+      opacity: 0.8,
+      depthWrite: false,
+      side: THREE.DoubleSide
+    });
+    
+    const dome = new THREE.Mesh(domeGeometry, domeMaterial);
+    const ring = new THREE.Mesh(ringGeometry, ringMaterial);
+    ring.rotation.x = -Math.PI / 2;
+    ring.position.y = 0.05; // Just above the ground to avoid z-fighting
+    
+    const zoneContainer = new THREE.Group();
+    zoneContainer.add(dome);
+    zoneContainer.add(ring);
+    zoneContainer.scale.setScalar(radius);
+    if (options.position) {
+      zoneContainer.position.copy(options.position);
+    }
+    
+    if (scene) {
+      scene.add(zoneContainer);
+    } else {
+      console.warn('No scene available in context');
+    }
+    
+    const startTime = Date.now();
+    let animationFrameId = null;
+    
+    const animate = () => {
+      const elapsed = (Date.now() - startTime) / 1000;
+      
+      if (elapsed >= duration) {
+        cleanup();
+        return;
+      }
+      
+      // Grow in over the first moment, fade out over the last half second
+      const growIn = Math.min(1, elapsed / 0.3);
+      const fadeOut = Math.min(1, (duration - elapsed) / 0.5);
+      zoneContainer.scale.setScalar(Math.max(0.01, radius * growIn));
+      
+      dome.rotation.y = elapsed * 1.5;
+      domeMaterial.opacity = (0.2 + Math.sin(elapsed * 6) * 0.05) * fadeOut;
+      ringMaterial.opacity = 0.8 * fadeOut;
+      
+      animationFrameId = requestAnimationFrame(animate);
+    };
+    
+    animate();
+    
+    const cleanup = () => {
+      if (animationFrameId) {
+        cancelAnimationFrame(animationFrameId);
+      }
+      
+      if (scene) {
+        scene.remove(zoneContainer);
+      }
+      domeGeometry.dispose();
+      domeMaterial.dispose();
+      ringGeometry.dispose();
+      ringMaterial.dispose();
+    };
+    
+    return {
+      element: zoneContainer,
+      cleanup
+    };
+  },
+  
   /**
    * Creates a telekinesis effect
    * @param {Object} context - Casting context
@@ -539,6 +863,38 @@ export const SpellEffects = {
     // Store affected objects
     const affectedObjects = new Set();
     
+    // Only the caster deals damage, so each black hole is counted once
+    const dealsPlayerDamage = !options.isRemote && !!eventBus;
+    const dealsEnemyDamage = !options.isRemote;
+    
+    // Let combos (see SpellComboManager) know where the black hole is
+    const casterId = context.remotePlayerId || null;
+    if (eventBus) {
+      eventBus.emit('spell:black-hole-created', {
+        id: blackHoleId,
+        position: blackHoleContainer.position.clone(),
+        casterId
+      });
+    }
+    const pvpPulseInterval = 500;
+    let lastPvpPulseTime = Date.now();
+    
+    /**
+     * Report area damage around the black hole; PvPManager resolves which players it reaches
+     * @param {number} damage - Damage to each player in range
+     * @param {number} areaRadius - Radius of the damage area
+     */
+    function emitPlayerAreaDamage(damage, areaRadius) {
+      if (!dealsPlayerDamage || !(damage > 0)) return;
+      
+      eventBus.emit('pvp:area-damage', {
+        position: blackHoleContainer.position.clone(),
+        radius: areaRadius,
+        damage,
+        sourceType: 'black-hole'
+      });
+    }
+    
     // Setup physics attraction
     function applyGravitationalPull() {
       if (!eventBus) {
@@ -556,7 +912,7 @@ export const SpellEffects = {
       );
       
       // Deal damage to affected enemies caught in the black hole
-      if (affectedObjects.size > 0 && options.damagePerSecond) {
+      if (dealsEnemyDamage && affectedObjects.size > 0 && options.damagePerSecond) {
         // Calculate damage for this interval (25ms)
         const intervalDamage = options.damagePerSecond / 40; // 40 times per second
         
@@ -576,6 +932,13 @@ export const SpellEffects = {
         affectedObjects.clear();
       }
       
+      // Players are pulsed less often than enemies to stay under the server's hit rate limit
+      const now = Date.now();
+      if (options.pvpDamagePerSecond && now - lastPvpPulseTime >= pvpPulseInterval) {
+        emitPlayerAreaDamage(options.pvpDamagePerSecond * (now - lastPvpPulseTime) / 1000, effectRadius);
+        lastPvpPulseTime = now;
+      }
+      
       // Emit an event to apply force to all nearby physics objects
       eventBus.emit('physics:apply-black-hole', {
         id: blackHoleId,
@@ -694,6 +1057,13 @@ export const SpellEffects = {
       
       // Emit explosion event to apply outward force
       if (eventBus) {
+        // Before the blast scatters what the black hole caught
+        eventBus.emit('spell:black-hole-collapsed', {
+          id: blackHoleId,
+          position: blackHoleContainer.position.clone(),
+          casterId
+        });
+        
         eventBus.emit('physics:apply-explosion', {
           id: blackHoleId,
           position: {
@@ -705,6 +1075,10 @@ export const SpellEffects = {
           radius: effectRadius * 1.5 // Larger radius than attraction
         });
         
+        emitPlayerAreaDamage(options.pvpExplosionDamage, effectRadius * 1.5);
+        
+        if (!dealsEnemyDamage) return;
+        
         // Apply explosion damage to enemies in range
         const explosionDamage = 3; // Fixed damage from explosion
         
@@ -788,6 +1162,7 @@ export const SpellEffects = {
       if (eventBus) {
         // Stop listening for affected objects
         eventBus.off(`physics:affected-by-${blackHoleId}`);
+        eventBus.emit('spell:black-hole-removed', { id: blackHoleId });
       }
       
       if (scene) {
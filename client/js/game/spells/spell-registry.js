@@ -4,9 +4,18 @@ import { GravityGunSpell } from './gravity-gun-spell.js';
 import { BlackHoleSpell } from './black-hole-spell.js';
 import { LaserBeamSpell } from './laser-beam-spell.js';
 import { FlightSpell } from './flight-spell.js';
+import { ShieldSpell } from './shield-spell.js';
+import { FireballSpell } from './fireball-spell.js';
+import { DataDrivenSpell } from './data-driven-spell.js';
+import { SpellArchetypes } from './spell-archetypes.js';
+import { parseSpellDefinition } from './spell-definitions.js';
+import { SPELL_DEFINITIONS_URL } from '../../config.js';
 
 /**
- * Registry for all available spells
+ * Registry for all available spells. Each spell is registered on a default
+ * page; the spellbook's pages follow the active loadout (see LoadoutManager)
+ * instead, leaving out spells the current room doesn't allow. Spells that
+ * aren't in the book have no page and can't be cast.
  */
 export class SpellRegistry {
   /**
@@ -16,19 +25,49 @@ export class SpellRegistry {
     this.eventBus = eventBus;
     this.spells = [];
     this.spellsById = new Map();
-    this.spellsByPage = new Map();
+    this.spellsByPage = new Map(); // Pages of the spellbook
+    this.spellsByDefaultPage = new Map(); // Pages spells were registered on
     this.spellsByShape = new Map();
     this.nextAvailablePage = 1; // Start at 1, page 0 is reserved for instructions
     
+    // Spell IDs of the active loadout in page order (null for every spell)
+    this.loadoutSpellIds = null;
+    this.eventBus.emit('loadout:get-active', (loadout) => {
+      this.loadoutSpellIds = loadout ? loadout.spells : null;
+    });
+    
+    // The current room's { allowedSpells, bannedSpells }, null outside rooms
+    this.spellRules = null;
+    
     // Initialize predefined spells
     this.registerDefaultSpells();
+    this.updateSpellbook();
+    
+    // Add the data-driven spells after them
+    this.loadSpellDefinitions(SPELL_DEFINITIONS_URL);
     
     // Listen for remote spell casts
     this.eventBus.on('spell:remote-cast', this.handleRemoteSpellCast.bind(this));
+    
+    this.eventBus.on('loadout:changed', ({ loadout }) => {
+      this.loadoutSpellIds = loadout.spells;
+      this.updateSpellbook();
+    });
+    
+    this.eventBus.on('multiplayer:room-created', (data) => this.setSpellRules(data.room.spellRules));
+    this.eventBus.on('multiplayer:room-joined', (data) => this.setSpellRules(data.room.spellRules));
+    this.eventBus.on('multiplayer:room-left', () => this.setSpellRules(null));
+    
+    // For the lobby's loadout editor and room settings
+    this.eventBus.on('spellbook:get-spells', (callback) => {
+      if (typeof callback === 'function') {
+        callback(this.getSpellsInDefaultOrder());
+      }
+    });
   }
 
   /**
-   * Register a spell in the registry
+   * Register a spell in the registry. Call updateSpellbook() afterwards to add it to the book.
    * @param {Spell} spell - Spell to register
    * @returns {boolean} Whether registration was successful
    */
@@ -40,15 +79,16 @@ export class SpellRegistry {
     }
     
     // Check for existing spell on the same page
-    if (this.spellsByPage.has(spell.page)) {
+    if (this.spellsByDefaultPage.has(spell.page)) {
       console.error(`Page ${spell.page} already contains a spell`);
       return false;
     }
     
     // Add spell to collections
+    spell.defaultPage = spell.page;
     this.spells.push(spell);
     this.spellsById.set(spell.id, spell);
-    this.spellsByPage.set(spell.page, spell);
+    this.spellsByDefaultPage.set(spell.page, spell);
     
     // Index by shape for faster lookup
     if (!this.spellsByShape.has(spell.shape)) {
@@ -74,10 +114,79 @@ export class SpellRegistry {
     }
     
     const spell = new Spell(spellOptions);
-    this.registerSpell(spell);
+    if (this.registerSpell(spell)) {
+      this.updateSpellbook();
+    }
     return spell;
   }
 
+  /**
+   * Lay out the spellbook's pages from the active loadout and the room's spell rules.
+   * Each spell's page is set to its page in the book, or null if it isn't in it.
+   */
+  updateSpellbook() {
+    const spellIds = this.loadoutSpellIds || this.getSpellsInDefaultOrder().map(spell => spell.id);
+    const bookSpells = [...new Set(spellIds)]
+      .map(spellId => this.spellsById.get(spellId))
+      .filter(spell => spell && this.isSpellAllowed(spell.id));
+    
+    this.spellsByPage.clear();
+    this.spells.forEach(spell => {
+      spell.page = null;
+    });
+    bookSpells.forEach((spell, index) => {
+      spell.page = index + 1;
+      this.spellsByPage.set(spell.page, spell);
+    });
+    
+    this.eventBus.emit('spellbook:pages-changed', { spells: bookSpells });
+  }
+
+  /**
+   * Apply a room's spell rules to the spellbook
+   * @param {Object|null} spellRules - { allowedSpells, bannedSpells } as sent by the server, or null for none
+   */
+  setSpellRules(spellRules) {
+    this.spellRules = spellRules || null;
+    this.updateSpellbook();
+    
+    const loadoutSpells = this.loadoutSpellIds || this.spells.map(spell => spell.id);
+    const blockedSpells = loadoutSpells
+      .filter(spellId => this.spellsById.has(spellId) && !this.isSpellAllowed(spellId))
+      .map(spellId => this.spellsById.get(spellId).name);
+    
+    if (blockedSpells.length > 0) {
+      this.eventBus.emit('notification:show', {
+        message: `Not allowed in this room: ${blockedSpells.join(', ')}`,
+        duration: 4000,
+        type: 'error'
+      });
+    }
+  }
+
+  /**
+   * Check whether the current room allows a spell
+   * @param {string} spellId - Spell ID
+   * @returns {boolean} True outside rooms and for spells the room doesn't restrict
+   */
+  isSpellAllowed(spellId) {
+    if (!this.spellRules) return true;
+    
+    const { allowedSpells, bannedSpells } = this.spellRules;
+    if (Array.isArray(allowedSpells) && !allowedSpells.includes(spellId)) return false;
+    return !(Array.isArray(bannedSpells) && bannedSpells.includes(spellId));
+  }
+
+  /**
+   * Check whether a spell is in the spellbook, and so can be cast
+   * @param {string} spellId - Spell ID
+   * @returns {boolean} True if the spell has a page
+   */
+  isInSpellbook(spellId) {
+    const spell = this.spellsById.get(spellId);
+    return !!spell && spell.page !== null;
+  }
+
   /**
    * Get all registered spells
    * @returns {Array<Spell>} Array of spells
@@ -95,9 +204,19 @@ export class SpellRegistry {
     return this.spellsById.get(id) || null;
   }
 
+  /**
+   * Get every spell in the order of the pages they were registered on
+   * @returns {Array<Spell>} Array of spells
+   */
+  getSpellsInDefaultOrder() {
+    return [...this.spellsByDefaultPage.entries()]
+      .sort(([pageA], [pageB]) => pageA - pageB)
+      .map(([, spell]) => spell);
+  }
+
   /**
    * Get spell by page number
-   * @param {number} page - Page number
+   * @param {number} page - Page number in the spellbook
    * @returns {Spell|null} The spell or null if not found
    */
   getSpellByPage(page) {
@@ -113,12 +232,21 @@ export class SpellRegistry {
     return this.spellsByShape.get(shape) || [];
   }
 
+  /**
+   * Get spells by motion gesture
+   * @param {string} gesture - Gesture name (flick-forward, swing-up, etc.)
+   * @returns {Array<Spell>} Array of spells bound to the gesture
+   */
+  getSpellsByGesture(gesture) {
+    return this.spells.filter(spell => spell.gesture === gesture);
+  }
+
   /**
    * Get total number of pages including instruction page
    * @returns {number} Total number of pages
    */
   getTotalPages() {
-    return this.nextAvailablePage;
+    return this.spellsByPage.size + 1;
   }
 
   /**
@@ -129,7 +257,10 @@ export class SpellRegistry {
     const objectSpawnerSpell = new ObjectSpawnerSpell({
       eventBus: this.eventBus,
       page: 1,
-      cooldown: 2
+      cooldown: 2,
+      manaCost: 5,
+      manaPerSecond: 10, // Growing the object while channelling
+      gesture: 'shake'
     });
     this.registerSpell(objectSpawnerSpell);
     
@@ -137,7 +268,8 @@ export class SpellRegistry {
     const gravityGunSpell = new GravityGunSpell({
       eventBus: this.eventBus,
       page: 2,
-      cooldown: 0.5
+      cooldown: 0.5,
+      manaCost: 3
     });
     this.registerSpell(gravityGunSpell);
     
@@ -146,6 +278,7 @@ export class SpellRegistry {
       eventBus: this.eventBus,
       page: 3,
       cooldown: 10, // Longer cooldown for this powerful spell
+      manaCost: 40,
       duration: 10,  // How long the black hole lasts
       strength: 12  // Gravitational strength
     });
@@ -155,7 +288,10 @@ export class SpellRegistry {
     const laserBeamSpell = new LaserBeamSpell({
       eventBus: this.eventBus,
       page: 4,
-      cooldown: 0 // No cooldown as specified
+      cooldown: 0, // No cooldown; the mana drain keeps it from being spammed
+      manaCost: 5,
+      manaPerSecond: 25, // A full 3 second charge costs 80 mana
+      gesture: 'flick-forward'
     });
     this.registerSpell(laserBeamSpell);
     
@@ -163,16 +299,101 @@ export class SpellRegistry {
     const flightSpell = new FlightSpell({
       eventBus: this.eventBus,
       page: 5,
-      cooldown: 0.5 // 0.5 second cooldown as requested
+      cooldown: 0.5, // 0.5 second cooldown as requested
+      manaCost: 10,
+      manaPerSecond: 15,
+      gesture: 'swing-up'
     });
     this.registerSpell(flightSpell);
+    
+    // Shield Spell (circle rune)
+    const shieldSpell = new ShieldSpell({
+      eventBus: this.eventBus,
+      page: 6,
+      cooldown: 15, // Longer than the shield can be held up, so it can't be kept up forever
+      manaCost: 30
+    });
+    this.registerSpell(shieldSpell);
+    
+    // Fireball Spell (triangle rune)
+    const fireballSpell = new FireballSpell({
+      eventBus: this.eventBus,
+      page: 7,
+      cooldown: 1.5,
+      manaCost: 12
+    });
+    this.registerSpell(fireballSpell);
   }
 
   /**
-   * Generate instruction page texture
-   * @param {CanvasRenderingContext2D} context - Canvas context to draw on
-   * @param {boolean} isLeftPage - Whether this is the left page
+   * Load data-driven spell definitions from a JSON file and register them.
+   * The file holds { "spells": [...] }; see spell-definitions.js for the format.
+   * @param {string} url - URL of the definitions file
+   * @returns {Promise<Array<Spell>>} The spells that were registered
    */
+  async loadSpellDefinitions(url) {
+    let data = null;
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      data = await response.json();
+    } catch (error) {
+      console.error(`Failed to load spell definitions from ${url}:`, error);
+      return [];
+    }
+    
+    if (!data || !Array.isArray(data.spells)) {
+      console.error(`Spell definitions in ${url} must have a "spells" list`);
+      return [];
+    }
+    
+    const spells = this.registerSpellDefinitions(data.spells);
+    console.log(`Loaded ${spells.length} spell definitions from ${url}`);
+    
+    // The spellbook has new pages to show
+    this.updateSpellbook();
+    return spells;
+  }
+
+  /**
+   * Build and register spells from definitions. Invalid definitions, and ones
+   * whose ID or page is taken, are skipped with an error.
+   * @param {Array<Object>} definitions - Spell definitions as read from JSON
+   * @returns {Array<Spell>} The spells that were registered
+   */
+  registerSpellDefinitions(definitions) {
+    const spells = [];
+    
+    definitions.forEach(rawDefinition => {
+      let definition;
+      try {
+        definition = parseSpellDefinition(rawDefinition, SpellArchetypes);
+      } catch (error) {
+        console.error(`Skipping spell definition: ${error.message}`);
+        return;
+      }
+      
+      // Check before building the spell, which starts listening for events
+      const page = definition.page !== undefined ? definition.page : this.nextAvailablePage;
+      if (this.spellsById.has(definition.id) || this.spellsByDefaultPage.has(page)) {
+        console.error(`Skipping spell definition ${definition.id}: its ID or page ${page} is already taken`);
+        return;
+      }
+      
+      const spell = new DataDrivenSpell({
+        eventBus: this.eventBus,
+        definition,
+        page
+      });
+      this.registerSpell(spell);
+      spells.push(spell);
+    });
+    
+    return spells;
+  }
+
   /**
    * Get the main scene for visual effects
    * @returns {THREE.Scene|null} The main scene or null if not available
@@ -328,7 +549,11 @@ export class SpellRegistry {
         '- Use Space to use spells',
         '- Each page contains a different spell',
         '- Try out the object spawner, gravity gun,',
-        '  black hole and Zoltraak',
+        '  black hole, Zoltraak, shield and fireball',
+        '- Draw runes on your phone to cast the',
+        '  shield (circle) and fireball (triangle)',
+        '- Spells cost mana (the blue bar), which',
+        '  refills when you stop casting',
         '',
         'Start your journey on the next page...'
       ];
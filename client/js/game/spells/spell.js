@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { PLAYER_MANA } from '../../config.js';
 
 export class Spell {
   constructor(options) {
@@ -12,6 +13,13 @@ export class Spell {
     this.visualOptions = options.visualOptions || {};
     this.icon = options.icon;
     this.cooldown = options.cooldown || 0;
+    // Mana spent when cast, and drained every second while channelling
+    this.manaCost = options.manaCost || 0;
+    this.manaPerSecond = options.manaPerSecond || 0;
+    // Rune spells that can also be channelled by holding Space on their page
+    this.allowSpaceCast = options.allowSpaceCast || false;
+    // Motion gesture that also casts it, e.g. 'flick-forward' (see MOTION_GESTURES)
+    this.gesture = options.gesture || null;
     this.lastCastTime = 0;
     this.isKeyDown = false;
   }
@@ -37,6 +45,10 @@ export class Spell {
       return false;
     }
     
+    if (!isRemote && !this.spendMana(context)) {
+      return false;
+    }
+    
     if (!isRemote) {
       this.lastCastTime = Date.now();
     }
@@ -45,6 +57,16 @@ export class Spell {
     
     const cast_data = this.effectKeyDown(context);
     
+    // Keep draining mana for as long as the spell is channelled
+    if (!isRemote && this.manaPerSecond > 0 && context.eventBus && this.isChannelActive()) {
+      context.eventBus.emit('mana:channel-start', {
+        spellId: this.id,
+        perSecond: this.manaPerSecond,
+        isActive: () => this.isChannelActive(),
+        release: () => this.castUp(context)
+      });
+    }
+    
     if (!isRemote && context.eventBus) {
       let cameraPosition = null;
       if (context.camera) {
@@ -154,6 +176,41 @@ export class Spell {
     return true;
   }
   
+  /**
+   * Pay the spell's mana cost. Channelled spells also need enough mana to
+   * channel for a moment before they can start.
+   * @param {Object} context - Casting context
+   * @returns {boolean} Whether the spell can be cast
+   */
+  spendMana(context) {
+    if (!context.eventBus || (this.manaCost <= 0 && this.manaPerSecond <= 0)) return true;
+
+    // Without a mana pool (nothing answers) spells are free
+    let spent = true;
+    context.eventBus.emit('mana:try-spend', {
+      amount: this.manaCost,
+      required: this.manaCost + this.manaPerSecond * PLAYER_MANA.minChannelTime
+    }, (result) => {
+      spent = result;
+    });
+
+    if (!spent) {
+      context.eventBus.emit('spell:insufficient-mana', {
+        spellId: this.id,
+        spellName: this.name
+      });
+    }
+    return spent;
+  }
+
+  /**
+   * Whether the spell is still being channelled after key down
+   * @returns {boolean} True while channelling
+   */
+  isChannelActive() {
+    return !!this.isChanneling;
+  }
+  
   /**
    * Handle a remote cast of this spell (from another player)
    * @param {Object} data - Remote cast data
@@ -239,6 +296,44 @@ export class Spell {
     return false;
   }
 
+  /**
+   * Check if a raycast hit any remote players and report the hits for the server to confirm
+   * @param {THREE.Raycaster} raycaster - Raycaster to use for hit detection
+   * @param {THREE.Scene} scene - Scene to check for intersections
+   * @param {EventBus} eventBus - Event bus for emitting hit events
+   * @param {number} damage - Amount of damage to deal to each player hit
+   * @param {string} sourceType - PvP damage source reported to the server
+   * @param {Object} [status] - Status effect left on each player hit ({ type, duration })
+   * @returns {Array<string>} IDs of the players hit
+   */
+  checkPlayerHits(raycaster, scene, eventBus, damage, sourceType, status = null) {
+    const intersects = raycaster.intersectObjects(scene.children, true);
+    const hitPlayerIds = new Set();
+
+    for (const intersect of intersects) {
+      // Traverse up the parent hierarchy to find the remote player model
+      let currentObject = intersect.object;
+      while (currentObject) {
+        if (currentObject.userData && currentObject.userData.playerId) {
+          hitPlayerIds.add(currentObject.userData.playerId);
+          break;
+        }
+        currentObject = currentObject.parent;
+      }
+    }
+
+    hitPlayerIds.forEach(playerId => {
+      eventBus.emit('player:hit', {
+        targetId: playerId,
+        damage,
+        sourceType,
+        status
+      });
+    });
+
+    return Array.from(hitPlayerIds);
+  }
+
   /**
    * Generate texture for spell page
    * @param {CanvasRenderingContext2D} context - Canvas context to draw on
@@ -323,6 +418,45 @@ export class Spell {
         context.stroke();
         break;
         
+      case 'square':
+        context.strokeRect(centerX - radius, centerY - radius, radius * 2, radius * 2);
+        break;
+        
+      case 'zigzag':
+        // Lightning-bolt zigzag, drawn top to bottom
+        context.beginPath();
+        context.moveTo(centerX - radius * 0.5, centerY - radius);
+        context.lineTo(centerX + radius * 0.5, centerY - radius * 0.33);
+        context.lineTo(centerX - radius * 0.5, centerY + radius * 0.33);
+        context.lineTo(centerX + radius * 0.5, centerY + radius);
+        context.stroke();
+        break;
+        
+      case 'spiral':
+        // Spiral winding outwards from the center
+        context.beginPath();
+        for (let i = 0; i <= 100; i++) {
+          const t = i / 100;
+          const angle = t * Math.PI * 5;
+          const x = centerX + Math.cos(angle) * radius * t;
+          const y = centerY + Math.sin(angle) * radius * t;
+          
+          if (i === 0) context.moveTo(x, y);
+          else context.lineTo(x, y);
+        }
+        context.stroke();
+        break;
+        
+      case 'space':
+        // Space bar key cap for spells without a rune
+        context.strokeRect(centerX - radius, centerY - radius * 0.2, radius * 2, radius * 0.4);
+        context.font = `italic ${Math.round(radius * 0.25)}px serif`;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillStyle = context.strokeStyle;
+        context.fillText('SPACE', centerX, centerY);
+        break;
+        
       default:
         // Draw a question mark for unknown shapes
         context.font = `${radius}px serif`;
@@ -405,6 +539,7 @@ export class Spell {
    * @param {number} y - Y position
    * @param {number} maxWidth - Maximum width for text
    * @param {number} lineHeight - Height of each line
+   * @returns {number} Y position of the line after the text
    */
   wrapText(context, text, x, y, maxWidth, lineHeight) {
     const words = text.split(' ');
@@ -425,5 +560,6 @@ export class Spell {
     }
     
     context.fillText(line, x, y);
+    return y + lineHeight;
   }
 }
\ No newline at end of file
@@ -0,0 +1,288 @@
+import { STATUS_EFFECTS } from '../config.js';
+
+/**
+ * Tracks status effects (burning, frozen, stunned, levitating, marked) on
+ * enemies and players. Spells apply them with `status:apply`; whenever a
+ * target's effects change, `status:changed` carries the combined modifiers
+ * (speed, lift, damage taken and tint) for the enemies, swarms and player
+ * controllers that act on them.
+ *
+ * Players are identified by their socket ID, with null for the local player.
+ * Tick damage is dealt once: by the client that applied the effect for
+ * enemies, and by the affected player's own client for players.
+ */
+export class StatusEffectManager {
+  /**
+   * @param {EventBus} eventBus - Application event bus
+   */
+  constructor(eventBus) {
+    this.eventBus = eventBus;
+
+    // Affected targets by key (see getKey), each with its effects by type
+    this.targets = new Map();
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    this.eventBus.on('scene:update', ({ delta }) => this.update(delta));
+    this.eventBus.on('status:apply', this.apply.bind(this));
+
+    this.eventBus.on('status:clear', (data) => {
+      this.clear(data.targetId ?? null, !!data.isPlayer);
+    });
+
+    this.eventBus.on('status:get', (targetId, isPlayer, callback) => {
+      if (typeof callback === 'function') {
+        const target = this.targets.get(this.getKey(targetId, isPlayer));
+        callback(target ? this.describeEffects(target) : []);
+      }
+    });
+
+    this.eventBus.on('status:get-damage-multiplier', (targetId, isPlayer, callback) => {
+      if (typeof callback === 'function') {
+        const target = this.targets.get(this.getKey(targetId, isPlayer));
+        callback(target ? this.getModifiers(target).damageMultiplier : 1);
+      }
+    });
+
+    // Effects end with the target
+    this.eventBus.on('entity:death', (data) => {
+      if (data.isEnemy) this.clear(data.id, false);
+    });
+
+    this.eventBus.on('entity:removed', (data) => {
+      if (data.isEnemy) this.clear(data.id, false);
+    });
+
+    this.eventBus.on('player:died', () => this.clear(null, true));
+
+    this.eventBus.on('multiplayer:player-death', (data) => {
+      if (!data.isLocal) this.clear(data.playerId, true);
+    });
+
+    this.eventBus.on('multiplayer:player-left', (data) => this.clear(data.playerId, true));
+
+    this.eventBus.on('multiplayer:room-left', () => {
+      [...this.targets.values()]
+        .filter(target => target.isPlayer && target.targetId !== null)
+        .forEach(target => this.clear(target.targetId, true));
+    });
+  }
+
+  /**
+   * Get the map key for a target
+   * @param {string|null} targetId - Enemy ID, or player ID (null for the local player)
+   * @param {boolean} isPlayer - Whether the target is a player
+   * @returns {string} Key into this.targets
+   */
+  getKey(targetId, isPlayer) {
+    return `${isPlayer ? 'player' : 'enemy'}:${targetId ?? 'local'}`;
+  }
+
+  /**
+   * Apply a status effect to a target, following the effect's stacking rule
+   * @param {Object} data - Effect data
+   * @param {string|null} data.targetId - Enemy ID, or player ID (null for the local player)
+   * @param {boolean} [data.isPlayer=false] - Whether the target is a player
+   * @param {string} data.type - Effect type, a key of STATUS_EFFECTS
+   * @param {number} [data.duration] - Seconds, defaults to the effect's duration
+   * @param {string} [data.sourceId] - Spell or player that applied it
+   * @param {boolean} [data.isNetworked=false] - Whether another client applied it
+   */
+  apply(data) {
+    const { type, isNetworked = false } = data;
+    const isPlayer = !!data.isPlayer;
+    const targetId = data.targetId ?? null;
+    const config = STATUS_EFFECTS[type];
+
+    if (!config) {
+      console.warn(`Unknown status effect: ${type}`);
+      return;
+    }
+    if (!isPlayer && !targetId) return;
+
+    const duration = data.duration > 0 ? data.duration : config.duration;
+    const key = this.getKey(targetId, isPlayer);
+    let target = this.targets.get(key);
+    let effect = target ? target.effects.get(type) : null;
+
+    if (effect && config.stacking === 'ignore') return;
+
+    if (!target) {
+      target = { targetId, isPlayer, effects: new Map() };
+      this.targets.set(key, target);
+    }
+
+    // Opposing effects cancel out, e.g. burning thaws a frozen target
+    (config.removes || []).forEach(removed => target.effects.delete(removed));
+
+    if (!effect) {
+      effect = {
+        type,
+        stacks: 1,
+        remaining: duration,
+        tickTimer: config.tickInterval || 0,
+        isLocal: !isNetworked,
+        sourceId: data.sourceId || null
+      };
+      target.effects.set(type, effect);
+    } else {
+      if (config.stacking === 'extend') {
+        effect.remaining = Math.min(effect.remaining + duration, config.maxDuration || Infinity);
+      } else {
+        if (config.stacking === 'intensify') {
+          effect.stacks = Math.min(effect.stacks + 1, config.maxStacks || 1);
+        }
+        effect.remaining = Math.max(effect.remaining, duration);
+      }
+
+      if (!isNetworked) {
+        effect.isLocal = true;
+        effect.sourceId = data.sourceId || effect.sourceId;
+      }
+    }
+
+    this.emitChanged(target);
+
+    // Other players in the room need to see effects this client applied
+    if (!isNetworked) {
+      this.eventBus.emit('status:applied', { targetId, isPlayer, type, duration, sourceId: effect.sourceId });
+    }
+  }
+
+  /**
+   * Remove every effect from a target
+   * @param {string|null} targetId - Enemy ID, or player ID (null for the local player)
+   * @param {boolean} isPlayer - Whether the target is a player
+   */
+  clear(targetId, isPlayer) {
+    const key = this.getKey(targetId, isPlayer);
+    const target = this.targets.get(key);
+    if (!target) return;
+
+    this.targets.delete(key);
+    target.effects.clear();
+    this.emitChanged(target);
+  }
+
+  /**
+   * Count down durations and deal tick damage
+   * @param {number} delta - Time in seconds since the last update
+   */
+  update(delta) {
+    this.targets.forEach((target, key) => {
+      let changed = false;
+
+      target.effects.forEach((effect, type) => {
+        const config = STATUS_EFFECTS[type];
+        effect.remaining -= delta;
+
+        if (config.tickInterval) {
+          effect.tickTimer -= delta;
+          // Every tick that fell due before the effect ran out, even after a long frame
+          while (effect.tickTimer <= 0.001 && effect.remaining - effect.tickTimer > -0.001) {
+            effect.tickTimer += config.tickInterval;
+            this.dealTickDamage(target, effect, config);
+          }
+        }
+
+        if (effect.remaining <= 0) {
+          target.effects.delete(type);
+          changed = true;
+        }
+      });
+
+      if (target.effects.size === 0) {
+        this.targets.delete(key);
+      }
+      if (changed) {
+        this.emitChanged(target);
+      }
+    });
+  }
+
+  /**
+   * Deal one tick of an effect's damage, if this client is the one that deals it
+   * @param {Object} target - Affected target
+   * @param {Object} effect - The ticking effect
+   * @param {Object} config - The effect's STATUS_EFFECTS entry
+   */
+  dealTickDamage(target, effect, config) {
+    if (target.isPlayer) {
+      // Remote players take their ticks on their own client
+      if (target.targetId !== null || !config.playerTickDamage) return;
+
+      this.eventBus.emit('player:damage', {
+        amount: config.playerTickDamage * effect.stacks,
+        sourceType: effect.type,
+        sourceId: effect.sourceId
+      });
+    } else if (effect.isLocal && config.tickDamage) {
+      this.eventBus.emit('entity:damage', {
+        id: target.targetId,
+        amount: config.tickDamage * effect.stacks,
+        damageType: effect.type,
+        sourceId: effect.sourceId
+      });
+    }
+  }
+
+  /**
+   * Combine a target's effects into the modifiers the game acts on
+   * @param {Object} target - Affected target
+   * @returns {{speedMultiplier: number, liftSpeed: number, damageMultiplier: number, tint: number|null}}
+   */
+  getModifiers(target) {
+    const modifiers = { speedMultiplier: 1, liftSpeed: 0, damageMultiplier: 1, tint: null };
+
+    Object.entries(STATUS_EFFECTS).forEach(([type, config]) => {
+      if (!target.effects.has(type)) return;
+
+      if (config.speedMultiplier !== undefined) {
+        modifiers.speedMultiplier = Math.min(modifiers.speedMultiplier, config.speedMultiplier);
+      }
+      if (config.liftSpeed) {
+        modifiers.liftSpeed = Math.max(modifiers.liftSpeed, config.liftSpeed);
+      }
+      if (config.damageMultiplier) {
+        modifiers.damageMultiplier *= config.damageMultiplier;
+      }
+      if (modifiers.tint === null) {
+        modifiers.tint = config.tint;
+      }
+    });
+
+    return modifiers;
+  }
+
+  /**
+   * List a target's effects for display
+   * @param {Object} target - Affected target
+   * @returns {Array<{type: string, label: string, stacks: number, remaining: number}>} Active effects
+   */
+  describeEffects(target) {
+    return [...target.effects.values()].map(effect => ({
+      type: effect.type,
+      label: STATUS_EFFECTS[effect.type].label,
+      stacks: effect.stacks,
+      remaining: Math.max(0, effect.remaining)
+    }));
+  }
+
+  /**
+   * Tell listeners a target's effects changed
+   * @param {Object} target - Affected target
+   */
+  emitChanged(target) {
+    this.eventBus.emit('status:changed', {
+      targetId: target.targetId,
+      isPlayer: target.isPlayer,
+      effects: this.describeEffects(target),
+      modifiers: this.getModifiers(target)
+    });
+  }
+}
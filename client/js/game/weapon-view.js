@@ -1,6 +1,6 @@
 import * as THREE from 'three';
-import { WEAPON_BOBBING } from '../config.js';
-import { getQuaternion } from '../utils/math.js';
+import { WEAPON_BOBBING, RUNE_RECOGNITION, MOTION_GESTURES } from '../config.js';
+import { getDeviceQuaternion } from '../utils/math.js';
 import { SpellRegistry } from './spells/spell-registry.js';
 
 // Debug flag - set to false to hide the permanent raycast visualization
@@ -23,6 +23,9 @@ export class WeaponView {
     this.weaponRenderer = null;
     this.weaponContainer = null;
     this.bobbingTime = 0;
+    this.bobbingSpeedMultiplier = 1; // Faster while sprinting, slower while crouched
+    this.landingDip = 0; // How far the spellbook is pushed down by the last landing
+    this.appliedLandingDip = 0;
     this.lastGyroData = { alpha: 0, beta: 0, gamma: 0 };
     this.isMoving = false;
     this.raycastOrigin = null;
@@ -30,6 +33,7 @@ export class WeaponView {
     this.debugRaycast = null;
     this.showDebugRaycast = DEBUG_RAYCAST;
     this.flipSound = null;
+    this.isPlayerDead = false;
     
     // Spellbook features
     this.spellRegistry = new SpellRegistry(eventBus);
@@ -49,6 +53,9 @@ export class WeaponView {
     this.flipDirection = null;
     this.flipStartTime = 0;
     this.flipDuration = 0.25; // 0.25 seconds for flip animation
+    
+    // Last spellbook state published for the phone's mirror (see updateSpellbookState)
+    this.spellbookStateKey = null;
 
     // Define the offset quaternion for correct orientation
     this.offsetQuaternion = new THREE.Quaternion().setFromAxisAngle(
@@ -106,6 +113,9 @@ export class WeaponView {
 
     // Create page number indicator UI
     this.createPageIndicator();
+    
+    // Mana bar along the bottom of the book, above the cooldown bar
+    this.createManaBar();
 
     console.log('Weapon view initialized successfully');
   }
@@ -483,6 +493,7 @@ export class WeaponView {
     
     // Decrement page number before generating new textures
     this.currentPage--;
+    this.eventBus.emit('weapon:page-flipped', { page: this.currentPage });
     
     // Play flip sound
     this.playFlipSound();
@@ -517,6 +528,7 @@ export class WeaponView {
     
     // Increment page number before generating new textures
     this.currentPage++;
+    this.eventBus.emit('weapon:page-flipped', { page: this.currentPage });
     
     // Play flip sound
     this.playFlipSound();
@@ -584,6 +596,7 @@ export class WeaponView {
     }
 
     this.updateDebugRaycast();
+    this.updateSpellbookState();
 
     if (this.weaponRenderer && this.weaponScene && this.weaponCamera) {
       this.weaponRenderer.render(this.weaponScene, this.weaponCamera);
@@ -596,11 +609,7 @@ export class WeaponView {
   updateOrientation() {
     if (!this.spellbook || !this.lastGyroData) return;
 
-    const [w, x, y, z] = getQuaternion(
-      this.lastGyroData.alpha,
-      this.lastGyroData.beta,
-      this.lastGyroData.gamma
-    );
+    const [w, x, y, z] = getDeviceQuaternion(this.lastGyroData);
     const deviceQuaternion = new THREE.Quaternion(x, y, z, w);
 
     this.spellbook.quaternion.copy(
@@ -617,8 +626,11 @@ export class WeaponView {
 
     const basePosition = { x: 0.25, y: -0.2, z: -0.8 };
 
+    // Take off last frame's landing dip so the bob works from the undipped position
+    this.spellbook.position.y += this.appliedLandingDip;
+
     if (this.isMoving) {
-      this.bobbingTime += delta * WEAPON_BOBBING.speed;
+      this.bobbingTime += delta * WEAPON_BOBBING.speed * this.bobbingSpeedMultiplier;
       const verticalBob = Math.sin(this.bobbingTime * 2) * (WEAPON_BOBBING.intensity * 0.3);
       const horizontalBob = Math.cos(this.bobbingTime) * (WEAPON_BOBBING.intensity * 0.15);
 
@@ -638,6 +650,11 @@ export class WeaponView {
       );
       this.spellbook.position.z = basePosition.z;
     }
+
+    // Recover from landing dips
+    this.landingDip = THREE.MathUtils.lerp(this.landingDip, 0, Math.min(1, delta * 8));
+    this.spellbook.position.y -= this.landingDip;
+    this.appliedLandingDip = this.landingDip;
   }
 
   /**
@@ -706,6 +723,23 @@ export class WeaponView {
     }
   }
 
+  /**
+   * Show the spellbook effect for a drawn rune
+   * @param {string} shape - Recognized shape
+   * @param {number} confidence - Recognition confidence (0-1)
+   */
+  applyRuneEffect(shape, confidence) {
+    this.clearRuneEffects();
+
+    if (shape === 'circle') {
+      this.applyCircleRuneEffect(confidence);
+    } else if (shape === 'triangle') {
+      this.applyTriangleRuneEffect(confidence);
+    } else {
+      this.applyGenericRuneEffect(confidence);
+    }
+  }
+
   /**
    * Apply circle rune effect (shield)
    * @param {number} confidence - Recognition confidence (0-1)
@@ -813,6 +847,39 @@ export class WeaponView {
     }, 5000);
   }
 
+  /**
+   * Publish the open page, its spell and the spell's cooldown and channel state
+   * when any of them change, for the spellbook mirror on the phone
+   */
+  updateSpellbookState() {
+    const spell = this.currentPage > 0 ? this.spellRegistry.getSpellByPage(this.currentPage) : null;
+    
+    const state = {
+      page: this.currentPage,
+      totalPages: this.totalPages,
+      spellId: spell ? spell.id : null,
+      spellName: spell ? spell.name : (this.currentPage === 0 ? 'Instructions' : 'Empty Page'),
+      shape: spell ? spell.shape : null,
+      gesture: spell && spell.gesture ? MOTION_GESTURES.gestures[spell.gesture].label : null,
+      canHoldToCast: !!spell && this.isSpaceCastable(spell),
+      isChannelling: !!spell && (spell.isKeyDown || spell.isChannelActive()),
+      cooldown: spell ? spell.cooldown : 0,
+      lastCastTime: spell ? spell.lastCastTime : 0,
+      isPlayerDead: this.isPlayerDead
+    };
+    
+    // The cooldown counts down on the phone, so only a new cast changes the state
+    const key = JSON.stringify(state);
+    if (key === this.spellbookStateKey) return;
+    this.spellbookStateKey = key;
+    
+    const { lastCastTime, ...published } = state;
+    this.eventBus.emit('spellbook:state-changed', {
+      ...published,
+      cooldownRemaining: spell ? (1 - spell.getCooldownProgress()) * spell.cooldown * 1000 : 0
+    });
+  }
+
   /**
    * Get current page number
    * @returns {number} Current page number
@@ -845,10 +912,40 @@ export class WeaponView {
       }
     });
     
+    // No casting while the player is dead
+    this.eventBus.on('player:died', () => {
+      this.isPlayerDead = true;
+    });
+    
+    this.eventBus.on('player:respawned', () => {
+      this.isPlayerDead = false;
+    });
+
+    // Bob to the player's gait and dip the spellbook on landings
+    this.eventBus.on('player:movement-state-changed', (data) => {
+      this.bobbingSpeedMultiplier = data.sprinting ? 1.6 : data.crouching ? 0.6 : 1;
+    });
+
+    this.eventBus.on('player:landed', (data) => {
+      this.landingDip = Math.max(this.landingDip, Math.min(0.15, data.impactSpeed * 0.012));
+    });
+    
     this.eventBus.on('weapon:apply-rune-effect', (data) => {
       this.applyRuneEffect(data.shape, data.confidence);
     });
     
+    this.eventBus.on('rune:recognized', (data) => {
+      this.castRuneSpell(data.shape, data.confidence);
+    });
+    
+    this.eventBus.on('rune:unrecognized', () => {
+      this.showCastingError('Rune not recognized - try again');
+    });
+    
+    this.eventBus.on('gesture:recognized', (data) => {
+      this.castGestureSpell(data.gesture);
+    });
+    
     this.eventBus.on('gravityGun:pickup', () => this.updateGravityBeam(true));
     this.eventBus.on('gravityGun:drop', () => this.updateGravityBeam(false));
     this.eventBus.on('gravityGun:update-target', (data) => {
@@ -871,6 +968,24 @@ export class WeaponView {
       }
     });
     
+    this.eventBus.on('player:mana-changed', (data) => {
+      this.updateManaBar(data.mana, data.maxMana);
+    });
+    
+    this.eventBus.on('spell:insufficient-mana', (data) => {
+      this.showCastingError(`Not enough mana for ${data.spellName}!`);
+      this.flashManaBar();
+    });
+    
+    this.eventBus.on('mana:depleted', () => this.flashManaBar());
+    
+    // Loaded spells, loadout changes and room spell rules lay out the pages again
+    this.eventBus.on('spellbook:pages-changed', () => {
+      this.totalPages = this.spellRegistry.getTotalPages();
+      this.currentPage = Math.min(this.currentPage, this.totalPages - 1);
+      this.generatePageTextures();
+    });
+    
     // Provide access to this WeaponView instance for direct method calls
     this.eventBus.on('get:weapon-view', (callback) => {
       if (typeof callback === 'function') {
@@ -882,6 +997,14 @@ export class WeaponView {
     this.eventBus.on('weapon:flip-left', () => this.startFlipLeft());
     this.eventBus.on('weapon:flip-right', () => this.startFlipRight());
     
+    // The phone's cast button works like holding Space
+    this.eventBus.on('weapon:cast-down', () => {
+      if (!this.isFlipping) {
+        this.castSpaceBarSpell();
+      }
+    });
+    this.eventBus.on('weapon:cast-up', () => this.releaseSpaceBarSpell());
+    
     // Listen for key presses for page flipping (Q/E keys) and spell casting
     document.addEventListener('keydown', (event) => {
       if (event.repeat) return; // Prevent repeat events while key is held down
@@ -960,7 +1083,7 @@ export class WeaponView {
 
     const direction = new THREE.Vector3(0, 0, -1).applyQuaternion(weaponWorldQuaternion).normalize();
 
-    const [w, x, y, z] = getQuaternion(this.lastGyroData.alpha, this.lastGyroData.beta, this.lastGyroData.gamma);
+    const [w, x, y, z] = getDeviceQuaternion(this.lastGyroData);
     const deviceQuaternion = new THREE.Quaternion(x, y, z, w);
 
     return {
@@ -999,7 +1122,7 @@ export class WeaponView {
       return new THREE.Vector3(0, 0, -1).applyQuaternion(cameraQuaternion);
     }
 
-    const [w, x, y, z] = getQuaternion(this.lastGyroData.alpha, this.lastGyroData.beta, this.lastGyroData.gamma);
+    const [w, x, y, z] = getDeviceQuaternion(this.lastGyroData);
     const deviceQuaternion = new THREE.Quaternion(x, y, z, w);
 
     const correctedQuaternion = this.offsetQuaternion.clone().multiply(deviceQuaternion);
@@ -1092,6 +1215,8 @@ export class WeaponView {
    * Cast a space bar activated spell on the current page
    */
   castSpaceBarSpell() {
+    if (this.isPlayerDead) return;
+    
     // Check if we're on the instruction page - no casting allowed
     if (this.currentPage === 0) {
       console.log('Cannot cast on instruction page');
@@ -1109,7 +1234,7 @@ export class WeaponView {
     }
     
     // Only cast if this is a space bar spell
-    if (spell.shape.toLowerCase() !== 'space') {
+    if (!this.isSpaceCastable(spell)) {
       console.log('This spell requires drawing a specific shape');
       this.showCastingError(`Draw a ${spell.shape} to cast this spell!`);
       return;
@@ -1138,7 +1263,7 @@ export class WeaponView {
       gravityGunController = controller;
     });
     
-    spell.castDown({
+    const cast = spell.castDown({
       camera: this.weaponCamera,
       scene: mainScene || this.weaponScene, // Use main scene if available, otherwise fall back to weapon scene
       weaponScene: this.weaponScene, // Also pass weaponScene in case spell needs to add visual effects to the weapon
@@ -1148,6 +1273,9 @@ export class WeaponView {
       gravityGunController: gravityGunController // Pass gravity gun controller for raycast data
     });
     
+    // Not enough mana (the spell has reported it)
+    if (!cast) return;
+    
     // Also try to get the main camera for positioning
     this.eventBus.emit('scene:get-camera', (camera) => {
       if (camera && spell.updateMainCamera) {
@@ -1159,6 +1287,116 @@ export class WeaponView {
     this.flashPagesOnCast();
   }
 
+  /**
+   * Check whether a spell can be cast with the space bar
+   * @param {Spell} spell - Spell on the open page
+   * @returns {boolean} True for space bar spells and rune spells that allow it
+   */
+  isSpaceCastable(spell) {
+    return spell.shape.toLowerCase() === 'space' || spell.allowSpaceCast;
+  }
+
+  /**
+   * Cast the spell bound to a drawn rune
+   * @param {string} shape - Recognized shape
+   * @param {number} confidence - Recognition confidence (0-1)
+   */
+  castRuneSpell(shape, confidence) {
+    if (this.isPlayerDead) return;
+    
+    // Spells left out of the loadout or banned by the room can't be cast
+    const spells = this.spellRegistry.getSpellsByShape(shape)
+      .filter(candidate => this.spellRegistry.isInSpellbook(candidate.id));
+    if (spells.length === 0) {
+      this.showCastingError(`No spell in your spellbook is bound to the ${shape} rune`);
+      return;
+    }
+    
+    // Prefer the spell on the open page, otherwise the first one bound to this shape
+    const spell = spells.find(candidate => candidate.page === this.currentPage) || spells[0];
+    
+    if (this.castTriggeredSpell(spell, RUNE_RECOGNITION.channelTime, { runeConfidence: confidence })) {
+      this.applyRuneEffect(shape, confidence);
+    }
+  }
+
+  /**
+   * Cast the spell bound to a motion gesture
+   * @param {string} gesture - Recognized gesture (see MOTION_GESTURES)
+   */
+  castGestureSpell(gesture) {
+    if (this.isPlayerDead) return;
+    
+    const spells = this.spellRegistry.getSpellsByGesture(gesture)
+      .filter(candidate => this.spellRegistry.isInSpellbook(candidate.id));
+    if (spells.length === 0) {
+      this.showCastingError(`No spell in your spellbook is bound to the ${MOTION_GESTURES.gestures[gesture].label.toLowerCase()} gesture`);
+      return;
+    }
+    
+    // Prefer the spell on the open page, otherwise the first one bound to this gesture
+    const spell = spells.find(candidate => candidate.page === this.currentPage) || spells[0];
+    
+    this.castTriggeredSpell(spell, MOTION_GESTURES.channelTime, { gesture });
+  }
+
+  /**
+   * Cast a spell as a press and a timed release, for runes and gestures
+   * @param {Spell} spell - Spell to cast
+   * @param {number} channelTime - Seconds between press and release
+   * @param {Object} contextExtras - Extra casting context, e.g. the rune's confidence
+   * @returns {boolean} Whether the spell was cast
+   */
+  castTriggeredSpell(spell, channelTime, contextExtras) {
+    if (!spell.isReady()) {
+      if (spell.page === this.currentPage) {
+        this.flashCooldownIndicator();
+      } else {
+        this.showCastingError(`${spell.name} is still recharging`);
+      }
+      return false;
+    }
+    
+    let mainScene = null;
+    this.eventBus.emit('scene:get-scene', (scene) => {
+      mainScene = scene;
+    });
+    
+    let gravityGunController = null;
+    this.eventBus.emit('get:gravity-gun-controller', (controller) => {
+      gravityGunController = controller;
+    });
+    
+    const context = {
+      camera: this.weaponCamera,
+      scene: mainScene || this.weaponScene,
+      weaponScene: this.weaponScene,
+      spellbook: this.spellbook,
+      mainCamera: null,
+      eventBus: this.eventBus,
+      gravityGunController: gravityGunController,
+      ...contextExtras
+    };
+    
+    // Hold the spell for the channel time, as if Space were held that long
+    if (!spell.castDown(context)) return false;
+    setTimeout(() => spell.castUp(context), channelTime * 1000);
+    
+    this.eventBus.emit('scene:get-camera', (camera) => {
+      if (camera && spell.updateMainCamera) {
+        spell.updateMainCamera(camera);
+      }
+    });
+    
+    if (spell.cooldown > 0) {
+      setTimeout(() => {
+        this.createCooldownIndicator(spell);
+      }, 100);
+    }
+    
+    return true;
+  }
+
     /**
    * Cast a space bar activated spell on the current page
    */
@@ -1176,7 +1414,7 @@ export class WeaponView {
       }
       
       // Only cast if this is a space bar spell
-      if (spell.shape.toLowerCase() !== 'space') {
+      if (!this.isSpaceCastable(spell)) {
         return;
       }
       
@@ -1414,6 +1652,76 @@ export class WeaponView {
     this.cooldownDuration = null;
   }
 
+  /**
+   * Create the mana bar on the book
+   */
+  createManaBar() {
+    if (!this.spellbook) return;
+    
+    const bgGeometry = new THREE.PlaneGeometry(0.4, 0.02);
+    const bgMaterial = new THREE.MeshBasicMaterial({
+      color: 0x222222,
+      transparent: true,
+      opacity: 0.5,
+      depthTest: false
+    });
+    this.manaBarBg = new THREE.Mesh(bgGeometry, bgMaterial);
+    this.manaBarBg.position.set(0, -0.25, 0.015);
+    this.spellbook.add(this.manaBarBg);
+    
+    // The fill is scaled rather than rebuilt as mana changes
+    const barGeometry = new THREE.PlaneGeometry(0.4, 0.02);
+    const barMaterial = new THREE.MeshBasicMaterial({
+      color: 0x4455ff,
+      transparent: true,
+      opacity: 0.85,
+      depthTest: false
+    });
+    this.manaBar = new THREE.Mesh(barGeometry, barMaterial);
+    this.manaBar.position.set(0, -0.25, 0.02);
+    this.spellbook.add(this.manaBar);
+    
+    let mana = null;
+    this.eventBus.emit('mana:get', (data) => {
+      mana = data;
+    });
+    if (mana) {
+      this.updateManaBar(mana.mana, mana.maxMana);
+    }
+  }
+  
+  /**
+   * Resize the mana bar
+   * @param {number} mana - Current mana
+   * @param {number} maxMana - Maximum mana
+   */
+  updateManaBar(mana, maxMana) {
+    if (!this.manaBar) return;
+    
+    // Keep a sliver visible so an empty bar still reads as a bar
+    const fill = Math.max(0.001, maxMana > 0 ? mana / maxMana : 0);
+    this.manaBar.scale.x = fill;
+    this.manaBar.position.x = -0.2 + (0.4 * fill / 2);
+  }
+  
+  /**
+   * Flash the mana bar red when a spell can't be paid for
+   */
+  flashManaBar() {
+    if (!this.manaBar || !this.manaBar.material) return;
+    
+    clearTimeout(this.manaFlashTimeout);
+    this.manaBar.material.color.set(0xff0000);
+    this.manaBarBg.material.color.set(0x661111);
+    
+    this.manaFlashTimeout = setTimeout(() => {
+      if (this.manaBar && this.manaBar.material) {
+        this.manaBar.material.color.set(0x4455ff);
+        this.manaBarBg.material.color.set(0x222222);
+      }
+    }, 300);
+  }
+
   /**
    * Clean up resources
    */
@@ -1439,6 +1747,7 @@ export class WeaponView {
     
     // Clean up cooldown indicators
     this.removeCooldownIndicator();
+    clearTimeout(this.manaFlashTimeout);
     
     // Clean up page textures
     if (this.pageTextures.left) {
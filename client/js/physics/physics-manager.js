@@ -1,5 +1,6 @@
 import * as CANNON from 'cannon-es';
 import * as THREE from 'three';
+import { PLAYER_COLLISION_GROUP } from './player-body.js';
 
 export class PhysicsManager {
   /**
@@ -25,6 +26,18 @@ export class PhysicsManager {
     this.heldBodyId = null;
     this.holdingPlayerId = null;
     
+    // Airlift combo: while above 0 the held object is carried along with the hold point
+    // instead of trailing it on springs (see SpellComboManager)
+    this.carryResponse = 0;
+    this.targetVelocity = new CANNON.Vec3();
+    this.lastTargetTime = 0;
+    
+    // Spell projectiles: simulated locally, never synced, removed by whoever launched them
+    this.projectiles = new Set();
+    
+    // Multiplayer ownership - the owning client simulates a body and relays its state
+    this.localPlayerId = null;
+    
     this.setupEventListeners();
     this.init();
   }
@@ -37,10 +50,23 @@ export class PhysicsManager {
     // Add ground plane
     const groundShape = new CANNON.Plane();
     const groundBody = new CANNON.Body({ mass: 0 }); // Mass 0 makes it static
+    // Its own material (with default friction) lets the player's capsule slide over the ground frictionlessly
+    groundBody.material = new CANNON.Material('groundMaterial');
     groundBody.addShape(groundShape);
     groundBody.quaternion.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), -Math.PI / 2); // Rotate to be horizontal
     this.world.addBody(groundBody);
     
+    // Projectiles fall slower than other objects; cancel the rest of world gravity
+    // before every internal step (forces are cleared after each one)
+    this.world.addEventListener('preStep', () => {
+      this.projectiles.forEach(body => {
+        const cancelled = (1 - body.userData.gravityScale) * body.mass;
+        body.force.x -= this.world.gravity.x * cancelled;
+        body.force.y -= this.world.gravity.y * cancelled;
+        body.force.z -= this.world.gravity.z * cancelled;
+      });
+    });
+    
     // Notify the system that the physics manager is ready
     if (this.eventBus) {
       this.eventBus.emit('physics:manager-ready', this);
@@ -58,12 +84,18 @@ export class PhysicsManager {
     this.eventBus.on('physics:apply-force', this.applyForceToObject.bind(this));
     this.eventBus.on('physics:spawn-object', this.createPhysicsObject.bind(this));
     this.eventBus.on('physics:update-object', this.updatePhysicsObject.bind(this));
+    this.eventBus.on('physics:remove-object', this.removePhysicsObject.bind(this));
+    this.eventBus.on('physics:set-carry', (data) => {
+      this.carryResponse = data && data.active ? data.response : 0;
+    });
     
     // Black hole physics
     this.eventBus.on('physics:apply-black-hole', this.applyBlackHoleEffect.bind(this));
     this.eventBus.on('physics:apply-explosion', this.applyExplosionEffect.bind(this));
+    this.eventBus.on('physics:apply-shield', this.applyShieldEffect.bind(this));
     
     // Multiplayer events
+    this.eventBus.on('multiplayer:room-created', this.handleRoomCreated.bind(this));
     this.eventBus.on('multiplayer:room-joined', this.handleRoomJoined.bind(this));
     this.eventBus.on('multiplayer:room-left', this.handleRoomLeft.bind(this));
     
@@ -82,6 +114,11 @@ export class PhysicsManager {
       this.socketManager.on('physics:object-pickup', this.handleRemoteObjectPickup.bind(this));
       this.socketManager.on('physics:object-drop', this.handleRemoteObjectDrop.bind(this));
       this.socketManager.on('physics:object-created', this.handleRemoteObjectCreated.bind(this));
+      this.socketManager.on('physics:object-removed', this.handleRemoteObjectRemoved.bind(this));
+      this.socketManager.on('physics:update-object', this.handleRemoteObjectUpdate.bind(this));
+      this.socketManager.on('physics:apply-force', this.handleRemoteApplyForce.bind(this));
+      this.socketManager.on('physics:ownership-changed', this.handleOwnershipChanged.bind(this));
+      this.socketManager.on('physics:pickup-rejected', this.handlePickupRejected.bind(this));
     }
   }
   
@@ -156,7 +193,9 @@ export class PhysicsManager {
       restitution = 0.3,
       friction = 0.5,
       rotation = null,
-      id = this.generateId()
+      id = this.generateId(),
+      ownerId = this.localPlayerId,
+      skipNetworkSync = false
     } = options;
     
     // Create physics shape based on type
@@ -182,15 +221,15 @@ export class PhysicsManager {
     
     // Apply rotation if specified
     if (rotation) {
-      // Convert euler angles to quaternion
-      if (rotation.x !== undefined && rotation.y !== undefined && rotation.z !== undefined) {
+      // Use quaternion directly if provided (e.g. from a network snapshot)
+      if (rotation.w !== undefined) {
+        body.quaternion.set(rotation.x, rotation.y, rotation.z, rotation.w);
+      }
+      // Otherwise convert euler angles to quaternion
+      else if (rotation.x !== undefined && rotation.y !== undefined && rotation.z !== undefined) {
         const quaternion = new CANNON.Quaternion();
         quaternion.setFromEuler(rotation.x, rotation.y, rotation.z);
         body.quaternion.copy(quaternion);
-      } 
-      // Or use quaternion directly if provided
-      else if (rotation.w !== undefined) {
-        body.quaternion.set(rotation.x, rotation.y, rotation.z, rotation.w);
       }
     }
     
@@ -237,6 +276,8 @@ export class PhysicsManager {
     this.physicsBodies.set(id, { 
       body, 
       mesh, 
+      networked: true,
+      ownerId,
       properties: { 
         size, 
         mass, 
@@ -264,7 +305,7 @@ export class PhysicsManager {
     });
     
     // If socket manager is available, send to other clients
-    if (this.socketManager) {
+    if (this.socketManager && !skipNetworkSync) {
       this.socketManager.emit('physics:object-created', {
         id,
         position,
@@ -398,7 +439,7 @@ export class PhysicsManager {
     const scaledDirection = direction.clone();
     scaledDirection.scale(20, scaledDirection); // Extend ray to 20 units
     
-    this.world.raycastClosest(origin, scaledDirection, { collisionFilterMask: -1, skipBackfaces: true }, result);
+    this.world.raycastClosest(origin, scaledDirection, { collisionFilterMask: ~PLAYER_COLLISION_GROUP, skipBackfaces: true }, result);
     
     if (!result.hasHit) {
       return false;
@@ -509,6 +550,12 @@ export class PhysicsManager {
       playerId: this.holdingPlayerId
     });
     
+    // Claim ownership straight away; the server confirms or rejects the grab
+    const physicsObj = this.physicsBodies.get(this.heldBodyId);
+    if (physicsObj && physicsObj.networked) {
+      physicsObj.ownerId = this.localPlayerId;
+    }
+    
     // Network sync if in multiplayer mode
     if (this.socketManager) {
       this.socketManager.emit('physics:object-pickup', {
@@ -527,6 +574,14 @@ export class PhysicsManager {
     // Calculate displacement
     const displacement = new CANNON.Vec3();
     desiredPosition.vsub(currentPosition, displacement);
+    
+    // Carried objects move with the hold point and close any gap directly
+    if (this.carryResponse > 0) {
+      displacement.scale(this.carryResponse, this.heldBody.velocity);
+      this.heldBody.velocity.vadd(this.targetVelocity, this.heldBody.velocity);
+      this.heldBody.applyForce(new CANNON.Vec3(0, this.heldBody.mass * 9.82, 0), this.heldBody.position);
+      return;
+    }
 
     // PD controller constants
     this.k_p = this.k_p !== undefined ? this.k_p : 14.5; // Proportional gain (stiffness)
@@ -774,6 +829,18 @@ export class PhysicsManager {
     return 'physics_' + Math.random().toString(36).substr(2, 9);
   }
   
+  /**
+   * Check whether this client is responsible for simulating a physics object
+   * @param {Object} physicsObj - Entry from the physicsBodies map
+   * @returns {boolean} True if the object is simulated locally
+   */
+  isLocallyOwned(physicsObj) {
+    // Outside a room every object is simulated locally
+    if (!this.localPlayerId) return true;
+    
+    return !physicsObj.ownerId || physicsObj.ownerId === this.localPlayerId;
+  }
+  
   // Multiplayer synchronization
   shouldEmitSync() {
     // Only emit sync every 100ms to reduce network traffic
@@ -791,6 +858,10 @@ export class PhysicsManager {
     this.physicsBodies.forEach((physicsObj, id) => {
       const { body, properties } = physicsObj;
       
+      // Only relay dynamic, awake objects this client owns; environment bodies are never synced
+      if (!physicsObj.networked || !this.isLocallyOwned(physicsObj)) return;
+      if (body.mass <= 0 || body.sleepState === CANNON.Body.SLEEPING) return;
+      
       objects.push({
         id,
         position: {
@@ -832,14 +903,19 @@ export class PhysicsManager {
   
   handlePhysicsSync(data) {
     const { objects } = data;
+    if (!Array.isArray(objects)) return;
     
     objects.forEach(obj => {
       if (this.physicsBodies.has(obj.id)) {
         // Update existing object
         const physicsObj = this.physicsBodies.get(obj.id);
         
+        if (obj.ownerId) {
+          physicsObj.ownerId = obj.ownerId;
+        }
+        
         // Only update if not being controlled locally
-        if (this.heldBody !== physicsObj.body) {
+        if (this.heldBody !== physicsObj.body && !this.isLocallyOwned(physicsObj)) {
           // Update position and rotation
           physicsObj.body.position.set(obj.position.x, obj.position.y, obj.position.z);
           physicsObj.body.quaternion.set(obj.quaternion.x, obj.quaternion.y, obj.quaternion.z, obj.quaternion.w);
@@ -847,20 +923,44 @@ export class PhysicsManager {
           // Update velocity
           physicsObj.body.velocity.set(obj.velocity.x, obj.velocity.y, obj.velocity.z);
           physicsObj.body.angularVelocity.set(obj.angularVelocity.x, obj.angularVelocity.y, obj.angularVelocity.z);
+          
+          if (physicsObj.body.sleepState === CANNON.Body.SLEEPING) {
+            physicsObj.body.wakeUp();
+          }
         }
-      } else {
-        // Create new object
-        this.createPhysicsObject({
+      } else if (obj.properties) {
+        // Create new object owned by whoever sent the state
+        this.createRemotePhysicsObject({
+          ...obj.properties,
           id: obj.id,
           position: obj.position,
-          size: obj.properties.size,
-          mass: obj.properties.mass,
-          color: obj.properties.color
+          rotation: obj.quaternion || obj.properties.rotation,
+          ownerId: obj.ownerId
         });
       }
     });
   }
   
+  /**
+   * Create a local copy of an object that another client owns
+   * @param {Object} data - Object creation data including ownerId
+   */
+  createRemotePhysicsObject(data) {
+    const options = { ...data, skipNetworkSync: true };
+    
+    // Let createPhysicsObject fall back to its defaults for missing properties
+    Object.keys(options).forEach(key => {
+      if (options[key] === undefined || options[key] === null) {
+        delete options[key];
+      }
+    });
+    
+    // Unowned remote objects stay unowned rather than defaulting to us
+    options.ownerId = data.ownerId || null;
+    
+    this.createPhysicsObject(options);
+  }
+  
   /**
    * Handle remote player picking up an object
    * @param {Object} data - Pickup data
@@ -880,6 +980,9 @@ export class PhysicsManager {
     
     const physicsObj = this.physicsBodies.get(id);
     
+    // The picker now owns the object and relays its state
+    physicsObj.ownerId = playerId;
+    
     // Prepare the body for remote holding (same physics changes as local holding)
     this.prepareBodyForHolding(physicsObj.body);
     
@@ -929,13 +1032,87 @@ export class PhysicsManager {
   handleRemoteObjectCreated(data) {
     // Only create if we don't already have this object
     if (!this.physicsBodies.has(data.id)) {
-      this.createPhysicsObject({
-        id: data.id,
-        position: data.position,
-        size: data.size,
-        mass: data.mass,
-        color: data.color
-      });
+      this.createRemotePhysicsObject(data);
+    }
+  }
+  
+  /**
+   * Remove an object its owner removed, or the server dropped to stay under its object limit
+   * @param {Object} data - Removal data with the object ID
+   */
+  handleRemoteObjectRemoved(data) {
+    if (!data) return;
+    this.removePhysicsObject({ id: data.id, skipNetworkSync: true });
+  }
+  
+  /**
+   * Handle property updates (size, mass, effects) from the owning client
+   * @param {Object} data - Update data
+   */
+  handleRemoteObjectUpdate(data) {
+    const physicsObj = this.physicsBodies.get(data.id);
+    if (!physicsObj || this.isLocallyOwned(physicsObj)) return;
+    
+    // Velocity arrives through the owner's state sync, so only apply the rest
+    const { velocity, playerId, ...update } = data;
+    this.updatePhysicsObject({ ...update, skipNetworkSync: true });
+  }
+  
+  /**
+   * Apply a force another client wants applied to an object we own
+   * @param {Object} data - Force data with object ID and force vector
+   */
+  handleRemoteApplyForce(data) {
+    const physicsObj = this.physicsBodies.get(data.id);
+    if (!physicsObj || !this.isLocallyOwned(physicsObj)) return;
+    
+    const { body } = physicsObj;
+    body.applyForce(new CANNON.Vec3(data.force.x, data.force.y, data.force.z), body.position);
+    
+    if (body.sleepState === CANNON.Body.SLEEPING) {
+      body.wakeUp();
+    }
+  }
+  
+  /**
+   * Handle the server reassigning objects, e.g. when their owner left the room
+   * @param {Object} data - Contains list of { id, ownerId }
+   */
+  handleOwnershipChanged(data) {
+    if (!data || !Array.isArray(data.objects)) return;
+    
+    data.objects.forEach(({ id, ownerId }) => {
+      const physicsObj = this.physicsBodies.get(id);
+      if (!physicsObj) return;
+      
+      physicsObj.ownerId = ownerId;
+      
+      // A player who left can no longer be holding anything
+      if (physicsObj.heldByRemotePlayer) {
+        this.restoreBodyAfterHolding(physicsObj.body);
+        physicsObj.heldByRemotePlayer = null;
+        this.removeRemoteGravityBeam(id);
+      }
+    });
+  }
+  
+  /**
+   * Handle the server refusing a pickup because another player holds the object
+   * @param {Object} data - Contains object id, current owner and holder
+   */
+  handlePickupRejected(data) {
+    const physicsObj = this.physicsBodies.get(data.id);
+    if (!physicsObj) return;
+    
+    if (this.heldBodyId === data.id) {
+      this.dropObject({ objectId: data.id, skipNetworkSync: true });
+    }
+    
+    physicsObj.ownerId = data.ownerId;
+    
+    // Show the other player's beam and stop simulating gravity for the object locally
+    if (data.heldBy) {
+      this.handleRemoteObjectPickup({ id: data.id, playerId: data.heldBy });
     }
   }
   
@@ -995,15 +1172,47 @@ export class PhysicsManager {
     physicsObj.remoteBeam = null;
   }
   
-  handleRoomJoined() {
-    // Clear existing physics objects when joining a room
-    this.clearAllObjects();
+  handleRoomCreated(data = {}) {
+    this.localPlayerId = data.playerId || null;
     
-    // Create some initial objects for the room
+    // Clear existing physics objects; the host seeds the new room
+    this.clearNetworkedObjects();
     this.createInitialObjects();
   }
   
+  handleRoomJoined(data = {}) {
+    this.localPlayerId = data.playerId || null;
+    
+    // Clear existing physics objects when joining a room
+    this.clearNetworkedObjects();
+    
+    const gameObjects = Array.isArray(data.gameObjects) ? data.gameObjects : [];
+    
+    if (gameObjects.length === 0) {
+      // Nobody has seeded the room yet, so create some initial objects
+      this.createInitialObjects();
+      return;
+    }
+    
+    // Recreate the objects already in the room from the server's snapshot
+    gameObjects.forEach(obj => {
+      this.createRemotePhysicsObject({
+        ...obj.properties,
+        id: obj.id,
+        position: obj.position,
+        rotation: obj.quaternion || obj.properties.rotation,
+        ownerId: obj.ownerId
+      });
+      
+      if (obj.heldBy && obj.heldBy !== this.localPlayerId) {
+        this.handleRemoteObjectPickup({ id: obj.id, playerId: obj.heldBy });
+      }
+    });
+  }
+  
   handleRoomLeft() {
+    this.localPlayerId = null;
+    
     // Clear all physics objects when leaving a room
     this.clearAllObjects();
   }
@@ -1027,6 +1236,56 @@ export class PhysicsManager {
     this.heldBody = null;
   }
   
+  /**
+   * Remove spawned/synced objects but keep environment collision bodies
+   */
+  clearNetworkedObjects() {
+    // Let go of anything we're holding before its body disappears
+    if (this.heldBodyId && this.physicsBodies.get(this.heldBodyId)?.networked) {
+      this.dropObject({ objectId: this.heldBodyId, skipNetworkSync: true });
+    }
+    
+    this.physicsBodies.forEach((physicsObj, id) => {
+      if (!physicsObj.networked) return;
+      
+      this.removeRemoteGravityBeam(id);
+      this.world.removeBody(physicsObj.body);
+      this.scene.remove(physicsObj.mesh);
+      this.physicsBodies.delete(id);
+    });
+  }
+  
+  /**
+   * Remove a physics object, for everyone in the room when it's shared
+   * @param {Object} data - Removal data
+   * @param {string} data.id - ID of the object
+   * @param {boolean} [data.skipNetworkSync=false] - If true, don't sync over network
+   */
+  removePhysicsObject(data) {
+    const physicsObj = data && this.physicsBodies.get(data.id);
+    if (!physicsObj) return;
+    
+    const { id, skipNetworkSync = false } = data;
+    
+    // Let go of it first so the gravity gun doesn't hold a missing body
+    if (this.heldBodyId === id) {
+      this.dropObject({ objectId: id, skipNetworkSync: true });
+    }
+    
+    this.removeRemoteGravityBeam(id);
+    this.world.removeBody(physicsObj.body);
+    this.scene.remove(physicsObj.mesh);
+    physicsObj.mesh.geometry.dispose();
+    physicsObj.mesh.material.dispose();
+    this.physicsBodies.delete(id);
+    
+    this.eventBus.emit('physics:object-removed', { id });
+    
+    if (this.socketManager && physicsObj.networked && !skipNetworkSync) {
+      this.socketManager.emit('physics:object-removed', { id });
+    }
+  }
+  
   /**
    * Apply an external force to a physics object
    * @param {Object} data - Force data containing objectId and force vector
@@ -1043,8 +1302,8 @@ export class PhysicsManager {
     const forceVec = new CANNON.Vec3(force.x, force.y, force.z);
     body.applyForce(forceVec, body.position);
     
-    // Sync force application to other clients
-    if (this.socketManager) {
+    // Objects simulated elsewhere need the force applied by their owner
+    if (this.socketManager && !this.isLocallyOwned(physicsObj)) {
       this.socketManager.emit('physics:apply-force', {
         id: objectId,
         force: force,
@@ -1168,11 +1427,12 @@ export class PhysicsManager {
       this.applyVisualEffect(id, data.visualEffect);
     }
     
-    // Sync updates to other clients if in multiplayer
-    if (this.socketManager) {
+    // Sync updates to other clients if in multiplayer (only the owner's changes count)
+    if (this.socketManager && !data.skipNetworkSync && this.isLocallyOwned(physicsObj)) {
+      const { skipNetworkSync, ...update } = data;
       this.socketManager.emit('physics:update-object', {
         id,
-        ...data,
+        ...update,
         playerId: 'local'
       });
     }
@@ -1404,6 +1664,96 @@ export class PhysicsManager {
     });
   }
   
+  /**
+   * Bounce bodies flying at a shielded player off the shield
+   * @param {Object} data - Shield data
+   * @param {{x: number, y: number, z: number}} data.position - Center of the shield
+   * @param {number} data.radius - Radius of the shield
+   * @param {number} data.deflectSpeed - Bodies approaching slower than this pass through
+   * @param {number} data.restitution - Fraction of the approach speed kept when bouncing off
+   */
+  applyShieldEffect(data) {
+    const { position, radius, deflectSpeed, restitution } = data;
+    
+    if (!position) {
+      console.warn('Invalid position for shield effect');
+      return;
+    }
+    
+    const shieldPos = new CANNON.Vec3(position.x, position.y, position.z);
+    const offset = new CANNON.Vec3();
+    
+    // Projectiles are not in physicsBodies, so look at every body in the world
+    this.world.bodies.forEach(body => {
+      if (body.type !== CANNON.Body.DYNAMIC || body === this.heldBody) return;
+      
+      // The local player's capsule sits inside its own shield
+      if (body.collisionFilterGroup & PLAYER_COLLISION_GROUP) return;
+      
+      body.position.vsub(shieldPos, offset);
+      const distance = offset.length();
+      if (distance === 0 || distance > radius + body.boundingRadius) return;
+      
+      // Only bodies flying inward are blocked; objects thrown from inside leave freely
+      offset.scale(1 / distance, offset);
+      const approachSpeed = -body.velocity.dot(offset);
+      if (approachSpeed < deflectSpeed) return;
+      
+      // Reflect the inward part of the velocity
+      const bounce = offset.scale(approachSpeed * (1 + restitution));
+      body.velocity.vadd(bounce, body.velocity);
+      
+      if (body.sleepState === CANNON.Body.SLEEPING) {
+        body.wakeUp();
+      }
+    });
+  }
+  
+  /**
+   * Launch a spherical projectile. Projectiles are simulated only on this client
+   * and pass through the local player; the caller removes them with removeProjectile.
+   * @param {Object} options - Projectile options
+   * @param {{x: number, y: number, z: number}} options.position - Start position
+   * @param {{x: number, y: number, z: number}} options.velocity - Launch velocity
+   * @param {number} options.radius - Radius of the sphere
+   * @param {number} options.mass - Mass of the sphere
+   * @param {number} [options.gravityScale=1] - Fraction of world gravity the projectile feels
+   * @param {Function} [options.onCollide] - Called with the body the projectile touched
+   * @returns {CANNON.Body} The projectile's body
+   */
+  createProjectile(options) {
+    const { position, velocity, radius, mass, gravityScale = 1, onCollide } = options;
+    
+    const body = new CANNON.Body({
+      mass,
+      shape: new CANNON.Sphere(radius),
+      linearDamping: 0,
+      allowSleep: false,
+      collisionFilterMask: ~PLAYER_COLLISION_GROUP
+    });
+    body.position.set(position.x, position.y, position.z);
+    body.velocity.set(velocity.x, velocity.y, velocity.z);
+    body.userData = { isProjectile: true, gravityScale };
+    
+    if (onCollide) {
+      body.addEventListener('collide', (event) => onCollide(event.body));
+    }
+    
+    this.world.addBody(body);
+    this.projectiles.add(body);
+    
+    return body;
+  }
+  
+  /**
+   * Remove a projectile created with createProjectile
+   * @param {CANNON.Body} body - The projectile's body
+   */
+  removeProjectile(body) {
+    if (!this.projectiles.delete(body)) return;
+    this.world.removeBody(body);
+  }
+  
   /**
    * Update the target position for held objects
    * @param {Object} data - Target data
@@ -1423,6 +1773,20 @@ export class PhysicsManager {
     
     // Update target position with safety checks
     if (position && position.x !== undefined && position.y !== undefined && position.z !== undefined) {
+      // Track how fast the hold point moves so a carried object can keep up
+      const now = performance.now();
+      const elapsed = (now - this.lastTargetTime) / 1000;
+      if (elapsed > 0 && elapsed < 0.5) {
+        this.targetVelocity.set(
+          (position.x - this.targetPosition.x) / elapsed,
+          (position.y - this.targetPosition.y) / elapsed,
+          (position.z - this.targetPosition.z) / elapsed
+        );
+      } else {
+        this.targetVelocity.set(0, 0, 0);
+      }
+      this.lastTargetTime = now;
+      
       this.targetPosition.set(position.x, position.y, position.z);
     }
     
@@ -0,0 +1,299 @@
+import * as CANNON from 'cannon-es';
+import { PLAYER_HEIGHT, PLAYER_PHYSICS } from '../config.js';
+
+// Collision group of the local player's capsule. Queries that should not hit
+// the player (it surrounds the camera) mask this group out.
+export const PLAYER_COLLISION_GROUP = 2;
+
+/**
+ * The local player's collision capsule in the Cannon world.
+ *
+ * FirstPersonController owns the player's motion: each frame it hands over the
+ * velocity it wants and the body resolves it against the world on the next
+ * physics step. World gravity is cancelled for this body because the
+ * controller integrates its own gravity (lighter while a flight spell carries
+ * the player).
+ */
+export class PlayerBody {
+  /**
+   * @param {CANNON.World} world - Physics world to collide with
+   */
+  constructor(world) {
+    this.world = world;
+    this.enabled = true;
+    this.grounded = false;
+    this.groundY = null; // Height of the ground under the capsule, when grounded
+
+    // The body's origin is the center of the lowest sphere, so changing the
+    // capsule's height (crouching) keeps the feet where they are
+    this.radius = PLAYER_PHYSICS.radius;
+    this.height = PLAYER_PHYSICS.height;
+    this.eyeHeight = PLAYER_HEIGHT;
+
+    this.body = new CANNON.Body({
+      mass: PLAYER_PHYSICS.mass,
+      fixedRotation: true, // The player never tips over
+      linearDamping: 0,
+      allowSleep: false,
+      collisionFilterGroup: PLAYER_COLLISION_GROUP
+    });
+    this.buildCapsule();
+    this.body.userData = { isLocalPlayer: true };
+
+    // Movement is driven by setting velocity, so friction would only make the
+    // capsule cling to (and creep up) walls. A frictionless material zeroes it
+    // against objects with their own friction; everything else gets an explicit
+    // frictionless contact material, including bodies added later.
+    this.material = new CANNON.Material({ friction: 0, restitution: 0 });
+    this.body.material = this.material;
+    this.world.bodies.forEach(body => this.makeFrictionless(body));
+    this.addBodyCallback = (event) => this.makeFrictionless(event.body);
+    this.world.addEventListener('addBody', this.addBodyCallback);
+
+    // Cancel world gravity before every internal step (forces are cleared after each one)
+    this.preStepCallback = () => {
+      if (!this.enabled) return;
+      this.body.force.x -= this.world.gravity.x * this.body.mass;
+      this.body.force.y -= this.world.gravity.y * this.body.mass;
+      this.body.force.z -= this.world.gravity.z * this.body.mass;
+    };
+    this.world.addEventListener('preStep', this.preStepCallback);
+
+    this.minGroundNormalY = Math.cos(PLAYER_PHYSICS.maxWalkableSlope * Math.PI / 180);
+    this.rayResult = new CANNON.RaycastResult();
+    this.rayFrom = new CANNON.Vec3();
+    this.rayTo = new CANNON.Vec3();
+
+    this.world.addBody(this.body);
+  }
+
+  /**
+   * (Re)build the capsule, approximated by spheres stacked up to the current height
+   */
+  buildCapsule() {
+    while (this.body.shapes.length > 0) {
+      this.body.removeShape(this.body.shapes[0]);
+    }
+
+    const span = Math.max(0, this.height - 2 * this.radius);
+    const count = Math.ceil(span / this.radius) + 1;
+    for (let i = 0; i < count; i++) {
+      const offset = count > 1 ? (span * i) / (count - 1) : 0;
+      this.body.addShape(new CANNON.Sphere(this.radius), new CANNON.Vec3(0, offset, 0));
+    }
+    this.body.updateMassProperties();
+  }
+
+  /**
+   * Change the capsule's height, keeping the feet in place
+   * @param {number} height - Feet to top of head
+   * @param {number} eyeHeight - Camera height above the feet
+   * @returns {boolean} False if there wasn't room to grow to that height
+   */
+  setHeight(height, eyeHeight) {
+    if (height > this.height && !this.hasHeadroom(height)) {
+      return false;
+    }
+
+    const changed = height !== this.height;
+    this.height = height;
+    this.eyeHeight = eyeHeight;
+    if (changed) {
+      this.buildCapsule();
+    }
+    return true;
+  }
+
+  /**
+   * Check that nothing is in the way of the capsule growing taller
+   * @param {number} height - Height to grow to
+   * @returns {boolean} True if there is room
+   */
+  hasHeadroom(height) {
+    const position = this.body.position;
+    const feetY = this.getFeetY();
+    return !this.castVertical(position.x, position.z, feetY + this.height - this.radius, feetY + height);
+  }
+
+  /**
+   * Make contact between the player and a body frictionless
+   * @param {CANNON.Body} body - Body the player may touch
+   */
+  makeFrictionless(body) {
+    const material = body.material;
+    if (!material || material === this.material || material.friction >= 0) return;
+    if (this.world.getContactMaterial(this.material, material)) return;
+
+    this.world.addContactMaterial(new CANNON.ContactMaterial(this.material, material, {
+      friction: 0,
+      restitution: 0
+    }));
+  }
+
+  /**
+   * Add or remove the body from the world (God Mode flies through everything)
+   * @param {boolean} enabled - Whether the player collides with the world
+   */
+  setEnabled(enabled) {
+    if (this.enabled === enabled) return;
+
+    this.enabled = enabled;
+    if (enabled) {
+      this.world.addBody(this.body);
+    } else {
+      this.world.removeBody(this.body);
+    }
+    this.body.velocity.set(0, 0, 0);
+  }
+
+  /**
+   * Move the body so the eye sits at a position, dropping any velocity
+   * @param {{x: number, y: number, z: number}} eyePosition - Camera position
+   */
+  teleportToEye(eyePosition) {
+    this.body.position.set(eyePosition.x, eyePosition.y - this.eyeHeight + this.radius, eyePosition.z);
+    this.body.previousPosition.copy(this.body.position);
+    this.body.interpolatedPosition.copy(this.body.position);
+    this.body.velocity.set(0, 0, 0);
+  }
+
+  /**
+   * Copy the eye position into a vector
+   * @param {THREE.Vector3} target - Vector to receive the camera position
+   * @returns {THREE.Vector3} The target vector
+   */
+  getEyePosition(target) {
+    const position = this.body.position;
+    return target.set(position.x, position.y - this.radius + this.eyeHeight, position.z);
+  }
+
+  /**
+   * Get the height of the player's feet
+   * @returns {number} World y of the bottom of the capsule
+   */
+  getFeetY() {
+    return this.body.position.y - this.radius;
+  }
+
+  /**
+   * Vertical speed after the last physics step, which includes landing and
+   * bumping into ceilings
+   * @returns {number} Velocity along y
+   */
+  getVerticalVelocity() {
+    return this.body.velocity.y;
+  }
+
+  /**
+   * Re-check whether the capsule is standing on something
+   * @returns {boolean} Whether the capsule is grounded
+   */
+  updateGrounded() {
+    this.grounded = this.checkGrounded();
+    return this.grounded;
+  }
+
+  /**
+   * Set the velocity the body should move with during the next physics step.
+   * Walking into a low ledge while grounded (see updateGrounded) steps onto it.
+   * @param {number} x - World-space velocity along x
+   * @param {number} y - World-space velocity along y
+   * @param {number} z - World-space velocity along z
+   */
+  setVelocity(x, y, z) {
+    if (this.grounded && y <= 0 && (x !== 0 || z !== 0)) {
+      this.tryStepUp(x, z);
+    }
+
+    this.body.velocity.set(x, y, z);
+  }
+
+  /**
+   * Check whether the capsule is standing on a walkable surface
+   * @returns {boolean} True if there is ground just below the feet
+   */
+  checkGrounded() {
+    const feetY = this.getFeetY();
+    const { radius } = this;
+    const { groundProbe } = PLAYER_PHYSICS;
+    const position = this.body.position;
+
+    // Probe under the center and a little way out, so standing on an edge still counts
+    const offsets = [[0, 0], [radius * 0.7, 0], [-radius * 0.7, 0], [0, radius * 0.7], [0, -radius * 0.7]];
+    this.groundY = null;
+    offsets.forEach(([dx, dz]) => {
+      const hit = this.castVertical(position.x + dx, position.z + dz, feetY + radius, feetY - groundProbe);
+      if (hit && hit.normal.y >= this.minGroundNormalY && (this.groundY === null || hit.point.y > this.groundY)) {
+        this.groundY = hit.point.y;
+      }
+    });
+    return this.groundY !== null;
+  }
+
+  /**
+   * Lift the body onto a low ledge in the direction of travel
+   * @param {number} x - Horizontal velocity along x
+   * @param {number} z - Horizontal velocity along z
+   */
+  tryStepUp(x, z) {
+    const { radius } = this;
+    const { stepHeight } = PLAYER_PHYSICS;
+    const speed = Math.hypot(x, z);
+    const feetY = this.getFeetY();
+    const position = this.body.position;
+
+    // Look down onto the spot just ahead of the capsule
+    const reach = radius + 0.1;
+    const aheadX = position.x + (x / speed) * reach;
+    const aheadZ = position.z + (z / speed) * reach;
+    // Measure from the ground we stand on; the feet may have sunk into it a little
+    const baseY = this.groundY !== null ? this.groundY : feetY;
+    const hit = this.castVertical(aheadX, aheadZ, baseY + stepHeight + 0.05, baseY);
+    if (!hit || hit.normal.y < this.minGroundNormalY) return;
+
+    const rise = hit.point.y - baseY;
+    // Ramps and bumps the sphere rolls over by itself don't need help
+    if (rise <= 0.05 || rise > stepHeight) return;
+
+    // Don't step into a gap too low for the player
+    const headY = hit.point.y + this.height;
+    if (this.castVertical(aheadX, aheadZ, headY, hit.point.y + 0.05)) return;
+
+    position.y += hit.point.y + 0.01 - feetY;
+    this.body.previousPosition.y = position.y;
+    this.body.interpolatedPosition.y = position.y;
+  }
+
+  /**
+   * Cast a vertical ray against everything except the player
+   * @param {number} x - World x of the ray
+   * @param {number} z - World z of the ray
+   * @param {number} fromY - Height the ray starts at
+   * @param {number} toY - Height the ray ends at
+   * @returns {{point: CANNON.Vec3, normal: CANNON.Vec3}|null} Closest hit, if any
+   */
+  castVertical(x, z, fromY, toY) {
+    this.rayFrom.set(x, fromY, z);
+    this.rayTo.set(x, toY, z);
+    this.rayResult.reset();
+
+    this.world.raycastClosest(this.rayFrom, this.rayTo, {
+      collisionFilterMask: ~PLAYER_COLLISION_GROUP,
+      skipBackfaces: true
+    }, this.rayResult);
+
+    if (!this.rayResult.hasHit) return null;
+    return { point: this.rayResult.hitPointWorld.clone(), normal: this.rayResult.hitNormalWorld.clone() };
+  }
+
+  /**
+   * Remove the body from the world for good
+   */
+  dispose() {
+    this.world.removeEventListener('preStep', this.preStepCallback);
+    this.world.removeEventListener('addBody', this.addBodyCallback);
+    if (this.enabled) {
+      this.world.removeBody(this.body);
+    }
+  }
+}
@@ -1,4 +1,7 @@
-import { DEBUG_CONFIG } from '../config.js';
+import { DEBUG_CONFIG, CONTROLLER_TELEMETRY } from '../config.js';
+import { CanvasRenderer } from '../visualization/canvas-renderer.js';
+import { parseSensorRecording } from '../communication/sensor-recorder.js';
+import { createSimulatedRecording } from '../communication/sensor-replay.js';
 
 /**
  * Debug panel for multiplayer testing and physics controls
@@ -14,6 +17,7 @@ export class DebugPanel {
     this.gameStateManager = gameStateManager;
     this.physicsManager = physicsManager;
     this.panel = null;
+    this.isRecordingSensors = false;
     this.physicsUtils = null; // Will be set via event if available
     
     // Check if user is on a mobile device (but not on the /mobile endpoint)
@@ -108,6 +112,9 @@ export class DebugPanel {
       this.addGravityGunControls(controls);
     }
     
+    this.addControllerTelemetry(controls);
+    this.addSensorRecordingControls(controls);
+    
     // Only add multiplayer controls if enabled
     if (DEBUG_CONFIG.ENABLE_MULTIPLAYER_DEBUG) {
       // Create/join room buttons
@@ -401,10 +408,227 @@ export class DebugPanel {
     container.appendChild(debugSection);
   }
   
+  /**
+   * Add controller link telemetry readout and history graph
+   * @param {HTMLElement} container - Container to add the section to
+   */
+  addControllerTelemetry(container) {
+    const telemetrySection = document.createElement('div');
+    telemetrySection.style.marginBottom = '10px';
+    telemetrySection.style.padding = '5px';
+    telemetrySection.style.backgroundColor = 'rgba(0, 150, 255, 0.2)';
+    telemetrySection.style.borderRadius = '3px';
+    
+    const sectionTitle = document.createElement('div');
+    sectionTitle.textContent = 'CONTROLLER TELEMETRY';
+    sectionTitle.style.fontWeight = 'bold';
+    sectionTitle.style.marginBottom = '5px';
+    sectionTitle.style.fontSize = '11px';
+    telemetrySection.appendChild(sectionTitle);
+    
+    this.telemetryText = document.createElement('div');
+    this.telemetryText.style.fontSize = '11px';
+    this.telemetryText.style.whiteSpace = 'pre';
+    this.telemetryText.style.marginBottom = '5px';
+    this.telemetryText.textContent = 'No controller paired';
+    telemetrySection.appendChild(this.telemetryText);
+    
+    const telemetryCanvas = document.createElement('canvas');
+    telemetryCanvas.width = 280;
+    telemetryCanvas.height = 80;
+    telemetryCanvas.style.display = 'block';
+    telemetryCanvas.style.width = '100%';
+    this.telemetryCtx = telemetryCanvas.getContext('2d');
+    telemetrySection.appendChild(telemetryCanvas);
+    
+    const legend = document.createElement('div');
+    legend.style.fontSize = '10px';
+    legend.style.color = '#ccc';
+    legend.style.marginTop = '3px';
+    legend.innerHTML = `<span style="color: #e74c3c">RTT</span> / <span style="color: #2ecc71">jitter</span> (ms), ` +
+      `<span style="color: #3498db">loss</span> (%), 0-${CONTROLLER_TELEMETRY.graphMax}`;
+    telemetrySection.appendChild(legend);
+    
+    this.drawTelemetry(null);
+    
+    container.appendChild(telemetrySection);
+  }
+  
+  /**
+   * Update the controller telemetry readout and graph
+   * @param {Object|null} stats - Stats from ControllerTelemetry, or null when no controller is paired
+   */
+  drawTelemetry(stats) {
+    if (!this.telemetryCtx) return;
+    
+    const history = stats ? stats.history : { rtt: [], jitter: [], loss: [] };
+    CanvasRenderer.drawData(this.telemetryCtx, history, ['#e74c3c', '#2ecc71', '#3498db'], {
+      maxValue: CONTROLLER_TELEMETRY.graphMax,
+      fromBottom: true
+    });
+    
+    if (!stats) {
+      this.telemetryText.textContent = 'No controller paired';
+      return;
+    }
+    
+    const rtt = stats.rtt !== null ? `${stats.rtt.toFixed(1)} ms` : 'n/a (no data channel)';
+    const sendRate = stats.sendRate !== null ? `${stats.sendRate.toFixed(1)}/s` : 'n/a';
+    const loss = stats.loss !== null ? `${(stats.loss * 100).toFixed(1)}%` : 'n/a';
+    
+    this.telemetryText.textContent =
+      `RTT:     ${rtt}\n` +
+      `Sent:    ${sendRate}\n` +
+      `Recv:    ${stats.receiveRate.toFixed(1)}/s\n` +
+      `Loss:    ${loss}\n` +
+      `Jitter:  ${stats.jitter.toFixed(1)} ms`;
+  }
+  
+  /**
+   * Add controls to record the controller's sensor stream and replay recordings
+   * @param {HTMLElement} container - Container to add the section to
+   */
+  addSensorRecordingControls(container) {
+    const recordingSection = document.createElement('div');
+    recordingSection.style.marginBottom = '10px';
+    recordingSection.style.padding = '5px';
+    recordingSection.style.backgroundColor = 'rgba(255, 0, 100, 0.2)';
+    recordingSection.style.borderRadius = '3px';
+    
+    const sectionTitle = document.createElement('div');
+    sectionTitle.textContent = 'SENSOR RECORDING';
+    sectionTitle.style.fontWeight = 'bold';
+    sectionTitle.style.marginBottom = '5px';
+    sectionTitle.style.fontSize = '11px';
+    recordingSection.appendChild(sectionTitle);
+    
+    // Record / download
+    const recordControls = document.createElement('div');
+    recordControls.style.display = 'flex';
+    recordControls.style.gap = '5px';
+    recordControls.style.marginBottom = '5px';
+    
+    this.recordBtn = document.createElement('button');
+    this.recordBtn.textContent = 'Record';
+    this.recordBtn.style.flex = '1';
+    this.recordBtn.onclick = () => {
+      this.eventBus.emit(this.isRecordingSensors ? 'recorder:stop' : 'recorder:start');
+    };
+    recordControls.appendChild(this.recordBtn);
+    
+    ['json', 'ndjson'].forEach(format => {
+      const downloadBtn = document.createElement('button');
+      downloadBtn.textContent = `Save .${format}`;
+      downloadBtn.onclick = () => this.eventBus.emit('recorder:download', format);
+      recordControls.appendChild(downloadBtn);
+    });
+    
+    recordingSection.appendChild(recordControls);
+    
+    // Replay
+    const replayControls = document.createElement('div');
+    replayControls.style.display = 'flex';
+    replayControls.style.alignItems = 'center';
+    replayControls.style.gap = '5px';
+    replayControls.style.marginBottom = '5px';
+    
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,.ndjson,application/json';
+    fileInput.style.display = 'none';
+    
+    const loopToggle = document.createElement('input');
+    loopToggle.type = 'checkbox';
+    
+    fileInput.onchange = async () => {
+      const file = fileInput.files[0];
+      fileInput.value = '';
+      if (!file) return;
+      
+      try {
+        const recording = parseSensorRecording(await file.text());
+        this.eventBus.emit('replay:play', { recording, loop: loopToggle.checked, name: file.name });
+      } catch (e) {
+        this.updateStatus(`Could not load ${file.name}: ${e.message}`, true);
+      }
+    };
+    replayControls.appendChild(fileInput);
+    
+    const replayBtn = document.createElement('button');
+    replayBtn.textContent = 'Replay File';
+    replayBtn.style.flex = '1';
+    replayBtn.onclick = () => fileInput.click();
+    replayControls.appendChild(replayBtn);
+    
+    const replayLastBtn = document.createElement('button');
+    replayLastBtn.textContent = 'Replay Last';
+    replayLastBtn.onclick = () => {
+      // Finish the recording first so it isn't still growing while it plays
+      this.eventBus.emit('recorder:stop');
+      this.eventBus.emit('recorder:get-recording', (recording) => {
+        this.eventBus.emit('replay:play', { recording, loop: loopToggle.checked, name: 'last recording' });
+      });
+    };
+    replayControls.appendChild(replayLastBtn);
+    
+    const stopReplayBtn = document.createElement('button');
+    stopReplayBtn.textContent = 'Stop';
+    stopReplayBtn.onclick = () => this.eventBus.emit('replay:stop');
+    replayControls.appendChild(stopReplayBtn);
+    
+    recordingSection.appendChild(replayControls);
+    
+    const loopContainer = document.createElement('label');
+    loopContainer.style.display = 'flex';
+    loopContainer.style.alignItems = 'center';
+    loopContainer.style.gap = '5px';
+    loopContainer.style.fontSize = '11px';
+    loopContainer.appendChild(loopToggle);
+    loopContainer.appendChild(document.createTextNode('Loop replay'));
+    recordingSection.appendChild(loopContainer);
+    
+    this.recordingStatus = document.createElement('div');
+    this.recordingStatus.style.fontSize = '10px';
+    this.recordingStatus.style.color = '#ccc';
+    this.recordingStatus.style.marginTop = '3px';
+    this.recordingStatus.textContent = 'Captures everything the phone sends (gyro, accel, touch)';
+    recordingSection.appendChild(this.recordingStatus);
+    
+    container.appendChild(recordingSection);
+  }
+  
   /**
    * Setup event listeners for room/game state events
    */
   setupEventListeners() {
+    this.eventBus.on('telemetry:controller-stats', (stats) => {
+      this.drawTelemetry(stats);
+    });
+    
+    this.eventBus.on('telemetry:controller-removed', () => {
+      this.drawTelemetry(null);
+    });
+    
+    this.eventBus.on('recorder:started', () => {
+      this.isRecordingSensors = true;
+      this.recordBtn.textContent = 'Stop Recording';
+      this.recordingStatus.textContent = 'Recording...';
+    });
+    
+    this.eventBus.on('recorder:stopped', (data) => {
+      this.isRecordingSensors = false;
+      this.recordBtn.textContent = 'Record';
+      this.recordingStatus.textContent = `Recorded ${data.sampleCount} samples (${(data.duration / 1000).toFixed(1)} s)`;
+    });
+    
+    this.eventBus.on('replay:started', (data) => {
+      this.recordingStatus.textContent = `Replaying ${data.name} (${(data.duration / 1000).toFixed(1)} s${data.loop ? ', looping' : ''})`;
+    });
+    
+    this.eventBus.on('replay:stopped', () => {
+      this.recordingStatus.textContent = 'Replay stopped';
+    });
+    
     this.eventBus.on('multiplayer:room-created', (data) => {
       this.updateStatus(`Created room: ${data.room.roomName} (Code: ${data.room.roomCode})`);
     });
@@ -462,39 +686,15 @@ export class DebugPanel {
   }
   
   /**
-   * Start simulation of gyroscope movement
+   * Start simulation of gyroscope movement by replaying the built-in synthetic recording
    */
   startGyroSimulation() {
-    // Display status
     this.updateStatus('Starting gyro simulation');
     
-    // Clear any existing interval
-    if (this.gyroSimulationInterval) {
-      clearInterval(this.gyroSimulationInterval);
-    }
-    
-    // Starting values
-    let alpha = 0;
-    let beta = 0;
-    let gamma = 0;
-    
-    // Emit initial gyro data
-    this.eventBus.emit('sensor:gyro-updated', { alpha, beta, gamma });
-    
-    // Update at 30fps
-    this.gyroSimulationInterval = setInterval(() => {
-      // Increment angles to simulate movement
-      alpha = (alpha + 2) % 360;  // Rotate around Z axis (compass)
-      beta = 45 * Math.sin(Date.now() / 2000);  // Tilt forward/backward
-      gamma = 30 * Math.sin(Date.now() / 1500);  // Tilt left/right
-      
-      // Emit gyro data
-      this.eventBus.emit('sensor:gyro-updated', { alpha, beta, gamma });
-      
-      // Update status occasionally
-      if (Math.random() < 0.1) {
-        this.updateStatus(`Simulating gyro: α=${alpha.toFixed(0)}° β=${beta.toFixed(0)}° γ=${gamma.toFixed(0)}°`);
-      }
-    }, 33); // ~30fps
+    this.eventBus.emit('replay:play', {
+      recording: createSimulatedRecording(),
+      loop: true,
+      name: 'Simulated gyro movement'
+    });
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,108 @@
+import { MOTION_GESTURES } from '../config.js';
+
+/**
+ * Lobby section for motion gesture casting: turn it on or off and set how much
+ * movement each gesture needs. Settings are the player's own and kept by the
+ * MotionGestureManager.
+ */
+export class GesturePanel {
+  /**
+   * @param {EventBus} eventBus - Application event bus
+   * @param {MotionGestureManager} motionGestureManager - Keeps the player's gesture settings
+   */
+  constructor(eventBus, motionGestureManager) {
+    this.eventBus = eventBus;
+    this.motionGestureManager = motionGestureManager;
+    this.element = null;
+
+    this.createUI();
+  }
+
+  /**
+   * Create the panel; add this.element to the lobby
+   */
+  createUI() {
+    this.element = document.createElement('div');
+    this.element.style.marginBottom = '20px';
+    this.element.style.padding = '15px';
+    this.element.style.backgroundColor = 'rgba(30, 70, 100, 0.4)';
+    this.element.style.borderRadius = '8px';
+    this.element.style.textAlign = 'left';
+
+    const title = document.createElement('h2');
+    title.textContent = 'Motion Gestures';
+    title.style.margin = '0 0 10px 0';
+    title.style.fontSize = '18px';
+    this.element.appendChild(title);
+
+    const enabledLabel = document.createElement('label');
+    enabledLabel.style.display = 'flex';
+    enabledLabel.style.alignItems = 'center';
+    enabledLabel.style.gap = '5px';
+    enabledLabel.style.marginBottom = '8px';
+
+    const enabledToggle = document.createElement('input');
+    enabledToggle.type = 'checkbox';
+    enabledToggle.id = 'gestures-enabled';
+    enabledToggle.checked = this.motionGestureManager.enabled;
+    enabledToggle.onchange = () => this.motionGestureManager.setEnabled(enabledToggle.checked);
+    enabledLabel.appendChild(enabledToggle);
+    enabledLabel.appendChild(document.createTextNode('Cast spells with phone gestures'));
+    this.element.appendChild(enabledLabel);
+
+    const hint = document.createElement('div');
+    hint.textContent = 'Higher sensitivity needs less movement.';
+    hint.style.fontSize = '12px';
+    hint.style.color = '#aaa';
+    hint.style.marginBottom = '5px';
+    this.element.appendChild(hint);
+
+    Object.entries(MOTION_GESTURES.gestures).forEach(([gesture, settings]) => {
+      this.element.appendChild(this.createSensitivityRow(gesture, settings.label));
+    });
+  }
+
+  /**
+   * Create a gesture's sensitivity slider
+   * @param {string} gesture - Gesture name
+   * @param {string} label - Gesture label
+   * @returns {HTMLElement} The row
+   */
+  createSensitivityRow(gesture, label) {
+    const row = document.createElement('div');
+    row.style.display = 'flex';
+    row.style.alignItems = 'center';
+    row.style.gap = '8px';
+    row.style.fontSize = '13px';
+    row.style.marginBottom = '3px';
+
+    const name = document.createElement('span');
+    name.textContent = label;
+    name.style.width = '110px';
+    row.appendChild(name);
+
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.id = `gesture-sensitivity-${gesture}`;
+    slider.min = String(MOTION_GESTURES.minSensitivity);
+    slider.max = String(MOTION_GESTURES.maxSensitivity);
+    slider.step = '0.1';
+    slider.value = String(this.motionGestureManager.sensitivity[gesture]);
+    slider.style.flex = '1';
+    row.appendChild(slider);
+
+    const value = document.createElement('span');
+    value.textContent = `${Number(slider.value).toFixed(1)}x`;
+    value.style.width = '35px';
+    value.style.textAlign = 'right';
+    row.appendChild(value);
+
+    slider.oninput = () => {
+      const sensitivity = parseFloat(slider.value);
+      this.motionGestureManager.setSensitivity(gesture, sensitivity);
+      value.textContent = `${sensitivity.toFixed(1)}x`;
+    };
+
+    return row;
+  }
+}
@@ -0,0 +1,342 @@
+// Shared look of the panel's inputs, matching the lobby's
+const INPUT_STYLE = {
+  padding: '8px',
+  boxSizing: 'border-box',
+  border: '1px solid #555',
+  borderRadius: '4px',
+  backgroundColor: 'rgba(30, 30, 30, 0.9)',
+  color: 'white'
+};
+
+const SMALL_BUTTON_STYLE = {
+  padding: '5px 10px',
+  cursor: 'pointer'
+};
+
+/**
+ * Lobby section for spellbook loadouts: switch the active loadout, build new
+ * ones by picking spells and ordering their pages, and edit or delete saved ones
+ */
+export class LoadoutPanel {
+  /**
+   * @param {EventBus} eventBus - Application event bus
+   * @param {LoadoutManager} loadoutManager - Keeps the saved loadouts
+   */
+  constructor(eventBus, loadoutManager) {
+    this.eventBus = eventBus;
+    this.loadoutManager = loadoutManager;
+    this.element = null;
+    this.loadoutSelect = null;
+    this.summaryEl = null;
+    this.editButton = null;
+    this.deleteButton = null;
+
+    // Editor for a new or saved loadout
+    this.editorEl = null;
+    this.nameInput = null;
+    this.spellListEl = null;
+    this.errorEl = null;
+    this.editingId = null; // Saved loadout being changed, null for a new one
+    this.editorSpells = []; // { spell, included } in page order
+
+    this.createUI();
+    this.setupEventListeners();
+    this.updateLoadoutSelect();
+  }
+
+  /**
+   * Create the panel; add this.element to the lobby
+   */
+  createUI() {
+    this.element = document.createElement('div');
+    this.element.style.marginBottom = '20px';
+    this.element.style.padding = '15px';
+    this.element.style.backgroundColor = 'rgba(100, 70, 30, 0.4)';
+    this.element.style.borderRadius = '8px';
+    this.element.style.textAlign = 'left';
+
+    const title = document.createElement('h2');
+    title.textContent = 'Spellbook Loadout';
+    title.style.margin = '0 0 10px 0';
+    title.style.fontSize = '18px';
+    this.element.appendChild(title);
+
+    const selectRow = document.createElement('div');
+    selectRow.style.display = 'flex';
+    selectRow.style.gap = '5px';
+
+    this.loadoutSelect = document.createElement('select');
+    this.loadoutSelect.id = 'loadout-select';
+    Object.assign(this.loadoutSelect.style, INPUT_STYLE);
+    this.loadoutSelect.style.flex = '1';
+    this.loadoutSelect.onchange = () => this.loadoutManager.select(this.loadoutSelect.value);
+    selectRow.appendChild(this.loadoutSelect);
+
+    const newButton = this.createButton('New', 'blue', () => this.openEditor(null));
+    selectRow.appendChild(newButton);
+
+    this.editButton = this.createButton('Edit', 'gray', () => this.openEditor(this.loadoutSelect.value));
+    selectRow.appendChild(this.editButton);
+
+    this.deleteButton = this.createButton('Delete', 'gray', () => this.loadoutManager.delete(this.loadoutSelect.value));
+    selectRow.appendChild(this.deleteButton);
+
+    this.element.appendChild(selectRow);
+
+    // Spells in the active loadout, in page order
+    this.summaryEl = document.createElement('div');
+    this.summaryEl.style.fontSize = '12px';
+    this.summaryEl.style.color = '#ccc';
+    this.summaryEl.style.marginTop = '8px';
+    this.element.appendChild(this.summaryEl);
+
+    this.createEditor();
+  }
+
+  /**
+   * Create the loadout editor, hidden until a loadout is built or edited
+   */
+  createEditor() {
+    this.editorEl = document.createElement('div');
+    this.editorEl.style.display = 'none';
+    this.editorEl.style.marginTop = '10px';
+    this.editorEl.style.paddingTop = '10px';
+    this.editorEl.style.borderTop = '1px solid rgba(255, 255, 255, 0.2)';
+
+    this.nameInput = document.createElement('input');
+    this.nameInput.type = 'text';
+    this.nameInput.placeholder = 'Loadout name';
+    Object.assign(this.nameInput.style, INPUT_STYLE);
+    this.nameInput.style.width = '100%';
+    this.nameInput.style.marginBottom = '8px';
+    this.editorEl.appendChild(this.nameInput);
+
+    const hint = document.createElement('div');
+    hint.textContent = 'Tick the spells to carry; the arrows set their page order.';
+    hint.style.fontSize = '12px';
+    hint.style.color = '#aaa';
+    hint.style.marginBottom = '5px';
+    this.editorEl.appendChild(hint);
+
+    this.spellListEl = document.createElement('div');
+    this.spellListEl.style.maxHeight = '200px';
+    this.spellListEl.style.overflowY = 'auto';
+    this.spellListEl.style.backgroundColor = 'rgba(0, 0, 0, 0.2)';
+    this.spellListEl.style.borderRadius = '4px';
+    this.spellListEl.style.padding = '5px';
+    this.editorEl.appendChild(this.spellListEl);
+
+    this.errorEl = document.createElement('div');
+    this.errorEl.style.color = '#ff5555';
+    this.errorEl.style.fontSize = '12px';
+    this.errorEl.style.minHeight = '16px';
+    this.errorEl.style.marginTop = '5px';
+    this.editorEl.appendChild(this.errorEl);
+
+    const buttonRow = document.createElement('div');
+    buttonRow.style.display = 'flex';
+    buttonRow.style.gap = '5px';
+    buttonRow.style.justifyContent = 'flex-end';
+    buttonRow.appendChild(this.createButton('Cancel', 'gray', () => this.closeEditor()));
+    buttonRow.appendChild(this.createButton('Save Loadout', 'blue', () => this.saveEditor()));
+    this.editorEl.appendChild(buttonRow);
+
+    this.element.appendChild(this.editorEl);
+  }
+
+  /**
+   * Create a small lobby button
+   * @param {string} label - Button text
+   * @param {string} color - Lobby button color class (blue, gray)
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLButtonElement} The button
+   */
+  createButton(label, color, onClick) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.className = `game-button ${color}`;
+    Object.assign(button.style, SMALL_BUTTON_STYLE);
+    button.onclick = onClick;
+    return button;
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    this.eventBus.on('loadout:changed', () => this.updateLoadoutSelect());
+
+    // Spells loaded from JSON have names to show
+    this.eventBus.on('spellbook:pages-changed', () => this.updateSummary());
+  }
+
+  /**
+   * Get every spell the spellbook knows, in default page order
+   * @returns {Array<Spell>} Spells
+   */
+  getSpells() {
+    let spells = [];
+    this.eventBus.emit('spellbook:get-spells', (registered) => {
+      spells = registered;
+    });
+    return spells;
+  }
+
+  /**
+   * Refill the loadout picker from the saved loadouts
+   */
+  updateLoadoutSelect() {
+    const activeLoadout = this.loadoutManager.getActiveLoadout();
+
+    this.loadoutSelect.innerHTML = '';
+    this.loadoutManager.getLoadouts().forEach(loadout => {
+      const option = document.createElement('option');
+      option.value = loadout.id;
+      option.textContent = loadout.name;
+      option.selected = loadout.id === activeLoadout.id;
+      this.loadoutSelect.appendChild(option);
+    });
+
+    // The default loadout can't be changed
+    const isDefault = activeLoadout.spells === null;
+    this.editButton.disabled = isDefault;
+    this.deleteButton.disabled = isDefault;
+
+    this.updateSummary();
+  }
+
+  /**
+   * List the active loadout's spells in page order
+   */
+  updateSummary() {
+    const { spells } = this.loadoutManager.getActiveLoadout();
+    const spellsById = new Map(this.getSpells().map(spell => [spell.id, spell]));
+    const spellIds = spells || [...spellsById.keys()];
+
+    const names = spellIds.map(spellId => spellsById.has(spellId) ? spellsById.get(spellId).name : spellId);
+    this.summaryEl.textContent = names.length > 0 ? `Pages: ${names.join(', ')}` : '';
+  }
+
+  /**
+   * Open the editor
+   * @param {string|null} loadoutId - Saved loadout to edit, or null to build a new one from the active loadout
+   */
+  openEditor(loadoutId) {
+    const loadout = loadoutId ? this.loadoutManager.getLoadout(loadoutId) : this.loadoutManager.getActiveLoadout();
+    if (!loadout) return;
+
+    this.editingId = loadoutId;
+    this.nameInput.value = loadoutId ? loadout.name : '';
+
+    // The loadout's spells in page order, then the ones it leaves out
+    const spells = this.getSpells();
+    const spellsById = new Map(spells.map(spell => [spell.id, spell]));
+    const includedIds = (loadout.spells || spells.map(spell => spell.id)).filter(spellId => spellsById.has(spellId));
+
+    this.editorSpells = [
+      ...includedIds.map(spellId => ({ spell: spellsById.get(spellId), included: true })),
+      ...spells
+        .filter(spell => !includedIds.includes(spell.id))
+        .map(spell => ({ spell, included: false }))
+    ];
+
+    this.errorEl.textContent = '';
+    this.renderEditorSpells();
+    this.editorEl.style.display = 'block';
+    this.nameInput.focus();
+  }
+
+  /**
+   * Close the editor without saving
+   */
+  closeEditor() {
+    this.editorEl.style.display = 'none';
+    this.editorSpells = [];
+    this.editingId = null;
+  }
+
+  /**
+   * Save the loadout being edited and switch to it
+   */
+  saveEditor() {
+    try {
+      this.loadoutManager.save({
+        id: this.editingId || undefined,
+        name: this.nameInput.value,
+        spells: this.editorSpells.filter(entry => entry.included).map(entry => entry.spell.id)
+      });
+    } catch (error) {
+      this.errorEl.textContent = error.message;
+      return;
+    }
+
+    this.closeEditor();
+  }
+
+  /**
+   * Move a spell up or down the editor's page order
+   * @param {number} index - Index of the spell in the editor
+   * @param {number} offset - -1 for an earlier page, 1 for a later one
+   */
+  moveEditorSpell(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= this.editorSpells.length) return;
+
+    const [entry] = this.editorSpells.splice(index, 1);
+    this.editorSpells.splice(target, 0, entry);
+    this.renderEditorSpells();
+  }
+
+  /**
+   * Draw the editor's spell list
+   */
+  renderEditorSpells() {
+    this.spellListEl.innerHTML = '';
+
+    let page = 0;
+    this.editorSpells.forEach((entry, index) => {
+      const row = document.createElement('div');
+      row.style.display = 'flex';
+      row.style.alignItems = 'center';
+      row.style.gap = '5px';
+      row.style.padding = '3px 5px';
+      row.style.opacity = entry.included ? '1' : '0.5';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = entry.included;
+      checkbox.onchange = () => {
+        entry.included = checkbox.checked;
+        this.renderEditorSpells();
+      };
+      row.appendChild(checkbox);
+
+      const pageLabel = document.createElement('span');
+      pageLabel.textContent = entry.included ? `${++page}.` : '';
+      pageLabel.style.width = '20px';
+      pageLabel.style.color = '#ffc107';
+      row.appendChild(pageLabel);
+
+      const name = document.createElement('span');
+      name.textContent = entry.spell.name;
+      name.style.flex = '1';
+      row.appendChild(name);
+
+      const shape = document.createElement('span');
+      shape.textContent = entry.spell.shape;
+      shape.style.fontSize = '11px';
+      shape.style.color = '#aaa';
+      row.appendChild(shape);
+
+      const upButton = this.createButton('▲', 'gray', () => this.moveEditorSpell(index, -1));
+      upButton.disabled = index === 0;
+      row.appendChild(upButton);
+
+      const downButton = this.createButton('▼', 'gray', () => this.moveEditorSpell(index, 1));
+      downButton.disabled = index === this.editorSpells.length - 1;
+      row.appendChild(downButton);
+
+      this.spellListEl.appendChild(row);
+    });
+  }
+}
@@ -1,3 +1,24 @@
+import { LoadoutPanel } from './loadout-panel.js';
+import { GesturePanel } from './gesture-panel.js';
+
+/**
+ * Display names for the game modes a room can be created with
+ */
+const GAME_MODE_LABELS = {
+  freeplay: 'Freeplay',
+  survival: 'Wave Survival',
+  deathmatch: 'Deathmatch'
+};
+
+/**
+ * How a new room can restrict spells, applied to the ticked spells
+ */
+const SPELL_RULE_LABELS = {
+  all: 'Every spell allowed',
+  allow: 'Only allow the ticked spells',
+  ban: 'Ban the ticked spells'
+};
+
 /**
  * Manages multiplayer lobby and room UI
  */
@@ -5,10 +26,16 @@ export class LobbyManager {
   /**
    * @param {EventBus} eventBus - Application event bus
    * @param {GameStateManager} gameStateManager - Game state manager
+   * @param {LoadoutManager} loadoutManager - Spellbook loadouts to choose from
+   * @param {MotionGestureManager} motionGestureManager - The player's gesture settings
    */
-  constructor(eventBus, gameStateManager) {
+  constructor(eventBus, gameStateManager, loadoutManager, motionGestureManager) {
     this.eventBus = eventBus;
     this.gameStateManager = gameStateManager;
+    this.loadoutManager = loadoutManager;
+    this.motionGestureManager = motionGestureManager;
+    this.loadoutPanel = null;
+    this.gesturePanel = null;
     this.lobbyOverlay = null;
     this.roomOverlay = null;
     this.availableRooms = [];
@@ -157,6 +184,14 @@ export class LobbyManager {
     
     this.lobbyOverlay.appendChild(usernameSection);
     
+    // Spellbook loadout picker and editor
+    this.loadoutPanel = new LoadoutPanel(this.eventBus, this.loadoutManager);
+    this.lobbyOverlay.appendChild(this.loadoutPanel.element);
+    
+    // Motion gesture casting settings
+    this.gesturePanel = new GesturePanel(this.eventBus, this.motionGestureManager);
+    this.lobbyOverlay.appendChild(this.gesturePanel.element);
+    
     // Create "Create Room" section
     const createRoomSection = document.createElement('div');
     createRoomSection.style.marginBottom = '20px';
@@ -191,6 +226,67 @@ export class LobbyManager {
     roomNameInput.style.marginBottom = '10px';
     createRoomSection.appendChild(roomNameInput);
     
+    const gameModeLabel = document.createElement('label');
+    gameModeLabel.textContent = 'Game Mode:';
+    gameModeLabel.style.display = 'block';
+    gameModeLabel.style.marginBottom = '5px';
+    createRoomSection.appendChild(gameModeLabel);
+    
+    const gameModeSelect = document.createElement('select');
+    gameModeSelect.id = 'game-mode-select';
+    gameModeSelect.style.width = '100%';
+    gameModeSelect.style.padding = '8px';
+    gameModeSelect.style.boxSizing = 'border-box';
+    gameModeSelect.style.border = '1px solid #555';
+    gameModeSelect.style.borderRadius = '4px';
+    gameModeSelect.style.backgroundColor = 'rgba(30, 30, 30, 0.9)';
+    gameModeSelect.style.color = 'white';
+    gameModeSelect.style.marginBottom = '10px';
+    Object.entries(GAME_MODE_LABELS).forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      gameModeSelect.appendChild(option);
+    });
+    createRoomSection.appendChild(gameModeSelect);
+    
+    const spellRulesLabel = document.createElement('label');
+    spellRulesLabel.textContent = 'Spells:';
+    spellRulesLabel.style.display = 'block';
+    spellRulesLabel.style.marginBottom = '5px';
+    createRoomSection.appendChild(spellRulesLabel);
+    
+    const spellRulesSelect = document.createElement('select');
+    spellRulesSelect.id = 'spell-rules-select';
+    spellRulesSelect.style.width = '100%';
+    spellRulesSelect.style.padding = '8px';
+    spellRulesSelect.style.boxSizing = 'border-box';
+    spellRulesSelect.style.border = '1px solid #555';
+    spellRulesSelect.style.borderRadius = '4px';
+    spellRulesSelect.style.backgroundColor = 'rgba(30, 30, 30, 0.9)';
+    spellRulesSelect.style.color = 'white';
+    spellRulesSelect.style.marginBottom = '10px';
+    Object.entries(SPELL_RULE_LABELS).forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      spellRulesSelect.appendChild(option);
+    });
+    spellRulesSelect.onchange = () => this.updateSpellRulesList();
+    createRoomSection.appendChild(spellRulesSelect);
+    
+    // Spells to allow or ban, shown when the room restricts spells
+    const spellRulesList = document.createElement('div');
+    spellRulesList.id = 'spell-rules-list';
+    spellRulesList.style.display = 'none';
+    spellRulesList.style.maxHeight = '120px';
+    spellRulesList.style.overflowY = 'auto';
+    spellRulesList.style.backgroundColor = 'rgba(0, 0, 0, 0.2)';
+    spellRulesList.style.borderRadius = '4px';
+    spellRulesList.style.padding = '5px';
+    spellRulesList.style.marginBottom = '10px';
+    createRoomSection.appendChild(spellRulesList);
+    
     const createRoomBtn = document.createElement('button');
     createRoomBtn.id = 'create-room-btn';
     createRoomBtn.textContent = 'Create Room';
@@ -351,6 +447,17 @@ export class LobbyManager {
     roomCode.innerHTML = 'Room Code: <span id="room-code" style="font-family: monospace; background-color: rgba(255,255,255,0.1); padding: 2px 5px; border-radius: 3px;"></span>';
     roomInfoContainer.appendChild(roomCode);
     
+    const roomMode = document.createElement('div');
+    roomMode.style.fontSize = '14px';
+    roomMode.innerHTML = 'Mode: <span id="room-mode" style="color: #ffc107;"></span>';
+    roomInfoContainer.appendChild(roomMode);
+    
+    const roomSpells = document.createElement('div');
+    roomSpells.style.fontSize = '14px';
+    roomSpells.style.marginTop = '5px';
+    roomSpells.innerHTML = 'Spells: <span id="room-spells" style="color: #ffc107;"></span>';
+    roomInfoContainer.appendChild(roomSpells);
+    
     this.roomOverlay.appendChild(roomInfoContainer);
     
     // Players list
@@ -453,6 +560,7 @@ export class LobbyManager {
         <div style="font-weight: bold;">${room.roomName}</div>
         <div style="font-size: 12px; margin-top: 3px;">
           <span>Players: ${room.playerCount}/${room.maxPlayers}</span>
+          <span style="margin-left: 10px; color: #ffc107;">${GAME_MODE_LABELS[room.gameMode] || room.gameMode}</span>
           <span style="float: right; font-family: monospace; color: #aaf;">Code: ${room.roomCode}</span>
         </div>
       `;
@@ -493,26 +601,126 @@ export class LobbyManager {
     }
   }
   
+  /**
+   * Get every spell the spellbook knows, in default page order
+   * @returns {Array<Spell>} Spells
+   */
+  getSpells() {
+    let spells = [];
+    this.eventBus.emit('spellbook:get-spells', (registered) => {
+      spells = registered;
+    });
+    return spells;
+  }
+  
+  /**
+   * Show the spells a new room can allow or ban, keeping the ones already ticked
+   */
+  updateSpellRulesList() {
+    const spellRulesSelect = document.getElementById('spell-rules-select');
+    const spellRulesList = document.getElementById('spell-rules-list');
+    if (!spellRulesSelect || !spellRulesList) return;
+    
+    if (spellRulesSelect.value === 'all') {
+      spellRulesList.style.display = 'none';
+      return;
+    }
+    
+    const tickedIds = Array.from(spellRulesList.querySelectorAll('input:checked')).map(input => input.value);
+    spellRulesList.innerHTML = '';
+    
+    this.getSpells().forEach(spell => {
+      const row = document.createElement('label');
+      row.style.display = 'block';
+      row.style.padding = '2px 5px';
+      row.style.cursor = 'pointer';
+      
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = spell.id;
+      checkbox.checked = tickedIds.includes(spell.id);
+      checkbox.style.marginRight = '8px';
+      row.appendChild(checkbox);
+      row.appendChild(document.createTextNode(spell.name));
+      
+      spellRulesList.appendChild(row);
+    });
+    
+    spellRulesList.style.display = 'block';
+  }
+  
+  /**
+   * Read the spell rules picked for a new room
+   * @returns {Object|null} { allowedSpells, bannedSpells }, or null when every spell is allowed
+   * @throws {Error} If the room would allow no spells
+   */
+  getSpellRules() {
+    const spellRulesSelect = document.getElementById('spell-rules-select');
+    const spellRulesList = document.getElementById('spell-rules-list');
+    if (!spellRulesSelect || !spellRulesList || spellRulesSelect.value === 'all') return null;
+    
+    const tickedIds = Array.from(spellRulesList.querySelectorAll('input:checked')).map(input => input.value);
+    
+    if (spellRulesSelect.value === 'allow') {
+      if (tickedIds.length === 0) {
+        throw new Error('Tick the spells the room allows');
+      }
+      return { allowedSpells: tickedIds, bannedSpells: [] };
+    }
+    
+    return { allowedSpells: null, bannedSpells: tickedIds };
+  }
+  
+  /**
+   * Describe a room's spell rules
+   * @param {Object} spellRules - { allowedSpells, bannedSpells } as sent by the server
+   * @returns {string} Text for the room overlay
+   */
+  describeSpellRules(spellRules) {
+    const spellsById = new Map(this.getSpells().map(spell => [spell.id, spell]));
+    const names = (spellIds) => spellIds
+      .map(spellId => spellsById.has(spellId) ? spellsById.get(spellId).name : spellId)
+      .join(', ');
+    
+    if (spellRules && spellRules.allowedSpells) {
+      return `Only ${names(spellRules.allowedSpells)}`;
+    }
+    if (spellRules && spellRules.bannedSpells && spellRules.bannedSpells.length > 0) {
+      return `All but ${names(spellRules.bannedSpells)}`;
+    }
+    return 'All';
+  }
+  
   /**
    * Handle create room button click
    */
   handleCreateRoom() {
     const usernameInput = document.getElementById('username-input');
     const roomNameInput = document.getElementById('room-name-input');
+    const gameModeSelect = document.getElementById('game-mode-select');
     
     const username = usernameInput.value.trim();
     const roomName = roomNameInput.value.trim();
+    const gameMode = gameModeSelect ? gameModeSelect.value : 'freeplay';
     
     if (!username) {
       this.showLobbyError('Please enter a username');
       return;
     }
     
+    let spellRules = null;
+    try {
+      spellRules = this.getSpellRules();
+    } catch (error) {
+      this.showLobbyError(error.message);
+      return;
+    }
+    
     // Use default room name if not specified
     const finalRoomName = roomName || `${username}'s Room`;
     roomNameInput.value = finalRoomName;
     
-    this.gameStateManager.createRoom(username, finalRoomName);
+    this.gameStateManager.createRoom(username, finalRoomName, gameMode, spellRules);
   }
   
   /**
@@ -662,6 +870,17 @@ export class LobbyManager {
     if (roomCodeEl) {
       roomCodeEl.textContent = this.currentRoomInfo.roomCode;
     }
+    
+    const roomModeEl = document.getElementById('room-mode');
+    if (roomModeEl) {
+      const gameMode = this.currentRoomInfo.gameMode || 'freeplay';
+      roomModeEl.textContent = GAME_MODE_LABELS[gameMode] || gameMode;
+    }
+    
+    const roomSpellsEl = document.getElementById('room-spells');
+    if (roomSpellsEl) {
+      roomSpellsEl.textContent = this.describeSpellRules(this.currentRoomInfo.spellRules);
+    }
   }
   
   /**
@@ -0,0 +1,390 @@
+import { STATUS_EFFECTS } from '../config.js';
+
+/**
+ * Heads-up display for the local player's health, status effects, death and
+ * respawn state, plus the wave tracker in survival rooms
+ */
+export class PlayerHUD {
+  /**
+   * @param {EventBus} eventBus - Application event bus
+   */
+  constructor(eventBus) {
+    this.eventBus = eventBus;
+    this.container = null;
+    this.healthBar = null;
+    this.healthFill = null;
+    this.healthText = null;
+    this.staminaBar = null;
+    this.staminaFill = null;
+    this.statusRow = null;
+    this.damageFlash = null;
+    this.deathOverlay = null;
+    this.respawnText = null;
+    this.respawnInterval = null;
+    this.wavePanel = null;
+    this.waveTitle = null;
+    this.waveDetail = null;
+    this.waveInterval = null;
+
+    this.createUI();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Create HUD elements
+   */
+  createUI() {
+    const gameContainer = document.getElementById('game-container') || document.body;
+
+    this.container = document.createElement('div');
+    this.container.id = 'player-hud';
+    this.container.style.position = 'absolute';
+    this.container.style.bottom = '20px';
+    this.container.style.left = '50%';
+    this.container.style.transform = 'translateX(-50%)';
+    this.container.style.zIndex = '100';
+    this.container.style.pointerEvents = 'none';
+    this.container.style.display = 'none';
+    this.container.style.fontFamily = 'Arial, sans-serif';
+
+    // Health bar
+    this.healthBar = document.createElement('div');
+    this.healthBar.style.position = 'relative';
+    this.healthBar.style.width = '240px';
+    this.healthBar.style.height = '20px';
+    this.healthBar.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+    this.healthBar.style.border = '2px solid rgba(255, 255, 255, 0.6)';
+    this.healthBar.style.borderRadius = '4px';
+    this.healthBar.style.overflow = 'hidden';
+
+    this.healthFill = document.createElement('div');
+    this.healthFill.style.width = '100%';
+    this.healthFill.style.height = '100%';
+    this.healthFill.style.backgroundColor = '#4CAF50';
+    this.healthFill.style.transition = 'width 0.2s ease, background-color 0.2s ease';
+    this.healthBar.appendChild(this.healthFill);
+
+    this.healthText = document.createElement('div');
+    this.healthText.style.position = 'absolute';
+    this.healthText.style.top = '0';
+    this.healthText.style.left = '0';
+    this.healthText.style.width = '100%';
+    this.healthText.style.lineHeight = '20px';
+    this.healthText.style.textAlign = 'center';
+    this.healthText.style.fontSize = '12px';
+    this.healthText.style.fontWeight = 'bold';
+    this.healthText.style.color = 'white';
+    this.healthText.style.textShadow = '0 0 3px black';
+    this.healthBar.appendChild(this.healthText);
+
+    this.container.appendChild(this.healthBar);
+
+    // Stamina bar, only shown while stamina is below full
+    this.staminaBar = document.createElement('div');
+    this.staminaBar.style.width = '240px';
+    this.staminaBar.style.height = '6px';
+    this.staminaBar.style.marginTop = '4px';
+    this.staminaBar.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+    this.staminaBar.style.border = '1px solid rgba(255, 255, 255, 0.4)';
+    this.staminaBar.style.borderRadius = '3px';
+    this.staminaBar.style.overflow = 'hidden';
+    this.staminaBar.style.visibility = 'hidden';
+
+    this.staminaFill = document.createElement('div');
+    this.staminaFill.style.width = '100%';
+    this.staminaFill.style.height = '100%';
+    this.staminaFill.style.backgroundColor = '#ffeb3b';
+    this.staminaBar.appendChild(this.staminaFill);
+
+    this.container.appendChild(this.staminaBar);
+
+    // Status effects on the local player, one badge each
+    this.statusRow = document.createElement('div');
+    this.statusRow.style.display = 'flex';
+    this.statusRow.style.justifyContent = 'center';
+    this.statusRow.style.gap = '4px';
+    this.statusRow.style.marginTop = '4px';
+    this.container.appendChild(this.statusRow);
+
+    gameContainer.appendChild(this.container);
+
+    // Red screen-edge flash when taking damage
+    this.damageFlash = document.createElement('div');
+    this.damageFlash.style.position = 'absolute';
+    this.damageFlash.style.top = '0';
+    this.damageFlash.style.left = '0';
+    this.damageFlash.style.width = '100%';
+    this.damageFlash.style.height = '100%';
+    this.damageFlash.style.boxShadow = 'inset 0 0 120px rgba(255, 0, 0, 0.8)';
+    this.damageFlash.style.opacity = '0';
+    this.damageFlash.style.transition = 'opacity 0.4s ease-out';
+    this.damageFlash.style.pointerEvents = 'none';
+    this.damageFlash.style.zIndex = '99';
+    gameContainer.appendChild(this.damageFlash);
+
+    // Death overlay
+    this.deathOverlay = document.createElement('div');
+    this.deathOverlay.style.position = 'absolute';
+    this.deathOverlay.style.top = '0';
+    this.deathOverlay.style.left = '0';
+    this.deathOverlay.style.width = '100%';
+    this.deathOverlay.style.height = '100%';
+    this.deathOverlay.style.backgroundColor = 'rgba(80, 0, 0, 0.6)';
+    this.deathOverlay.style.color = 'white';
+    this.deathOverlay.style.display = 'none';
+    this.deathOverlay.style.flexDirection = 'column';
+    this.deathOverlay.style.alignItems = 'center';
+    this.deathOverlay.style.justifyContent = 'center';
+    this.deathOverlay.style.zIndex = '150';
+    this.deathOverlay.style.pointerEvents = 'none';
+    this.deathOverlay.style.fontFamily = 'Arial, sans-serif';
+
+    const deathTitle = document.createElement('div');
+    deathTitle.textContent = 'YOU DIED';
+    deathTitle.style.fontSize = '48px';
+    deathTitle.style.fontWeight = 'bold';
+    deathTitle.style.textShadow = '0 0 10px black';
+    this.deathOverlay.appendChild(deathTitle);
+
+    this.respawnText = document.createElement('div');
+    this.respawnText.style.fontSize = '18px';
+    this.respawnText.style.marginTop = '10px';
+    this.deathOverlay.appendChild(this.respawnText);
+
+    gameContainer.appendChild(this.deathOverlay);
+
+    // Survival wave tracker
+    this.wavePanel = document.createElement('div');
+    this.wavePanel.style.position = 'absolute';
+    this.wavePanel.style.top = '10px';
+    this.wavePanel.style.left = '50%';
+    this.wavePanel.style.transform = 'translateX(-50%)';
+    this.wavePanel.style.padding = '8px 20px';
+    this.wavePanel.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+    this.wavePanel.style.color = 'white';
+    this.wavePanel.style.borderRadius = '8px';
+    this.wavePanel.style.textAlign = 'center';
+    this.wavePanel.style.zIndex = '100';
+    this.wavePanel.style.pointerEvents = 'none';
+    this.wavePanel.style.display = 'none';
+    this.wavePanel.style.fontFamily = 'Arial, sans-serif';
+
+    this.waveTitle = document.createElement('div');
+    this.waveTitle.style.fontSize = '20px';
+    this.waveTitle.style.fontWeight = 'bold';
+    this.waveTitle.style.color = '#ffc107';
+    this.wavePanel.appendChild(this.waveTitle);
+
+    this.waveDetail = document.createElement('div');
+    this.waveDetail.style.fontSize = '14px';
+    this.waveDetail.style.marginTop = '3px';
+    this.wavePanel.appendChild(this.waveDetail);
+
+    gameContainer.appendChild(this.wavePanel);
+
+    this.updateHealth(100, 100);
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    this.eventBus.on('firstperson:enabled', () => {
+      this.container.style.display = 'block';
+    });
+
+    this.eventBus.on('firstperson:disabled', () => {
+      this.container.style.display = 'none';
+    });
+
+    this.eventBus.on('player:health-changed', (data) => {
+      this.updateHealth(data.health, data.maxHealth);
+      if (data.delta < 0) {
+        this.flashDamage();
+      }
+    });
+
+    this.eventBus.on('player:stamina-changed', (data) => {
+      this.updateStamina(data.stamina, data.maxStamina, data.exhausted);
+    });
+
+    this.eventBus.on('status:changed', (data) => {
+      if (!data.isPlayer || data.targetId !== null) return;
+      this.updateStatusEffects(data.effects);
+    });
+
+    this.eventBus.on('player:died', (data) => {
+      this.showDeathOverlay(data.respawnDelay);
+    });
+
+    this.eventBus.on('player:respawned', () => {
+      this.hideDeathOverlay();
+    });
+
+    this.eventBus.on('multiplayer:room-joined', (data) => {
+      const survival = data.room && data.room.survival;
+      if (!survival) return;
+
+      if (survival.phase === 'intermission') {
+        this.showIntermission(survival.wave + 1, survival.intermissionRemaining);
+      } else {
+        this.showWave(survival.wave, survival.enemiesRemaining);
+      }
+    });
+
+    this.eventBus.on('multiplayer:room-left', () => {
+      this.hideWavePanel();
+    });
+
+    this.eventBus.on('survival:intermission', (data) => {
+      this.showIntermission(data.nextWave, data.duration);
+    });
+
+    this.eventBus.on('survival:wave-started', (data) => {
+      this.showWave(data.wave, data.enemiesRemaining);
+    });
+
+    this.eventBus.on('survival:wave-progress', (data) => {
+      this.showWave(data.wave, data.enemiesRemaining);
+    });
+  }
+
+  /**
+   * Show the current wave and how many enemies are left
+   * @param {number} wave - Wave number
+   * @param {number} enemiesRemaining - Enemies still alive in this wave
+   */
+  showWave(wave, enemiesRemaining) {
+    clearInterval(this.waveInterval);
+    this.waveInterval = null;
+
+    this.wavePanel.style.display = 'block';
+    this.waveTitle.textContent = `Wave ${wave}`;
+    this.waveDetail.textContent = `${enemiesRemaining} ${enemiesRemaining === 1 ? 'enemy' : 'enemies'} remaining`;
+  }
+
+  /**
+   * Show the countdown to the next wave
+   * @param {number} nextWave - Number of the upcoming wave
+   * @param {number} duration - Milliseconds until the wave starts
+   */
+  showIntermission(nextWave, duration) {
+    this.wavePanel.style.display = 'block';
+    this.waveTitle.textContent = nextWave > 1 ? `Wave ${nextWave - 1} cleared!` : 'Get ready!';
+
+    const startsAt = Date.now() + (duration || 0);
+    const updateCountdown = () => {
+      const seconds = Math.max(0, Math.ceil((startsAt - Date.now()) / 1000));
+      this.waveDetail.textContent = `Wave ${nextWave} starts in ${seconds}s`;
+    };
+
+    updateCountdown();
+    clearInterval(this.waveInterval);
+    this.waveInterval = setInterval(updateCountdown, 250);
+  }
+
+  /**
+   * Hide the wave tracker
+   */
+  hideWavePanel() {
+    clearInterval(this.waveInterval);
+    this.waveInterval = null;
+    this.wavePanel.style.display = 'none';
+  }
+
+  /**
+   * Update the health bar
+   * @param {number} health - Current health
+   * @param {number} maxHealth - Maximum health
+   */
+  updateHealth(health, maxHealth) {
+    const percent = maxHealth > 0 ? Math.max(0, Math.min(1, health / maxHealth)) : 0;
+
+    this.healthFill.style.width = `${percent * 100}%`;
+    this.healthText.textContent = `${Math.ceil(health)} / ${maxHealth}`;
+
+    if (percent > 0.6) {
+      this.healthFill.style.backgroundColor = '#4CAF50';
+    } else if (percent > 0.3) {
+      this.healthFill.style.backgroundColor = '#ffc107';
+    } else {
+      this.healthFill.style.backgroundColor = '#dc3545';
+    }
+  }
+
+  /**
+   * Update the stamina bar
+   * @param {number} stamina - Current stamina
+   * @param {number} maxStamina - Maximum stamina
+   * @param {boolean} exhausted - Whether sprinting is locked until stamina recovers
+   */
+  updateStamina(stamina, maxStamina, exhausted) {
+    const percent = maxStamina > 0 ? Math.max(0, Math.min(1, stamina / maxStamina)) : 0;
+
+    this.staminaFill.style.width = `${percent * 100}%`;
+    this.staminaFill.style.backgroundColor = exhausted ? '#9e9e9e' : '#ffeb3b';
+    this.staminaBar.style.visibility = percent < 1 ? 'visible' : 'hidden';
+  }
+
+  /**
+   * Show a badge for each status effect on the local player
+   * @param {Array<{type: string, label: string, stacks: number}>} effects - Active effects
+   */
+  updateStatusEffects(effects) {
+    this.statusRow.innerHTML = '';
+
+    effects.forEach(effect => {
+      const badge = document.createElement('div');
+      badge.textContent = effect.stacks > 1 ? `${effect.label} x${effect.stacks}` : effect.label;
+      badge.style.padding = '1px 6px';
+      badge.style.fontSize = '11px';
+      badge.style.fontWeight = 'bold';
+      badge.style.color = 'white';
+      badge.style.textShadow = '0 0 3px black';
+      badge.style.backgroundColor = `#${STATUS_EFFECTS[effect.type].tint.toString(16).padStart(6, '0')}`;
+      badge.style.borderRadius = '3px';
+      this.statusRow.appendChild(badge);
+    });
+  }
+
+  /**
+   * Briefly tint the screen edges red
+   */
+  flashDamage() {
+    this.damageFlash.style.transition = 'none';
+    this.damageFlash.style.opacity = '1';
+
+    // Force reflow so the fade-out transition restarts
+    this.damageFlash.offsetHeight;
+
+    this.damageFlash.style.transition = 'opacity 0.4s ease-out';
+    this.damageFlash.style.opacity = '0';
+  }
+
+  /**
+   * Show the death overlay with a respawn countdown
+   * @param {number} respawnDelay - Milliseconds until respawn
+   */
+  showDeathOverlay(respawnDelay) {
+    this.deathOverlay.style.display = 'flex';
+
+    const respawnAt = Date.now() + (respawnDelay || 0);
+    const updateCountdown = () => {
+      const seconds = Math.max(0, Math.ceil((respawnAt - Date.now()) / 1000));
+      this.respawnText.textContent = `Respawning in ${seconds}...`;
+    };
+
+    updateCountdown();
+    clearInterval(this.respawnInterval);
+    this.respawnInterval = setInterval(updateCountdown, 250);
+  }
+
+  /**
+   * Hide the death overlay
+   */
+  hideDeathOverlay() {
+    clearInterval(this.respawnInterval);
+    this.respawnInterval = null;
+    this.deathOverlay.style.display = 'none';
+  }
+}
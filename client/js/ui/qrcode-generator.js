@@ -13,6 +13,9 @@ export class QRCodeGenerator {
     this.isPortalMode = isPortalMode;
     this.qrcodeDisplay = document.getElementById('qrcodeDisplay');
     this.mobileUrl = document.getElementById('mobileUrl');
+    this.pairingCodeDisplay = document.getElementById('pairingCode');
+    this.codeEntryUrl = null; // Mobile page without a session, where the pairing code is typed in
+    this.pairingCodeTimer = null;
     
     // Check if user is on a mobile device (but not on the /mobile endpoint)
     this.isMobileDevice = this.checkIsMobileDevice();
@@ -56,6 +59,52 @@ export class QRCodeGenerator {
     this.eventBus.on('session:created', () => {
       this.generateQRCode();
     });
+
+    this.eventBus.on('session:pairing-code', (data) => {
+      this.showPairingCode(data);
+    });
+  }
+
+  /**
+   * Show the code a phone can type in instead of scanning, counting down to its expiry
+   * @param {Object} data - { code, expiresAt }
+   */
+  showPairingCode(data) {
+    if (!this.pairingCodeDisplay) return;
+    
+    clearInterval(this.pairingCodeTimer);
+    this.pairingCodeDisplay.innerHTML = '';
+    
+    const hint = document.createElement('div');
+    hint.textContent = this.codeEntryUrl && !this.isPortalMode
+      ? `Or open ${this.codeEntryUrl} on your phone and enter:`
+      : 'Or enter this code on your phone:';
+    hint.style.fontSize = '13px';
+    this.pairingCodeDisplay.appendChild(hint);
+    
+    const code = document.createElement('div');
+    code.textContent = `${data.code.slice(0, 3)} ${data.code.slice(3)}`;
+    code.style.fontFamily = 'monospace';
+    code.style.fontSize = this.isPortalMode ? '24px' : '32px';
+    code.style.fontWeight = 'bold';
+    code.style.letterSpacing = '4px';
+    code.style.margin = '5px 0';
+    this.pairingCodeDisplay.appendChild(code);
+    
+    const expiry = document.createElement('div');
+    expiry.style.fontSize = '12px';
+    expiry.style.color = '#555';
+    this.pairingCodeDisplay.appendChild(expiry);
+    
+    // The server sends a new code when this one expires
+    const updateExpiry = () => {
+      const seconds = Math.max(0, Math.ceil((data.expiresAt - Date.now()) / 1000));
+      expiry.textContent = seconds > 0
+        ? `Code expires in ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+        : 'Getting a new code...';
+    };
+    updateExpiry();
+    this.pairingCodeTimer = setInterval(updateExpiry, 1000);
   }
 
   /**
@@ -113,6 +162,8 @@ export class QRCodeGenerator {
       urlToUse = protocol === 'https:' ? httpsUrl : httpUrl;
     }
     
+    this.codeEntryUrl = urlToUse.split('?')[0];
+    
     // Set the URL text - show appropriate info based on environment
     if (this.mobileUrl) {
       if (isRailway) {
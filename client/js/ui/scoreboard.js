@@ -0,0 +1,362 @@
+/**
+ * Deathmatch scoreboard: round timer and kill count, a kill/death/combo table
+ * shown while Tab is held, and the end-of-round results
+ */
+export class Scoreboard {
+  /**
+   * @param {EventBus} eventBus - Application event bus
+   */
+  constructor(eventBus) {
+    this.eventBus = eventBus;
+    this.isDeathmatch = false;
+    this.localPlayerId = null;
+    this.scores = [];
+    this.fragLimit = 0;
+    this.roundEndsAt = 0;
+    this.timerInterval = null;
+    this.restartInterval = null;
+
+    this.roundPanel = null;
+    this.roundTimer = null;
+    this.roundKills = null;
+    this.tablePanel = null;
+    this.tableBody = null;
+    this.resultsOverlay = null;
+    this.resultsTitle = null;
+    this.resultsTable = null;
+    this.resultsRestart = null;
+
+    this.createUI();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Create scoreboard elements
+   */
+  createUI() {
+    const gameContainer = document.getElementById('game-container') || document.body;
+
+    // Round timer and local kill count
+    this.roundPanel = document.createElement('div');
+    this.roundPanel.style.position = 'absolute';
+    this.roundPanel.style.top = '10px';
+    this.roundPanel.style.left = '50%';
+    this.roundPanel.style.transform = 'translateX(-50%)';
+    this.roundPanel.style.padding = '8px 20px';
+    this.roundPanel.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+    this.roundPanel.style.color = 'white';
+    this.roundPanel.style.borderRadius = '8px';
+    this.roundPanel.style.textAlign = 'center';
+    this.roundPanel.style.zIndex = '100';
+    this.roundPanel.style.pointerEvents = 'none';
+    this.roundPanel.style.display = 'none';
+    this.roundPanel.style.fontFamily = 'Arial, sans-serif';
+
+    this.roundTimer = document.createElement('div');
+    this.roundTimer.style.fontSize = '20px';
+    this.roundTimer.style.fontWeight = 'bold';
+    this.roundTimer.style.color = '#ffc107';
+    this.roundPanel.appendChild(this.roundTimer);
+
+    this.roundKills = document.createElement('div');
+    this.roundKills.style.fontSize = '14px';
+    this.roundKills.style.marginTop = '3px';
+    this.roundPanel.appendChild(this.roundKills);
+
+    const hint = document.createElement('div');
+    hint.textContent = 'Hold Tab for scores';
+    hint.style.fontSize = '11px';
+    hint.style.marginTop = '3px';
+    hint.style.opacity = '0.6';
+    this.roundPanel.appendChild(hint);
+
+    gameContainer.appendChild(this.roundPanel);
+
+    // Kill/death/combo table
+    this.tablePanel = document.createElement('div');
+    this.tablePanel.style.position = 'absolute';
+    this.tablePanel.style.top = '50%';
+    this.tablePanel.style.left = '50%';
+    this.tablePanel.style.transform = 'translate(-50%, -50%)';
+    this.tablePanel.style.minWidth = '320px';
+    this.tablePanel.style.padding = '15px 20px';
+    this.tablePanel.style.backgroundColor = 'rgba(0, 0, 0, 0.85)';
+    this.tablePanel.style.color = 'white';
+    this.tablePanel.style.borderRadius = '8px';
+    this.tablePanel.style.zIndex = '160';
+    this.tablePanel.style.pointerEvents = 'none';
+    this.tablePanel.style.display = 'none';
+    this.tablePanel.style.fontFamily = 'Arial, sans-serif';
+
+    const tableTitle = document.createElement('div');
+    tableTitle.textContent = 'Scoreboard';
+    tableTitle.style.fontSize = '18px';
+    tableTitle.style.fontWeight = 'bold';
+    tableTitle.style.textAlign = 'center';
+    tableTitle.style.marginBottom = '10px';
+    this.tablePanel.appendChild(tableTitle);
+
+    this.tableBody = this.createTable();
+    this.tablePanel.appendChild(this.tableBody);
+
+    gameContainer.appendChild(this.tablePanel);
+
+    // End-of-round results
+    this.resultsOverlay = document.createElement('div');
+    this.resultsOverlay.style.position = 'absolute';
+    this.resultsOverlay.style.top = '0';
+    this.resultsOverlay.style.left = '0';
+    this.resultsOverlay.style.width = '100%';
+    this.resultsOverlay.style.height = '100%';
+    this.resultsOverlay.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+    this.resultsOverlay.style.color = 'white';
+    this.resultsOverlay.style.display = 'none';
+    this.resultsOverlay.style.flexDirection = 'column';
+    this.resultsOverlay.style.alignItems = 'center';
+    this.resultsOverlay.style.justifyContent = 'center';
+    this.resultsOverlay.style.zIndex = '170';
+    this.resultsOverlay.style.pointerEvents = 'none';
+    this.resultsOverlay.style.fontFamily = 'Arial, sans-serif';
+
+    this.resultsTitle = document.createElement('div');
+    this.resultsTitle.style.fontSize = '36px';
+    this.resultsTitle.style.fontWeight = 'bold';
+    this.resultsTitle.style.textShadow = '0 0 10px black';
+    this.resultsTitle.style.marginBottom = '15px';
+    this.resultsOverlay.appendChild(this.resultsTitle);
+
+    this.resultsTable = this.createTable();
+    this.resultsTable.style.minWidth = '320px';
+    this.resultsOverlay.appendChild(this.resultsTable);
+
+    this.resultsRestart = document.createElement('div');
+    this.resultsRestart.style.fontSize = '16px';
+    this.resultsRestart.style.marginTop = '15px';
+    this.resultsOverlay.appendChild(this.resultsRestart);
+
+    gameContainer.appendChild(this.resultsOverlay);
+  }
+
+  /**
+   * Create an empty score table
+   * @returns {HTMLTableElement} Table element
+   */
+  createTable() {
+    const table = document.createElement('table');
+    table.style.width = '100%';
+    table.style.borderCollapse = 'collapse';
+    table.style.fontSize = '14px';
+    return table;
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    this.eventBus.on('multiplayer:room-created', (data) => {
+      this.enterRoom(data.room, data.playerId, []);
+    });
+
+    this.eventBus.on('multiplayer:room-joined', (data) => {
+      const scores = (data.players || []).map(player => ({
+        playerId: player.id,
+        username: player.username,
+        kills: player.kills || 0,
+        deaths: player.deaths || 0,
+        comboScore: player.comboScore || 0
+      }));
+      this.enterRoom(data.room, data.playerId, scores);
+    });
+
+    this.eventBus.on('multiplayer:room-left', () => {
+      this.isDeathmatch = false;
+      this.localPlayerId = null;
+      this.scores = [];
+      this.stopRoundTimer();
+      this.hideResults();
+      this.tablePanel.style.display = 'none';
+      this.roundPanel.style.display = 'none';
+    });
+
+    this.eventBus.on('deathmatch:scoreboard-updated', (data) => {
+      this.setScores(data.scores);
+    });
+
+    this.eventBus.on('deathmatch:round-started', (data) => {
+      this.fragLimit = data.fragLimit;
+      this.hideResults();
+      this.setScores(data.scores);
+      this.startRoundTimer(data.duration);
+    });
+
+    this.eventBus.on('deathmatch:round-ended', (data) => {
+      this.stopRoundTimer();
+      this.setScores(data.scores);
+      this.showResults(data.winnerId, data.reason, data.restartDelay);
+    });
+
+    document.addEventListener('keydown', (event) => {
+      if (event.code !== 'Tab' || !this.isDeathmatch) return;
+      event.preventDefault();
+      this.tablePanel.style.display = 'block';
+    });
+
+    document.addEventListener('keyup', (event) => {
+      if (event.code !== 'Tab') return;
+      this.tablePanel.style.display = 'none';
+    });
+  }
+
+  /**
+   * Show or hide the scoreboard for a newly entered room
+   * @param {Object} room - Sanitized room data
+   * @param {string} playerId - Local player's socket ID
+   * @param {Array} scores - Initial scores
+   */
+  enterRoom(room, playerId, scores) {
+    this.isDeathmatch = !!(room && room.gameMode === 'deathmatch');
+    this.localPlayerId = playerId;
+    this.hideResults();
+
+    if (!this.isDeathmatch) {
+      this.stopRoundTimer();
+      this.roundPanel.style.display = 'none';
+      return;
+    }
+
+    const deathmatch = room.deathmatch || {};
+    this.fragLimit = deathmatch.fragLimit || 0;
+    this.setScores(scores);
+
+    if (deathmatch.phase === 'active') {
+      this.startRoundTimer(deathmatch.timeRemaining);
+    } else {
+      this.stopRoundTimer();
+      this.roundPanel.style.display = 'block';
+      this.roundTimer.textContent = 'Waiting for next round';
+    }
+  }
+
+  /**
+   * Replace the current scores and refresh the displays
+   * @param {Array} scores - List of { playerId, username, kills, deaths, comboScore } entries
+   */
+  setScores(scores) {
+    this.scores = (scores || []).slice().sort((a, b) => b.kills - a.kills || a.deaths - b.deaths);
+
+    const localScore = this.scores.find(score => score.playerId === this.localPlayerId);
+    this.roundKills.textContent = `Kills: ${localScore ? localScore.kills : 0} / ${this.fragLimit}`;
+
+    this.renderTable(this.tableBody);
+  }
+
+  /**
+   * Render the current scores into a table
+   * @param {HTMLTableElement} table - Table to fill
+   */
+  renderTable(table) {
+    table.innerHTML = '';
+
+    const header = document.createElement('tr');
+    ['Player', 'Kills', 'Deaths', 'Combo'].forEach((label, index) => {
+      const cell = document.createElement('th');
+      cell.textContent = label;
+      cell.style.padding = '4px 8px';
+      cell.style.textAlign = index === 0 ? 'left' : 'right';
+      cell.style.borderBottom = '1px solid rgba(255, 255, 255, 0.3)';
+      header.appendChild(cell);
+    });
+    table.appendChild(header);
+
+    this.scores.forEach(score => {
+      const row = document.createElement('tr');
+      if (score.playerId === this.localPlayerId) {
+        row.style.color = '#4CAF50';
+        row.style.fontWeight = 'bold';
+      }
+
+      [score.username, score.kills, score.deaths, score.comboScore || 0].forEach((value, index) => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        cell.style.padding = '4px 8px';
+        cell.style.textAlign = index === 0 ? 'left' : 'right';
+        row.appendChild(cell);
+      });
+
+      table.appendChild(row);
+    });
+  }
+
+  /**
+   * Start counting down the round time
+   * @param {number} duration - Milliseconds left in the round
+   */
+  startRoundTimer(duration) {
+    this.roundEndsAt = Date.now() + (duration || 0);
+    this.roundPanel.style.display = 'block';
+
+    const updateTimer = () => {
+      const totalSeconds = Math.max(0, Math.ceil((this.roundEndsAt - Date.now()) / 1000));
+      const minutes = Math.floor(totalSeconds / 60);
+      const seconds = totalSeconds % 60;
+      this.roundTimer.textContent = `${minutes}:${seconds.toString().padStart(2, '0')}`;
+    };
+
+    updateTimer();
+    clearInterval(this.timerInterval);
+    this.timerInterval = setInterval(updateTimer, 250);
+  }
+
+  /**
+   * Stop the round countdown
+   */
+  stopRoundTimer() {
+    clearInterval(this.timerInterval);
+    this.timerInterval = null;
+  }
+
+  /**
+   * Show the end-of-round results
+   * @param {string|null} winnerId - Winning player's socket ID, null on a draw
+   * @param {string} reason - Why the round ended (frag-limit or time-limit)
+   * @param {number} restartDelay - Milliseconds until the next round
+   */
+  showResults(winnerId, reason, restartDelay) {
+    const winner = this.scores.find(score => score.playerId === winnerId);
+
+    if (!winner) {
+      this.resultsTitle.textContent = 'Draw!';
+    } else if (winner.playerId === this.localPlayerId) {
+      this.resultsTitle.textContent = 'You win!';
+    } else {
+      this.resultsTitle.textContent = `${winner.username} wins!`;
+    }
+
+    if (reason === 'time-limit') {
+      this.resultsTitle.textContent += ' (time limit)';
+    }
+
+    this.renderTable(this.resultsTable);
+    this.resultsOverlay.style.display = 'flex';
+    this.roundTimer.textContent = 'Round over';
+
+    const restartAt = Date.now() + (restartDelay || 0);
+    const updateCountdown = () => {
+      const seconds = Math.max(0, Math.ceil((restartAt - Date.now()) / 1000));
+      this.resultsRestart.textContent = `Next round in ${seconds}...`;
+    };
+
+    updateCountdown();
+    clearInterval(this.restartInterval);
+    this.restartInterval = setInterval(updateCountdown, 250);
+  }
+
+  /**
+   * Hide the end-of-round results
+   */
+  hideResults() {
+    clearInterval(this.restartInterval);
+    this.restartInterval = null;
+    this.resultsOverlay.style.display = 'none';
+  }
+}
@@ -1,3 +1,5 @@
+import { CONTROLLER_TELEMETRY } from '../config.js';
+
 /**
  * Handles device status display
  */
@@ -16,6 +18,9 @@ export class StatusDisplay {
     this.debugToggleBtn = document.getElementById('debugToggleBtn');
     this.debugSection = document.getElementById('debugSection');
     this.debugShowing = false;
+    this.controllerPaired = false; // A phone is paired, even while it reconnects
+    this.sensorTransport = null; // 'webrtc' or 'relay': how the phone's sensor data is arriving
+    this.controllerStats = this.createControllerStatsElement();
     
     // Check if user is on a mobile device (but not on the /mobile endpoint)
     this.isMobileDevice = this.checkIsMobileDevice();
@@ -74,17 +79,30 @@ export class StatusDisplay {
       this.setStatus('Connected to server, waiting for session...', 'connecting');
     });
 
-    this.eventBus.on('session:created', () => {
+    this.eventBus.on('session:created', (data) => {
+      // This page's own connection came back to a session with a paired phone
+      if (data.resumed && this.controllerPaired) {
+        this.showControllerReconnecting();
+        return;
+      }
       this.setStatus('Waiting for mobile device to connect...', 'disconnected');
       this.showQRCode(true);
     });
 
     this.eventBus.on('mobile:joined', () => {
+      this.controllerPaired = true;
       this.setStatus('Mobile connected, establishing WebRTC...', 'connecting');
       this.showQRCode(false); // Hide QR code when mobile device connects
     });
 
+    this.eventBus.on('mobile:reconnecting', () => this.showControllerReconnecting());
+
+    this.eventBus.on('mobile:reconnected', () => {
+      this.setStatus('Controller back, restoring WebRTC...', 'connecting');
+    });
+
     this.eventBus.on('mobile:disconnected', () => {
+      this.controllerPaired = false;
       this.setStatus('Mobile device disconnected', 'disconnected');
       this.setCalibrationButtonState(false);
       this.showQRCode(true); // Show QR code when mobile device disconnects
@@ -97,18 +115,46 @@ export class StatusDisplay {
     });
 
     this.eventBus.on('webrtc:disconnected', () => {
-      this.setStatus('WebRTC connection lost', 'disconnected');
       this.setCalibrationButtonState(false);
+      
+      // Sensor data keeps coming through the server while WebRTC is retried
+      if (this.sensorTransport === 'relay') {
+        this.setStatus('Mobile device connected via server relay (WebRTC unavailable)', 'connected');
+        return;
+      }
+      
+      // The link is rebuilt in the background while the phone is still paired
+      if (this.controllerPaired) {
+        this.showControllerReconnecting();
+        return;
+      }
+      this.setStatus('WebRTC connection lost', 'disconnected');
       this.showQRCode(true); // Show QR code when WebRTC connection lost
     });
 
+    this.eventBus.on('sensor:transport-changed', (data) => {
+      this.sensorTransport = data.transport;
+      
+      if (data.transport === 'relay') {
+        this.setStatus('Mobile device connected via server relay (WebRTC unavailable)', 'connected');
+        this.setCalibrationButtonState(true);
+        this.showQRCode(false);
+      } else if (data.transport === 'webrtc') {
+        this.setStatus('Mobile device connected via WebRTC', 'connected');
+      }
+    });
+
     this.eventBus.on('calibration:started', () => {
       this.setStatus('Calibrating sensors...', 'connecting');
     });
 
-    this.eventBus.on('calibration:complete', () => {
+    this.eventBus.on('calibration:complete', (data) => {
       this.setStatus('Mobile device connected via WebRTC - Calibrated!', 'connected');
-      this.showNotification('Sensors calibrated successfully!', 'success');
+      if (data && data.restored) {
+        this.showNotification('Saved calibration restored from the phone', 'info');
+      } else {
+        this.showNotification('Sensors calibrated successfully!', 'success');
+      }
     });
 
     this.eventBus.on('calibration:failed', (data) => {
@@ -137,6 +183,48 @@ export class StatusDisplay {
       this.showNotification(`Player left the room`, 'info');
     });
     
+    this.eventBus.on('multiplayer:player-death', (data) => {
+      const getPlayerName = (playerId) => {
+        let playerName = 'A player';
+        this.eventBus.emit('multiplayer:get-player', playerId, (player) => {
+          if (player && player.username) {
+            playerName = player.username;
+          }
+        });
+        return playerName;
+      };
+      
+      // Deathmatch kill feed
+      if (data.killerId) {
+        if (data.isLocal) {
+          this.showNotification(`You were defeated by ${getPlayerName(data.killerId)}`, 'error');
+        } else if (data.isLocalKiller) {
+          this.showNotification(`You defeated ${getPlayerName(data.playerId)}`, 'success');
+        } else {
+          this.showNotification(`${getPlayerName(data.killerId)} defeated ${getPlayerName(data.playerId)}`, 'info');
+        }
+        return;
+      }
+      
+      if (data.isLocal) return;
+      
+      this.showNotification(`${getPlayerName(data.playerId)} was defeated`, 'info');
+    });
+    
+    // Survival wave announcements
+    this.eventBus.on('survival:wave-started', (data) => {
+      this.showNotification(`Wave ${data.wave} incoming!`, 'error');
+    });
+    
+    this.eventBus.on('survival:wave-completed', (data) => {
+      this.showNotification(`Wave ${data.wave} cleared!`, 'success');
+    });
+    
+    // Deathmatch round announcements
+    this.eventBus.on('deathmatch:round-started', (data) => {
+      this.showNotification(`Deathmatch started - first to ${data.fragLimit} kills wins!`, 'success');
+    });
+    
     // Remote spell casting notifications
     this.eventBus.on('ui:remote-spell-cast', (data) => {
       const { playerId, spellId, spellName } = data;
@@ -153,6 +241,11 @@ export class StatusDisplay {
       this.showNotification(`${playerName} cast ${spellName || 'a spell'}`, 'spell');
     });
     
+    // Notifications from game systems (spells, combos, ...)
+    this.eventBus.on('notification:show', (data) => {
+      this.showNotification(data.message, data.type, data.duration);
+    });
+    
     // Enemy events
     this.eventBus.on('enemy:death', (data) => {
       if (data.killerPlayerId && data.isNetworked) {
@@ -160,6 +253,15 @@ export class StatusDisplay {
       }
     });
     
+    // Controller link telemetry
+    this.eventBus.on('telemetry:controller-stats', (stats) => {
+      this.showControllerStats(stats);
+    });
+    
+    this.eventBus.on('telemetry:controller-removed', () => {
+      this.showControllerStats(null);
+    });
+    
     // Set up calibration button
     if (this.calibrateBtn) {
       this.calibrateBtn.addEventListener('click', () => {
@@ -279,6 +381,60 @@ export class StatusDisplay {
     }
   }
 
+  /**
+   * Show that the paired phone is reconnecting, keeping the QR code hidden
+   */
+  showControllerReconnecting() {
+    this.setStatus('Controller reconnecting...', 'connecting');
+    this.setCalibrationButtonState(false);
+    this.showQRCode(false);
+  }
+
+  /**
+   * Create the controller link stats line under the device status
+   * @returns {HTMLElement|null} Stats element, or null without a status overlay
+   */
+  createControllerStatsElement() {
+    const statusOverlay = document.getElementById('status-overlay');
+    if (!statusOverlay) return null;
+    
+    const element = document.createElement('div');
+    element.id = 'controllerStats';
+    element.style.fontSize = '11px';
+    element.style.fontFamily = 'monospace';
+    element.style.marginTop = '4px';
+    element.style.opacity = '0.8';
+    element.style.display = 'none';
+    statusOverlay.appendChild(element);
+    
+    return element;
+  }
+
+  /**
+   * Show the latest controller link stats
+   * @param {Object|null} stats - Stats from ControllerTelemetry, or null to hide
+   */
+  showControllerStats(stats) {
+    if (!this.controllerStats) return;
+    
+    if (!stats) {
+      this.controllerStats.style.display = 'none';
+      return;
+    }
+    
+    const rtt = stats.rtt !== null ? `${Math.round(stats.rtt)} ms` : '--';
+    const loss = stats.loss !== null ? `${(stats.loss * 100).toFixed(1)}%` : '--';
+    
+    this.controllerStats.textContent =
+      `RTT ${rtt} | ${Math.round(stats.receiveRate)} pkt/s | loss ${loss} | jitter ${stats.jitter.toFixed(1)} ms`;
+    
+    // Flag a link that will make aiming feel sluggish
+    const degraded = (stats.rtt !== null && stats.rtt > CONTROLLER_TELEMETRY.warnRtt) ||
+      (stats.loss !== null && stats.loss > CONTROLLER_TELEMETRY.warnLoss);
+    this.controllerStats.style.color = degraded ? '#ff6b6b' : '';
+    this.controllerStats.style.display = 'block';
+  }
+
   /**
    * Set calibration button state
    * @param {boolean} enabled - Whether button should be enabled
@@ -292,9 +448,10 @@ export class StatusDisplay {
   /**
    * Show notification
    * @param {string} message - Notification message
-   * @param {string} type - Notification type (success, error, info)
+   * @param {string} type - Notification type (success, error, info, spell)
+   * @param {number} [duration=3000] - Milliseconds before it fades out
    */
-  showNotification(message, type = 'info') {
+  showNotification(message, type = 'info', duration = 3000) {
     const notification = document.createElement('div');
     notification.className = 'overlay';
     notification.style.position = 'fixed';
@@ -337,11 +494,11 @@ export class StatusDisplay {
     notification.style.opacity = '1';
     notification.style.transform = 'translateX(-50%) translateY(0)';
     
-    // Remove notification after 3 seconds
+    // Remove notification after its duration
     setTimeout(() => {
       notification.style.opacity = '0';
       notification.style.transform = 'translateX(-50%) translateY(-20px)';
       setTimeout(() => notification.parentNode.removeChild(notification), 500);
-    }, 3000);
+    }, duration);
   }
 }
\ No newline at end of file
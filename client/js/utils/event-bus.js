@@ -31,12 +31,13 @@ export class EventBus {
   }
 
   /**
-   * Emit an event with data
+   * Emit an event with data. Queries pass extra arguments, ending with a
+   * callback, e.g. emit('multiplayer:get-player', playerId, callback)
    * @param {string} event - Event name
-   * @param {any} data - Event data
+   * @param {...any} args - Event data
    */
-  emit(event, data) {
+  emit(event, ...args) {
     if (!this.listeners[event]) return;
-    this.listeners[event].forEach(callback => callback(data));
+    this.listeners[event].forEach(callback => callback(...args));
   }
 }
\ No newline at end of file
@@ -28,6 +28,21 @@ export function getQuaternion(alpha, beta, gamma) {
   return [w, x, y, z];
 }
 
+/**
+ * Get the device orientation for a gyro update, preferring the phone's fused
+ * quaternion over the raw Euler angles when one is attached
+ * @param {Object} gyroData - Gyro data (alpha, beta, gamma and optional quaternion)
+ * @returns {Array} Array containing [w, x, y, z] quaternion components
+ */
+export function getDeviceQuaternion(gyroData) {
+  const q = gyroData.quaternion;
+  if (q) {
+    return [q.w, q.x, q.y, q.z];
+  }
+  
+  return getQuaternion(gyroData.alpha, gyroData.beta, gyroData.gamma);
+}
+
 /**
  * Creates a cubic ease-out function for smooth animations
  * @param {number} progress - Value between 0 and 1
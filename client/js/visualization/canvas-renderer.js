@@ -17,8 +17,14 @@ export class CanvasRenderer {
    * @param {CanvasRenderingContext2D} ctx - Canvas context
    * @param {Object} data - Data to draw
    * @param {Array<string>} colors - Colors for each data series
+   * @param {Object} [options] - Scaling options
+   * @param {number} [options.maxValue] - Value drawn at the edge of the canvas (default: 10 for 'z', 180 otherwise)
+   * @param {boolean} [options.fromBottom=false] - Plot non-negative values up from the bottom instead of around the center line
    */
-  static drawData(ctx, data, colors) {
+  static drawData(ctx, data, colors, options = {}) {
+    // Values are measured up from the baseline; maxValue reaches the top edge
+    const baseline = options.fromBottom ? ctx.canvas.height : ctx.canvas.height / 2;
+    
     // Clear canvas
     ctx.fillStyle = '#f5f5f5';
     ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
@@ -40,11 +46,13 @@ export class CanvasRenderer {
     }
     
     // Draw center line
-    ctx.strokeStyle = '#aaa';
-    ctx.beginPath();
-    ctx.moveTo(0, ctx.canvas.height / 2);
-    ctx.lineTo(ctx.canvas.width, ctx.canvas.height / 2);
-    ctx.stroke();
+    if (!options.fromBottom) {
+      ctx.strokeStyle = '#aaa';
+      ctx.beginPath();
+      ctx.moveTo(0, baseline);
+      ctx.lineTo(ctx.canvas.width, baseline);
+      ctx.stroke();
+    }
     
     // Draw data lines
     const keys = Object.keys(data);
@@ -61,8 +69,8 @@ export class CanvasRenderer {
         for (let i = 0; i < values.length; i++) {
           const x = i * step;
           // Scale the value to fit within the canvas
-          const maxValue = key === 'z' ? 10 : 180;
-          const y = ctx.canvas.height / 2 - (values[i] / maxValue) * (ctx.canvas.height / 2);
+          const maxValue = options.maxValue || (key === 'z' ? 10 : 180);
+          const y = baseline - (values[i] / maxValue) * baseline;
           
           if (i === 0) {
             ctx.moveTo(x, y);
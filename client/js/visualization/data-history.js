@@ -4,8 +4,13 @@ import { MAX_DATA_POINTS } from '../config.js';
  * Manages sensor data history for visualization
  */
 export class DataHistory {
-  constructor() {
-    this.data = {
+  /**
+   * @param {Object} [series] - Series to track, as { type: { key: [] } }; defaults to gyro and accel
+   * @param {number} [maxPoints=MAX_DATA_POINTS] - Points kept per series
+   */
+  constructor(series = null, maxPoints = MAX_DATA_POINTS) {
+    this.maxPoints = maxPoints;
+    this.data = series || {
       gyro: {
         alpha: [],
         beta: [],
@@ -28,7 +33,7 @@ export class DataHistory {
     for (const key in data) {
       if (this.data[type][key]) {
         this.data[type][key].push(data[key]);
-        if (this.data[type][key].length > MAX_DATA_POINTS) {
+        if (this.data[type][key].length > this.maxPoints) {
           this.data[type][key].shift();
         }
       }
@@ -1,5 +1,6 @@
 import { DataHistory } from './data-history.js';
 import { CanvasRenderer } from './canvas-renderer.js';
+import { SENSOR_FUSION } from '../config.js';
 
 /**
  * Manages visualizations for sensor data
@@ -11,6 +12,7 @@ export class VisualizationManager {
   constructor(eventBus) {
     this.eventBus = eventBus;
     this.dataHistory = new DataHistory();
+    this.orientationMode = SENSOR_FUSION.defaultMode;
     
     // Get DOM elements
     this.gyroData = document.getElementById('gyroData');
@@ -18,6 +20,7 @@ export class VisualizationManager {
     this.rawData = document.getElementById('rawData');
     this.gyroCanvas = document.getElementById('gyroCanvas');
     this.accelCanvas = document.getElementById('accelCanvas');
+    this.orientationModeSelect = document.getElementById('orientationMode');
     
     // Canvas contexts
     this.gyroCtx = this.gyroCanvas.getContext('2d');
@@ -40,37 +43,65 @@ export class VisualizationManager {
    * Set up event listeners
    */
   setupEventListeners() {
-    this.eventBus.on('sensor:data-received', (dataString) => {
-      this.handleSensorData(dataString);
+    this.eventBus.on('sensor:data-received', (data) => {
+      this.handleSensorData(data);
     });
     
     this.eventBus.on('calibration:complete', () => {
       this.resetDataHistory();
     });
+    
+    this.eventBus.on('sensor:set-orientation-mode', (mode) => {
+      this.setOrientationMode(mode);
+    });
+    
+    if (this.orientationModeSelect) {
+      this.orientationModeSelect.value = this.orientationMode;
+      this.orientationModeSelect.addEventListener('change', () => {
+        this.setOrientationMode(this.orientationModeSelect.value);
+      });
+    }
+  }
+
+  /**
+   * Choose whether the phone's fused quaternion or its raw Euler angles drive orientation
+   * @param {string} mode - 'raw' or 'fused'
+   */
+  setOrientationMode(mode) {
+    if (!SENSOR_FUSION.modes.includes(mode) || mode === this.orientationMode) return;
+    
+    this.orientationMode = mode;
+    if (this.orientationModeSelect) {
+      this.orientationModeSelect.value = mode;
+    }
+    
+    this.eventBus.emit('sensor:orientation-mode-changed', { mode });
   }
 
   /**
    * Handle incoming sensor data
-   * @param {string} dataString - JSON string of sensor data
+   * @param {Object} data - Sensor data, already decoded by WebRTCManager
    */
-  handleSensorData(dataString) {
+  handleSensorData(data) {
     try {
-      const data = JSON.parse(dataString);
       
       // Update raw data display
       this.rawData.textContent = JSON.stringify(data, null, 2);
       
       if (data.gyro) {
+        // The fused quaternion is only used when selected and the phone sends one
+        const useFused = this.orientationMode === 'fused' && this.isValidQuaternion(data.orientation);
+        
         // Update gyroscope data display
         this.gyroData.textContent = `Alpha: ${data.gyro.alpha.toFixed(2)}°
 Beta: ${data.gyro.beta.toFixed(2)}°
-Gamma: ${data.gyro.gamma.toFixed(2)}°`;
+Gamma: ${data.gyro.gamma.toFixed(2)}°
+Source: ${useFused ? 'fused' : 'raw'}`;
         
         // Add to data history
         this.dataHistory.addDataPoint('gyro', data.gyro);
         
-        // Emit gyro data update event
-        this.eventBus.emit('sensor:gyro-updated', data.gyro);
+        // Orientation reaches the game through SensorJitterBuffer, which emits sensor:gyro-updated
       }
       
       if (data.accel) {
@@ -95,10 +126,19 @@ Z: ${data.accel.z.toFixed(2)}g`;
       // Update visualizations
       this.updateVisualizations();
     } catch (e) {
-      console.error('Error parsing WebRTC sensor data:', e);
+      console.error('Error handling sensor data:', e);
     }
   }
 
+  /**
+   * Check that a value is a usable quaternion
+   * @param {Object} q - Quaternion-like object
+   * @returns {boolean} True if every component is a finite number
+   */
+  isValidQuaternion(q) {
+    return !!q && ['x', 'y', 'z', 'w'].every(key => Number.isFinite(q[key]));
+  }
+
   /**
    * Update visualizations
    */
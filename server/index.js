@@ -5,6 +5,7 @@ const fs = require('fs');
 const { Server } = require('socket.io');
 const path = require('path');
 const os = require('os');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 
 const isRailway = !!process.env.RAILWAY_ENVIRONMENT;
@@ -56,12 +57,65 @@ if (!isRailway && httpsAvailable) {
   io.attach(httpsServer);
 }
 
-const desktopClients = new Map();
-const mobileClients = new Map();
+// Desktop/phone pairing. A session outlives its sockets: when either side drops,
+// its place is held for PAIRING_GRACE_PERIOD so it can resume with its token.
+const pairingSessions = new Map(); // sessionId -> pairing session
+const desktopClients = new Map(); // socket ID -> sessionId
+const mobileClients = new Map(); // socket ID -> sessionId
+const PAIRING_GRACE_PERIOD = 60 * 1000;
+// Short numeric codes for pairing without the QR code
+const pairingCodes = new Map(); // code -> { sessionId, expiresAt }
+const pairingCodeAttempts = new Map(); // client address -> { windowStart, count }
+const PAIRING_CODE_LENGTH = 6;
+const PAIRING_CODE_TTL = 5 * 60 * 1000; // A new code replaces the old one after this long
+const MAX_PAIRING_CODE_ATTEMPTS = 5; // Wrong guesses allowed per client address per window
+const PAIRING_CODE_ATTEMPT_WINDOW = 60 * 1000;
+// Sensor packets relayed over Socket.IO when the phone's WebRTC link is down
+const MAX_SENSOR_RELAY_RATE = 40; // Packets per second per phone; the phone relays at ~30 (every 33 ms)
+const SENSOR_RELAY_WINDOW = 1000;
+// Phone -> desktop messages relayed when they can't go over the data channel
+const CALIBRATION_RELAY_EVENTS = ['calibration-progress', 'calibration-complete', 'calibration-failed'];
 
 const gameRooms = new Map();
 const MAX_PLAYERS_PER_ROOM = 8;
 const GAME_STATE_BROADCAST_INTERVAL = 50;
+const MAX_PHYSICS_OBJECTS_PER_ROOM = 200;
+const PLAYER_MAX_HEALTH = 100;
+const PLAYER_RESPAWN_DELAY = 3000;
+const MAX_PLAYER_DAMAGE_PER_HIT = 50;
+const MIN_PLAYER_DAMAGE_INTERVAL = 100;
+const GAME_MODES = ['freeplay', 'survival', 'deathmatch'];
+const SURVIVAL_INTERMISSION_DURATION = 10000;
+const SURVIVAL_MAX_DUMMIES_PER_WAVE = 12;
+const SURVIVAL_MAX_PARTICLES_PER_WAVE = 200;
+const PARTICLE_ENEMY_HEALTH = 5;
+const DEATHMATCH_FRAG_LIMIT = 10;
+const DEATHMATCH_TIME_LIMIT = 5 * 60 * 1000;
+const DEATHMATCH_RESTART_DELAY = 10000;
+const MIN_PVP_HIT_INTERVAL = 100;
+// Per-hit damage cap and maximum attacker-target distance for each PvP damage source
+const PVP_DAMAGE_SOURCES = {
+  laser: { maxDamage: 50, maxRange: 60 },
+  object: { maxDamage: 40, maxRange: 80 },
+  'black-hole': { maxDamage: 20, maxRange: 60 },
+  fireball: { maxDamage: 30, maxRange: 130 },
+  // Data-driven spells from client/assets/spells/spells.json
+  spell: { maxDamage: 30, maxRange: 130 }
+};
+// Status effects spells can leave on enemies and players (see STATUS_EFFECTS in client/js/config.js)
+const STATUS_EFFECT_TYPES = ['stunned', 'frozen', 'burning', 'levitating', 'marked'];
+const MAX_STATUS_EFFECT_DURATION = 10;
+// Bonus score for spell combos (see SPELL_COMBOS in client/js/config.js)
+const SPELL_COMBO_SCORES = {
+  prismSingularity: 50,
+  gravityBomb: 30,
+  airlift: 20
+};
+const MIN_COMBO_INTERVAL = 1000;
+// Spellbook loadouts and room spell rules (see SPELLBOOK_LOADOUTS in client/js/config.js)
+const SPELL_ID_PATTERN = /^[A-Za-z][A-Za-z0-9_-]*$/;
+const MAX_SPELL_LIST_LENGTH = 32;
+const MAX_LOADOUT_NAME_LENGTH = 24;
 
 // Middleware setup
 
@@ -221,6 +275,16 @@ function createPlayer(socketId, username, socket, devicePairId = null) {
     position: { x: 0, y: 0, z: 0 },
     rotation: { x: 0, y: 0, z: 0, w: 0 },
     phoneOrientation: { x: 0, y: 0, z: 0, w: 1 }, // Default identity quaternion
+    health: PLAYER_MAX_HEALTH,
+    maxHealth: PLAYER_MAX_HEALTH,
+    isDead: false,
+    kills: 0,
+    deaths: 0,
+    comboScore: 0,
+    lastComboTime: 0,
+    loadout: null, // { name, spells } with spells null for every spell
+    lastDamageTime: 0,
+    lastPvpHitTimes: new Map(), // Target socket ID -> time of this player's last confirmed hit on them
     lastUpdate: Date.now()
   };
   
@@ -275,9 +339,11 @@ function detectMobileDeviceType(userAgent) {
  * Create a new game room
  * @param {string} hostId - Socket ID of the host
  * @param {string} roomName - Optional custom room name
+ * @param {string} gameMode - Game mode (freeplay, survival or deathmatch)
+ * @param {Object} spellRules - Spells the room restricts, see sanitizeSpellRules
  * @returns {Object} New game room object
  */
-function createGameRoom(hostId, roomName = null) {
+function createGameRoom(hostId, roomName = null, gameMode = 'freeplay', spellRules = null) {
   // Generate a unique room code
   let roomCode = generateRoomCode();
   while (Array.from(gameRooms.values()).some(room => room.roomCode === roomCode)) {
@@ -291,13 +357,31 @@ function createGameRoom(hostId, roomName = null) {
     roomName: roomName || `Game Room ${roomCode}`,
     hostId: hostId,
     players: new Map(),
-    gameMode: 'freeplay',
+    gameMode: GAME_MODES.includes(gameMode) ? gameMode : 'freeplay',
+    spellRules: sanitizeSpellRules(spellRules),
     gameObjects: [],
     enemies: [],  // Track enemies in the room
+    survival: null,  // Wave state, only used in survival mode
+    deathmatch: null,  // Round state, only used in deathmatch mode
     startTime: Date.now(),
     lastUpdate: Date.now()
   };
 
+  if (room.gameMode === 'survival') {
+    room.survival = {
+      wave: 0,
+      phase: 'intermission',
+      intermissionEndsAt: 0,
+      timer: null
+    };
+  } else if (room.gameMode === 'deathmatch') {
+    room.deathmatch = {
+      phase: 'waiting',
+      roundEndsAt: 0,
+      timer: null
+    };
+  }
+
   gameRooms.set(roomId, room);
   return room;
 }
@@ -315,7 +399,10 @@ function getSanitizedRoomData(room) {
     hostId: room.hostId,
     playerCount: room.players.size,
     maxPlayers: MAX_PLAYERS_PER_ROOM,
-    gameMode: room.gameMode
+    gameMode: room.gameMode,
+    spellRules: room.spellRules,
+    survival: getSurvivalState(room),
+    deathmatch: getDeathmatchState(room)
   };
 }
 
@@ -338,10 +425,416 @@ function getSanitizedPlayerData(player) {
     phoneOrientation: player.phoneOrientation,
     isMobilePlayer: isMobilePlayer, // Flag to indicate if this is a mobile player
     deviceType: player.deviceType || (isMobilePlayer ? 'mobile' : 'desktop'), // Device type for UI/UX adaptation
+    health: player.health,
+    maxHealth: player.maxHealth,
+    isDead: player.isDead,
+    kills: player.kills,
+    deaths: player.deaths,
+    comboScore: player.comboScore,
     lastUpdate: player.lastUpdate // Allow clients to implement their own timeout detection
   };
 }
 
+/**
+ * Check that a value is a vector (or quaternion) with finite numeric components
+ * @param {Object} vector - Vector-like object to check
+ * @param {boolean} hasW - Whether a w component is also required
+ * @returns {boolean} True if every component is a finite number
+ */
+function isValidVector(vector, hasW = false) {
+  if (!vector || typeof vector !== 'object') return false;
+  
+  const components = hasW ? ['x', 'y', 'z', 'w'] : ['x', 'y', 'z'];
+  return components.every(key => typeof vector[key] === 'number' && Number.isFinite(vector[key]));
+}
+
+/**
+ * Check a status effect sent by a client
+ * @param {Object} status - Status effect ({ type, duration })
+ * @returns {Object|null} The effect with its duration capped, or null if it isn't valid
+ */
+function sanitizeStatusEffect(status) {
+  if (!status || !STATUS_EFFECT_TYPES.includes(status.type)) return null;
+  
+  // Without a valid duration clients use the effect's default
+  const duration = typeof status.duration === 'number' && Number.isFinite(status.duration) && status.duration > 0
+    ? Math.min(status.duration, MAX_STATUS_EFFECT_DURATION)
+    : null;
+  
+  return { type: status.type, duration };
+}
+
+/**
+ * Check a list of spell IDs sent by a client
+ * @param {Array<string>} spells - Spell IDs
+ * @returns {Array<string>|null} The valid IDs without duplicates, or null if it isn't a list
+ */
+function sanitizeSpellList(spells) {
+  if (!Array.isArray(spells)) return null;
+  
+  const spellIds = spells.filter(spellId => typeof spellId === 'string' && SPELL_ID_PATTERN.test(spellId));
+  return [...new Set(spellIds)].slice(0, MAX_SPELL_LIST_LENGTH);
+}
+
+/**
+ * Check the spell rules a host created a room with
+ * @param {Object} spellRules - { allowedSpells, bannedSpells }
+ * @returns {Object} Rules where allowedSpells is null (every spell) or the only spells
+ * allowed, and bannedSpells are never allowed
+ */
+function sanitizeSpellRules(spellRules) {
+  const allowedSpells = sanitizeSpellList(spellRules && spellRules.allowedSpells);
+  
+  return {
+    allowedSpells: allowedSpells && allowedSpells.length > 0 ? allowedSpells : null,
+    bannedSpells: sanitizeSpellList(spellRules && spellRules.bannedSpells) || []
+  };
+}
+
+/**
+ * Check a spellbook loadout sent by a client
+ * @param {Object} loadout - Loadout ({ name, spells })
+ * @returns {Object|null} The loadout, with spells null for every spell, or null if it isn't valid
+ */
+function sanitizeLoadout(loadout) {
+  if (!loadout || typeof loadout.name !== 'string') return null;
+  
+  return {
+    name: loadout.name.slice(0, MAX_LOADOUT_NAME_LENGTH),
+    spells: sanitizeSpellList(loadout.spells)
+  };
+}
+
+/**
+ * Check whether a player may cast a spell in a room
+ * @param {Object} room - Room object
+ * @param {Object} player - Player object
+ * @param {string} spellId - Spell ID
+ * @returns {boolean} True if the room's rules allow the spell and it is in the player's loadout
+ */
+function canCastSpell(room, player, spellId) {
+  const { allowedSpells, bannedSpells } = room.spellRules;
+  if (allowedSpells && !allowedSpells.includes(spellId)) return false;
+  if (bannedSpells.includes(spellId)) return false;
+  
+  return !(player.loadout && player.loadout.spells && !player.loadout.spells.includes(spellId));
+}
+
+/**
+ * Find a tracked physics object in a room
+ * @param {Object} room - Room object
+ * @param {string} objectId - ID of the physics object
+ * @returns {Object|null} The tracked physics object or null
+ */
+function getRoomPhysicsObject(room, objectId) {
+  if (!room || !Array.isArray(room.gameObjects)) return null;
+  return room.gameObjects.find(obj => obj.id === objectId) || null;
+}
+
+/**
+ * Hand every physics object owned or held by a player over to another player
+ * @param {Object} room - Room object
+ * @param {string} previousOwnerId - Socket ID of the player giving up ownership
+ * @param {string} newOwnerId - Socket ID of the player taking over (null to leave unowned)
+ * @returns {Array} List of { id, ownerId } entries that changed
+ */
+function transferPhysicsOwnership(room, previousOwnerId, newOwnerId) {
+  const changes = [];
+  
+  room.gameObjects.forEach(obj => {
+    if (obj.heldBy === previousOwnerId) {
+      obj.heldBy = null;
+    }
+    
+    if (obj.ownerId === previousOwnerId) {
+      obj.ownerId = newOwnerId;
+      changes.push({ id: obj.id, ownerId: newOwnerId });
+    }
+  });
+  
+  return changes;
+}
+
+/**
+ * Apply validated damage to a player, handling death and the delayed respawn
+ * @param {string} roomId - ID of the room the player is in
+ * @param {Object} player - Player object from the room's players map
+ * @param {number} damage - Amount of damage to apply
+ * @param {string} sourceType - What caused the damage (enemy, spell, ...)
+ * @param {string} attackerId - Socket ID of the attacking player (null for non-player sources)
+ * @returns {boolean} True if the damage killed the player
+ */
+function applyPlayerDamage(roomId, player, damage, sourceType, attackerId = null) {
+  player.health = Math.max(0, player.health - damage);
+  player.lastDamageTime = Date.now();
+  
+  io.to(roomId).emit('player-health-update', {
+    playerId: player.id,
+    health: player.health,
+    maxHealth: player.maxHealth,
+    sourceType,
+    attackerId
+  });
+  
+  if (player.health > 0) return false;
+  
+  player.isDead = true;
+  player.deaths++;
+  
+  io.to(roomId).emit('player-death', {
+    playerId: player.id,
+    killerId: attackerId,
+    sourceType
+  });
+  
+  console.log(`Player ${player.id} died in room ${roomId} (${sourceType})`);
+  
+  setTimeout(() => {
+    const room = gameRooms.get(roomId);
+    // Skip the respawn if the player left the room while dead
+    if (!room || room.players.get(player.id) !== player) return;
+    
+    player.health = player.maxHealth;
+    player.isDead = false;
+    
+    io.to(roomId).emit('player-respawn', {
+      playerId: player.id,
+      health: player.health,
+      maxHealth: player.maxHealth
+    });
+  }, PLAYER_RESPAWN_DELAY);
+  
+  return true;
+}
+
+/**
+ * Get the client-facing wave state of a survival room
+ * @param {Object} room - Room object
+ * @returns {Object|null} Wave state, or null if the room isn't in survival mode
+ */
+function getSurvivalState(room) {
+  if (!room.survival) return null;
+  
+  return {
+    wave: room.survival.wave,
+    phase: room.survival.phase,
+    enemiesRemaining: room.enemies.length,
+    intermissionRemaining: room.survival.phase === 'intermission' ?
+      Math.max(0, room.survival.intermissionEndsAt - Date.now()) : 0
+  };
+}
+
+/**
+ * Build the enemies for a survival wave; each wave adds more and tougher enemies
+ * @param {number} wave - Wave number (starting at 1)
+ * @returns {Array} New enemy objects
+ */
+function createSurvivalWaveEnemies(wave) {
+  const enemies = [];
+  const now = Date.now();
+  
+  const dummyCount = Math.min(2 + wave, SURVIVAL_MAX_DUMMIES_PER_WAVE);
+  const dummyHealth = 5 + (wave - 1) * 2;
+  for (let i = 0; i < dummyCount; i++) {
+    // Ring of dummies that widens as the waves go on
+    const angle = (Math.PI * 2 / dummyCount) * i + Math.random() * 0.5;
+    const radius = 10 + Math.random() * Math.min(wave * 2, 15);
+    
+    enemies.push({
+      id: uuidv4(),
+      type: 'training-dummy',
+      position: { x: Math.cos(angle) * radius, y: 1, z: Math.sin(angle) * radius },
+      health: dummyHealth,
+      state: 'idle',
+      lastUpdate: now
+    });
+  }
+  
+  const particleCount = Math.min(wave * 20, SURVIVAL_MAX_PARTICLES_PER_WAVE);
+  for (let i = 0; i < particleCount; i++) {
+    const angle = Math.random() * Math.PI * 2;
+    const distance = Math.random() * 25;
+    
+    enemies.push({
+      id: uuidv4(),
+      type: 'particle',
+      position: { x: Math.cos(angle) * distance, y: 1 + Math.random() * 10, z: Math.sin(angle) * distance },
+      health: PARTICLE_ENEMY_HEALTH,
+      state: 'idle',
+      lastUpdate: now
+    });
+  }
+  
+  return enemies;
+}
+
+/**
+ * Start the countdown to the next survival wave
+ * @param {string} roomId - ID of the room
+ */
+function startSurvivalIntermission(roomId) {
+  const room = gameRooms.get(roomId);
+  if (!room || !room.survival) return;
+  
+  const survival = room.survival;
+  clearTimeout(survival.timer);
+  
+  survival.phase = 'intermission';
+  survival.intermissionEndsAt = Date.now() + SURVIVAL_INTERMISSION_DURATION;
+  survival.timer = setTimeout(() => startSurvivalWave(roomId), SURVIVAL_INTERMISSION_DURATION);
+  
+  io.to(roomId).emit('wave-intermission', {
+    nextWave: survival.wave + 1,
+    duration: SURVIVAL_INTERMISSION_DURATION
+  });
+}
+
+/**
+ * Spawn the next survival wave
+ * @param {string} roomId - ID of the room
+ */
+function startSurvivalWave(roomId) {
+  const room = gameRooms.get(roomId);
+  if (!room || !room.survival) return;
+  
+  const survival = room.survival;
+  survival.timer = null;
+  survival.wave++;
+  survival.phase = 'active';
+  
+  const waveEnemies = createSurvivalWaveEnemies(survival.wave);
+  room.enemies.push(...waveEnemies);
+  
+  io.to(roomId).emit('wave-start', {
+    wave: survival.wave,
+    enemies: waveEnemies.map(enemy => ({
+      enemyId: enemy.id,
+      type: enemy.type,
+      position: enemy.position,
+      health: enemy.health
+    })),
+    enemiesRemaining: room.enemies.length
+  });
+  
+  console.log(`Room ${roomId} started wave ${survival.wave} with ${waveEnemies.length} enemies`);
+}
+
+/**
+ * Update survival progress after an enemy was removed from a room
+ * @param {string} roomId - ID of the room
+ */
+function handleSurvivalEnemyRemoved(roomId) {
+  const room = gameRooms.get(roomId);
+  if (!room || !room.survival || room.survival.phase !== 'active') return;
+  
+  io.to(roomId).emit('wave-progress', {
+    wave: room.survival.wave,
+    enemiesRemaining: room.enemies.length
+  });
+  
+  if (room.enemies.length === 0) {
+    io.to(roomId).emit('wave-complete', { wave: room.survival.wave });
+    startSurvivalIntermission(roomId);
+  }
+}
+
+/**
+ * Get the client-facing round state of a deathmatch room
+ * @param {Object} room - Room object
+ * @returns {Object|null} Round state, or null if the room isn't in deathmatch mode
+ */
+function getDeathmatchState(room) {
+  if (!room.deathmatch) return null;
+  
+  return {
+    phase: room.deathmatch.phase,
+    fragLimit: DEATHMATCH_FRAG_LIMIT,
+    timeRemaining: room.deathmatch.phase === 'active' ?
+      Math.max(0, room.deathmatch.roundEndsAt - Date.now()) : 0
+  };
+}
+
+/**
+ * Get the kill/death scoreboard of a room, best player first
+ * @param {Object} room - Room object
+ * @returns {Array} List of { playerId, username, kills, deaths, comboScore } entries
+ */
+function getScoreboard(room) {
+  return Array.from(room.players.values())
+    .map(player => ({
+      playerId: player.id,
+      username: player.username,
+      kills: player.kills,
+      deaths: player.deaths,
+      comboScore: player.comboScore
+    }))
+    .sort((a, b) => b.kills - a.kills || a.deaths - b.deaths);
+}
+
+/**
+ * Start a new deathmatch round, resetting scores and health
+ * @param {string} roomId - ID of the room
+ */
+function startDeathmatchRound(roomId) {
+  const room = gameRooms.get(roomId);
+  if (!room || !room.deathmatch) return;
+  
+  const deathmatch = room.deathmatch;
+  clearTimeout(deathmatch.timer);
+  
+  room.players.forEach(player => {
+    player.kills = 0;
+    player.deaths = 0;
+    player.comboScore = 0;
+    player.health = player.maxHealth;
+    player.isDead = false;
+    player.lastPvpHitTimes.clear();
+  });
+  
+  deathmatch.phase = 'active';
+  deathmatch.roundEndsAt = Date.now() + DEATHMATCH_TIME_LIMIT;
+  deathmatch.timer = setTimeout(() => endDeathmatchRound(roomId, 'time-limit'), DEATHMATCH_TIME_LIMIT);
+  
+  io.to(roomId).emit('round-start', {
+    fragLimit: DEATHMATCH_FRAG_LIMIT,
+    duration: DEATHMATCH_TIME_LIMIT,
+    scores: getScoreboard(room)
+  });
+  
+  console.log(`Room ${roomId} started a deathmatch round`);
+}
+
+/**
+ * End the current deathmatch round and schedule the next one
+ * @param {string} roomId - ID of the room
+ * @param {string} reason - Why the round ended (frag-limit or time-limit)
+ */
+function endDeathmatchRound(roomId, reason) {
+  const room = gameRooms.get(roomId);
+  if (!room || !room.deathmatch || room.deathmatch.phase !== 'active') return;
+  
+  const deathmatch = room.deathmatch;
+  clearTimeout(deathmatch.timer);
+  
+  const scores = getScoreboard(room);
+  // No winner on a time-limit draw at the top of the board
+  const isDraw = scores.length > 1 && scores[0].kills === scores[1].kills;
+  const winnerId = scores.length > 0 && !isDraw ? scores[0].playerId : null;
+  
+  deathmatch.phase = 'ended';
+  deathmatch.roundEndsAt = 0;
+  deathmatch.timer = setTimeout(() => startDeathmatchRound(roomId), DEATHMATCH_RESTART_DELAY);
+  
+  io.to(roomId).emit('round-end', {
+    reason,
+    winnerId,
+    scores,
+    restartDelay: DEATHMATCH_RESTART_DELAY
+  });
+  
+  console.log(`Room ${roomId} deathmatch round ended (${reason}), winner: ${winnerId}`);
+}
+
 /**
  * Broadcast game state to all players in a room
  * @param {string} roomId - ID of the room
@@ -356,11 +849,175 @@ function broadcastGameState(roomId) {
   io.to(roomId).emit('game-state-update', {
     players: sanitizedPlayers,
     gameObjects: room.gameObjects,
-    enemies: room.enemies || [],
+    // Enemies are synced through spawn/update/death events (and the room-joined snapshot)
+    // rather than every tick, since survival waves can hold hundreds of them
+    survival: getSurvivalState(room),
+    deathmatch: getDeathmatchState(room),
     timestamp: Date.now()
   });
 }
 
+/**
+ * Start a pairing session for a desktop
+ * @param {string} desktopSocketId - Socket ID of the desktop
+ * @returns {Object} The session
+ */
+function createPairingSession(desktopSocketId) {
+  const session = {
+    sessionId: uuidv4(),
+    desktopToken: uuidv4(), // Lets the desktop resume the session after a reload
+    mobileToken: null, // Lets the paired phone resume; a new one is issued to each new phone
+    desktopSocketId,
+    mobileSocketId: null,
+    desktopTimer: null,
+    mobileTimer: null,
+    pairingCode: null,
+    pairingCodeTimer: null
+  };
+  pairingSessions.set(session.sessionId, session);
+  desktopClients.set(desktopSocketId, session.sessionId);
+  issuePairingCode(session);
+  return session;
+}
+
+/**
+ * Give a session a new pairing code, retiring its old one. The old code is kept
+ * for a while so a phone entering it is told it expired rather than that it's wrong.
+ * @param {Object} session - Pairing session
+ */
+function issuePairingCode(session) {
+  const now = Date.now();
+
+  if (session.pairingCode) {
+    const oldCode = session.pairingCode;
+    const oldEntry = pairingCodes.get(oldCode);
+    if (oldEntry) {
+      oldEntry.expiresAt = Math.min(oldEntry.expiresAt, now);
+      setTimeout(() => {
+        if (pairingCodes.get(oldCode) === oldEntry) pairingCodes.delete(oldCode);
+      }, PAIRING_CODE_TTL);
+    }
+  }
+
+  let code;
+  do {
+    code = String(crypto.randomInt(0, 10 ** PAIRING_CODE_LENGTH)).padStart(PAIRING_CODE_LENGTH, '0');
+  } while (pairingCodes.has(code));
+
+  pairingCodes.set(code, { sessionId: session.sessionId, expiresAt: now + PAIRING_CODE_TTL });
+  session.pairingCode = code;
+
+  // Replace the code when it expires, and show the desktop the new one
+  clearTimeout(session.pairingCodeTimer);
+  session.pairingCodeTimer = setTimeout(() => {
+    issuePairingCode(session);
+    sendPairingCode(session);
+  }, PAIRING_CODE_TTL);
+}
+
+/**
+ * Get a session's current pairing code as sent to the desktop
+ * @param {Object} session - Pairing session
+ * @returns {Object} { code, expiresIn } with expiresIn in ms, so clock differences don't matter
+ */
+function getPairingCodeData(session) {
+  const entry = pairingCodes.get(session.pairingCode);
+  return {
+    code: session.pairingCode,
+    expiresIn: entry ? Math.max(0, entry.expiresAt - Date.now()) : 0
+  };
+}
+
+/**
+ * Send a session's current pairing code to its desktop
+ * @param {Object} session - Pairing session
+ */
+function sendPairingCode(session) {
+  if (session.desktopSocketId) {
+    io.to(session.desktopSocketId).emit('pairing-code', getPairingCodeData(session));
+  }
+}
+
+/**
+ * Get the address pairing code attempts are counted against
+ * @param {Object} socket - Socket.IO socket
+ * @returns {string} Client address
+ */
+function getClientAddress(socket) {
+  // Behind Railway's proxy every socket comes from the proxy's address
+  const forwardedFor = socket.handshake.headers['x-forwarded-for'];
+  if (isRailway && forwardedFor) {
+    return forwardedFor.split(',')[0].trim();
+  }
+  return socket.handshake.address;
+}
+
+/**
+ * Check whether an address has used up its wrong pairing code guesses
+ * @param {string} address - Client address
+ * @returns {number} Ms until attempts are allowed again, or 0 if one may go ahead
+ */
+function getPairingCodeLockout(address) {
+  const attempts = pairingCodeAttempts.get(address);
+  if (!attempts || attempts.count < MAX_PAIRING_CODE_ATTEMPTS) return 0;
+
+  return Math.max(0, attempts.windowStart + PAIRING_CODE_ATTEMPT_WINDOW - Date.now());
+}
+
+/**
+ * Count a wrong pairing code guess from an address
+ * @param {string} address - Client address
+ */
+function countFailedPairingCodeAttempt(address) {
+  const now = Date.now();
+  let attempts = pairingCodeAttempts.get(address);
+
+  if (!attempts || now - attempts.windowStart >= PAIRING_CODE_ATTEMPT_WINDOW) {
+    attempts = { windowStart: now, count: 0 };
+    pairingCodeAttempts.set(address, attempts);
+    setTimeout(() => {
+      if (pairingCodeAttempts.get(address) === attempts) pairingCodeAttempts.delete(address);
+    }, PAIRING_CODE_ATTEMPT_WINDOW);
+  }
+
+  attempts.count++;
+}
+
+/**
+ * Get the socket ID of the desktop a phone is paired with
+ * @param {string} mobileSocketId - Socket ID of the phone
+ * @returns {string|null} Desktop socket ID, or null while unpaired or the desktop is away
+ */
+function getPairedDesktopSocketId(mobileSocketId) {
+  const session = pairingSessions.get(mobileClients.get(mobileSocketId));
+  return session ? session.desktopSocketId : null;
+}
+
+/**
+ * End a pairing session for good, telling the phone if it's still connected
+ * @param {string} sessionId - ID of the session
+ */
+function endPairingSession(sessionId) {
+  const session = pairingSessions.get(sessionId);
+  if (!session) return;
+
+  clearTimeout(session.desktopTimer);
+  clearTimeout(session.mobileTimer);
+  clearTimeout(session.pairingCodeTimer);
+  pairingCodes.delete(session.pairingCode);
+
+  if (session.mobileSocketId) {
+    io.to(session.mobileSocketId).emit('desktop-disconnected');
+    mobileClients.delete(session.mobileSocketId);
+  }
+  if (session.desktopSocketId) {
+    desktopClients.delete(session.desktopSocketId);
+  }
+
+  pairingSessions.delete(sessionId);
+  console.log(`Ended pairing session ${sessionId}`);
+}
+
 /**
  * Remove a player from a room
  * @param {string} socketId - Socket ID of the player to remove
@@ -379,6 +1036,12 @@ function removePlayerFromRoom(socketId, roomId) {
   // If room is now empty, clean it up
   if (room.players.size === 0) {
     console.log(`Room ${roomId} is empty, cleaning up`);
+    if (room.survival) {
+      clearTimeout(room.survival.timer);
+    }
+    if (room.deathmatch) {
+      clearTimeout(room.deathmatch.timer);
+    }
     gameRooms.delete(roomId);
     return;
   }
@@ -389,6 +1052,16 @@ function removePlayerFromRoom(socketId, roomId) {
     room.hostId = newHostId;
     io.to(roomId).emit('host-changed', { newHostId });
   }
+  
+  if (room.deathmatch) {
+    io.to(roomId).emit('scoreboard-update', { scores: getScoreboard(room) });
+  }
+  
+  // The host takes over simulating any physics objects the leaving player owned
+  const ownershipChanges = transferPhysicsOwnership(room, socketId, room.hostId);
+  if (ownershipChanges.length > 0) {
+    io.to(roomId).emit('physics:ownership-changed', { objects: ownershipChanges });
+  }
 }
 
 // Socket.IO connection handling
@@ -407,43 +1080,130 @@ io.on('connection', (socket) => {
   
   // ==================== DESKTOP/MOBILE PAIRING ====================
   
-  // Desktop client registers
-  socket.on('register-desktop', () => {
+  // Desktop client registers, resuming its earlier session if it still has the token
+  socket.on('register-desktop', (data) => {
     console.log('Desktop client registered:', socket.id);
-    const sessionId = uuidv4();
-    desktopClients.set(socket.id, { sessionId, mobileSocketId: null });
+    const { sessionId, token } = data || {};
+    const session = pairingSessions.get(sessionId);
+    
+    if (session && token && token === session.desktopToken) {
+      clearTimeout(session.desktopTimer);
+      session.desktopTimer = null;
+      
+      // The old socket may not have been noticed dropping yet
+      if (session.desktopSocketId) {
+        desktopClients.delete(session.desktopSocketId);
+      }
+      session.desktopSocketId = socket.id;
+      desktopClients.set(socket.id, sessionId);
+      
+      socket.emit('session-created', { sessionId, token, resumed: true, pairingCode: getPairingCodeData(session) });
+      console.log(`Desktop ${socket.id} resumed session ${sessionId}`);
+      
+      // A phone that stayed connected renegotiates WebRTC with the new socket
+      if (session.mobileSocketId) {
+        io.to(session.mobileSocketId).emit('desktop-reconnected', { desktopSocketId: socket.id });
+        socket.emit('mobile-joined', { mobileSocketId: session.mobileSocketId });
+      }
+      return;
+    }
+    
+    const newSession = createPairingSession(socket.id);
     
     // Send the desktop client its session ID
-    socket.emit('session-created', { sessionId });
-    console.log(`Created session ${sessionId} for desktop ${socket.id}`);
+    socket.emit('session-created', {
+      sessionId: newSession.sessionId,
+      token: newSession.desktopToken,
+      resumed: false,
+      pairingCode: getPairingCodeData(newSession)
+    });
+    console.log(`Created session ${newSession.sessionId} for desktop ${socket.id}`);
   });
   
-  // Mobile client connects with a session ID
+  // Mobile client connects with a session ID, and its token when resuming
   socket.on('join-session', (data) => {
-    const { sessionId } = data;
+    const { sessionId, token } = data || {};
     console.log(`Mobile ${socket.id} attempting to join session ${sessionId}`);
     
-    // Create a lookup index: Find desktop client by session ID
-    const matchingDesktop = Array.from(desktopClients.entries())
-      .find(([_, client]) => client.sessionId === sessionId);
-    
-    if (matchingDesktop) {
-      const [desktopSocketId, client] = matchingDesktop;
-      // Update the desktop client with the mobile client's socket ID
-      client.mobileSocketId = socket.id;
-      
-      // Store the mobile client info
-      mobileClients.set(socket.id, { sessionId, desktopSocketId });
-      
-      // Notify both clients that they can start WebRTC connection
-      socket.emit('session-joined', { desktopSocketId });
-      io.to(desktopSocketId).emit('mobile-joined', { mobileSocketId: socket.id });
-      
-      console.log(`Mobile ${socket.id} joined session ${sessionId} with desktop ${desktopSocketId}`);
-    } else {
+    const session = pairingSessions.get(sessionId);
+    if (!session) {
       socket.emit('session-error', { error: 'Session not found' });
       console.log(`Session ${sessionId} not found for mobile ${socket.id}`);
+      return;
+    }
+    
+    const resumed = !!token && token === session.mobileToken;
+    clearTimeout(session.mobileTimer);
+    session.mobileTimer = null;
+    
+    // The phone that was paired is replaced, unless this is it coming back
+    if (session.mobileSocketId && session.mobileSocketId !== socket.id) {
+      mobileClients.delete(session.mobileSocketId);
+      if (!resumed) {
+        io.to(session.mobileSocketId).emit('session-error', { error: 'Another phone joined this session' });
+      }
+    }
+    
+    if (!resumed) {
+      session.mobileToken = uuidv4();
     }
+    session.mobileSocketId = socket.id;
+    mobileClients.set(socket.id, sessionId);
+    
+    socket.emit('session-joined', {
+      desktopSocketId: session.desktopSocketId,
+      token: session.mobileToken,
+      resumed
+    });
+    
+    // While the desktop is away the phone waits; it's told when the desktop is back
+    if (session.desktopSocketId) {
+      io.to(session.desktopSocketId).emit('mobile-joined', { mobileSocketId: socket.id });
+    }
+    
+    console.log(`Mobile ${socket.id} ${resumed ? 'resumed' : 'joined'} session ${sessionId}`);
+  });
+  
+  // Mobile client typed the desktop's pairing code instead of scanning the QR code.
+  // On success it's told the session ID and joins with join-session as usual.
+  socket.on('join-with-code', (data) => {
+    const code = String((data && data.code) || '').replace(/\D/g, '');
+    if (code.length !== PAIRING_CODE_LENGTH) {
+      socket.emit('pairing-code-error', { error: `Enter the ${PAIRING_CODE_LENGTH}-digit code shown on the computer.` });
+      return;
+    }
+    
+    // Only wrong codes count towards the limit, so phones pairing correctly never lock each other out
+    const address = getClientAddress(socket);
+    const retryIn = getPairingCodeLockout(address);
+    if (retryIn > 0) {
+      socket.emit('pairing-code-error', {
+        error: `Too many attempts. Try again in ${Math.ceil(retryIn / 1000)} seconds.`
+      });
+      return;
+    }
+    
+    const entry = pairingCodes.get(code);
+    const session = entry && pairingSessions.get(entry.sessionId);
+    if (!session) {
+      countFailedPairingCodeAttempt(address);
+      socket.emit('pairing-code-error', { error: 'That code doesn\'t match any computer. Check the code and try again.' });
+      console.log(`Mobile ${socket.id} entered an unknown pairing code`);
+      return;
+    }
+    
+    if (Date.now() >= entry.expiresAt) {
+      countFailedPairingCodeAttempt(address);
+      socket.emit('pairing-code-error', { error: 'That code has expired or was already used. Enter the code the computer shows now.' });
+      return;
+    }
+    
+    // A code pairs one phone; the desktop shows a new one straight away
+    issuePairingCode(session);
+    sendPairingCode(session);
+    
+    socket.emit('pairing-code-accepted', { sessionId: session.sessionId });
+    console.log(`Mobile ${socket.id} paired with session ${session.sessionId} by code`);
   });
   
   // WebRTC Signaling - pass messages between peers
@@ -476,6 +1236,36 @@ io.on('connection', (socket) => {
     io.to(targetId).emit('request-calibration');
   });
   
+  // Calibration results from a phone without a data channel
+  CALIBRATION_RELAY_EVENTS.forEach((eventName) => {
+    socket.on(eventName, (data) => {
+      const desktopSocketId = getPairedDesktopSocketId(socket.id);
+      if (desktopSocketId) {
+        io.to(desktopSocketId).emit(eventName, data);
+      }
+    });
+  });
+  
+  // Sensor data from a phone whose WebRTC link is down, rate limited per phone.
+  // Volatile, since a stale sample is worth less than the next one.
+  let sensorRelayWindowStart = 0;
+  let sensorRelayCount = 0;
+  socket.on('sensor-data', (data) => {
+    if (!data || typeof data !== 'object' || !data.gyro || !data.accel) return;
+    
+    const desktopSocketId = getPairedDesktopSocketId(socket.id);
+    if (!desktopSocketId) return;
+    
+    const now = Date.now();
+    if (now - sensorRelayWindowStart >= SENSOR_RELAY_WINDOW) {
+      sensorRelayWindowStart = now;
+      sensorRelayCount = 0;
+    }
+    if (++sensorRelayCount > MAX_SENSOR_RELAY_RATE) return;
+    
+    io.to(desktopSocketId).volatile.emit('sensor-data', data);
+  });
+  
   
   // ==================== MULTIPLAYER ROOM MANAGEMENT ====================
   
@@ -490,16 +1280,18 @@ io.on('connection', (socket) => {
   
   // Create a new game room
   socket.on('create-room', (data) => {
-    const { username, roomName } = data;
+    const { username, roomName, gameMode, spellRules, loadout } = data;
     
     // Create new room with this socket as host
-    const room = createGameRoom(socket.id, roomName);
+    const room = createGameRoom(socket.id, roomName, gameMode, spellRules);
     
     // Join the room's socket.io room
     socket.join(room.roomId);
     
     // Use our enhanced player creation with automatic device detection
-    room.players.set(socket.id, createPlayer(socket.id, username, socket));
+    const player = createPlayer(socket.id, username, socket);
+    player.loadout = sanitizeLoadout(loadout);
+    room.players.set(socket.id, player);
     
     // Track the current room for this socket
     currentRoomId = room.roomId;
@@ -510,12 +1302,18 @@ io.on('connection', (socket) => {
       playerId: socket.id
     });
     
-    console.log(`Room ${room.roomCode} created by ${socket.id}`);
+    console.log(`Room ${room.roomCode} created by ${socket.id} (${room.gameMode})`);
+    
+    if (room.gameMode === 'survival') {
+      startSurvivalIntermission(room.roomId);
+    } else if (room.gameMode === 'deathmatch') {
+      startDeathmatchRound(room.roomId);
+    }
   });
   
   // Join an existing room
   socket.on('join-room', (data) => {
-    const { roomCode, username } = data;
+    const { roomCode, username, loadout } = data;
     
     // Find room with matching code
     const room = Array.from(gameRooms.values()).find(r => r.roomCode === roomCode);
@@ -534,15 +1332,19 @@ io.on('connection', (socket) => {
     socket.join(room.roomId);
     
     // Use our enhanced player creation with automatic device detection
-    room.players.set(socket.id, createPlayer(socket.id, username, socket));
+    const player = createPlayer(socket.id, username, socket);
+    player.loadout = sanitizeLoadout(loadout);
+    room.players.set(socket.id, player);
     
     // Track the current room for this socket
     currentRoomId = room.roomId;
     
-    // Send room details and existing players back to client
+    // Send room details, existing players and physics objects back to client
     socket.emit('room-joined', {
       room: getSanitizedRoomData(room),
       players: Array.from(room.players.values()).map(getSanitizedPlayerData),
+      gameObjects: room.gameObjects,
+      enemies: room.enemies,
       playerId: socket.id
     });
     
@@ -551,6 +1353,10 @@ io.on('connection', (socket) => {
       player: getSanitizedPlayerData(room.players.get(socket.id)) 
     });
     
+    if (room.deathmatch) {
+      io.to(room.roomId).emit('scoreboard-update', { scores: getScoreboard(room) });
+    }
+    
     console.log(`Player ${socket.id} joined room ${room.roomCode}`);
   });
   
@@ -612,6 +1418,19 @@ io.on('connection', (socket) => {
     // We don't need to broadcast here as we have a game loop that broadcasts state regularly
   });
   
+  // The player switched spellbook loadouts
+  socket.on('loadout-update', (data) => {
+    if (!currentRoomId || !data) return;
+    
+    const room = gameRooms.get(currentRoomId);
+    if (!room) return;
+    
+    const player = room.players.get(socket.id);
+    if (!player) return;
+    
+    player.loadout = sanitizeLoadout(data.loadout);
+  });
+  
   // Spell casting events
   socket.on('spell-cast', (data) => {
     if (!currentRoomId) return;
@@ -624,6 +1443,12 @@ io.on('connection', (socket) => {
     // Basic validation
     if (!spellId) return;
     
+    const player = room.players.get(socket.id);
+    if (!player || !canCastSpell(room, player, spellId)) {
+      console.log(`Player ${socket.id} cast ${spellId}, which the room or their loadout doesn't allow`);
+      return;
+    }
+    
     // Broadcast the spell cast to all players in the room
     socket.to(currentRoomId).emit('remote-spell-cast', {
       playerId: socket.id,
@@ -699,6 +1524,8 @@ io.on('connection', (socket) => {
       });
       
       console.log(`Enemy ${enemyId} killed by player ${socket.id} in room ${currentRoomId}`);
+      
+      handleSurvivalEnemyRemoved(currentRoomId);
     }
   });
   
@@ -742,6 +1569,348 @@ io.on('connection', (socket) => {
     console.log(`Host ${socket.id} spawned enemy ${enemyId} in room ${currentRoomId}`);
   });
   
+  // Player damage event (the client reports hits it took, the server owns the health pool)
+  socket.on('player-damage', (data) => {
+    if (!currentRoomId || !data) return;
+    
+    const room = gameRooms.get(currentRoomId);
+    if (!room) return;
+    
+    const player = room.players.get(socket.id);
+    if (!player || player.isDead) return;
+    
+    const { damage, sourceType } = data;
+    
+    // Basic validation
+    if (typeof damage !== 'number' || !Number.isFinite(damage) || damage <= 0) return;
+    
+    // Ignore hits arriving faster than any damage source can produce them
+    const now = Date.now();
+    if (now - player.lastDamageTime < MIN_PLAYER_DAMAGE_INTERVAL) return;
+    
+    applyPlayerDamage(
+      currentRoomId,
+      player,
+      Math.min(damage, MAX_PLAYER_DAMAGE_PER_HIT),
+      typeof sourceType === 'string' ? sourceType : 'generic'
+    );
+  });
+  
+  // A player reports hitting another player in a deathmatch room; the server
+  // checks the hit is plausible before applying the damage
+  socket.on('player-hit', (data) => {
+    if (!currentRoomId || !data) return;
+    
+    const room = gameRooms.get(currentRoomId);
+    if (!room || !room.deathmatch || room.deathmatch.phase !== 'active') return;
+    
+    const attacker = room.players.get(socket.id);
+    if (!attacker || attacker.isDead) return;
+    
+    const { targetId, damage, sourceType, status } = data;
+    const source = PVP_DAMAGE_SOURCES[sourceType];
+    if (!source || targetId === socket.id) return;
+    
+    const target = room.players.get(targetId);
+    if (!target || target.isDead) return;
+    
+    // Basic validation
+    if (typeof damage !== 'number' || !Number.isFinite(damage) || damage <= 0) return;
+    
+    // Reject hits on targets further away than the source can reach
+    if (isValidVector(attacker.position) && isValidVector(target.position)) {
+      const dx = attacker.position.x - target.position.x;
+      const dy = attacker.position.y - target.position.y;
+      const dz = attacker.position.z - target.position.z;
+      if (dx * dx + dy * dy + dz * dz > source.maxRange * source.maxRange) return;
+    }
+    
+    const now = Date.now();
+    const lastHitTime = attacker.lastPvpHitTimes.get(targetId) || 0;
+    if (now - lastHitTime < MIN_PVP_HIT_INTERVAL) return;
+    attacker.lastPvpHitTimes.set(targetId, now);
+    
+    const killed = applyPlayerDamage(
+      currentRoomId,
+      target,
+      Math.min(damage, source.maxDamage),
+      sourceType,
+      socket.id
+    );
+    
+    // The hit's status effect lands with it, so everyone sees it on the target
+    const statusEffect = !killed && sanitizeStatusEffect(status);
+    if (statusEffect) {
+      io.to(currentRoomId).emit('status-applied', {
+        targetId,
+        isPlayer: true,
+        type: statusEffect.type,
+        duration: statusEffect.duration,
+        sourceId: socket.id
+      });
+    }
+    
+    if (!killed) return;
+    
+    attacker.kills++;
+    io.to(currentRoomId).emit('scoreboard-update', { scores: getScoreboard(room) });
+    
+    if (attacker.kills >= DEATHMATCH_FRAG_LIMIT) {
+      endDeathmatchRound(currentRoomId, 'frag-limit');
+    }
+  });
+  
+  // A player left a status effect on a shared enemy; the other players apply it too
+  socket.on('status-apply', (data) => {
+    if (!currentRoomId || !data) return;
+    
+    const room = gameRooms.get(currentRoomId);
+    if (!room || !Array.isArray(room.enemies)) return;
+    
+    // Enemies only this client knows about (e.g. spawned locally) aren't shared
+    const { targetId } = data;
+    if (!room.enemies.some(e => e && e.id === targetId)) return;
+    
+    const statusEffect = sanitizeStatusEffect(data);
+    if (!statusEffect) return;
+    
+    socket.to(currentRoomId).emit('status-applied', {
+      targetId,
+      isPlayer: false,
+      type: statusEffect.type,
+      duration: statusEffect.duration,
+      sourceId: socket.id
+    });
+  });
+  
+  // A player pulled off a spell combo; they and the player whose spell they combined with score
+  socket.on('combo-performed', (data) => {
+    if (!currentRoomId || !data) return;
+    
+    const room = gameRooms.get(currentRoomId);
+    if (!room) return;
+    
+    const player = room.players.get(socket.id);
+    const { comboId, partnerId } = data;
+    if (!player || !Object.prototype.hasOwnProperty.call(SPELL_COMBO_SCORES, comboId)) return;
+    
+    const now = Date.now();
+    if (now - player.lastComboTime < MIN_COMBO_INTERVAL) return;
+    player.lastComboTime = now;
+    
+    const points = SPELL_COMBO_SCORES[comboId];
+    const scorers = [player];
+    const partner = room.players.get(partnerId);
+    if (partner && partner !== player) {
+      scorers.push(partner);
+    }
+    scorers.forEach(scorer => {
+      scorer.comboScore += points;
+    });
+    
+    io.to(currentRoomId).emit('combo-scored', {
+      comboId,
+      playerIds: scorers.map(scorer => scorer.id),
+      points
+    });
+    
+    if (room.deathmatch) {
+      io.to(currentRoomId).emit('scoreboard-update', { scores: getScoreboard(room) });
+    }
+  });
+  
+  // ==================== PHYSICS SYNCHRONIZATION ====================
+  
+  // A client spawned a physics object; the spawner becomes its owner
+  socket.on('physics:object-created', (data) => {
+    if (!currentRoomId) return;
+    
+    const room = gameRooms.get(currentRoomId);
+    if (!room) return;
+    
+    // Basic validation
+    if (!data || typeof data.id !== 'string' || !isValidVector(data.position)) return;
+    
+    // Ignore duplicates (e.g. the same object re-announced by another client)
+    if (getRoomPhysicsObject(room, data.id)) return;
+    
+    // At the limit the oldest object nobody is holding makes way for the new one
+    if (room.gameObjects.length >= MAX_PHYSICS_OBJECTS_PER_ROOM) {
+      const evicted = room.gameObjects.find(obj => !obj.heldBy);
+      if (!evicted) {
+        console.warn(`Room ${currentRoomId} reached the physics object limit, ignoring ${data.id}`);
+        return;
+      }
+      
+      room.gameObjects.splice(room.gameObjects.indexOf(evicted), 1);
+      io.to(currentRoomId).emit('physics:object-removed', { id: evicted.id });
+    }
+    
+    const { id, position, size, mass, color, shape, metallic, restitution, friction, rotation } = data;
+    
+    const physicsObject = {
+      id,
+      ownerId: socket.id,
+      heldBy: null,
+      position,
+      quaternion: { x: 0, y: 0, z: 0, w: 1 },
+      velocity: { x: 0, y: 0, z: 0 },
+      angularVelocity: { x: 0, y: 0, z: 0 },
+      properties: { size, mass, color, shape, metallic, restitution, friction, rotation },
+      lastUpdate: Date.now()
+    };
+    
+    room.gameObjects.push(physicsObject);
+    
+    socket.to(currentRoomId).emit('physics:object-created', {
+      ...physicsObject.properties,
+      id,
+      position,
+      ownerId: socket.id
+    });
+  });
+  
+  // The owner removed a physics object (e.g. a conjured object detonating)
+  socket.on('physics:object-removed', (data) => {
+    if (!currentRoomId) return;
+    
+    const room = gameRooms.get(currentRoomId);
+    if (!room || !data) return;
+    
+    const physicsObject = getRoomPhysicsObject(room, data.id);
+    if (!physicsObject || physicsObject.ownerId !== socket.id) return;
+    
+    room.gameObjects.splice(room.gameObjects.indexOf(physicsObject), 1);
+    
+    socket.to(currentRoomId).emit('physics:object-removed', { id: physicsObject.id });
+  });
+  
+  // Physics state snapshot; only the objects this client owns are accepted
+  socket.on('physics:state', (data) => {
+    if (!currentRoomId) return;
+    
+    const room = gameRooms.get(currentRoomId);
+    if (!room || !data || !Array.isArray(data.objects)) return;
+    
+    const now = Date.now();
+    const acceptedObjects = [];
+    
+    data.objects.forEach(update => {
+      if (!update) return;
+      
+      const physicsObject = getRoomPhysicsObject(room, update.id);
+      if (!physicsObject || physicsObject.ownerId !== socket.id) return;
+      
+      if (!isValidVector(update.position) || !isValidVector(update.quaternion, true)) return;
+      
+      physicsObject.position = update.position;
+      physicsObject.quaternion = update.quaternion;
+      if (isValidVector(update.velocity)) physicsObject.velocity = update.velocity;
+      if (isValidVector(update.angularVelocity)) physicsObject.angularVelocity = update.angularVelocity;
+      physicsObject.lastUpdate = now;
+      
+      acceptedObjects.push({
+        id: physicsObject.id,
+        ownerId: physicsObject.ownerId,
+        position: physicsObject.position,
+        quaternion: physicsObject.quaternion,
+        velocity: physicsObject.velocity,
+        angularVelocity: physicsObject.angularVelocity,
+        properties: physicsObject.properties
+      });
+    });
+    
+    if (acceptedObjects.length > 0) {
+      socket.to(currentRoomId).emit('physics:state-update', { objects: acceptedObjects });
+    }
+  });
+  
+  // Picking an object up with the gravity gun hands ownership to the picker
+  socket.on('physics:object-pickup', (data) => {
+    if (!currentRoomId) return;
+    
+    const room = gameRooms.get(currentRoomId);
+    if (!room || !data) return;
+    
+    const physicsObject = getRoomPhysicsObject(room, data.id);
+    if (!physicsObject) return;
+    
+    // Someone else already has it in their beam - first grab wins
+    if (physicsObject.heldBy && physicsObject.heldBy !== socket.id && room.players.has(physicsObject.heldBy)) {
+      socket.emit('physics:pickup-rejected', {
+        id: physicsObject.id,
+        ownerId: physicsObject.ownerId,
+        heldBy: physicsObject.heldBy
+      });
+      return;
+    }
+    
+    physicsObject.ownerId = socket.id;
+    physicsObject.heldBy = socket.id;
+    physicsObject.lastUpdate = Date.now();
+    
+    socket.to(currentRoomId).emit('physics:object-pickup', {
+      id: physicsObject.id,
+      playerId: socket.id
+    });
+  });
+  
+  // Dropping (or throwing) keeps ownership with the thrower so the flight is simulated by them
+  socket.on('physics:object-drop', (data) => {
+    if (!currentRoomId) return;
+    
+    const room = gameRooms.get(currentRoomId);
+    if (!room || !data) return;
+    
+    const physicsObject = getRoomPhysicsObject(room, data.id);
+    if (!physicsObject || physicsObject.heldBy !== socket.id) return;
+    
+    physicsObject.heldBy = null;
+    physicsObject.lastUpdate = Date.now();
+    
+    socket.to(currentRoomId).emit('physics:object-drop', {
+      id: physicsObject.id,
+      playerId: socket.id
+    });
+  });
+  
+  // Property changes (size, mass, visual effects) are only accepted from the owner
+  socket.on('physics:update-object', (data) => {
+    if (!currentRoomId) return;
+    
+    const room = gameRooms.get(currentRoomId);
+    if (!room || !data) return;
+    
+    const physicsObject = getRoomPhysicsObject(room, data.id);
+    if (!physicsObject || physicsObject.ownerId !== socket.id) return;
+    
+    if (typeof data.mass === 'number' && Number.isFinite(data.mass)) {
+      physicsObject.properties.mass = data.mass;
+    }
+    
+    socket.to(currentRoomId).emit('physics:update-object', {
+      ...data,
+      playerId: socket.id
+    });
+  });
+  
+  // Forces from non-owners are forwarded so the owning client can apply them
+  socket.on('physics:apply-force', (data) => {
+    if (!currentRoomId) return;
+    
+    const room = gameRooms.get(currentRoomId);
+    if (!room || !data || !isValidVector(data.force)) return;
+    
+    const physicsObject = getRoomPhysicsObject(room, data.id);
+    if (!physicsObject || physicsObject.ownerId === socket.id) return;
+    
+    io.to(physicsObject.ownerId).emit('physics:apply-force', {
+      id: physicsObject.id,
+      force: data.force,
+      playerId: socket.id
+    });
+  });
+  
   // ==================== DISCONNECT HANDLING ====================
   
   // Handle disconnection
@@ -754,30 +1923,43 @@ io.on('connection', (socket) => {
       socket.leave(currentRoomId);
     }
     
-    // Check if it was a desktop client
+    // Check if it was a desktop client; its session waits for it to come back
     if (desktopClients.has(socket.id)) {
-      const { sessionId, mobileSocketId } = desktopClients.get(socket.id);
+      const sessionId = desktopClients.get(socket.id);
+      const session = pairingSessions.get(sessionId);
+      desktopClients.delete(socket.id);
       
-      // Notify the connected mobile client if there is one
-      if (mobileSocketId) {
-        io.to(mobileSocketId).emit('desktop-disconnected');
+      if (session && session.desktopSocketId === socket.id) {
+        session.desktopSocketId = null;
+        if (session.mobileSocketId) {
+          io.to(session.mobileSocketId).emit('desktop-reconnecting');
+        }
+        session.desktopTimer = setTimeout(() => endPairingSession(sessionId), PAIRING_GRACE_PERIOD);
+        console.log(`Desktop ${socket.id} dropped; holding session ${sessionId}`);
       }
-      
-      desktopClients.delete(socket.id);
-      console.log(`Removed desktop client ${socket.id} with session ${sessionId}`);
     }
     
-    // Check if it was a mobile client
+    // Check if it was a mobile client; the desktop keeps its place for a while
     if (mobileClients.has(socket.id)) {
-      const { sessionId, desktopSocketId } = mobileClients.get(socket.id);
+      const sessionId = mobileClients.get(socket.id);
+      const session = pairingSessions.get(sessionId);
+      mobileClients.delete(socket.id);
       
-      // Notify the connected desktop client
-      if (desktopSocketId) {
-        io.to(desktopSocketId).emit('mobile-disconnected');
+      if (session && session.mobileSocketId === socket.id) {
+        session.mobileSocketId = null;
+        if (session.desktopSocketId) {
+          io.to(session.desktopSocketId).emit('mobile-reconnecting');
+        }
+        session.mobileTimer = setTimeout(() => {
+          session.mobileTimer = null;
+          session.mobileToken = null;
+          if (session.desktopSocketId) {
+            io.to(session.desktopSocketId).emit('mobile-disconnected');
+          }
+          console.log(`Mobile pairing in session ${sessionId} expired`);
+        }, PAIRING_GRACE_PERIOD);
+        console.log(`Mobile ${socket.id} dropped; holding its place in session ${sessionId}`);
       }
-      
-      mobileClients.delete(socket.id);
-      console.log(`Removed mobile client ${socket.id} from session ${sessionId}`);
     }
   });
   
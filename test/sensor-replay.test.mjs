@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EventBus } from '../client/js/utils/event-bus.js';
+import { SensorRecorder } from '../client/js/communication/sensor-recorder.js';
+import { SensorReplay } from '../client/js/communication/sensor-replay.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Record a few milliseconds of fake phone samples
+ * @param {EventBus} eventBus - Event bus the recorder listens on
+ * @param {number} count - Number of samples to send
+ */
+async function recordSamples(eventBus, count) {
+  for (let sequence = 0; sequence < count; sequence++) {
+    eventBus.emit('sensor:data-received', {
+      sequence,
+      timestamp: Date.now(),
+      gyro: { alpha: sequence, beta: 0, gamma: 0 }
+    });
+    await sleep(2);
+  }
+}
+
+test('replaying the live recording while still recording finishes', async (t) => {
+  const eventBus = new EventBus();
+  const recorder = new SensorRecorder(eventBus);
+  const replay = new SensorReplay(eventBus);
+  t.after(() => replay.stop());
+
+  let replayedCount = 0;
+  eventBus.on('sensor:data-received', (data) => {
+    if (data.replayed) replayedCount++;
+  });
+
+  recorder.start();
+  await recordSamples(eventBus, 10);
+
+  // Replay the recording the recorder is still writing to
+  eventBus.emit('recorder:get-recording', (recording) => {
+    eventBus.emit('replay:play', { recording, loop: false });
+  });
+  await sleep(200);
+
+  assert.equal(replay.isPlaying, false);
+  assert.equal(replayedCount, 10);
+  assert.equal(recorder.isRecording, true);
+  assert.equal(recorder.recording.samples.length, 10);
+});
+
+test('replay plays a snapshot of the recording it was given', async (t) => {
+  const eventBus = new EventBus();
+  const recorder = new SensorRecorder(eventBus);
+  const replay = new SensorReplay(eventBus);
+  t.after(() => replay.stop());
+
+  recorder.start();
+  await recordSamples(eventBus, 5);
+  recorder.stop();
+
+  const recording = recorder.recording;
+  replay.play(recording);
+  recording.samples.push({ t: 1, data: { sequence: 99 } });
+
+  assert.equal(replay.recording.samples.length, 5);
+});
+
+test('Replay Last stops the recorder before playing', async (t) => {
+  const eventBus = new EventBus();
+  const recorder = new SensorRecorder(eventBus);
+  const replay = new SensorReplay(eventBus);
+  t.after(() => replay.stop());
+
+  recorder.start();
+  await recordSamples(eventBus, 3);
+
+  // The same events the debug panel's Replay Last button sends
+  eventBus.emit('recorder:stop');
+  eventBus.emit('recorder:get-recording', (recording) => {
+    eventBus.emit('replay:play', { recording, loop: false });
+  });
+  await recordSamples(eventBus, 3);
+  await sleep(50);
+
+  assert.equal(recorder.isRecording, false);
+  assert.equal(recorder.recording.samples.length, 3);
+});